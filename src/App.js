@@ -1,14 +1,56 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, onSnapshot, doc, setDoc, addDoc, updateDoc, deleteDoc, query } from 'firebase/firestore';
-import { Plus, DollarSign, Edit, Trash2, X, BarChart2, TrendingUp, HandCoins, History, LineChart as LineChartIcon, TrendingUp as TrendingUpIcon, Wallet, ReceiptText, CalendarCheck, LayoutDashboard, FileText, PiggyBank } from 'lucide-react'; // Added LayoutDashboard for dashboard icon
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { Plus, DollarSign, Edit, Trash2, X, BarChart2, TrendingUp, HandCoins, History, LineChart as LineChartIcon, TrendingUp as TrendingUpIcon, Wallet, ReceiptText, CalendarCheck, LayoutDashboard, FileText, PiggyBank, CreditCard, ArrowLeftRight, PieChart as PieChartIcon, Upload, FileUp, Download, Users, Target, AlertTriangle, Tags, Tag, Wand2, Undo2, Home, ShoppingCart, Car, Utensils, HeartPulse, Plane, GraduationCap, Gift, Zap, Shirt, Film, Flame, CalendarRange } from 'lucide-react'; // Added LayoutDashboard for dashboard icon
+import { LineChart, Line, ComposedChart, Area, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, ReferenceLine } from 'recharts';
+import { createStorageAdapter, createDocumentId, STORAGE_MODES } from './storage';
+import { addContributionEntry, addValuation, createTransfer, deleteHistoryEntry, getHistoryEntries, getValueOn, removeTransfer, setValuations, updateHistoryEntry } from './utils/assetHistory';
+import { addBalance } from './utils/liabilityHistory';
+import { buildPriceHistory, getPositions, getPriceOn, hasHoldings, normalizeSymbol, parsePricesCsv, planHoldingsValuations, sellFromHoldings, valueHoldings } from './utils/holdings';
+import { HISTORY_INTERVALS, HISTORY_RANGES, calculateNetWorthHistory, calculateTotalAssets, calculateTotalLiabilities, getRangeChange, getRangeStart, sampleNetWorthHistory } from './utils/netWorth';
+import { CURRENCIES, DEFAULT_CURRENCY, convertAmount, createConverter, formatCurrency } from './utils/currency';
+import { buildRateHistory, getRatesOn, parseExchangeRatesCsv } from './utils/exchangeRates';
+import { SUGGESTED_CATEGORIES, buildCategoryTree, findCategory, getCategoryPath, rollupByCategory } from './utils/categories';
+import { DATE_FORMATS, DECIMAL_FORMATS, SIGN_MODES, guessMapping, mapRows, parseCsv } from './utils/bankCsv';
+import { STATEMENT_FORMATS, detectStatementFormat, markDuplicates, parseStatement } from './utils/statementFormats';
+import { BACKUP_COLLECTIONS, RESTORE_MODES, createBackup, parseBackup, planRestore } from './utils/backup';
+import { MATCH_TYPES, applyRules, findMatchingRule, planRuleReapply, ruleMatches, sortRules, validateRule } from './utils/rules';
+import { ALLOCATION_COLORS, DRIFT_TOLERANCE, calculateAllocation, getAssetClass, suggestContribution, validateTargets } from './utils/allocation';
+import { DEFAULT_RUNS, MAX_RUNS, simulateProjection } from './utils/monteCarlo';
+import { createMonteCarloWorker } from './utils/createMonteCarloWorker';
+import { buildContributionSchedule, getTrailingAverage } from './utils/cashFlow';
+import { DEFAULT_LEAN_SHARE, DEFAULT_WITHDRAWAL_RATE, formatDuration, getAnnualExpenses, getCoastFiNumber, getFiNumber, getFiProgress, getMonthsToTarget, getRealReturn } from './utils/fire';
+import { DEFAULT_EXPECTED_RETURN, DEFAULT_INFLATION_RATE, DEFAULT_TYPE_RETURNS, getValuesByType, projectByType, toRealValue } from './utils/projections';
+import { RETURN_PERIODS, calculateReturns, formatReturn, getAssetSeries, getPortfolioSeries } from './utils/returns';
+import { TRASH_COLLECTIONS, TRASH_RETENTION_DAYS, createTrashEntry, describeTrashItem, getDaysLeft, getExpiredTrash } from './utils/trash';
+import { MONTH_LABELS, compareToPrevious, getCategoryHeatmap, getYearOverview } from './utils/annualOverview';
+import { GOAL_STATUSES, calculateGoalProgress, getLinkedShares, validateGoalLinks } from './utils/goals';
+import { DEFAULT_WARNING_THRESHOLD, calculateBudgetStatus, getBudgetAlerts, getBudgetForMonth, getBudgetId, toMonthKey } from './utils/budgets';
+import { SPLIT_METHODS, calculateBalances, calculateMonthlyBalances, calculateShares, suggestSettlements, validateSplit } from './utils/splits';
+import { FREQUENCIES, INTERVAL_UNITS, DEFAULT_CUSTOM_INTERVAL, describeFrequency, getMonthlyOccurrences, sumOccurrences } from './utils/recurrence';
 
 // Ensure d3 is loaded globally for MiniAssetChart
 // This is typically done via a <script> tag in index.html, e.g.:
 // <script src="https://cdnjs.cloudflare.com/ajax/libs/d3/7.8.5/d3.min.js"></script>
 
+// Toast with an Undo button that hides itself after a few seconds. toast is { id, message }.
+const UndoToast = ({ toast, onUndo, onDismiss }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, 8000);
+    return () => clearTimeout(timer);
+  }, [toast.id, onDismiss]);
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 transform z-50 bg-gray-900 text-white px-4 py-3 rounded-lg shadow-xl flex items-center gap-4 animate-fade-in-up" role="status">
+      <span className="text-sm">{toast.message}</span>
+      <button onClick={onUndo} className="flex items-center text-sm font-semibold text-indigo-300 hover:text-indigo-200">
+        <Undo2 size={16} className="mr-1" /> Undo
+      </button>
+      <button onClick={onDismiss} className="text-gray-400 hover:text-gray-200" aria-label="Dismiss">
+        <X size={16} />
+      </button>
+    </div>
+  );
+};
+
 // Helper function for custom modals
 const Modal = ({ children, onClose, title }) => {
   return (
@@ -28,84 +70,187 @@ const Modal = ({ children, onClose, title }) => {
   );
 };
 
-// Component to display Net Worth History Chart
-function NetWorthHistoryChart({ assets, loading }) {
-  const [selectedDateBreakdown, setSelectedDateBreakdown] = useState(null);
-
-  // Function to aggregate asset histories into a single total net worth history
-  // and also provide detailed daily values for breakdown.
-  const calculateNetWorthHistory = (assets) => {
-    const dailyValuesMap = new Map(); // Map: 'YYYY-MM-DD' -> Map: assetId -> value
-
-    // First pass: Populate all known asset values per day
-    assets.forEach(asset => {
-      const sortedValueHistory = [...(asset.valueHistory || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
-      sortedValueHistory.forEach(entry => {
-        const date = entry.date;
-        if (!dailyValuesMap.has(date)) {
-          dailyValuesMap.set(date, new Map());
-        }
-        dailyValuesMap.get(date).set(asset.id, entry.value);
-      });
-    });
+// Select for one of the supported currencies
+const CurrencySelect = ({ id, value, onChange, className }) => (
+  <select
+    id={id}
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className={className || "mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"}
+  >
+    {Object.keys(CURRENCIES).map(code => (
+      <option key={code} value={code}>{code}</option>
+    ))}
+  </select>
+);
 
-    // Get all unique dates and sort them
-    const uniqueDates = Array.from(dailyValuesMap.keys()).sort((a, b) => new Date(a) - new Date(b));
+// Frequency select for recurring transactions, with an interval editor for 'Custom'
+const FrequencySelect = ({ id, frequency, onFrequencyChange, customInterval, onCustomIntervalChange, className }) => (
+  <>
+    <select
+      id={id}
+      value={frequency}
+      onChange={(e) => onFrequencyChange(e.target.value)}
+      className={className}
+      required
+    >
+      {FREQUENCIES.map(option => (
+        <option key={option} value={option}>{option}</option>
+      ))}
+    </select>
+    {frequency === 'Custom' && (
+      <div className="flex items-center gap-2 mt-2">
+        <span className="text-sm text-gray-700">Every</span>
+        <input
+          type="number"
+          id={`${id}Every`}
+          value={customInterval.every}
+          onChange={(e) => onCustomIntervalChange({ ...customInterval, every: e.target.value })}
+          className={className}
+          min="1"
+          step="1"
+          required
+          aria-label="Interval"
+        />
+        <select
+          id={`${id}Unit`}
+          value={customInterval.unit}
+          onChange={(e) => onCustomIntervalChange({ ...customInterval, unit: e.target.value })}
+          className={className}
+          aria-label="Interval unit"
+        >
+          {INTERVAL_UNITS.map(unit => (
+            <option key={unit} value={unit}>{unit}</option>
+          ))}
+        </select>
+      </div>
+    )}
+  </>
+);
 
-    const aggregatedHistory = [];
-    const currentAssetValuesAtDate = new Map(); // Map: assetId -> value (tracks current value for iteration)
+// Icons offered for expense categories, stored on the category by name
+const CATEGORY_ICONS = { Tag, Home, ShoppingCart, Car, Utensils, HeartPulse, Plane, GraduationCap, Gift, Zap, Shirt, Film };
 
-    uniqueDates.forEach(date => {
-      let totalNetWorthOnDate = 0;
+// Category icon on a badge in the category's color
+const CategoryIcon = ({ category, size = 16 }) => {
+  const Icon = CATEGORY_ICONS[category.icon] || Tag;
+  return (
+    <span className="inline-flex items-center justify-center rounded-full p-1 text-white" style={{ backgroundColor: category.color }}>
+      <Icon size={size} />
+    </span>
+  );
+};
 
-      // Update currentAssetValuesAtDate for this specific 'date'
-      // This correctly propagates the last known value forward for each asset
-      assets.forEach(asset => {
-        const valueForThisAssetOnThisDate = dailyValuesMap.get(date)?.get(asset.id);
-        if (valueForThisAssetOnThisDate !== undefined) {
-          currentAssetValuesAtDate.set(asset.id, valueForThisAssetOnThisDate);
-        }
-      });
+// Select for an expense category; subcategories are listed under their parent
+const CategorySelect = ({ id, categories, value, onChange, className, disabled }) => (
+  <select
+    id={id}
+    value={value || ''}
+    onChange={(e) => onChange(e.target.value || null)}
+    className={className}
+    disabled={disabled}
+  >
+    <option value="">Uncategorized</option>
+    {buildCategoryTree(categories).map(parent => (
+      <React.Fragment key={parent.id}>
+        <option value={parent.id}>{parent.name}</option>
+        {parent.children.map(child => (
+          <option key={child.id} value={child.id}>{'\u00A0\u00A0\u00A0'}{child.name}</option>
+        ))}
+      </React.Fragment>
+    ))}
+  </select>
+);
 
-      // Sum up total net worth from currentAssetValuesAtDate
-      currentAssetValuesAtDate.forEach(value => {
-        totalNetWorthOnDate += value;
-      });
+// Switches category rollups between top-level categories and subcategories
+const CategoryLevelToggle = ({ value, onChange }) => (
+  <div className="inline-flex rounded-md shadow-sm text-xs" role="group">
+    {[['parent', 'Categories'], ['child', 'Subcategories']].map(([level, label], index) => (
+      <button
+        key={level}
+        type="button"
+        onClick={() => onChange(level)}
+        className={`px-3 py-1 border border-gray-300 ${index === 0 ? 'rounded-l-md' : 'rounded-r-md -ml-px'} ${value === level ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+      >
+        {label}
+      </button>
+    ))}
+  </div>
+);
 
-      aggregatedHistory.push({
-        date: date,
-        totalNetWorth: parseFloat(totalNetWorthOnDate.toFixed(2))
-      });
-    });
+// Progress bar towards a savings goal; orange while the goal is behind plan
+const GoalProgressBar = ({ percent, status }) => (
+  <div className="w-full bg-gray-200 rounded-full h-2.5">
+    <div className={`${status === 'behind' ? 'bg-orange-400' : 'bg-teal-500'} h-2.5 rounded-full`} style={{ width: `${Math.min(100, percent)}%` }}></div>
+  </div>
+);
 
-    // Convert dailyValuesMap (Map of Maps) to a more easily consumable Map of Objects
-    const detailedDailyValues = new Map();
-    dailyValuesMap.forEach((innerMap, date) => {
-      const obj = {};
-      innerMap.forEach((value, key) => {
-        obj[key] = value;
-      });
-      detailedDailyValues.set(date, obj);
-    });
+const GoalStatusBadge = ({ status }) => (
+  <span className={`text-xs font-semibold px-2 py-0.5 rounded-full ${status === 'behind' ? 'bg-orange-100 text-orange-800' : 'bg-teal-100 text-teal-800'}`}>
+    {GOAL_STATUSES[status]}
+  </span>
+);
 
-    return { chartData: aggregatedHistory, detailedDailyValues };
-  };
+// Progress bar for budget vs actual; turns yellow at the warning threshold and red when over budget
+const BudgetProgressBar = ({ percentUsed, warningThreshold }) => {
+  const color = percentUsed >= 100 ? 'bg-red-500' : percentUsed >= warningThreshold ? 'bg-yellow-400' : 'bg-green-500';
+  return (
+    <div className="w-full bg-gray-200 rounded-full h-2.5">
+      <div className={`${color} h-2.5 rounded-full`} style={{ width: `${Math.min(100, percentUsed)}%` }}></div>
+    </div>
+  );
+};
 
-  const { chartData, detailedDailyValues } = useMemo(() => calculateNetWorthHistory(assets), [assets]);
+// Component to display Net Worth History Chart
+function NetWorthHistoryChart({ assets, liabilities, loading, baseCurrency, toBaseCurrency }) {
+  const [selectedDateBreakdown, setSelectedDateBreakdown] = useState(null);
+  const [range, setRange] = useState('all'); // Key of HISTORY_RANGES
+  const [customStart, setCustomStart] = useState('');
+  const [customEnd, setCustomEnd] = useState('');
+  const [sampleInterval, setSampleInterval] = useState('weekly'); // Key of HISTORY_INTERVALS
+  const [view, setView] = useState('total'); // 'total', or stacked by 'type' or 'asset'
+
+  const today = new Date().toISOString().split('T')[0];
+  const start = range === 'custom' ? customStart || null : getRangeStart(range, today);
+  const end = range === 'custom' && customEnd ? customEnd : today;
+
+  // Aggregate asset and liability histories into net worth on each sample date
+  // Values are converted to the base currency
+  const { rows: chartData, seriesKeys, valuesByDate } = useMemo(
+    () => sampleNetWorthHistory({
+      assets,
+      liabilities,
+      convert: toBaseCurrency,
+      start,
+      end,
+      interval: sampleInterval,
+      groupBy: view === 'total' ? null : view,
+    }),
+    [assets, liabilities, toBaseCurrency, start, end, sampleInterval, view]
+  );
+  const netWorthChange = getRangeChange(chartData);
+  const seriesChanges = view === 'total' ? [] : seriesKeys.map(key => ({ key, ...getRangeChange(chartData, key) }));
+  const seriesName = (key) => (view === 'asset' ? assets.find(a => a.id === key)?.name || key : key);
+  const formatPercent = (percent) => (percent === null ? '' : ` (${percent > 0 ? '+' : ''}${percent.toFixed(1)}%)`);
 
   // Function to handle mouse movement on the chart to update breakdown
   const handleMouseMove = (state) => {
     if (state.activePayload && state.activePayload.length > 0) {
       const dataPoint = state.activePayload[0].payload;
       const hoveredDate = dataPoint.date;
-      const valuesForHoveredDate = detailedDailyValues.get(hoveredDate) || {};
+      const valuesForHoveredDate = valuesByDate.get(hoveredDate) || {};
 
       const breakdown = Object.entries(valuesForHoveredDate)
-        .map(([assetId, value]) => {
-          const assetInfo = assets.find(a => a.id === assetId);
+        .map(([itemId, value]) => {
+          const assetInfo = assets.find(a => a.id === itemId);
           // Only include assets that existed or had a recorded value up to this point
           // and ensure 'name' is available
-          return assetInfo ? { id: assetId, name: assetInfo.name, value: value, type: assetInfo.type } : null;
+          if (assetInfo) {
+            return { id: itemId, name: assetInfo.name, value: value, type: assetInfo.type };
+          }
+          // Liability balances come through as negative values
+          const liabilityInfo = liabilities.find(l => l.id === itemId);
+          return liabilityInfo ? { id: itemId, name: liabilityInfo.name, value: value, type: `Liability (${liabilityInfo.type})` } : null;
         })
         .filter(Boolean); // Filter out any null entries if assetInfo was not found
 
@@ -127,7 +272,7 @@ function NetWorthHistoryChart({ assets, loading }) {
     );
   }
 
-  if (assets.length === 0) {
+  if (assets.length === 0 && liabilities.length === 0) {
     return (
       <div className="bg-white p-8 rounded-xl shadow-lg text-center text-gray-600 min-h-[300px] flex items-center justify-center">
         Add assets and update their values to see your net worth history!
@@ -141,8 +286,80 @@ function NetWorthHistoryChart({ assets, loading }) {
         <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
           <History size={28} className="mr-2 text-indigo-500" /> Net Worth History
         </h2>
+
+        <div className="flex flex-wrap items-end gap-4 mb-4">
+          <div className="flex rounded-md shadow-sm" role="group" aria-label="Range">
+            {Object.entries(HISTORY_RANGES).map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setRange(key)}
+                className={`px-3 py-1 text-sm border border-gray-300 first:rounded-l-md last:rounded-r-md -ml-px first:ml-0 ${range === key ? 'bg-indigo-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {range === 'custom' && (
+            <div className="flex items-center gap-2 text-sm">
+              <input
+                type="date"
+                value={customStart}
+                onChange={(e) => setCustomStart(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+                aria-label="Range start"
+              />
+              <span className="text-gray-500">to</span>
+              <input
+                type="date"
+                value={customEnd}
+                onChange={(e) => setCustomEnd(e.target.value)}
+                max={today}
+                className="px-2 py-1 border border-gray-300 rounded-md"
+                aria-label="Range end"
+              />
+            </div>
+          )}
+          <select
+            value={sampleInterval}
+            onChange={(e) => setSampleInterval(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            aria-label="Points"
+          >
+            {Object.entries(HISTORY_INTERVALS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <select
+            value={view}
+            onChange={(e) => setView(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            aria-label="View"
+          >
+            <option value="total">Net worth</option>
+            <option value="type">Stacked by type</option>
+            <option value="asset">Stacked by asset</option>
+          </select>
+        </div>
+
+        {netWorthChange && (
+          <div className="mb-4 text-sm text-gray-700">
+            <p>
+              Net worth {chartData[0].date} to {chartData[chartData.length - 1].date}:{' '}
+              <span className={`font-semibold ${netWorthChange.change < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                {formatCurrency(netWorthChange.change, baseCurrency, { signDisplay: 'exceptZero' })}{formatPercent(netWorthChange.percent)}
+              </span>
+            </p>
+            {seriesChanges.length > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                {seriesChanges.map(({ key, change, percent }) => (
+                  `${seriesName(key)} ${formatCurrency(change, baseCurrency, { signDisplay: 'exceptZero', fractionDigits: 0 })}${formatPercent(percent)}`
+                )).join(' · ')}
+              </p>
+            )}
+          </div>
+        )}
+
         <ResponsiveContainer width="100%" height={400}>
-          <LineChart
+          <ComposedChart
             data={chartData}
             margin={{
               top: 5,
@@ -156,26 +373,51 @@ function NetWorthHistoryChart({ assets, loading }) {
             <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
             <XAxis dataKey="date" minTickGap={20} />
             <YAxis
-              tickFormatter={(value) => `$${value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`}
+              tickFormatter={(value) => formatCurrency(value, baseCurrency, { fractionDigits: 0 })}
             />
             <Tooltip
-              formatter={(value) => [`$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 'Net Worth']}
+              formatter={(value, name) => [formatCurrency(value, baseCurrency), name]}
               labelFormatter={(label) => `Date: ${label}`}
             />
             <Legend />
+            {seriesKeys.map((key, index) => (
+              <Area
+                key={key}
+                type="monotone"
+                dataKey={key}
+                stackId="assets"
+                stroke={ALLOCATION_COLORS[index % ALLOCATION_COLORS.length]}
+                fill={ALLOCATION_COLORS[index % ALLOCATION_COLORS.length]}
+                fillOpacity={0.6}
+                name={seriesName(key)}
+              />
+            ))}
             <Line
               type="monotone"
               dataKey="totalNetWorth"
               stroke="#8884d8"
               activeDot={{ r: 8 }}
               strokeWidth={2}
+              dot={chartData.length <= 60}
               name="Total Net Worth"
             />
-          </LineChart>
+            {liabilities.length > 0 && (
+              <Line
+                type="monotone"
+                dataKey="totalLiabilities"
+                stroke="#ef4444" // Red for debts
+                strokeWidth={2}
+                dot={chartData.length <= 60}
+                name="Total Liabilities"
+              />
+            )}
+          </ComposedChart>
         </ResponsiveContainer>
         {chartData.length <= 1 && (
           <p className="text-center text-gray-500 mt-4">
-            Add more asset updates or contributions to see a richer history chart.
+            {range === 'all'
+              ? 'Add more asset updates or contributions to see a richer history chart.'
+              : 'No history in this range yet. Try a longer one.'}
           </p>
         )}
       </div>
@@ -183,7 +425,7 @@ function NetWorthHistoryChart({ assets, loading }) {
       {selectedDateBreakdown && (
         <div className="bg-white p-6 rounded-xl shadow-lg w-full">
           <h3 className="text-xl font-bold text-gray-800 mb-4">
-            Asset Breakdown for {selectedDateBreakdown.date}
+            Net Worth Breakdown for {selectedDateBreakdown.date}
           </h3>
           {selectedDateBreakdown.assets.length > 0 ? (
             <div className="overflow-x-auto">
@@ -191,7 +433,7 @@ function NetWorthHistoryChart({ assets, loading }) {
                 <thead className="bg-gray-50">
                   <tr>
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider rounded-tl-lg">
-                      Asset Name
+                      Name
                     </th>
                     <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Type
@@ -212,8 +454,8 @@ function NetWorthHistoryChart({ assets, loading }) {
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                         {asset.type}
                       </td>
-                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                        €{asset.value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      <td className={`px-6 py-4 whitespace-nowrap text-sm ${asset.value < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                        {formatCurrency(asset.value, baseCurrency)}
                       </td>
                     </tr>
                   ))}
@@ -230,13 +472,75 @@ function NetWorthHistoryChart({ assets, loading }) {
 }
 
 // Component to display individual asset history details
-function AssetHistoryDetailsModal({ asset }) {
-  // Sort history by date ascending
-  const sortedHistory = [...(asset.valueHistory || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+function AssetHistoryDetailsModal({ asset, assets, onEdit, onDeleteTransfer }) {
+  const [editingIndex, setEditingIndex] = useState(null); // valueHistory index of the row being edited
+  const [draft, setDraft] = useState({ date: '', value: '', amount: '' });
+  const [newEntry, setNewEntry] = useState({ date: new Date().toISOString().split('T')[0], value: '' });
+  const [formError, setFormError] = useState('');
+
+  // Sorted by date ascending; each entry keeps its valueHistory index for editing
+  const sortedHistory = getHistoryEntries(asset);
+  const performance = useMemo(() => Object.entries(RETURN_PERIODS).map(([period, label]) => ({
+    period,
+    label,
+    returns: calculateReturns(getAssetSeries(asset), period),
+  })), [asset]);
+
+  const inputClassName = "w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+
+  const startEditing = (entry) => {
+    setFormError('');
+    setEditingIndex(entry.index);
+    setDraft({ date: entry.date, value: entry.value, amount: entry.contribution ? entry.contribution.amount : '' });
+  };
+
+  const saveEdit = async (entry) => {
+    const value = parseFloat(draft.value);
+    const amount = entry.contribution ? parseFloat(draft.amount) : undefined;
+    if (!draft.date || isNaN(value) || value < 0 || (entry.contribution && (isNaN(amount) || amount === 0))) {
+      setFormError('Enter a date and non-negative value (and a non-zero amount; negative for a withdrawal).');
+      return;
+    }
+    setFormError('');
+    if (await onEdit(current => updateHistoryEntry(current, entry.index, { date: draft.date, value, amount }))) {
+      setEditingIndex(null);
+    }
+  };
+
+  const handleAddValuation = async (e) => {
+    e.preventDefault();
+    const value = parseFloat(newEntry.value);
+    if (!newEntry.date || isNaN(value) || value < 0) {
+      setFormError('Enter a date and non-negative value for the valuation.');
+      return;
+    }
+    setFormError('');
+    if (await onEdit(current => addValuation(current, { date: newEntry.date, value }))) {
+      setNewEntry(current => ({ ...current, value: '' }));
+    }
+  };
 
   return (
     <div className="space-y-4">
+      <h4 className="text-lg font-semibold text-gray-700">Performance</h4>
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-sm">
+        {performance.map(({ period, label, returns }) => (
+          <div key={period} className="bg-gray-50 border border-gray-200 rounded-md p-2">
+            <p className="font-medium text-gray-700">{label}</p>
+            <p className="text-gray-600">XIRR: {formatReturn(returns?.xirr)} p.a.</p>
+            <p className="text-gray-600">TWR: {formatReturn(returns?.twr)}</p>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        XIRR is the yearly return on the money you paid in, so it depends on when you added or withdrew it. TWR is the growth of the asset itself over the period, regardless of contributions.
+      </p>
       <h4 className="text-lg font-semibold text-gray-700">Historical Values</h4>
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+          {formError}
+        </div>
+      )}
       {sortedHistory.length > 0 ? (
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
@@ -246,6 +550,7 @@ function AssetHistoryDetailsModal({ asset }) {
                 <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
                 <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
                 <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-4 py-2"></th>
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
@@ -254,18 +559,79 @@ function AssetHistoryDetailsModal({ asset }) {
                 const change = entry.value - previousValue;
                 const changeColor = change > 0 ? 'text-green-600' : change < 0 ? 'text-red-600' : 'text-gray-500';
                 const changeIcon = change > 0 ? '▲' : change < 0 ? '▼' : '';
+                const contribution = entry.contribution;
+                const counterpart = contribution?.transferId && assets.find(a => a.id === contribution.counterpartAssetId);
+                let typeLabel = index === 0 ? 'Initial Value' : 'Value Update';
+                if (contribution?.transferId) {
+                  const counterpartName = counterpart ? counterpart.name : 'a deleted asset';
+                  typeLabel = contribution.amount < 0 ? `Transfer to ${counterpartName}` : `Transfer from ${counterpartName}`;
+                } else if (entry.type === 'contribution') {
+                  typeLabel = contribution && contribution.amount < 0 ? 'Withdrawal' : 'Contribution';
+                }
+
+                if (editingIndex === entry.index) {
+                  return (
+                    <tr key={entry.index}>
+                      <td className="px-2 py-2">
+                        <input type="date" value={draft.date} onChange={(e) => setDraft({ ...draft, date: e.target.value })} className={inputClassName} aria-label="Date" />
+                      </td>
+                      <td className="px-2 py-2">
+                        <input type="number" value={draft.value} onChange={(e) => setDraft({ ...draft, value: e.target.value })} className={inputClassName} min="0" step="0.01" aria-label="Value" />
+                      </td>
+                      <td className="px-2 py-2" colSpan={2}>
+                        {entry.contribution && (
+                          <input type="number" value={draft.amount} onChange={(e) => setDraft({ ...draft, amount: e.target.value })} className={inputClassName} step="0.01" aria-label="Contribution Amount" placeholder="Paid in (negative = out)" />
+                        )}
+                      </td>
+                      <td className="px-2 py-2 whitespace-nowrap text-sm">
+                        <button onClick={() => saveEdit(entry)} className="text-indigo-600 hover:text-indigo-800 font-medium mr-2">Save</button>
+                        <button onClick={() => setEditingIndex(null)} className="text-gray-500 hover:text-gray-700">Cancel</button>
+                      </td>
+                    </tr>
+                  );
+                }
 
                 return (
-                  <tr key={index}>
+                  <tr key={entry.index}>
                     <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{entry.date}</td>
                     <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
-                      €{entry.value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      {formatCurrency(entry.value, asset.currency)}
                     </td>
                     <td className={`px-4 py-2 whitespace-nowrap text-sm font-semibold ${changeColor}`}>
-                      {index > 0 ? `${changeIcon} €${change.toLocaleString('en-US', { signDisplay: 'exceptZero', minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : 'N/A'}
+                      {index > 0 ? `${changeIcon} ${formatCurrency(change, asset.currency, { signDisplay: 'exceptZero' })}` : 'N/A'}
                     </td>
                     <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">
-                      {entry.type === 'contribution' ? 'Contribution' : (index === 0 ? 'Initial Value' : 'Value Update')}
+                      {typeLabel}
+                      {contribution && (
+                        <span className="block text-xs text-gray-500">
+                          {contribution.amount < 0
+                            ? `${formatCurrency(-contribution.amount, asset.currency)} taken out`
+                            : `+${formatCurrency(contribution.amount, asset.currency)} paid in`}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm">
+                      <div className="flex gap-2">
+                        {/* A transfer changes two assets, so it can only be deleted as a whole */}
+                        <button
+                          onClick={() => startEditing(entry)}
+                          disabled={!!contribution?.transferId}
+                          className="text-blue-500 hover:text-blue-700 disabled:opacity-30"
+                          title={contribution?.transferId ? 'Transfers cannot be edited; delete and redo them instead' : 'Edit Entry'}
+                        >
+                          <Edit size={16} />
+                        </button>
+                        <button
+                          onClick={() => (contribution?.transferId
+                            ? onDeleteTransfer(contribution.transferId)
+                            : onEdit(current => deleteHistoryEntry(current, entry.index)))}
+                          disabled={sortedHistory.length === 1}
+                          className="text-red-500 hover:text-red-700 disabled:opacity-30"
+                          title={sortedHistory.length === 1 ? 'An asset needs at least one value' : (contribution?.transferId ? 'Delete Transfer (both sides)' : 'Delete Entry')}
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
                     </td>
                   </tr>
                 );
@@ -276,6 +642,239 @@ function AssetHistoryDetailsModal({ asset }) {
       ) : (
         <p className="text-center text-gray-500">No historical data available for this asset.</p>
       )}
+
+      <form onSubmit={handleAddValuation} className="flex items-end gap-2 border-t border-gray-200 pt-4">
+        <div className="flex-1">
+          <label htmlFor="historyValuationDate" className="block text-xs text-gray-600">Date</label>
+          <input type="date" id="historyValuationDate" value={newEntry.date} onChange={(e) => setNewEntry({ ...newEntry, date: e.target.value })} className={inputClassName} required />
+        </div>
+        <div className="flex-1">
+          <label htmlFor="historyValuationValue" className="block text-xs text-gray-600">Value ({asset.currency || DEFAULT_CURRENCY})</label>
+          <input type="number" id="historyValuationValue" value={newEntry.value} onChange={(e) => setNewEntry({ ...newEntry, value: e.target.value })} className={inputClassName} min="0" step="0.01" required />
+        </div>
+        <button type="submit" className="flex items-center py-1 px-3 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700">
+          <Plus size={16} className="mr-1" /> Add Valuation
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Positions of a holdings-based asset, with forms to buy and sell lots
+function HoldingsModal({ asset, priceHistory, loading, onAddLot, onSell }) {
+  const today = new Date().toISOString().split('T')[0];
+  const currency = asset.currency || DEFAULT_CURRENCY;
+  const positions = getPositions(asset.holdings);
+  const { value, missingSymbols } = valueHoldings(asset.holdings, priceHistory, today);
+  const [lot, setLot] = useState({ symbol: '', quantity: '', costBasis: '', date: today });
+  const [sale, setSale] = useState({ symbol: '', quantity: '', proceeds: '', date: today });
+  const [formError, setFormError] = useState('');
+
+  const inputClassName = "w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500";
+  const saleSymbol = sale.symbol || (positions.length > 0 ? positions[0].symbol : ''); // The first position until one is picked
+  const salePrice = saleSymbol ? getPriceOn(priceHistory, saleSymbol, sale.date) : null;
+  const suggestedProceeds = salePrice !== null && parseFloat(sale.quantity) > 0 ? Math.round(salePrice * parseFloat(sale.quantity) * 100) / 100 : null;
+
+  const handleAddLot = async (e) => {
+    e.preventDefault();
+    const symbol = normalizeSymbol(lot.symbol);
+    const quantity = parseFloat(lot.quantity);
+    const costBasis = parseFloat(lot.costBasis);
+    if (!symbol || !lot.date || isNaN(quantity) || quantity <= 0 || isNaN(costBasis) || costBasis < 0) {
+      setFormError('Enter a symbol, date, positive quantity and the total cost of the lot.');
+      return;
+    }
+    setFormError('');
+    if (await onAddLot({ symbol, quantity, costBasis, date: lot.date })) {
+      setLot({ symbol: '', quantity: '', costBasis: '', date: today });
+    }
+  };
+
+  const handleSell = async (e) => {
+    e.preventDefault();
+    const quantity = parseFloat(sale.quantity);
+    const proceeds = sale.proceeds !== '' ? parseFloat(sale.proceeds) : suggestedProceeds;
+    const position = positions.find(item => item.symbol === saleSymbol);
+    if (!position || !sale.date || isNaN(quantity) || quantity <= 0 || proceeds === null || isNaN(proceeds) || proceeds < 0) {
+      setFormError('Choose a position and enter a date, quantity and the proceeds of the sale.');
+      return;
+    }
+    if (quantity > position.quantity) {
+      setFormError(`You hold only ${position.quantity} ${position.symbol}.`);
+      return;
+    }
+    setFormError('');
+    if (await onSell(saleSymbol, quantity, proceeds, sale.date)) {
+      setSale({ ...sale, quantity: '', proceeds: '' });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        Value today: <span className="font-semibold text-gray-900">{formatCurrency(value, currency)}</span>.
+        Buying a lot counts as a contribution of its cost and selling as a withdrawal of the proceeds.
+        Prices are in {currency}; new prices on the Prices page are recorded in the value history automatically.
+      </p>
+      {missingSymbols.length > 0 && (
+        <p className="text-sm text-orange-600">No price yet for {missingSymbols.join(', ')}; valued at cost until you add one.</p>
+      )}
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+          {formError}
+        </div>
+      )}
+
+      {positions.length === 0 ? (
+        <p className="text-center text-gray-500 py-4">No holdings yet. Add the first lot below.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Quantity</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Basis</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Price</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Gain</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {positions.map(position => {
+                const close = getPriceOn(priceHistory, position.symbol, today);
+                const positionValue = close === null ? position.costBasis : position.quantity * close;
+                const gain = positionValue - position.costBasis;
+                return (
+                  <tr key={position.symbol}>
+                    <td className="px-3 py-2 text-gray-900">
+                      <span className="font-medium">{position.symbol}</span>
+                      <span className="block text-xs text-gray-500">
+                        {position.lots.map(item => `${item.quantity} on ${item.date}`).join(', ')}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-right text-gray-900">{position.quantity.toLocaleString('en-US', { maximumFractionDigits: 6 })}</td>
+                    <td className="px-3 py-2 text-right text-gray-600">{formatCurrency(position.costBasis, currency)}</td>
+                    <td className="px-3 py-2 text-right text-gray-600">{close === null ? '—' : formatCurrency(close, currency)}</td>
+                    <td className="px-3 py-2 text-right text-gray-900">{formatCurrency(positionValue, currency)}</td>
+                    <td className={`px-3 py-2 text-right font-semibold ${gain > 0 ? 'text-green-600' : gain < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                      {formatCurrency(gain, currency, { signDisplay: 'exceptZero' })}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <form onSubmit={handleAddLot} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end border-t border-gray-200 pt-4">
+        <div>
+          <label htmlFor="lotSymbol" className="block text-xs text-gray-600">Symbol</label>
+          <input type="text" id="lotSymbol" value={lot.symbol} onChange={(e) => setLot({ ...lot, symbol: e.target.value })} className={inputClassName} placeholder="VWCE" required />
+        </div>
+        <div>
+          <label htmlFor="lotQuantity" className="block text-xs text-gray-600">Quantity</label>
+          <input type="number" id="lotQuantity" value={lot.quantity} onChange={(e) => setLot({ ...lot, quantity: e.target.value })} className={inputClassName} min="0" step="any" required />
+        </div>
+        <div>
+          <label htmlFor="lotCostBasis" className="block text-xs text-gray-600">Total Cost ({currency})</label>
+          <input type="number" id="lotCostBasis" value={lot.costBasis} onChange={(e) => setLot({ ...lot, costBasis: e.target.value })} className={inputClassName} min="0" step="0.01" required />
+        </div>
+        <div>
+          <label htmlFor="lotDate" className="block text-xs text-gray-600">Date Bought</label>
+          <input type="date" id="lotDate" value={lot.date} onChange={(e) => setLot({ ...lot, date: e.target.value })} className={inputClassName} required />
+        </div>
+        <button type="submit" disabled={loading} className="flex items-center justify-center py-1 px-3 border border-transparent rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50">
+          <Plus size={16} className="mr-1" /> Buy
+        </button>
+      </form>
+
+      {positions.length > 0 && (
+        <form onSubmit={handleSell} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end">
+          <div>
+            <label htmlFor="saleSymbol" className="block text-xs text-gray-600">Symbol</label>
+            <select id="saleSymbol" value={saleSymbol} onChange={(e) => setSale({ ...sale, symbol: e.target.value })} className={inputClassName}>
+              {positions.map(position => <option key={position.symbol} value={position.symbol}>{position.symbol}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="saleQuantity" className="block text-xs text-gray-600">Quantity</label>
+            <input type="number" id="saleQuantity" value={sale.quantity} onChange={(e) => setSale({ ...sale, quantity: e.target.value })} className={inputClassName} min="0" step="any" required />
+          </div>
+          <div>
+            <label htmlFor="saleProceeds" className="block text-xs text-gray-600">Proceeds ({currency})</label>
+            <input
+              type="number"
+              id="saleProceeds"
+              value={sale.proceeds}
+              onChange={(e) => setSale({ ...sale, proceeds: e.target.value })}
+              className={inputClassName}
+              placeholder={suggestedProceeds !== null ? String(suggestedProceeds) : '0.00'}
+              min="0"
+              step="0.01"
+            />
+          </div>
+          <div>
+            <label htmlFor="saleDate" className="block text-xs text-gray-600">Date Sold</label>
+            <input type="date" id="saleDate" value={sale.date} onChange={(e) => setSale({ ...sale, date: e.target.value })} className={inputClassName} required />
+          </div>
+          <button type="submit" disabled={loading} className="flex items-center justify-center py-1 px-3 border border-transparent rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700 disabled:opacity-50">
+            Sell
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+// Component to display individual liability balance history
+function LiabilityHistoryDetailsModal({ liability }) {
+  // Sort history by date ascending
+  const sortedHistory = [...(liability.balanceHistory || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-600 space-y-1">
+        <p><span className="font-medium">Interest Rate:</span> {(liability.interestRate || 0).toLocaleString('en-US', { maximumFractionDigits: 3 })}%</p>
+        <p><span className="font-medium">Minimum Payment:</span> {formatCurrency(liability.minimumPayment, liability.currency)} / month</p>
+      </div>
+      <h4 className="text-lg font-semibold text-gray-700">Balance History</h4>
+      {sortedHistory.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {sortedHistory.map((entry, index) => {
+                const change = index > 0 ? entry.balance - sortedHistory[index - 1].balance : 0;
+                // A falling balance is good news for a debt
+                const changeColor = change < 0 ? 'text-green-600' : change > 0 ? 'text-red-600' : 'text-gray-500';
+                const changeIcon = change > 0 ? '▲' : change < 0 ? '▼' : '';
+
+                return (
+                  <tr key={index}>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{entry.date}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                      {formatCurrency(entry.balance, liability.currency)}
+                    </td>
+                    <td className={`px-4 py-2 whitespace-nowrap text-sm font-semibold ${changeColor}`}>
+                      {index > 0 ? `${changeIcon} ${formatCurrency(change, liability.currency, { signDisplay: 'exceptZero' })}` : 'Initial Balance'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-center text-gray-500">No historical data available for this liability.</p>
+      )}
     </div>
   );
 }
@@ -371,33 +970,142 @@ function MiniAssetChart({ data, width = 120, height = 40 }) {
 }
 
 // Component for Net Worth Projections
-function NetWorthProjectionChart({ currentNetWorth, loading }) {
-  const [annualGrowthRate, setAnnualGrowthRate] = useState(5); // Default 5%
-  const [monthlyContribution, setMonthlyContribution] = useState(100); // Default 100 EUR
+// projectionAssumptions ({ expectedReturn, inflationRate }) are shared with the FI calculator
+// and saved with updateProjectionAssumptions
+function NetWorthProjectionChart({ currentNetWorth, assets, totalLiabilities, income, expenses, projectionAssumptions, updateProjectionAssumptions,
+  toBaseCurrency, baseCurrency, loading
+}) {
+  const [annualGrowthRate, setAnnualGrowthRate] = useState(projectionAssumptions.expectedReturn); // The Monte Carlo expected return
+  const [monthlyContribution, setMonthlyContribution] = useState(100); // Default 100 in the base currency
   const [projectionPeriodYears, setProjectionPeriodYears] = useState(10); // Default 10 years
+  const [mode, setMode] = useState('deterministic'); // 'deterministic' or 'monteCarlo'
+  const [volatility, setVolatility] = useState(15); // Yearly standard deviation of returns, in %
+  const [runs, setRuns] = useState(DEFAULT_RUNS);
+  const [targetValue, setTargetValue] = useState('');
+  const [targetYear, setTargetYear] = useState(new Date().getFullYear() + 10);
+  const [simulation, setSimulation] = useState(null); // Result of simulateProjection
+  const [simulating, setSimulating] = useState(false);
+  const [simulationError, setSimulationError] = useState('');
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0); // Only the answer to the latest request is shown
+  const [typeReturns, setTypeReturns] = useState(DEFAULT_TYPE_RETURNS); // Expected yearly return per asset type, in %
+  const [inflationRate, setInflationRate] = useState(projectionAssumptions.inflationRate);
+  const [showReal, setShowReal] = useState(false); // true: values in today's money
+  const [contributionSource, setContributionSource] = useState('fixed'); // 'fixed' or 'cashFlow'
+  const [trailingMonths, setTrailingMonths] = useState(6);
+
+  // Contributions from income minus expenses: the trailing average, changing as recurring items end or start
+  const cashFlow = useMemo(() => {
+    if (contributionSource !== 'cashFlow' || !(trailingMonths > 0) || !(projectionPeriodYears > 0)) return null;
+    return buildContributionSchedule({
+      income,
+      expenses,
+      trailingMonths,
+      months: projectionPeriodYears * 12,
+      today: new Date().toISOString().split('T')[0],
+      convert: toBaseCurrency,
+    });
+  }, [contributionSource, trailingMonths, projectionPeriodYears, income, expenses, toBaseCurrency]);
+  const contributionSchedule = cashFlow ? cashFlow.schedule : undefined;
+
+  // Assumption inputs are saved when they lose focus. The saved value (e.g. once settings
+  // load) only replaces the input while nobody is typing in it.
+  const editingAssumptionRef = useRef(null); // Key of the focused assumption input
+  useEffect(() => {
+    if (editingAssumptionRef.current !== 'expectedReturn') setAnnualGrowthRate(projectionAssumptions.expectedReturn);
+  }, [projectionAssumptions.expectedReturn]);
+  useEffect(() => {
+    if (editingAssumptionRef.current !== 'inflationRate') setInflationRate(projectionAssumptions.inflationRate);
+  }, [projectionAssumptions.inflationRate]);
+  const assumptionInputProps = (key) => ({
+    onFocus: () => { editingAssumptionRef.current = key; },
+    onBlur: (e) => {
+      editingAssumptionRef.current = null;
+      const value = parseFloat(e.target.value);
+      if (!isNaN(value) && value !== projectionAssumptions[key]) updateProjectionAssumptions({ [key]: value });
+    },
+  });
+  // The target year as simulated: within this year and the end of the projection
+  const simulatedTargetYear = Math.min(Math.max(targetYear, new Date().getFullYear()), new Date().getFullYear() + (projectionPeriodYears || 0));
+
+  const startValues = useMemo(() => getValuesByType(assets, toBaseCurrency), [assets, toBaseCurrency]);
+  const assetTypes = Object.keys(startValues);
+  const [contributionType, setContributionType] = useState(assetTypes.includes('Investment') ? 'Investment' : assetTypes[0] || 'Cash');
+  const projectedTypes = Array.from(new Set([...assetTypes, contributionType]));
 
   const projectionData = useMemo(() => {
     if (loading || currentNetWorth === undefined || currentNetWorth === null) {
       return [];
     }
+    const currentYear = new Date().getFullYear();
+    return projectByType({
+      startValues,
+      typeReturns,
+      monthlyContribution: monthlyContribution || 0,
+      contributionSchedule,
+      contributionType,
+      liabilities: totalLiabilities,
+      years: projectionPeriodYears || 0,
+      inflationRate: inflationRate || 0,
+      real: showReal,
+    }).map(row => ({ ...row, year: currentYear + row.year }));
+  }, [currentNetWorth, startValues, typeReturns, monthlyContribution, contributionSchedule, contributionType, totalLiabilities, projectionPeriodYears, inflationRate, showReal, loading]);
+
+  // Monte Carlo runs happen in a Web Worker so typing in the inputs stays responsive
+  useEffect(() => {
+    if (mode !== 'monteCarlo' || loading || currentNetWorth === undefined || currentNetWorth === null) return;
+    const target = parseFloat(targetValue);
+    const params = {
+      startValue: currentNetWorth,
+      monthlyContribution,
+      contributionSchedule,
+      expectedReturn: annualGrowthRate,
+      volatility,
+      years: projectionPeriodYears,
+      runs,
+      targetValue: isNaN(target) ? null : target,
+      targetYear: simulatedTargetYear - new Date().getFullYear(),
+    };
+    if ([monthlyContribution, annualGrowthRate, volatility, projectionPeriodYears, runs, targetYear].some(value => isNaN(value))) return;
+    if (!(projectionPeriodYears >= 1)) return;
+    const id = ++requestIdRef.current;
+    setSimulating(true);
+    setSimulationError('');
+    if (typeof Worker === 'undefined') {
+      setSimulation(simulateProjection(params));
+      setSimulating(false);
+      return;
+    }
+    if (!workerRef.current) {
+      workerRef.current = createMonteCarloWorker();
+      workerRef.current.onmessage = (event) => {
+        if (event.data.id !== requestIdRef.current) return;
+        setSimulation(event.data.result);
+        setSimulating(false);
+      };
+      const handleWorkerError = (event) => {
+        console.error("Monte Carlo worker error: ", event);
+        setSimulating(false);
+        setSimulationError("The simulation failed. Change an input to try again.");
+      };
+      workerRef.current.onerror = handleWorkerError;
+      workerRef.current.onmessageerror = handleWorkerError;
+    }
+    workerRef.current.postMessage({ id, params });
+  }, [mode, currentNetWorth, annualGrowthRate, monthlyContribution, contributionSchedule, projectionPeriodYears, volatility, runs, targetValue, targetYear, simulatedTargetYear, loading]);
 
-    const data = [];
-    let projectedValue = currentNetWorth;
-    const monthlyGrowthRate = annualGrowthRate / 100 / 12; // Convert % to decimal, then to monthly
+  useEffect(() => () => workerRef.current?.terminate(), []);
 
-    // Start with current year's data point
+  const simulationData = useMemo(() => {
+    if (!simulation) return [];
     const currentYear = new Date().getFullYear();
-    data.push({ year: currentYear, projectedNetWorth: parseFloat(currentNetWorth.toFixed(2)) });
-
-    for (let year = 1; year <= projectionPeriodYears; year++) {
-      for (let month = 0; month < 12; month++) {
-        projectedValue += monthlyContribution;
-        projectedValue *= (1 + monthlyGrowthRate);
-      }
-      data.push({ year: currentYear + year, projectedNetWorth: parseFloat(projectedValue.toFixed(2)) });
-    }
-    return data;
-  }, [currentNetWorth, annualGrowthRate, monthlyContribution, projectionPeriodYears, loading]);
+    const adjust = (value, year) => Math.round(showReal ? toRealValue(value, inflationRate || 0, year) : value);
+    return simulation.years.map(({ year, p10, p50, p90 }) => ({
+      year: currentYear + year,
+      band: [adjust(p10, year), adjust(p90, year)],
+      p50: adjust(p50, year),
+    }));
+  }, [simulation, showReal, inflationRate]);
 
   if (loading) {
     return (
@@ -414,29 +1122,105 @@ function NetWorthProjectionChart({ currentNetWorth, loading }) {
           <TrendingUpIcon size={28} className="mr-2 text-green-500" /> Net Worth Projections
         </h2>
 
+        <div className="flex gap-4 mb-4 text-sm text-gray-700">
+          <label className="inline-flex items-center">
+            <input type="radio" name="projectionMode" checked={mode === 'deterministic'} onChange={() => setMode('deterministic')} className="mr-2" />
+            Fixed growth
+          </label>
+          <label className="inline-flex items-center">
+            <input type="radio" name="projectionMode" checked={mode === 'monteCarlo'} onChange={() => setMode('monteCarlo')} className="mr-2" />
+            Monte Carlo
+          </label>
+          <span className="border-l border-gray-300"></span>
+          <label className="inline-flex items-center">
+            <input type="radio" name="projectionValues" checked={!showReal} onChange={() => setShowReal(false)} className="mr-2" />
+            Nominal
+          </label>
+          <label className="inline-flex items-center">
+            <input type="radio" name="projectionValues" checked={showReal} onChange={() => setShowReal(true)} className="mr-2" />
+            Real (today's money)
+          </label>
+        </div>
+
         {/* Projection Inputs */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8">
+          {mode === 'monteCarlo' && (
+            <div>
+              <label htmlFor="annualGrowthRate" className="block text-sm font-medium text-gray-700">Expected Annual Return (%)</label>
+              <input
+                type="number"
+                id="annualGrowthRate"
+                value={annualGrowthRate}
+                onChange={(e) => setAnnualGrowthRate(parseFloat(e.target.value))}
+                {...assumptionInputProps('expectedReturn')}
+                min="0"
+                step="0.1"
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+              />
+            </div>
+          )}
           <div>
-            <label htmlFor="annualGrowthRate" className="block text-sm font-medium text-gray-700">Annual Growth Rate (%)</label>
-            <input
-              type="number"
-              id="annualGrowthRate"
-              value={annualGrowthRate}
-              onChange={(e) => setAnnualGrowthRate(parseFloat(e.target.value))}
-              min="0"
-              step="0.1"
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
-            />
-          </div>
-          <div>
-            <label htmlFor="monthlyContribution" className="block text-sm font-medium text-gray-700">Monthly Contribution (EUR)</label>
+            <div className="flex justify-between items-center">
+              <label htmlFor={contributionSource === 'fixed' ? 'monthlyContribution' : 'trailingMonths'} className="block text-sm font-medium text-gray-700">
+                {contributionSource === 'fixed' ? `Monthly Contribution (${baseCurrency})` : 'Average of Last Months'}
+              </label>
+              <select
+                value={contributionSource}
+                onChange={(e) => setContributionSource(e.target.value)}
+                className="text-xs border border-gray-300 rounded-md px-1 py-0.5"
+                aria-label="Contribution source"
+              >
+                <option value="fixed">Fixed amount</option>
+                <option value="cashFlow">From income & expenses</option>
+              </select>
+            </div>
+            {contributionSource === 'fixed' ? (
+              <input
+                type="number"
+                id="monthlyContribution"
+                value={monthlyContribution}
+                onChange={(e) => setMonthlyContribution(parseFloat(e.target.value))}
+                min="0"
+                step="1"
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+              />
+            ) : (
+              <input
+                type="number"
+                id="trailingMonths"
+                value={trailingMonths}
+                onChange={(e) => setTrailingMonths(parseInt(e.target.value))}
+                min="1"
+                max="36"
+                step="1"
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+              />
+            )}
+          </div>
+          {mode === 'deterministic' && (
+            <div>
+              <label htmlFor="contributionType" className="block text-sm font-medium text-gray-700">Contributions Go To</label>
+              <select
+                id="contributionType"
+                value={contributionType}
+                onChange={(e) => setContributionType(e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+              >
+                {Array.from(new Set([...assetTypes, ...Object.keys(DEFAULT_TYPE_RETURNS)])).map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label htmlFor="inflationRate" className="block text-sm font-medium text-gray-700">Inflation Rate (% per year)</label>
             <input
               type="number"
-              id="monthlyContribution"
-              value={monthlyContribution}
-              onChange={(e) => setMonthlyContribution(parseFloat(e.target.value))}
-              min="0"
-              step="1"
+              id="inflationRate"
+              value={inflationRate}
+              onChange={(e) => setInflationRate(parseFloat(e.target.value))}
+              {...assumptionInputProps('inflationRate')}
+              step="0.1"
               className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
             />
           </div>
@@ -453,12 +1237,151 @@ function NetWorthProjectionChart({ currentNetWorth, loading }) {
               className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
             />
           </div>
+          {mode === 'monteCarlo' && (
+            <>
+              <div>
+                <label htmlFor="volatility" className="block text-sm font-medium text-gray-700">Volatility (% per year)</label>
+                <input
+                  type="number"
+                  id="volatility"
+                  value={volatility}
+                  onChange={(e) => setVolatility(parseFloat(e.target.value))}
+                  min="0"
+                  step="0.5"
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+                />
+              </div>
+              <div>
+                <label htmlFor="simulationRuns" className="block text-sm font-medium text-gray-700">Number of Runs</label>
+                <input
+                  type="number"
+                  id="simulationRuns"
+                  value={runs}
+                  onChange={(e) => setRuns(parseInt(e.target.value))}
+                  min="100"
+                  max={MAX_RUNS}
+                  step="100"
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+                />
+              </div>
+              <div>
+                <label htmlFor="targetNetWorth" className="block text-sm font-medium text-gray-700">Target Net Worth ({baseCurrency})</label>
+                <input
+                  type="number"
+                  id="targetNetWorth"
+                  value={targetValue}
+                  onChange={(e) => setTargetValue(e.target.value)}
+                  min="0"
+                  step="1000"
+                  placeholder="Optional"
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+                />
+              </div>
+              <div>
+                <label htmlFor="targetYear" className="block text-sm font-medium text-gray-700">Target Year</label>
+                <input
+                  type="number"
+                  id="targetYear"
+                  value={targetYear}
+                  onChange={(e) => setTargetYear(parseInt(e.target.value))}
+                  min={new Date().getFullYear()}
+                  max={new Date().getFullYear() + projectionPeriodYears}
+                  step="1"
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+                />
+              </div>
+            </>
+          )}
         </div>
 
-        {/* Projection Chart */}
-        {projectionData.length > 1 ? (
+        {cashFlow && (
+          <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 mb-8 text-sm text-gray-700">
+            <p>
+              Income minus expenses averaged <span className="font-semibold">{formatCurrency(cashFlow.average, baseCurrency, { signDisplay: 'exceptZero' })}</span> a
+              month over the last {trailingMonths} complete months. The projection contributes that, adjusted for recurring items that have ended or will start or end.
+            </p>
+            {cashFlow.changes.length > 0 && (
+              <ul className="mt-2 space-y-1">
+                {cashFlow.changes.map((change, index) => (
+                  <li key={index}>
+                    From {change.month}: {formatCurrency(change.change, baseCurrency, { signDisplay: 'exceptZero' })} a month
+                    <span className="text-gray-500"> ({change.description || 'Recurring item'} {change.starts ? 'starts' : 'ends'})</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
+        {mode === 'deterministic' && (
+          <div className="mb-8">
+            <h3 className="text-sm font-medium text-gray-700 mb-2">Expected Annual Return by Asset Type (%)</h3>
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+              {projectedTypes.map(type => (
+                <div key={type}>
+                  <label htmlFor={`typeReturn-${type}`} className="block text-xs text-gray-600">
+                    {type} ({formatCurrency(startValues[type] || 0, baseCurrency, { fractionDigits: 0 })})
+                  </label>
+                  <input
+                    type="number"
+                    id={`typeReturn-${type}`}
+                    value={typeReturns[type] ?? 0}
+                    onChange={(e) => setTypeReturns({ ...typeReturns, [type]: parseFloat(e.target.value) || 0 })}
+                    step="0.1"
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+            {totalLiabilities > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                Liabilities of {formatCurrency(totalLiabilities, baseCurrency)} are kept at today's balance and taken off the net worth line.
+              </p>
+            )}
+          </div>
+        )}
+
+        {mode === 'monteCarlo' ? (
+          <div>
+            <div className="flex flex-wrap justify-between items-center mb-4 text-sm text-gray-600">
+              <p>
+                The shaded band holds the middle 80% of {runs} simulated runs (10th to 90th percentile); the line is the median.
+                {simulating && <span className="ml-2 text-indigo-600">Simulating...</span>}
+                {simulationError && <span className="ml-2 text-red-600">{simulationError}</span>}
+              </p>
+              {simulation?.probability !== null && simulation?.probability !== undefined && (
+                <p className="text-base font-semibold text-gray-800">
+                  {Math.round(simulation.probability * 100)}% chance of at least {formatCurrency(parseFloat(targetValue), baseCurrency, { fractionDigits: 0 })} in {simulatedTargetYear}
+                </p>
+              )}
+            </div>
+            {simulationData.length > 1 ? (
+              <ResponsiveContainer width="100%" height={400}>
+                <ComposedChart data={simulationData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                  <XAxis dataKey="year" tickFormatter={(value) => value.toString()} />
+                  <YAxis tickFormatter={(value) => formatCurrency(value, baseCurrency, { fractionDigits: 0 })} />
+                  <Tooltip
+                    formatter={(value, name) => [
+                      Array.isArray(value)
+                        ? `${formatCurrency(value[0], baseCurrency, { fractionDigits: 0 })} – ${formatCurrency(value[1], baseCurrency, { fractionDigits: 0 })}`
+                        : formatCurrency(value, baseCurrency, { fractionDigits: 0 }),
+                      name,
+                    ]}
+                    labelFormatter={(label) => `Year: ${label}`}
+                  />
+                  <Legend />
+                  <Area type="monotone" dataKey="band" stroke="none" fill="#4CAF50" fillOpacity={0.2} name="10th–90th Percentile" />
+                  <Line type="monotone" dataKey="p50" stroke="#4CAF50" strokeWidth={2} dot={false} name="Median" />
+                </ComposedChart>
+              </ResponsiveContainer>
+            ) : (
+              <p className="text-center text-gray-500 mt-4">Running the simulation...</p>
+            )}
+          </div>
+        ) : projectionData.length > 1 ? (
           <ResponsiveContainer width="100%" height={400}>
-            <LineChart
+            <ComposedChart
               data={projectionData}
               margin={{
                 top: 5,
@@ -470,22 +1393,35 @@ function NetWorthProjectionChart({ currentNetWorth, loading }) {
               <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
               <XAxis dataKey="year" tickFormatter={(value) => value.toString()} />
               <YAxis
-                tickFormatter={(value) => `€${value.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`}
+                tickFormatter={(value) => formatCurrency(value, baseCurrency, { fractionDigits: 0 })}
               />
               <Tooltip
-                formatter={(value) => [`€${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`, 'Projected Net Worth']}
-                labelFormatter={(label) => `Year: ${label}`}
+                formatter={(value, name) => [formatCurrency(value, baseCurrency), name]}
+                labelFormatter={(label) => `Year: ${label}${showReal ? " (today's money)" : ''}`}
               />
               <Legend />
+              {/* One stacked area per asset type, with net worth after liabilities on top */}
+              {projectedTypes.map((type, index) => (
+                <Area
+                  key={type}
+                  type="monotone"
+                  dataKey={type}
+                  stackId="types"
+                  stroke={ALLOCATION_COLORS[index % ALLOCATION_COLORS.length]}
+                  fill={ALLOCATION_COLORS[index % ALLOCATION_COLORS.length]}
+                  fillOpacity={0.4}
+                  name={type}
+                />
+              ))}
               <Line
                 type="monotone"
-                dataKey="projectedNetWorth"
+                dataKey="netWorth"
                 stroke="#4CAF50" // Green color for projections
                 activeDot={{ r: 8 }}
                 strokeWidth={2}
                 name="Projected Net Worth"
               />
-            </LineChart>
+            </ComposedChart>
           </ResponsiveContainer>
         ) : (
           <p className="text-center text-gray-500 mt-4">
@@ -498,7 +1434,8 @@ function NetWorthProjectionChart({ currentNetWorth, loading }) {
 }
 
 // Generic Component to display transaction history details (for both income and expense)
-function TransactionHistoryDetailsModal({ transaction }) {
+// Pass categories for expenses to show the Category column
+function TransactionHistoryDetailsModal({ transaction, categories }) {
   // Sort history by timestamp ascending
   const sortedHistory = [...(transaction.history || [])].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
@@ -515,7 +1452,7 @@ function TransactionHistoryDetailsModal({ transaction }) {
                 <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
                 <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
                 <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Start Date</th>
-                {transaction.category && <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>}
+                {categories && <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Category</th>}
                 {/* Always show type column for consistency */}
                 <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Occurrence Type</th>
                 <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recurring Details</th>
@@ -527,17 +1464,22 @@ function TransactionHistoryDetailsModal({ transaction }) {
                   <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{new Date(entry.timestamp).toLocaleString()}</td>
                   <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{entry.changeType}</td>
                   <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
-                    €{entry.amount?.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    {formatCurrency(entry.amount, entry.currency || transaction.currency)}
                   </td>
                   <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{entry.description}</td>
                   <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{entry.date}</td>
-                  {transaction.category && <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{entry.category || 'N/A'}</td>}
+                  {categories && (
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">
+                      {/* Entries saved before user-defined categories carry the old category name */}
+                      {entry.categoryId !== undefined ? getCategoryPath(categories, entry.categoryId) : (entry.category || 'N/A')}
+                    </td>
+                  )}
                   {/* Display 'One-Off' or 'Recurring' based on isRecurring flag */}
                   <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">
                     {entry.isRecurring ? 'Recurring' : 'One-Off'}
                   </td>
                   <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">
-                    {entry.isRecurring ? `Frequency: ${entry.frequency || 'N/A'}${entry.endDate ? `, until ${entry.endDate}` : ', No End Date'}` : 'N/A'}
+                    {entry.isRecurring ? `Frequency: ${describeFrequency(entry)}${entry.endDate ? `, until ${entry.endDate}` : ', No End Date'}` : 'N/A'}
                   </td>
                 </tr>
               ))}
@@ -553,7 +1495,7 @@ function TransactionHistoryDetailsModal({ transaction }) {
 
 
 // Income/Expenses Page Component
-function IncomeExpensesPage({ income, expenses, addIncome, addExpense, updateIncome, updateExpense, deleteIncome, deleteExpense, loading,
+function IncomeExpensesPage({ income, expenses, categories, categoryRules, householdMembers, addIncome, addExpense, updateIncome, updateExpense, deleteIncome, deleteExpense, loading,
   setShowEditIncomeModal, setSelectedIncomeForEdit, setShowIncomeDetailsModal, setSelectedIncomeForDetails,
   setShowIncomeDeleteConfirmModal, setIncomeToDelete, setShowEditExpenseModal, setSelectedExpenseForEdit,
   setShowExpenseDetailsModal, setSelectedExpenseForDetails, setShowExpenseDeleteConfirmModal, setExpenseToDelete
@@ -596,10 +1538,10 @@ function IncomeExpensesPage({ income, expenses, addIncome, addExpense, updateInc
                   <div key={item.id} className="flex justify-between items-center bg-white p-3 rounded-md shadow-sm mb-2 last:mb-0 border border-gray-100">
                     <div>
                       <p className="font-medium text-gray-900">{item.description}</p>
-                      <p className="text-sm text-gray-500">{item.date} {item.isRecurring ? `(Recurring ${item.frequency || ''}${item.endDate ? ` until ${item.endDate}` : ''})` : ''}</p>
+                      <p className="text-sm text-gray-500">{item.date} {item.isRecurring ? `(Recurring ${describeFrequency(item)}${item.endDate ? ` until ${item.endDate}` : ''})` : ''}</p>
                     </div>
                     <div className="flex gap-2">
-                        <p className="text-green-600 font-semibold">€{item.amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+                        <p className="text-green-600 font-semibold">{formatCurrency(item.amount, item.currency)}</p>
                         <button
                           onClick={() => { setSelectedIncomeForEdit(item); setShowEditIncomeModal(true); }}
                           className="text-blue-500 hover:text-blue-700"
@@ -648,11 +1590,16 @@ function IncomeExpensesPage({ income, expenses, addIncome, addExpense, updateInc
                     <div>
                       <p className="font-medium text-gray-900">{item.description}</p>
                       <p className="text-sm text-gray-500">
-                        {item.date} • {item.category} • {item.isRecurring ? `(Recurring ${item.frequency || ''}${item.endDate ? ` until ${item.endDate}` : ''})` : '(One-Off)'}
+                        {item.date} • {getCategoryPath(categories, item.categoryId)} • {item.isRecurring ? `(Recurring ${describeFrequency(item)}${item.endDate ? ` until ${item.endDate}` : ''})` : '(One-Off)'}
                       </p>
+                      {item.split && (
+                        <p className="text-xs text-indigo-600">
+                          Shared • paid by {householdMembers.find(member => member.id === item.split.paidBy)?.name || 'Unknown'}
+                        </p>
+                      )}
                     </div>
                     <div className="flex gap-2">
-                        <p className="text-red-600 font-semibold">-€{item.amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+                        <p className="text-red-600 font-semibold">-{formatCurrency(item.amount, item.currency)}</p>
                         <button
                           onClick={() => { setSelectedExpenseForEdit(item); setShowEditExpenseModal(true); }}
                           className="text-blue-500 hover:text-blue-700"
@@ -691,7 +1638,7 @@ function IncomeExpensesPage({ income, expenses, addIncome, addExpense, updateInc
 
       {showAddExpenseModal && (
         <Modal title="Add New Expense" onClose={() => setShowAddExpenseModal(false)}>
-          <AddExpenseForm onAdd={addExpense} onClose={() => setShowAddExpenseModal(false)} />
+          <AddExpenseForm categories={categories} rules={categoryRules} members={householdMembers} onAdd={addExpense} onClose={() => setShowAddExpenseModal(false)} />
         </Modal>
       )}
     </div>
@@ -699,9 +1646,14 @@ function IncomeExpensesPage({ income, expenses, addIncome, addExpense, updateInc
 }
 
 // Monthly Overview Page Component
-function MonthlyOverviewPage({ income, expenses, loading }) {
+function MonthlyOverviewPage({ income, expenses, categories, budgets, budgetWarningThreshold, saveBudget, deleteBudget, updateBudgetWarningThreshold,
+  loading, baseCurrency, toBaseCurrency
+}) {
   const [selectedMonth, setSelectedMonth] = useState(new Date().getMonth() + 1); // JS months are 0-indexed
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
+  const [categoryLevel, setCategoryLevel] = useState('parent'); // 'parent' or 'child'
+  const [showBudgetModal, setShowBudgetModal] = useState(false);
+  const [budgetForEdit, setBudgetForEdit] = useState(null); // null while adding
 
   const months = [
     { value: 1, name: 'January' }, { value: 2, name: 'February' }, { value: 3, name: 'March' },
@@ -728,69 +1680,36 @@ function MonthlyOverviewPage({ income, expenses, loading }) {
     return Array.from(years).sort((a, b) => b - a); // Sort descending
   }, [income, expenses]);
 
-  // Helper function to check if a recurring item is active in the selected month
-  const isTransactionActiveInMonth = (transaction, selectedMonthDate) => {
-    const startDate = new Date(transaction.date);
-    const endDate = transaction.endDate ? new Date(transaction.endDate) : null;
-
-    // Check if the transaction starts before or in the selected month
-    const startsBeforeOrInSelectedMonth = startDate.getFullYear() < selectedMonthDate.getFullYear() ||
-                                         (startDate.getFullYear() === selectedMonthDate.getFullYear() && startDate.getMonth() <= selectedMonthDate.getMonth());
-
-    // Check if the transaction ends after or in the selected month (or has no end date)
-    const endsAfterOrInSelectedMonth = !endDate || endDate.getFullYear() > selectedMonthDate.getFullYear() ||
-                                      (endDate.getFullYear() === selectedMonthDate.getFullYear() && endDate.getMonth() >= selectedMonthDate.getMonth());
+  // Items occurring in the selected month, with their occurrence dates (see utils/recurrence)
+  const filteredIncome = useMemo(() => (
+    getMonthlyOccurrences(income, selectedYear, selectedMonth - 1).sort((a, b) => new Date(b.date) - new Date(a.date))
+  ), [income, selectedMonth, selectedYear]);
 
-    return startsBeforeOrInSelectedMonth && endsAfterOrInSelectedMonth;
-  };
-
-  const filteredIncome = useMemo(() => {
-    const selectedMonthDate = new Date(selectedYear, selectedMonth - 1, 1);
-    return income.filter(item => {
-      if (item.isRecurring && item.frequency === 'Monthly') {
-        return isTransactionActiveInMonth(item, selectedMonthDate);
-      } else {
-        // For one-off items, check if the item's date is in the exact selected month
-        const itemDate = new Date(item.date);
-        return itemDate.getFullYear() === selectedMonthDate.getFullYear() &&
-               itemDate.getMonth() === selectedMonthDate.getMonth();
-      }
-    }).sort((a, b) => new Date(b.date) - new Date(a.date));
-  }, [income, selectedMonth, selectedYear]);
-
-  const filteredExpenses = useMemo(() => {
-    const selectedMonthDate = new Date(selectedYear, selectedMonth - 1, 1);
-    return expenses.filter(item => {
-      if (item.isRecurring && item.frequency === 'Monthly') {
-        return isTransactionActiveInMonth(item, selectedMonthDate);
-      } else {
-        // For one-off items, check if the item's date is in the exact selected month
-        const itemDate = new Date(item.date);
-        return itemDate.getFullYear() === selectedMonthDate.getFullYear() &&
-               itemDate.getMonth() === selectedMonthDate.getMonth();
-      }
-    }).sort((a, b) => new Date(b.date) - new Date(a.date));
-  }, [expenses, selectedMonth, selectedYear]);
+  const filteredExpenses = useMemo(() => (
+    getMonthlyOccurrences(expenses, selectedYear, selectedMonth - 1).sort((a, b) => new Date(b.date) - new Date(a.date))
+  ), [expenses, selectedMonth, selectedYear]);
 
-  const totalMonthlyIncome = filteredIncome.reduce((sum, item) => sum + item.amount, 0);
-  const totalMonthlyExpenses = filteredExpenses.reduce((sum, item) => sum + item.amount, 0);
+  // Totals count every occurrence, converted to the base currency at its date
+  const totalMonthlyIncome = sumOccurrences(filteredIncome, toBaseCurrency);
+  const totalMonthlyExpenses = sumOccurrences(filteredExpenses, toBaseCurrency);
   const monthlyBalance = totalMonthlyIncome - totalMonthlyExpenses;
 
-  const expenseSummaryByCategory = useMemo(() => {
-    const summary = {};
-    filteredExpenses.forEach(exp => {
-      summary[exp.category] = (summary[exp.category] || 0) + exp.amount;
-    });
-    return Object.entries(summary).sort(([, a], [, b]) => b - a); // Sort by amount descending
-  }, [filteredExpenses]);
+  const expenseSummaryByCategory = useMemo(() => (
+    rollupByCategory(filteredExpenses, categories, categoryLevel, exp => sumOccurrences([exp], toBaseCurrency))
+  ), [filteredExpenses, categories, categoryLevel, toBaseCurrency]);
+
+  const selectedMonthKey = toMonthKey(selectedYear, selectedMonth - 1);
+  const budgetStatus = useMemo(() => (
+    calculateBudgetStatus(budgets, expenses, categories, selectedMonthKey, toBaseCurrency)
+  ), [budgets, expenses, categories, selectedMonthKey, toBaseCurrency]);
 
   const expenseSummaryByType = useMemo(() => {
     const summary = {};
     filteredExpenses.forEach(exp => {
-      summary[exp.type] = (summary[exp.type] || 0) + exp.amount;
+      summary[exp.type] = (summary[exp.type] || 0) + sumOccurrences([exp], toBaseCurrency);
     });
     return Object.entries(summary).sort(([, a], [, b]) => b - a); // Sort by amount descending
-  }, [filteredExpenses]);
+  }, [filteredExpenses, toBaseCurrency]);
 
 
   if (loading) {
@@ -842,20 +1761,77 @@ function MonthlyOverviewPage({ income, expenses, loading }) {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8 text-center">
           <div className="bg-green-50 p-4 rounded-lg shadow-sm border border-green-200">
             <p className="text-sm font-medium text-green-700">Total Income</p>
-            <p className="text-2xl font-bold text-green-800">€{totalMonthlyIncome.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+            <p className="text-2xl font-bold text-green-800">{formatCurrency(totalMonthlyIncome, baseCurrency)}</p>
           </div>
           <div className="bg-red-50 p-4 rounded-lg shadow-sm border border-red-200">
             <p className="text-sm font-medium text-red-700">Total Expenses</p>
-            <p className="text-2xl font-bold text-red-800">€{totalMonthlyExpenses.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+            <p className="text-2xl font-bold text-red-800">{formatCurrency(totalMonthlyExpenses, baseCurrency)}</p>
           </div>
           <div className={`p-4 rounded-lg shadow-sm border ${monthlyBalance >= 0 ? 'bg-blue-50 border-blue-200' : 'bg-orange-50 border-orange-200'}`}>
             <p className="text-sm font-medium text-gray-700">Monthly Balance</p>
             <p className={`text-2xl font-bold ${monthlyBalance >= 0 ? 'text-blue-800' : 'text-orange-800'}`}>
-              €{monthlyBalance.toLocaleString('en-US', { signDisplay: 'exceptZero', minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              {formatCurrency(monthlyBalance, baseCurrency, { signDisplay: 'exceptZero' })}
             </p>
           </div>
         </div>
 
+        {/* Budget vs Actual */}
+        <div className="bg-gray-50 p-5 rounded-lg border border-gray-200 mb-8">
+          <div className="flex flex-col sm:flex-row justify-between sm:items-center gap-3 mb-4">
+            <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+              <Target size={22} className="mr-2 text-purple-500" /> Budget vs Actual
+            </h3>
+            <div className="flex items-center gap-3">
+              <label htmlFor="budgetWarningThreshold" className="text-sm text-gray-600">Warn at</label>
+              <select
+                id="budgetWarningThreshold"
+                value={budgetWarningThreshold}
+                onChange={(e) => updateBudgetWarningThreshold(parseInt(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 sm:text-sm"
+              >
+                {[50, 60, 70, 80, 90, 100].map(threshold => (
+                  <option key={threshold} value={threshold}>{threshold}%</option>
+                ))}
+              </select>
+              <button
+                onClick={() => { setBudgetForEdit(null); setShowBudgetModal(true); }}
+                className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-1 px-3 rounded-full shadow-md flex items-center text-sm"
+              >
+                <Plus size={16} className="mr-1" /> Set Budget
+              </button>
+            </div>
+          </div>
+          {budgetStatus.length === 0 ? (
+            <p className="text-center text-gray-500 py-4">No budgets for this month.</p>
+          ) : (
+            <div className="space-y-4">
+              {budgetStatus.map(status => (
+                <div key={status.categoryId}>
+                  <div className="flex justify-between items-center text-sm mb-1">
+                    <button
+                      onClick={() => { setBudgetForEdit(getBudgetForMonth(budgets, status.categoryId, selectedMonthKey)); setShowBudgetModal(true); }}
+                      className="flex items-center gap-2 font-medium text-gray-900 hover:text-purple-700"
+                      title="Edit Budget"
+                    >
+                      <CategoryIcon category={findCategory(categories, status.categoryId)} size={12} /> {getCategoryPath(categories, status.categoryId)}
+                    </button>
+                    <span className={status.remaining < 0 ? 'text-red-600 font-medium' : 'text-gray-700'}>
+                      {formatCurrency(status.spent, baseCurrency)} of {formatCurrency(status.available, baseCurrency)}
+                      {status.carriedOver > 0 && <span className="text-xs text-gray-500"> (incl. {formatCurrency(status.carriedOver, baseCurrency)} rolled over)</span>}
+                    </span>
+                  </div>
+                  <BudgetProgressBar percentUsed={status.percentUsed} warningThreshold={budgetWarningThreshold} />
+                  <p className={`text-xs mt-1 ${status.remaining < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                    {status.remaining < 0
+                      ? `${formatCurrency(-status.remaining, baseCurrency)} over budget`
+                      : `${formatCurrency(status.remaining, baseCurrency)} left`}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+
         {/* Detailed Lists */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
           {/* Income List */}
@@ -869,9 +1845,14 @@ function MonthlyOverviewPage({ income, expenses, loading }) {
                   <div key={item.id} className="flex justify-between items-center bg-white p-3 rounded-md shadow-sm mb-2 last:mb-0 border border-gray-100">
                     <div>
                       <p className="font-medium text-gray-900">{item.description}</p>
-                      <p className="text-sm text-gray-500">{item.date} {item.isRecurring ? `(Recurring ${item.frequency || ''}${item.endDate ? ` until ${item.endDate}` : ''})` : ''}</p>
+                      <p className="text-sm text-gray-500">{item.date} {item.isRecurring ? `(Recurring ${describeFrequency(item)}${item.endDate ? ` until ${item.endDate}` : ''})` : ''}</p>
+                    </div>
+                    <div className="text-right">
+                      <p className="text-green-600 font-semibold">{formatCurrency(item.monthlyAmount, item.currency)}</p>
+                      {item.occurrences.length > 1 && (
+                        <p className="text-xs text-gray-500">{item.occurrences.length} × {formatCurrency(item.amount, item.currency)}</p>
+                      )}
                     </div>
-                    <p className="text-green-600 font-semibold">€{item.amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
                   </div>
                 ))}
               </div>
@@ -890,22 +1871,30 @@ function MonthlyOverviewPage({ income, expenses, loading }) {
                     <div>
                       <p className="font-medium text-gray-900">{item.description}</p>
                       <p className="text-sm text-gray-500">
-                        {item.date} • {item.category} • {item.isRecurring ? `(Recurring ${item.frequency || ''}${item.endDate ? ` until ${item.endDate}` : ''})` : '(One-Off)'}
+                        {item.date} • {getCategoryPath(categories, item.categoryId)} • {item.isRecurring ? `(Recurring ${describeFrequency(item)}${item.endDate ? ` until ${item.endDate}` : ''})` : '(One-Off)'}
                       </p>
                     </div>
-                    <p className="text-red-600 font-semibold">-€{item.amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+                    <div className="text-right">
+                      <p className="text-red-600 font-semibold">-{formatCurrency(item.monthlyAmount, item.currency)}</p>
+                      {item.occurrences.length > 1 && (
+                        <p className="text-xs text-gray-500">{item.occurrences.length} × {formatCurrency(item.amount, item.currency)}</p>
+                      )}
+                    </div>
                   </div>
                 ))}
               </div>
             )}
 
-            <h4 className="text-lg font-semibold text-gray-700 mt-6 mb-3">Expenses by Category</h4>
+            <div className="flex justify-between items-center mt-6 mb-3">
+              <h4 className="text-lg font-semibold text-gray-700">Expenses by Category</h4>
+              <CategoryLevelToggle value={categoryLevel} onChange={setCategoryLevel} />
+            </div>
             {expenseSummaryByCategory.length > 0 ? (
               <ul className="space-y-1 text-sm text-gray-700">
-                {expenseSummaryByCategory.map(([category, amount]) => (
-                  <li key={category} className="flex justify-between">
-                    <span>{category}:</span>
-                    <span className="font-medium">€{amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>
+                {expenseSummaryByCategory.map(category => (
+                  <li key={category.id || 'uncategorized'} className="flex justify-between items-center">
+                    <span className="flex items-center gap-2"><CategoryIcon category={category} size={12} /> {category.name}:</span>
+                    <span className="font-medium">{formatCurrency(category.value, baseCurrency)}</span>
                   </li>
                 ))}
               </ul>
@@ -919,7 +1908,7 @@ function MonthlyOverviewPage({ income, expenses, loading }) {
                 {expenseSummaryByType.map(([type, amount]) => (
                   <li key={type} className="flex justify-between">
                     <span>{type}:</span>
-                    <span className="font-medium">€{amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>
+                    <span className="font-medium">{formatCurrency(amount, baseCurrency)}</span>
                   </li>
                 ))}
               </ul>
@@ -929,30 +1918,260 @@ function MonthlyOverviewPage({ income, expenses, loading }) {
           </div>
         </div>
       </div>
+
+      {showBudgetModal && (
+        <Modal title={budgetForEdit ? 'Edit Budget' : 'Set Budget'} onClose={() => setShowBudgetModal(false)}>
+          <BudgetForm
+            budget={budgetForEdit}
+            categories={categories}
+            monthKey={selectedMonthKey}
+            monthLabel={`${months[selectedMonth - 1].name} ${selectedYear}`}
+            baseCurrency={baseCurrency}
+            onSave={saveBudget}
+            onDelete={deleteBudget}
+            onClose={() => setShowBudgetModal(false)}
+          />
+        </Modal>
+      )}
+    </div>
+  );
+}
+
+// Annual Overview Page Component: a year of cash flow month by month, compared with the year before
+function AnnualOverviewPage({ income, expenses, categories, loading, baseCurrency, toBaseCurrency }) {
+  const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
+  const [categoryLevel, setCategoryLevel] = useState('parent'); // 'parent' or 'child'
+
+  const availableYears = useMemo(() => {
+    const years = new Set([new Date().getFullYear()]);
+    [...income, ...expenses].forEach(item => years.add(new Date(item.date).getFullYear()));
+    return Array.from(years).sort((a, b) => b - a); // Sort descending
+  }, [income, expenses]);
+
+  const overview = useMemo(() => getYearOverview(income, expenses, selectedYear, toBaseCurrency), [income, expenses, selectedYear, toBaseCurrency]);
+  const previous = useMemo(() => getYearOverview(income, expenses, selectedYear - 1, toBaseCurrency), [income, expenses, selectedYear, toBaseCurrency]);
+  const heatmap = useMemo(
+    () => getCategoryHeatmap(expenses, categories, selectedYear, categoryLevel, toBaseCurrency),
+    [expenses, categories, selectedYear, categoryLevel, toBaseCurrency]
+  );
+  const heatmapMax = heatmap.reduce((max, row) => Math.max(max, ...row.months), 0);
+  const hasPrevious = previous.totals.income > 0 || previous.totals.expenses > 0;
+
+  const chartData = overview.months.map(month => ({
+    name: MONTH_LABELS[month.monthIndex],
+    income: month.income,
+    expenses: month.expenses,
+    balance: month.balance,
+    previousBalance: previous.months[month.monthIndex].balance,
+  }));
+
+  const formatRate = (rate) => (rate === null ? '–' : `${rate.toFixed(1)}%`);
+  // "+12.5% vs 2024", or nothing without a previous year to compare with
+  const describeChange = (current, before) => {
+    if (!hasPrevious) return null;
+    const { change, percent } = compareToPrevious(current, before);
+    return `${formatCurrency(change, baseCurrency, { signDisplay: 'exceptZero', fractionDigits: 0 })}${percent === null ? '' : ` (${percent > 0 ? '+' : ''}${percent.toFixed(1)}%)`} vs ${selectedYear - 1}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white p-8 rounded-xl shadow-lg text-center text-gray-600 min-h-[300px] flex items-center justify-center">
+        Loading annual overview...
+      </div>
+    );
+  }
+
+  const summaryCards = [
+    { label: 'Income', value: overview.totals.income, before: previous.totals.income, className: 'bg-green-50 border-green-200 text-green-800' },
+    { label: 'Expenses', value: overview.totals.expenses, before: previous.totals.expenses, className: 'bg-red-50 border-red-200 text-red-800' },
+    { label: 'Balance', value: overview.totals.balance, before: previous.totals.balance, className: 'bg-blue-50 border-blue-200 text-blue-800' },
+  ];
+
+  return (
+    <div className="flex flex-col gap-6 w-full">
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <div className="flex justify-between items-center mb-6">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <CalendarRange size={28} className="mr-2 text-purple-500" /> Annual Overview
+          </h2>
+          <select
+            value={selectedYear}
+            onChange={(e) => setSelectedYear(parseInt(e.target.value))}
+            className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 sm:text-sm"
+            aria-label="Year"
+          >
+            {availableYears.map(year => <option key={year} value={year}>{year}</option>)}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-8 text-center">
+          {summaryCards.map(card => (
+            <div key={card.label} className={`p-4 rounded-lg shadow-sm border ${card.className}`}>
+              <p className="text-sm font-medium">{card.label}</p>
+              <p className="text-2xl font-bold mt-1">{formatCurrency(card.value, baseCurrency, { fractionDigits: 0 })}</p>
+              {describeChange(card.value, card.before) && <p className="text-xs text-gray-600 mt-1">{describeChange(card.value, card.before)}</p>}
+            </div>
+          ))}
+          <div className="p-4 rounded-lg shadow-sm border bg-purple-50 border-purple-200 text-purple-800">
+            <p className="text-sm font-medium">Savings Rate</p>
+            <p className="text-2xl font-bold mt-1">{formatRate(overview.totals.savingsRate)}</p>
+            {hasPrevious && <p className="text-xs text-gray-600 mt-1">{formatRate(previous.totals.savingsRate)} in {selectedYear - 1}</p>}
+          </div>
+        </div>
+
+        <ResponsiveContainer width="100%" height={350}>
+          <ComposedChart data={chartData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+            <XAxis dataKey="name" />
+            <YAxis tickFormatter={(value) => formatCurrency(value, baseCurrency, { fractionDigits: 0 })} />
+            <Tooltip formatter={(value, name) => [formatCurrency(value, baseCurrency), name]} />
+            <Legend />
+            <Bar dataKey="income" fill="#22c55e" name="Income" />
+            <Bar dataKey="expenses" fill="#ef4444" name="Expenses" />
+            <Line type="monotone" dataKey="balance" stroke="#3b82f6" strokeWidth={2} name="Balance" />
+            {hasPrevious && (
+              <Line type="monotone" dataKey="previousBalance" stroke="#9ca3af" strokeDasharray="4 4" strokeWidth={2} name={`Balance ${selectedYear - 1}`} />
+            )}
+          </ComposedChart>
+        </ResponsiveContainer>
+
+        <div className="overflow-x-auto mt-6">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Month</th>
+                <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Income</th>
+                <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Expenses</th>
+                <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Savings Rate</th>
+                {hasPrevious && (
+                  <th scope="col" className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Expenses vs {selectedYear - 1}</th>
+                )}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {overview.months.map(month => {
+                const expenseChange = compareToPrevious(month.expenses, previous.months[month.monthIndex].expenses);
+                return (
+                  <tr key={month.monthIndex}>
+                    <td className="px-4 py-2 text-gray-900">{MONTH_LABELS[month.monthIndex]}</td>
+                    <td className="px-4 py-2 text-right text-green-700">{formatCurrency(month.income, baseCurrency)}</td>
+                    <td className="px-4 py-2 text-right text-red-700">{formatCurrency(month.expenses, baseCurrency)}</td>
+                    <td className={`px-4 py-2 text-right font-medium ${month.balance < 0 ? 'text-orange-700' : 'text-blue-700'}`}>
+                      {formatCurrency(month.balance, baseCurrency, { signDisplay: 'exceptZero' })}
+                    </td>
+                    <td className="px-4 py-2 text-right text-gray-700">{formatRate(month.savingsRate)}</td>
+                    {hasPrevious && (
+                      <td className={`px-4 py-2 text-right ${expenseChange.change > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {formatCurrency(expenseChange.change, baseCurrency, { signDisplay: 'exceptZero', fractionDigits: 0 })}
+                        {expenseChange.percent !== null && ` (${expenseChange.percent > 0 ? '+' : ''}${expenseChange.percent.toFixed(0)}%)`}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+            <tfoot className="bg-gray-50 font-semibold">
+              <tr>
+                <td className="px-4 py-2 text-gray-900">Total</td>
+                <td className="px-4 py-2 text-right text-green-700">{formatCurrency(overview.totals.income, baseCurrency)}</td>
+                <td className="px-4 py-2 text-right text-red-700">{formatCurrency(overview.totals.expenses, baseCurrency)}</td>
+                <td className="px-4 py-2 text-right text-gray-900">{formatCurrency(overview.totals.balance, baseCurrency, { signDisplay: 'exceptZero' })}</td>
+                <td className="px-4 py-2 text-right text-gray-900">{formatRate(overview.totals.savingsRate)}</td>
+                {hasPrevious && <td />}
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+            <PiggyBank size={24} className="mr-2 text-pink-500" /> Expenses by Category and Month
+          </h3>
+          <CategoryLevelToggle value={categoryLevel} onChange={setCategoryLevel} />
+        </div>
+        {heatmap.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">No expenses in {selectedYear}.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr>
+                  <th scope="col" className="px-2 py-1 text-left font-medium text-gray-500">Category</th>
+                  {MONTH_LABELS.map(label => <th key={label} scope="col" className="px-2 py-1 text-right font-medium text-gray-500">{label}</th>)}
+                  <th scope="col" className="px-2 py-1 text-right font-medium text-gray-500">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {heatmap.map(row => (
+                  <tr key={row.id || 'uncategorized'}>
+                    <td className="px-2 py-1 text-gray-900 whitespace-nowrap">
+                      <span className="inline-block w-2.5 h-2.5 rounded-full mr-1" style={{ backgroundColor: row.color }}></span>
+                      {row.name}
+                    </td>
+                    {row.months.map((value, monthIndex) => (
+                      <td
+                        key={monthIndex}
+                        className="px-2 py-1 text-right text-gray-900"
+                        // Darker cells for bigger spending, relative to the year's biggest cell
+                        style={{ backgroundColor: value > 0 ? `rgba(239, 68, 68, ${0.1 + 0.6 * (value / heatmapMax)})` : undefined }}
+                        title={`${row.name}, ${MONTH_LABELS[monthIndex]}: ${formatCurrency(value, baseCurrency)}`}
+                      >
+                        {value > 0 ? formatCurrency(value, baseCurrency, { fractionDigits: 0 }) : ''}
+                      </td>
+                    ))}
+                    <td className="px-2 py-1 text-right font-semibold text-gray-900">{formatCurrency(row.total, baseCurrency, { fractionDigits: 0 })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   );
 }
 
 // New Assets Page component to wrap the assets list
-function AssetsPage({ assets, loading, totalNetWorthEUR, totalNetWorthUSD, totalNetWorthGBP, totalNetWorthHUF,
+function AssetsPage({ assets, liabilities, loading, baseCurrency, toBaseCurrency, totalAssets, totalLiabilities, totalNetWorth,
   setShowAddAssetModal, setShowUpdateModal, setSelectedAssetForUpdate, setShowContributionModal, setSelectedAssetForContribution,
-  setShowDeleteConfirmModal, setAssetToDelete, setShowAssetDetailsModal, setSelectedAssetForDetails,
+  setShowTransferModal, setSelectedAssetForTransfer, setShowHoldingsModal, setSelectedAssetForHoldings, setShowDeleteConfirmModal, setAssetToDelete, setShowAssetDetailsModal, setSelectedAssetForDetails,
+  setShowAddLiabilityModal, setShowUpdateLiabilityModal, setSelectedLiabilityForUpdate, setShowLiabilityDeleteConfirmModal,
+  setLiabilityToDelete, setShowLiabilityDetailsModal, setSelectedLiabilityForDetails,
   addAsset, updateAssetValue, addContribution, deleteAsset // Pass these functions down
 }) {
+  const [returnPeriod, setReturnPeriod] = useState('all');
+  // Portfolio returns are in the base currency, so exchange rate moves count as well
+  const portfolioReturns = useMemo(
+    () => calculateReturns(getPortfolioSeries(assets, toBaseCurrency), returnPeriod),
+    [assets, toBaseCurrency, returnPeriod]
+  );
+  // Asset returns are in each asset's own currency: Map assetId -> returns
+  const assetReturns = useMemo(
+    () => new Map(assets.map(asset => [asset.id, calculateReturns(getAssetSeries(asset), returnPeriod)])),
+    [assets, returnPeriod]
+  );
+
   return (
     <div className="flex flex-col gap-6">
       {/* Net Worth Summary - Now at the top, full width */}
       <div className="bg-gradient-to-r from-indigo-500 to-blue-600 text-white p-8 rounded-xl shadow-lg flex flex-col items-center justify-center w-full">
         <h2 className="text-3xl font-bold mb-3 flex items-center">
-          <DollarSign size={32} className="mr-2" /> Total Net Worth (EUR)
+          <DollarSign size={32} className="mr-2" /> Total Net Worth ({baseCurrency})
         </h2>
-        <p className="text-6xl font-extrabold tracking-tight mb-4">
-          €{totalNetWorthEUR.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+        <p className="text-6xl font-extrabold tracking-tight mb-2">
+          {formatCurrency(totalNetWorth, baseCurrency)}
+        </p>
+        <p className="text-sm opacity-90 mb-4">
+          Assets {formatCurrency(totalAssets, baseCurrency)} − Liabilities {formatCurrency(totalLiabilities, baseCurrency)}
         </p>
+        {/* Net worth in the other supported currencies */}
         <div className="text-xl font-semibold grid grid-cols-1 sm:grid-cols-3 gap-y-2 gap-x-6 text-center w-full">
-          <p>USD: ${totalNetWorthUSD.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
-          <p>GBP: £{totalNetWorthGBP.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
-          <p>HUF: Ft{totalNetWorthHUF.toLocaleString('hu-HU', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}</p>
+          {Object.keys(CURRENCIES).filter(code => code !== baseCurrency).map(code => (
+            <p key={code}>{code}: {formatCurrency(convertAmount(totalNetWorth, baseCurrency, code), code)}</p>
+          ))}
         </div>
       </div>
 
@@ -974,54 +2193,180 @@ function AssetsPage({ assets, loading, totalNetWorthEUR, totalNetWorthUSD, total
           <p className="text-center text-gray-500 py-8">No assets added yet. Click "Add New Asset" to get started!</p>
         )}
 
+        {assets.length > 0 && (
+          <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700">
+            <label htmlFor="returnPeriod" className="font-medium">Returns for</label>
+            <select
+              id="returnPeriod"
+              value={returnPeriod}
+              onChange={(e) => setReturnPeriod(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+            >
+              {Object.entries(RETURN_PERIODS).map(([period, label]) => (
+                <option key={period} value={period}>{label}</option>
+              ))}
+            </select>
+            <p>
+              <span className="font-medium">Portfolio ({baseCurrency}):</span>{' '}
+              XIRR {formatReturn(portfolioReturns?.xirr)} p.a. · TWR {formatReturn(portfolioReturns?.twr)}
+            </p>
+          </div>
+        )}
+
         <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-2 gap-4">
           {assets.map(asset => {
+            // Withdrawals and outgoing transfers are negative contributions, so this is the net amount paid in
             const totalContributions = asset.contributions?.reduce((sum, c) => sum + (c.amount || 0), 0) || 0;
+            const hasWithdrawals = asset.contributions?.some(c => c.amount < 0);
             const interestMovement = (asset.currentValue || 0) - (asset.initialValue || 0) - totalContributions;
             const interestMovementColor = interestMovement > 0 ? 'text-green-600' : interestMovement < 0 ? 'text-red-600' : 'text-gray-500';
+            const returns = assetReturns.get(asset.id);
             return (
               <div key={asset.id} className="bg-gray-50 border border-gray-200 rounded-lg p-5 shadow-sm flex flex-col justify-between hover:shadow-md transition-shadow duration-200">
                 <div>
                   <h3 className="text-xl font-semibold mb-2 text-indigo-700">{asset.name}</h3>
                   <p className="text-sm text-gray-600 mb-3"><span className="font-medium">Type:</span> {asset.type}</p>
                   <div className="flex justify-between items-end mb-3">
-                      <p className="text-lg font-bold text-gray-900">
-                          Current Value: €{asset.currentValue?.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
-                      </p>
+                      <div>
+                        <p className="text-lg font-bold text-gray-900">
+                            Current Value: {formatCurrency(asset.currentValue, asset.currency)}
+                        </p>
+                        {(asset.currency || DEFAULT_CURRENCY) !== baseCurrency && (
+                          <p className="text-sm text-gray-500">≈ {formatCurrency(toBaseCurrency(asset.currentValue || 0, asset.currency), baseCurrency)}</p>
+                        )}
+                      </div>
                       {/* Mini Chart */}
                       <div className="ml-4">
                           <MiniAssetChart data={asset.valueHistory} width={120} height={40} />
                       </div>
                   </div>
                   <div className="text-sm text-gray-500 space-y-1">
-                    <p>Initial Value: €{asset.initialValue?.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
-                    <p>Contributions: €{totalContributions.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+                    <p>Initial Value: {formatCurrency(asset.initialValue, asset.currency)}</p>
+                    <p>{hasWithdrawals ? 'Net Contributions' : 'Contributions'}: {formatCurrency(totalContributions, asset.currency)}</p>
                     <p className={`font-semibold ${interestMovementColor}`}>
-                      Interest Movement: €{interestMovement.toLocaleString('en-US', { signDisplay: 'exceptZero', minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                      Interest Movement: {formatCurrency(interestMovement, asset.currency, { signDisplay: 'exceptZero' })}
+                    </p>
+                    <p title={returns ? `${returns.start} – ${returns.end}` : undefined}>
+                      {RETURN_PERIODS[returnPeriod]}: XIRR {formatReturn(returns?.xirr)} p.a. · TWR {formatReturn(returns?.twr)}
                     </p>
                   </div>
                 </div>
-                <div className="flex flex-col sm:flex-row gap-3 mt-4">
+                <div className="flex flex-col sm:flex-row sm:flex-wrap gap-3 mt-4">
+                  {/* Holdings assets are valued from their positions, so money moves in and out by buying and selling */}
+                  {hasHoldings(asset) ? (
+                    <button
+                      onClick={() => { setSelectedAssetForHoldings(asset); setShowHoldingsModal(true); }}
+                      className="flex-1 bg-blue-500 hover:bg-blue-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
+                    >
+                      <BarChart2 size={18} className="mr-2" /> Holdings
+                    </button>
+                  ) : (
+                    <>
+                      <button
+                        onClick={() => { setSelectedAssetForUpdate(asset); setShowUpdateModal(true); }}
+                        className="flex-1 bg-blue-500 hover:bg-blue-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
+                      >
+                        <Edit size={18} className="mr-2" /> Update Value
+                      </button>
+                      <button
+                        onClick={() => { setSelectedAssetForContribution(asset); setShowContributionModal(true); }}
+                        className="flex-1 bg-green-500 hover:bg-green-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
+                      >
+                        <HandCoins size={18} className="mr-2" /> Add / Withdraw
+                      </button>
+                      <button
+                        onClick={() => { setSelectedAssetForTransfer(asset); setShowTransferModal(true); }}
+                        disabled={assets.filter(a => !hasHoldings(a)).length < 2}
+                        className="flex-1 bg-teal-500 hover:bg-teal-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200 disabled:opacity-50"
+                        title={assets.filter(a => !hasHoldings(a)).length < 2 ? 'Add another asset to transfer to' : 'Move money to another asset'}
+                      >
+                        <ArrowLeftRight size={18} className="mr-2" /> Transfer
+                      </button>
+                    </>
+                  )}
                   <button
-                    onClick={() => { setSelectedAssetForUpdate(asset); setShowUpdateModal(true); }}
-                    className="flex-1 bg-blue-500 hover:bg-blue-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
+                    onClick={() => { setSelectedAssetForDetails(asset); setShowAssetDetailsModal(true); }} // New button to view asset details
+                    className="flex-1 bg-purple-500 hover:bg-purple-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
+                  >
+                    <History size={18} className="mr-2" /> View Details
+                  </button>
+                  <button
+                    onClick={() => { setAssetToDelete(asset); setShowDeleteConfirmModal(true); }}
+                    className="flex-1 bg-red-500 hover:bg-red-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
                   >
-                    <Edit size={18} className="mr-2" /> Update Value
+                    <Trash2 size={18} className="mr-2" /> Delete
                   </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Liabilities List */}
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <div className="flex justify-between items-center mb-6 border-b pb-4">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <CreditCard size={28} className="mr-2 text-red-500" /> Your Liabilities
+          </h2>
+          <button
+            onClick={() => setShowAddLiabilityModal(true)}
+            className="bg-red-600 hover:bg-red-700 text-white font-semibold py-2 px-4 rounded-full shadow-md flex items-center transition duration-300 ease-in-out transform hover:scale-105"
+          >
+            <Plus size={20} className="mr-2" /> Add New Liability
+          </button>
+        </div>
+
+        {liabilities.length === 0 && !loading && (
+          <p className="text-center text-gray-500 py-8">No liabilities added yet. Mortgages, loans and credit card balances go here.</p>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-2 gap-4">
+          {liabilities.map(liability => {
+            const paidOff = (liability.initialBalance || 0) - (liability.currentBalance || 0);
+            const balanceHistoryForChart = (liability.balanceHistory || []).map(entry => ({ date: entry.date, value: entry.balance }));
+            return (
+              <div key={liability.id} className="bg-gray-50 border border-gray-200 rounded-lg p-5 shadow-sm flex flex-col justify-between hover:shadow-md transition-shadow duration-200">
+                <div>
+                  <h3 className="text-xl font-semibold mb-2 text-red-700">{liability.name}</h3>
+                  <p className="text-sm text-gray-600 mb-3"><span className="font-medium">Type:</span> {liability.type}</p>
+                  <div className="flex justify-between items-end mb-3">
+                      <div>
+                        <p className="text-lg font-bold text-gray-900">
+                            Balance: {formatCurrency(liability.currentBalance, liability.currency)}
+                        </p>
+                        {(liability.currency || DEFAULT_CURRENCY) !== baseCurrency && (
+                          <p className="text-sm text-gray-500">≈ {formatCurrency(toBaseCurrency(liability.currentBalance || 0, liability.currency), baseCurrency)}</p>
+                        )}
+                      </div>
+                      <div className="ml-4">
+                          <MiniAssetChart data={balanceHistoryForChart} width={120} height={40} />
+                      </div>
+                  </div>
+                  <div className="text-sm text-gray-500 space-y-1">
+                    <p>Initial Balance: {formatCurrency(liability.initialBalance, liability.currency)}</p>
+                    <p>Interest Rate: {(liability.interestRate || 0).toLocaleString('en-US', { maximumFractionDigits: 3 })}%</p>
+                    <p>Minimum Payment: {formatCurrency(liability.minimumPayment, liability.currency)} / month</p>
+                    <p className={`font-semibold ${paidOff > 0 ? 'text-green-600' : paidOff < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                      Paid Off: {formatCurrency(paidOff, liability.currency, { signDisplay: 'exceptZero' })}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex flex-col sm:flex-row gap-3 mt-4">
                   <button
-                    onClick={() => { setSelectedAssetForContribution(asset); setShowContributionModal(true); }}
-                    className="flex-1 bg-green-500 hover:bg-green-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
+                    onClick={() => { setSelectedLiabilityForUpdate(liability); setShowUpdateLiabilityModal(true); }}
+                    className="flex-1 bg-blue-500 hover:bg-blue-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
                   >
-                    <HandCoins size={18} className="mr-2" /> Add Contribution
+                    <Edit size={18} className="mr-2" /> Update Balance
                   </button>
                   <button
-                    onClick={() => { setSelectedAssetForDetails(asset); setShowAssetDetailsModal(true); }} // New button to view asset details
+                    onClick={() => { setSelectedLiabilityForDetails(liability); setShowLiabilityDetailsModal(true); }}
                     className="flex-1 bg-purple-500 hover:bg-purple-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
                   >
                     <History size={18} className="mr-2" /> View Details
                   </button>
                   <button
-                    onClick={() => { setAssetToDelete(asset); setShowDeleteConfirmModal(true); }}
+                    onClick={() => { setLiabilityToDelete(liability); setShowLiabilityDeleteConfirmModal(true); }}
                     className="flex-1 bg-red-500 hover:bg-red-600 text-white text-sm font-semibold py-2 px-3 rounded-md shadow-sm flex items-center justify-center transition duration-200"
                   >
                     <Trash2 size={18} className="mr-2" /> Delete
@@ -1037,67 +2382,39 @@ function AssetsPage({ assets, loading, totalNetWorthEUR, totalNetWorthUSD, total
 }
 
 // Dashboard Page Component
-function DashboardPage({ assets, income, expenses, loading, totalNetWorthEUR }) {
+function DashboardPage({ assets, income, expenses, categories, budgets, budgetWarningThreshold, goals, loading, baseCurrency, toBaseCurrency, totalAssets, totalLiabilities, totalNetWorth }) {
     // Calculate current month's income and expenses
     const currentMonth = new Date().getMonth();
     const currentYear = new Date().getFullYear();
 
-    // Helper function to check if a recurring item is active in the current month
-    const isTransactionActiveInCurrentMonth = (transaction) => {
-      const startDate = new Date(transaction.date);
-      const endDate = transaction.endDate ? new Date(transaction.endDate) : null;
+    // Items occurring in the current month, with their occurrence dates (see utils/recurrence)
+    const currentMonthIncomeItems = useMemo(() => getMonthlyOccurrences(income, currentYear, currentMonth), [income, currentMonth, currentYear]);
+    const currentMonthExpenseItems = useMemo(() => getMonthlyOccurrences(expenses, currentYear, currentMonth), [expenses, currentMonth, currentYear]);
 
-      // Check if the transaction starts before or in the current month
-      const startsBeforeOrInCurrentMonth = startDate.getFullYear() < currentYear ||
-                                           (startDate.getFullYear() === currentYear && startDate.getMonth() <= currentMonth);
+    const currentMonthIncome = useMemo(() => sumOccurrences(currentMonthIncomeItems, toBaseCurrency), [currentMonthIncomeItems, toBaseCurrency]);
+    const currentMonthExpenses = useMemo(() => sumOccurrences(currentMonthExpenseItems, toBaseCurrency), [currentMonthExpenseItems, toBaseCurrency]);
 
-      // Check if the transaction ends after or in the current month (or has no end date)
-      const endsAfterOrInCurrentMonth = !endDate || endDate.getFullYear() > currentYear ||
-                                        (endDate.getFullYear() === currentYear && endDate.getMonth() >= currentMonth);
+    const currentMonthBalance = currentMonthIncome - currentMonthExpenses;
 
-      return startsBeforeOrInCurrentMonth && endsAfterOrInCurrentMonth;
-    };
+    const [categoryLevel, setCategoryLevel] = useState('parent'); // 'parent' or 'child'
 
-    const currentMonthIncome = useMemo(() => {
-        return income.filter(item => {
-            if (item.isRecurring && item.frequency === 'Monthly') {
-                return isTransactionActiveInCurrentMonth(item);
-            } else {
-                const itemDate = new Date(item.date);
-                return itemDate.getMonth() === currentMonth && itemDate.getFullYear() === currentYear;
-            }
-        }).reduce((sum, item) => sum + item.amount, 0);
-    }, [income, currentMonth, currentYear]);
-
-    const currentMonthExpenses = useMemo(() => {
-        return expenses.filter(item => {
-            if (item.isRecurring && item.frequency === 'Monthly') {
-                return isTransactionActiveInCurrentMonth(item);
-            } else {
-                const itemDate = new Date(item.date);
-                return itemDate.getMonth() === currentMonth && itemDate.getFullYear() === currentYear;
-            }
-        }).reduce((sum, item) => sum + item.amount, 0);
-    }, [expenses, currentMonth, currentYear]);
+    // Slices use the categories' own colors: [{ id, name, color, icon, value }]
+    const expenseCategoriesData = useMemo(() => (
+      rollupByCategory(currentMonthExpenseItems, categories, categoryLevel, exp => sumOccurrences([exp], toBaseCurrency))
+    ), [currentMonthExpenseItems, categories, categoryLevel, toBaseCurrency]);
 
-    const currentMonthBalance = currentMonthIncome - currentMonthExpenses;
+    const budgetAlerts = useMemo(() => (
+      getBudgetAlerts(calculateBudgetStatus(budgets, expenses, categories, toMonthKey(currentYear, currentMonth), toBaseCurrency), budgetWarningThreshold)
+    ), [budgets, expenses, categories, currentYear, currentMonth, toBaseCurrency, budgetWarningThreshold]);
 
-    const expenseCategoriesData = useMemo(() => {
-      const summary = {};
-      expenses.filter(item => { // Filter expenses only for the current month/year
-        if (item.isRecurring && item.frequency === 'Monthly') {
-          return isTransactionActiveInCurrentMonth(item);
-        } else {
-          const itemDate = new Date(item.date);
-          return itemDate.getMonth() === currentMonth && itemDate.getFullYear() === currentYear;
-        }
-      }).forEach(exp => {
-        summary[exp.category] = (summary[exp.category] || 0) + exp.amount;
-      });
-      return Object.entries(summary).map(([name, value]) => ({ name, value }));
-    }, [expenses, currentMonth, currentYear]);
+    // Goals due soonest first
+    const goalRows = useMemo(() => {
+      const today = new Date().toISOString().split('T')[0];
+      return [...goals]
+        .sort((a, b) => a.targetDate.localeCompare(b.targetDate))
+        .map(goal => ({ goal, progress: calculateGoalProgress(goal, assets, toBaseCurrency, today) }));
+    }, [goals, assets, toBaseCurrency]);
 
-    const COLORS = ['#8884d8', '#82ca9d', '#ffc658', '#FF8042', '#0088FE', '#00C49F', '#FFBB28']; // More colors if needed
 
     if (loading) {
       return (
@@ -1114,29 +2431,46 @@ function DashboardPage({ assets, income, expenses, loading, totalNetWorthEUR })
                     <LayoutDashboard size={28} className="mr-2 text-blue-600" /> Dashboard
                 </h2>
 
+                {/* Budget alerts for the current month */}
+                {budgetAlerts.map(alert => (
+                    <div
+                        key={alert.categoryId}
+                        className={`flex items-center px-4 py-3 rounded mb-3 text-sm border ${alert.level === 'over' ? 'bg-red-100 border-red-400 text-red-700' : 'bg-yellow-50 border-yellow-300 text-yellow-800'}`}
+                        role="alert"
+                    >
+                        <AlertTriangle size={18} className="mr-2 flex-shrink-0" />
+                        {alert.level === 'over'
+                            ? `${getCategoryPath(categories, alert.categoryId)} is over budget: ${formatCurrency(alert.spent, baseCurrency)} spent of ${formatCurrency(alert.available, baseCurrency)}.`
+                            : `${getCategoryPath(categories, alert.categoryId)} has used ${Math.round(alert.percentUsed)}% of its budget (${formatCurrency(alert.remaining, baseCurrency)} left).`}
+                    </div>
+                ))}
+
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8 text-center">
                     <div className="bg-gradient-to-r from-indigo-500 to-blue-600 text-white p-4 rounded-lg shadow-md flex flex-col justify-center items-center">
                         <p className="text-sm font-medium opacity-90">Total Net Worth</p>
                         <p className="text-3xl font-extrabold mt-1">
-                            €{totalNetWorthEUR.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                            {formatCurrency(totalNetWorth, baseCurrency)}
+                        </p>
+                        <p className="text-xs opacity-90 mt-1">
+                            Assets {formatCurrency(totalAssets, baseCurrency, { fractionDigits: 0 })} − Liabilities {formatCurrency(totalLiabilities, baseCurrency, { fractionDigits: 0 })}
                         </p>
                     </div>
                     <div className="bg-green-50 p-4 rounded-lg shadow-sm border border-green-200 flex flex-col justify-center items-center">
                         <p className="text-sm font-medium text-green-700">Monthly Income</p>
                         <p className="text-2xl font-bold text-green-800 mt-1">
-                            €{currentMonthIncome.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                            {formatCurrency(currentMonthIncome, baseCurrency)}
                         </p>
                     </div>
                     <div className="bg-red-50 p-4 rounded-lg shadow-sm border border-red-200 flex flex-col justify-center items-center">
                         <p className="text-sm font-medium text-red-700">Monthly Expenses</p>
                         <p className="text-2xl font-bold text-red-800 mt-1">
-                            €{currentMonthExpenses.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                            {formatCurrency(currentMonthExpenses, baseCurrency)}
                         </p>
                     </div>
                     <div className={`p-4 rounded-lg shadow-sm border col-span-1 md:col-span-3 ${currentMonthBalance >= 0 ? 'bg-blue-50 border-blue-200' : 'bg-orange-50 border-orange-200'} flex flex-col justify-center items-center`}>
                         <p className="text-sm font-medium text-gray-700">Monthly Balance</p>
                         <p className={`text-3xl font-bold ${currentMonthBalance >= 0 ? 'text-blue-800' : 'text-orange-800'} mt-1`}>
-                            €{currentMonthBalance.toLocaleString('en-US', { signDisplay: 'exceptZero', minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                            {formatCurrency(currentMonthBalance, baseCurrency, { signDisplay: 'exceptZero' })}
                         </p>
                     </div>
                 </div>
@@ -1144,9 +2478,12 @@ function DashboardPage({ assets, income, expenses, loading, totalNetWorthEUR })
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                     {/* Monthly Expense by Category Chart */}
                     <div className="bg-gray-50 p-5 rounded-lg border border-gray-200">
-                        <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
-                            <PiggyBank size={24} className="mr-2 text-pink-500" /> Monthly Expenses by Category
-                        </h3>
+                        <div className="flex justify-between items-center mb-4">
+                            <h3 className="text-xl font-semibold text-gray-800 flex items-center">
+                                <PiggyBank size={24} className="mr-2 text-pink-500" /> Monthly Expenses by Category
+                            </h3>
+                            <CategoryLevelToggle value={categoryLevel} onChange={setCategoryLevel} />
+                        </div>
                         {expenseCategoriesData.length > 0 ? (
                             <ResponsiveContainer width="100%" height={300}>
                                 <PieChart>
@@ -1161,10 +2498,10 @@ function DashboardPage({ assets, income, expenses, loading, totalNetWorthEUR })
                                         label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
                                     >
                                         {expenseCategoriesData.map((entry, index) => (
-                                            <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                                            <Cell key={`cell-${index}`} fill={entry.color} />
                                         ))}
                                     </Pie>
-                                    <Tooltip formatter={(value) => `€${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`} />
+                                    <Tooltip formatter={(value) => formatCurrency(value, baseCurrency)} />
                                     <Legend />
                                 </PieChart>
                             </ResponsiveContainer>
@@ -1180,7 +2517,7 @@ function DashboardPage({ assets, income, expenses, loading, totalNetWorthEUR })
                         </h3>
                         <div className="max-h-60 overflow-y-auto">
                             {/* Sort all transactions by date and take the most recent few */}
-                            {[...income, ...expenses]
+                            {[...income.map(item => ({ ...item, isExpense: false })), ...expenses.map(item => ({ ...item, isExpense: true }))]
                                 .sort((a, b) => new Date(b.date) - new Date(a.date))
                                 .slice(0, 5) // Show top 5 recent transactions
                                 .map(item => (
@@ -1188,11 +2525,11 @@ function DashboardPage({ assets, income, expenses, loading, totalNetWorthEUR })
                                     <div>
                                         <p className="font-medium text-gray-900">{item.description}</p>
                                         <p className="text-sm text-gray-500">
-                                            {item.date} • {item.category ? item.category : ''}
+                                            {item.date}{item.isExpense ? ` • ${getCategoryPath(categories, item.categoryId)}` : ''}
                                         </p>
                                     </div>
-                                    <p className={`${item.category ? 'text-red-600' : 'text-green-600'} font-semibold`}>
-                                        {item.category ? '-' : '+'}€{item.amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                    <p className={`${item.isExpense ? 'text-red-600' : 'text-green-600'} font-semibold`}>
+                                        {item.isExpense ? '-' : '+'}{formatCurrency(item.amount, item.currency)}
                                     </p>
                                 </div>
                             ))}
@@ -1202,673 +2539,983 @@ function DashboardPage({ assets, income, expenses, loading, totalNetWorthEUR })
                         </div>
                     </div>
                 </div>
+
+                {/* Savings goals */}
+                {goalRows.length > 0 && (
+                    <div className="bg-gray-50 p-5 rounded-lg border border-gray-200 mt-6">
+                        <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                            <Target size={24} className="mr-2 text-teal-500" /> Savings Goals
+                        </h3>
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            {goalRows.map(({ goal, progress }) => (
+                                <div key={goal.id} className="bg-white p-3 rounded-md shadow-sm border border-gray-100">
+                                    <div className="flex justify-between items-center mb-2">
+                                        <p className="font-medium text-gray-900">{goal.name}</p>
+                                        <GoalStatusBadge status={progress.status} />
+                                    </div>
+                                    <GoalProgressBar percent={progress.percent} status={progress.status} />
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        {formatCurrency(progress.saved, baseCurrency, { fractionDigits: 0 })} of {formatCurrency(progress.target, baseCurrency, { fractionDigits: 0 })} by {goal.targetDate}
+                                        {progress.status !== 'reached' && ` · ${formatCurrency(progress.monthlyNeeded, baseCurrency, { fractionDigits: 0 })}/month needed`}
+                                    </p>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
             </div>
         </div>
     );
 }
 
 
-// Main App Component
-function App() {
-  const [db, setDb] = useState(null);
-  const [auth, setAuth] = useState(null);
-  const [userId, setUserId] = useState(null);
-  const [isAuthReady, setIsAuthReady] = useState(false);
-  const [assets, setAssets] = useState([]);
-  const [income, setIncome] = useState([]); // New state for income
-  const [expenses, setExpenses] = useState([]); // New state for expenses
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [currentPage, setCurrentPage] = useState('dashboard'); // Default to 'dashboard'
+// Import Page Component: bank statement wizard (upload, map columns, preview).
+// OFX, QIF and CAMT.053 files skip the column mapping step.
+function ImportPage({ categories, categoryRules, baseCurrency, existingImportIds, importTransactions }) {
+  const [step, setStep] = useState('upload'); // 'upload', 'map', 'preview' or 'done'
+  const [fileName, setFileName] = useState('');
+  const [format, setFormat] = useState('csv'); // Key of STATEMENT_FORMATS
+  const [statementText, setStatementText] = useState(''); // File content of non-CSV statements
+  const [qifDateFormat, setQifDateFormat] = useState('MM/DD/YYYY');
+  const [rows, setRows] = useState([]); // Raw CSV rows, including the header if there is one
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({
+    dateColumn: -1, amountColumn: -1, descriptionColumn: -1,
+    signMode: 'signed', indicatorColumn: -1, debitValue: 'D', debitColumn: -1, creditColumn: -1,
+    dateFormat: 'YYYY-MM-DD', decimalFormat: 'point',
+  });
+  const [currency, setCurrency] = useState(baseCurrency);
+  const [categoryId, setCategoryId] = useState(null);
+  const [excludedRows, setExcludedRows] = useState(new Set()); // rowNumbers the user unticked
+  const [importError, setImportError] = useState('');
+  const [importedCount, setImportedCount] = useState(0);
+
+  const header = hasHeader ? rows[0] || [] : [];
+  const dataRows = useMemo(() => (hasHeader ? rows.slice(1) : rows), [hasHeader, rows]);
+  const columnCount = Math.max(0, ...rows.slice(0, 20).map(cells => cells.length));
+  const columnName = (index) => (hasHeader && header[index]) || `Column ${index + 1}`;
+
+  const mappedRows = useMemo(() => {
+    if (step !== 'preview') return [];
+    const parsedRows = format === 'csv'
+      ? mapRows(dataRows, mapping)
+      : parseStatement(format, statementText, { qifDateFormat });
+    return markDuplicates(parsedRows, existingImportIds);
+  }, [step, format, dataRows, mapping, statementText, qifDateFormat, existingImportIds]);
+  const isSelectable = (row) => !row.error && !row.duplicate;
+  const selectedRows = mappedRows.filter(row => isSelectable(row) && !excludedRows.has(row.rowNumber));
+  const duplicateCount = mappedRows.filter(row => row.duplicate).length;
+
+  const updateMapping = (key, value) => setMapping(current => ({ ...current, [key]: value }));
+
+  const handleFileChange = async (e) => {
+    setImportError('');
+    const file = e.target.files[0];
+    if (!file) return;
+    const text = await file.text();
+    e.target.value = ''; // Allow picking the same file again
+    const detectedFormat = detectStatementFormat(file.name, text);
+    setExcludedRows(new Set());
+
+    if (detectedFormat !== 'csv') {
+      try {
+        if (parseStatement(detectedFormat, text, { qifDateFormat }).length === 0) {
+          setImportError(`The ${STATEMENT_FORMATS[detectedFormat]} file has no transactions.`);
+          return;
+        }
+      } catch (err) {
+        setImportError(err.message);
+        return;
+      }
+      setFileName(file.name);
+      setFormat(detectedFormat);
+      setStatementText(text);
+      setStep('preview');
+      return;
+    }
 
-  const [showAddAssetModal, setShowAddAssetModal] = useState(false);
-  const [showUpdateModal, setShowUpdateModal] = useState(false);
-  const [selectedAssetForUpdate, setSelectedAssetForUpdate] = useState(null);
-  const [showContributionModal, setShowContributionModal] = useState(false);
-  const [selectedAssetForContribution, setSelectedAssetForContribution] = useState(null);
-  const [showDeleteConfirmModal, setShowDeleteConfirmModal] = useState(false);
-  const [assetToDelete, setAssetToDelete] = useState(null);
+    const parsedRows = parseCsv(text);
+    if (parsedRows.length === 0) {
+      setImportError('The file has no rows.');
+      return;
+    }
+    setFileName(file.name);
+    setFormat('csv');
+    setRows(parsedRows);
+    setMapping(current => ({ ...current, ...guessMapping(parsedRows[0]) }));
+    setStep('map');
+  };
 
-  // New state for displaying individual asset history
-  const [showAssetDetailsModal, setShowAssetDetailsModal] = useState(false);
-  const [selectedAssetForDetails, setSelectedAssetForDetails] = useState(null);
+  const handleMappingSubmit = (e) => {
+    e.preventDefault();
+    setImportError('');
+    const required = mapping.signMode === 'columns'
+      ? [mapping.dateColumn, mapping.debitColumn, mapping.creditColumn]
+      : [mapping.dateColumn, mapping.amountColumn, ...(mapping.signMode === 'indicator' ? [mapping.indicatorColumn] : [])];
+    if (required.some(column => column < 0)) {
+      setImportError('Map every required column.');
+      return;
+    }
+    setStep('preview');
+  };
 
-  // New states for income/expense edit, delete, and history modals
-  const [showEditIncomeModal, setShowEditIncomeModal] = useState(false);
-  const [selectedIncomeForEdit, setSelectedIncomeForEdit] = useState(null);
-  const [showIncomeDeleteConfirmModal, setShowIncomeDeleteConfirmModal] = useState(false);
-  const [incomeToDelete, setIncomeToDelete] = useState(null);
-  const [showIncomeDetailsModal, setShowIncomeDetailsModal] = useState(false);
-  const [selectedIncomeForDetails, setSelectedIncomeForDetails] = useState(null);
+  const toggleRow = (rowNumber) => {
+    setExcludedRows(current => {
+      const next = new Set(current);
+      if (next.has(rowNumber)) next.delete(rowNumber); else next.add(rowNumber);
+      return next;
+    });
+  };
 
+  const handleImport = async () => {
+    const success = await importTransactions(selectedRows, currency, categoryId);
+    if (success) {
+      setImportedCount(selectedRows.length);
+      setStep('done');
+    }
+  };
 
-  const [showEditExpenseModal, setShowEditExpenseModal] = useState(false);
-  const [selectedExpenseForEdit, setSelectedExpenseForEdit] = useState(null);
-  const [showExpenseDeleteConfirmModal, setShowExpenseDeleteConfirmModal] = useState(false);
-  const [expenseToDelete, setExpenseToDelete] = useState(null);
-  const [showExpenseDetailsModal, setShowExpenseDetailsModal] = useState(false);
-  const [selectedExpenseForDetails, setSelectedExpenseForDetails] = useState(null);
+  const resetWizard = () => {
+    setRows([]);
+    setStatementText('');
+    setFileName('');
+    setImportError('');
+    setStep('upload');
+  };
 
+  const selectClassName = "mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm";
 
-  // Fixed exchange rates (for demonstration purposes - real apps would use an API)
-  const EXCHANGE_RATES = {
-    EUR_TO_USD: 1.08, // 1 EUR = 1.08 USD (example rate)
-    EUR_TO_GBP: 0.85, // 1 EUR = 0.85 GBP (example rate)
-    EUR_TO_HUF: 395.00 // 1 EUR = 395.00 HUF (example rate)
+  // Shows which categorization rule will apply to an expense row
+  const renderRuleNote = (row) => {
+    const rule = findMatchingRule(categoryRules, row);
+    if (!rule) return null;
+    return (
+      <p className="text-xs text-indigo-600">
+        Rule "{rule.name}"{rule.categoryId && ` → ${getCategoryPath(categories, rule.categoryId)}`}{rule.description && ` · renamed to "${rule.description}"`}
+      </p>
+    );
   };
 
+  const renderColumnSelect = (key, label, optional = false) => (
+    <div>
+      <label htmlFor={`import-${key}`} className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <select
+        id={`import-${key}`}
+        value={mapping[key]}
+        onChange={(e) => updateMapping(key, parseInt(e.target.value))}
+        className={selectClassName}
+      >
+        <option value={-1}>{optional ? '(none)' : 'Select column'}</option>
+        {Array.from({ length: columnCount }, (_, index) => (
+          <option key={index} value={index}>{columnName(index)}</option>
+        ))}
+      </select>
+    </div>
+  );
 
-  // Firebase Initialization and Authentication
-  useEffect(() => {
-    try {
-      const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
-      const app = initializeApp(firebaseConfig);
-      const firestoreDb = getFirestore(app);
-      const firebaseAuth = getAuth(app);
-
-      setDb(firestoreDb);
-      setAuth(firebaseAuth);
-
-      const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
-        if (user) {
-          setUserId(user.uid);
-          setIsAuthReady(true);
-          console.log("User signed in:", user.uid);
-        } else {
-          try {
-            // Sign in anonymously if no user is authenticated
-            if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-              await signInWithCustomToken(firebaseAuth, __initial_auth_token);
-              console.log("Signed in with custom token.");
-            } else {
-              const anonymousUser = await signInAnonymously(firebaseAuth);
-              setUserId(anonymousUser.user.uid);
-              setIsAuthReady(true);
-              console.log("Signed in anonymously:", anonymousUser.user.uid);
-            }
-          } catch (authError) {
-            console.error("Firebase Auth Error:", authError);
-            setError("Failed to authenticate. Please try again.");
-            setIsAuthReady(true); // Still set ready to avoid infinite loading
-          }
-        }
-      });
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+      <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+        <FileUp size={28} className="mr-2 text-teal-500" /> Import Bank Statement
+      </h2>
+      <p className="text-sm text-gray-500 mb-6">
+        {['Choose file', 'Map columns', 'Preview', 'Done'].map((label, index) => (
+          <span key={label} className={['upload', 'map', 'preview', 'done'][index] === step ? 'font-semibold text-teal-700' : ''}>
+            {index > 0 && ' → '}{index + 1}. {label}
+          </span>
+        ))}
+      </p>
+
+      {importError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm mb-4" role="alert">
+          {importError}
+        </div>
+      )}
 
-      return () => unsubscribe(); // Cleanup auth listener
-    } catch (err) {
-      console.error("Firebase Init Error:", err);
-      setError("Failed to initialize Firebase.");
-      setLoading(false);
-    }
-  }, []);
+      {step === 'upload' && (
+        <div className="text-center py-8">
+          <p className="text-gray-600 mb-4">
+            Export a statement from your bank as CSV, OFX, QIF or CAMT.053 XML and choose it here. Nothing is saved until you confirm the preview.
+            Transactions imported before are recognized and skipped.
+          </p>
+          <label className="inline-flex items-center cursor-pointer bg-teal-600 hover:bg-teal-700 text-white font-semibold py-2 px-4 rounded-full shadow-md">
+            <Upload size={20} className="mr-2" /> Choose Statement File
+            <input type="file" accept=".csv,.ofx,.qfx,.qif,.xml,text/csv,text/plain,application/xml" onChange={handleFileChange} className="hidden" />
+          </label>
+        </div>
+      )}
 
-  // Fetch assets from Firestore when auth and db are ready
-  useEffect(() => {
-    if (db && userId && isAuthReady) {
-      setLoading(true);
-      setError(null);
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+      {step === 'map' && (
+        <form onSubmit={handleMappingSubmit} className="space-y-6">
+          <div className="overflow-x-auto border border-gray-200 rounded-md">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {Array.from({ length: columnCount }, (_, index) => (
+                    <th key={index} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{columnName(index)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {dataRows.slice(0, 3).map((cells, rowIndex) => (
+                  <tr key={rowIndex}>
+                    {Array.from({ length: columnCount }, (_, index) => (
+                      <td key={index} className="px-3 py-2 whitespace-nowrap text-gray-700">{cells[index]}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500">{fileName}: {dataRows.length} rows</p>
 
-      // Fetch Assets
-      const assetsCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/assets`);
-      const unsubscribeAssets = onSnapshot(query(assetsCollectionRef), (snapshot) => {
-        const assetsData = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        setAssets(assetsData);
-        setLoading(false);
-      }, (err) => {
-        console.error("Firestore Fetch Error (Assets):", err);
-        setError("Failed to load assets. Please try again.");
-        setLoading(false);
-      });
+          <div className="flex items-center">
+            <input
+              id="importHasHeader"
+              type="checkbox"
+              checked={hasHeader}
+              onChange={(e) => setHasHeader(e.target.checked)}
+              className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+            />
+            <label htmlFor="importHasHeader" className="ml-2 block text-sm text-gray-900">First row contains column names</label>
+          </div>
 
-      // Fetch Income
-      const incomeCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/income`);
-      const unsubscribeIncome = onSnapshot(query(incomeCollectionRef), (snapshot) => {
-        const incomeData = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        setIncome(incomeData);
-      }, (err) => {
-        console.error("Firestore Fetch Error (Income):", err);
-        setError("Failed to load income data.");
-      });
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {renderColumnSelect('dateColumn', 'Date')}
+            {renderColumnSelect('descriptionColumn', 'Description', true)}
+            <div>
+              <label htmlFor="importSignMode" className="block text-sm font-medium text-gray-700 mb-1">Money In / Out</label>
+              <select
+                id="importSignMode"
+                value={mapping.signMode}
+                onChange={(e) => updateMapping('signMode', e.target.value)}
+                className={selectClassName}
+              >
+                {Object.entries(SIGN_MODES).map(([mode, label]) => (
+                  <option key={mode} value={mode}>{label}</option>
+                ))}
+              </select>
+            </div>
+            {mapping.signMode === 'columns' ? (
+              <>
+                {renderColumnSelect('debitColumn', 'Debit (Money Out)')}
+                {renderColumnSelect('creditColumn', 'Credit (Money In)')}
+              </>
+            ) : (
+              renderColumnSelect('amountColumn', 'Amount')
+            )}
+            {mapping.signMode === 'indicator' && (
+              <>
+                {renderColumnSelect('indicatorColumn', 'Debit/Credit Column')}
+                <div>
+                  <label htmlFor="importDebitValue" className="block text-sm font-medium text-gray-700 mb-1">Value Meaning Debit</label>
+                  <input
+                    type="text"
+                    id="importDebitValue"
+                    value={mapping.debitValue}
+                    onChange={(e) => updateMapping('debitValue', e.target.value)}
+                    className={selectClassName}
+                    placeholder="e.g., D, Debit, Terhelés"
+                  />
+                </div>
+              </>
+            )}
+            <div>
+              <label htmlFor="importDateFormat" className="block text-sm font-medium text-gray-700 mb-1">Date Format</label>
+              <select
+                id="importDateFormat"
+                value={mapping.dateFormat}
+                onChange={(e) => updateMapping('dateFormat', e.target.value)}
+                className={selectClassName}
+              >
+                {Object.entries(DATE_FORMATS).map(([format, { example }]) => (
+                  <option key={format} value={format}>{format} ({example})</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="importDecimalFormat" className="block text-sm font-medium text-gray-700 mb-1">Number Format</label>
+              <select
+                id="importDecimalFormat"
+                value={mapping.decimalFormat}
+                onChange={(e) => updateMapping('decimalFormat', e.target.value)}
+                className={selectClassName}
+              >
+                {Object.entries(DECIMAL_FORMATS).map(([format, { example }]) => (
+                  <option key={format} value={format}>{example}</option>
+                ))}
+              </select>
+            </div>
+          </div>
 
-      // Fetch Expenses
-      const expensesCollectionRef = collection(db, `artifacts/${appId}/users/${userId}/expenses`);
-      const unsubscribeExpenses = onSnapshot(query(expensesCollectionRef), (snapshot) => {
-        const expensesData = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data()
-        }));
-        setExpenses(expensesData);
-      }, (err) => {
-        console.error("Firestore Fetch Error (Expenses):", err);
-        setError("Failed to load expenses data.");
-      });
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={resetWizard}
+              className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700"
+            >
+              Preview
+            </button>
+          </div>
+        </form>
+      )}
 
-      return () => {
-        unsubscribeAssets();
-        unsubscribeIncome();
-        unsubscribeExpenses();
-      }; // Cleanup all snapshot listeners
-    }
-  }, [db, userId, isAuthReady]);
+      {step === 'preview' && (
+        <div className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {mappedRows.some(row => !row.currency) && ( // CSV and QIF files don't say
+              <div>
+                <label htmlFor="importCurrency" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                <CurrencySelect id="importCurrency" value={currency} onChange={setCurrency} className={selectClassName} />
+              </div>
+            )}
+            {format === 'qif' && (
+              <div>
+                <label htmlFor="importQifDateFormat" className="block text-sm font-medium text-gray-700 mb-1">Date Format</label>
+                <select
+                  id="importQifDateFormat"
+                  value={qifDateFormat}
+                  onChange={(e) => setQifDateFormat(e.target.value)}
+                  className={selectClassName}
+                >
+                  <option value="MM/DD/YYYY">MM/DD/YYYY (US)</option>
+                  <option value="DD/MM/YYYY">DD/MM/YYYY</option>
+                </select>
+              </div>
+            )}
+            <div>
+              <label htmlFor="importCategory" className="block text-sm font-medium text-gray-700 mb-1">Category for Expenses</label>
+              <CategorySelect id="importCategory" categories={categories} value={categoryId} onChange={setCategoryId} className={selectClassName} />
+            </div>
+          </div>
+          <p className="text-sm text-gray-700">
+            {format !== 'csv' && `${STATEMENT_FORMATS[format]} statement: `}
+            {selectedRows.filter(row => row.type === 'income').length} income and {selectedRows.filter(row => row.type === 'expense').length} expenses selected.
+            {mappedRows.some(row => row.error) && (
+              <span className="text-orange-600"> {mappedRows.filter(row => row.error).length} rows can't be read and will be skipped.</span>
+            )}
+            {duplicateCount > 0 && (
+              <span className="text-gray-500"> {duplicateCount} were imported before and will be skipped.</span>
+            )}
+          </p>
+          <div className="overflow-x-auto max-h-96 border border-gray-200 rounded-md">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2"></th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Row</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
+                  <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {mappedRows.map(row => (
+                  <tr key={row.rowNumber} className={row.error ? 'bg-red-50' : row.duplicate ? 'bg-gray-50 text-gray-400' : ''}>
+                    <td className="px-3 py-2">
+                      <input
+                        type="checkbox"
+                        checked={isSelectable(row) && !excludedRows.has(row.rowNumber)}
+                        disabled={!isSelectable(row)}
+                        onChange={() => toggleRow(row.rowNumber)}
+                        className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+                        aria-label={`Import row ${row.rowNumber}`}
+                      />
+                    </td>
+                    <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-900">{row.date || '—'}</td>
+                    <td className="px-3 py-2 text-gray-900">
+                      {row.description}
+                      {row.error && <p className="text-xs text-red-600">{row.error}</p>}
+                      {row.duplicate && <p className="text-xs text-gray-500">Already imported</p>}
+                      {!row.error && !row.duplicate && row.type === 'expense' && renderRuleNote(row)}
+                    </td>
+                    <td className={`px-3 py-2 whitespace-nowrap text-right font-semibold ${row.type === 'expense' ? 'text-red-600' : 'text-green-600'}`}>
+                      {isNaN(row.amount) ? '—' : `${row.type === 'expense' ? '-' : '+'}${CURRENCIES[row.currency || currency] ? formatCurrency(row.amount, row.currency || currency) : `${row.amount} ${row.currency}`}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => (format === 'csv' ? setStep('map') : resetWizard())}
+              className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Back
+            </button>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={selectedRows.length === 0}
+              className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 disabled:opacity-50"
+            >
+              Import {selectedRows.length} Transactions
+            </button>
+          </div>
+        </div>
+      )}
 
-  // Calculate total net worth
-  const totalNetWorthEUR = assets.reduce((sum, asset) => sum + (asset.currentValue || 0), 0);
-  const totalNetWorthUSD = totalNetWorthEUR * EXCHANGE_RATES.EUR_TO_USD;
-  const totalNetWorthGBP = totalNetWorthEUR * EXCHANGE_RATES.EUR_TO_GBP;
-  const totalNetWorthHUF = totalNetWorthEUR * EXCHANGE_RATES.EUR_TO_HUF;
+      {step === 'done' && (
+        <div className="text-center py-8">
+          <p className="text-gray-700 mb-4">Imported {importedCount} transactions from {fileName}.</p>
+          <button
+            onClick={resetWizard}
+            className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Import Another File
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
 
+// Household Page Component: members, who owes whom and settlement payments
+function HouseholdPage({ members, expenses, settlements, loading, baseCurrency, toBaseCurrency,
+  addHouseholdMember, deleteHouseholdMember, addSettlement, deleteSettlement
+}) {
+  const [newMemberName, setNewMemberName] = useState('');
+  const [fromMemberId, setFromMemberId] = useState('');
+  const [toMemberId, setToMemberId] = useState('');
+  const [settlementAmount, setSettlementAmount] = useState('');
+  const [settlementCurrency, setSettlementCurrency] = useState(baseCurrency);
+  const [settlementDate, setSettlementDate] = useState(new Date().toISOString().split('T')[0]);
+  const [formError, setFormError] = useState('');
 
-  // --- Asset Management Functions ---
+  const today = new Date().toISOString().split('T')[0];
+  const memberName = (memberId) => members.find(member => member.id === memberId)?.name || 'Unknown';
 
-  const addAsset = async (name, type, initialValue, initialDate) => { // Added initialDate
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
-      return;
-    }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      await addDoc(collection(db, `artifacts/${appId}/users/${userId}/assets`), {
-        name,
-        type,
-        initialValue: parseFloat(initialValue),
-        currentValue: parseFloat(initialValue),
-        contributions: [],
-        valueHistory: [{ value: parseFloat(initialValue), date: initialDate }] // Use initialDate
-      });
-      setShowAddAssetModal(false);
-      setLoading(false);
-    } catch (e) {
-      console.error("Error adding document: ", e);
-      setError("Failed to add asset.");
-      setLoading(false);
-    }
-  };
+  // Balances and suggestions are in the base currency
+  const balances = useMemo(() => calculateBalances(expenses, settlements, today, toBaseCurrency), [expenses, settlements, today, toBaseCurrency]);
+  const suggestedPayments = useMemo(() => suggestSettlements(balances), [balances]);
+  const monthlyBalances = useMemo(() => (
+    calculateMonthlyBalances(expenses, settlements, today, toBaseCurrency).reverse() // Newest month first
+  ), [expenses, settlements, today, toBaseCurrency]);
 
-  const updateAssetValue = async (assetId, newValue) => {
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
-      return;
-    }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const assetRef = doc(db, `artifacts/${appId}/users/${userId}/assets`, assetId);
-      const assetToUpdate = assets.find(a => a.id === assetId);
+  // Expenses tagged Shared before splits existed carry no payer, so they can't be balanced
+  const unsplitSharedCount = expenses.filter(expense => expense.category === 'Shared' && !expense.split).length;
 
-      // Ensure valueHistory exists and is an array
-      const updatedValueHistory = Array.isArray(assetToUpdate.valueHistory)
-        ? [...assetToUpdate.valueHistory, { value: parseFloat(newValue), date: new Date().toISOString().split('T')[0] }]
-        : [{ value: parseFloat(newValue), date: new Date().toISOString().split('T')[0] }];
+  const sortedSettlements = useMemo(() => (
+    [...settlements].sort((a, b) => new Date(b.date) - new Date(a.date))
+  ), [settlements]);
 
-      await updateDoc(assetRef, {
-        currentValue: parseFloat(newValue),
-        valueHistory: updatedValueHistory
-      });
-      setShowUpdateModal(false);
-      setSelectedAssetForUpdate(null);
-      setLoading(false);
-    } catch (e) {
-      console.error("Error updating asset value: ", e);
-      setError("Failed to update asset value.");
-      setLoading(false);
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    const name = newMemberName.trim();
+    if (!name) return;
+    const success = await addHouseholdMember(name);
+    if (success) {
+      setNewMemberName('');
     }
   };
 
-  const addContribution = async (assetId, amount, contributionDate) => { // Added contributionDate
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
-      return;
-    }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const assetRef = doc(db, `artifacts/${appId}/users/${userId}/assets`, assetId);
-      const assetToUpdate = assets.find(a => a.id === assetId);
-
-      const newContribution = { amount: parseFloat(amount), date: contributionDate }; // Use contributionDate
-
-      // Ensure contributions array exists and is an array
-      const updatedContributions = Array.isArray(assetToUpdate.contributions)
-        ? [...assetToUpdate.contributions, newContribution]
-        : [newContribution];
-
-      // Update current value by adding the contribution
-      const newCurrentValue = (assetToUpdate.currentValue || 0) + parseFloat(amount);
-
-      // Add to value history for charting
-      const updatedValueHistory = Array.isArray(assetToUpdate.valueHistory)
-        ? [...assetToUpdate.valueHistory, { value: newCurrentValue, date: contributionDate, type: 'contribution' }] // Use contributionDate
-        : [{ value: newCurrentValue, date: contributionDate, type: 'contribution' }];
-
-      await updateDoc(assetRef, {
-        contributions: updatedContributions,
-        currentValue: newCurrentValue,
-        valueHistory: updatedValueHistory
-      });
-      setShowContributionModal(false);
-      setSelectedAssetForContribution(null);
-      setLoading(false);
-    } catch (e) {
-      console.error("Error adding contribution: ", e);
-      setError("Failed to add contribution.");
-      setLoading(false);
-    }
+  const prefillSettlement = (payment) => {
+    setFromMemberId(payment.from);
+    setToMemberId(payment.to);
+    setSettlementAmount(payment.amount.toString());
+    setSettlementCurrency(baseCurrency);
+    setFormError('');
   };
 
-  const deleteAsset = async (assetId) => {
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
+  const handleSettlementSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    const parsedAmount = parseFloat(settlementAmount);
+    if (!fromMemberId || !toMemberId || !settlementDate) {
+      setFormError('All fields are required.');
       return;
     }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/assets`, assetId));
-      setShowDeleteConfirmModal(false);
-      setAssetToDelete(null);
-      setLoading(false);
-    } catch (e) {
-      console.error("Error deleting asset: ", e);
-      setError("Failed to delete asset.");
-      setLoading(false);
+    if (fromMemberId === toMemberId) {
+      setFormError('Choose two different members.');
+      return;
     }
-  };
-
-  // --- Income Management Functions ---
-  const addIncome = async (amount, description, date, isRecurring = false, frequency = '', endDate = '') => {
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      setFormError('Amount must be a positive number.');
       return;
     }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const newIncome = {
-        amount: parseFloat(amount),
-        description,
-        date,
-        isRecurring,
-        frequency: isRecurring ? frequency : '',
-        endDate: isRecurring && endDate ? endDate : '',
-      };
-      await addDoc(collection(db, `artifacts/${appId}/users/${userId}/income`), {
-        ...newIncome,
-        history: [{ ...newIncome, timestamp: new Date().toISOString(), changeType: "Initial Entry" }]
-      });
-      setLoading(false);
-      return true;
-    } catch (e) {
-      console.error("Error adding income: ", e);
-      setError("Failed to add income.");
-      setLoading(false);
-      return false;
+    const success = await addSettlement(fromMemberId, toMemberId, parsedAmount, settlementCurrency, settlementDate);
+    if (success) {
+      setSettlementAmount('');
     }
   };
 
-  const updateIncome = async (incomeId, newAmount, newDescription, newDate, newIsRecurring, newFrequency, newEndDate) => {
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
-      return;
-    }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const incomeRef = doc(db, `artifacts/${appId}/users/${userId}/income`, incomeId);
-      const incomeToUpdate = income.find(item => item.id === incomeId);
-
-      const updatedIncome = {
-        amount: parseFloat(newAmount),
-        description: newDescription,
-        date: newDate,
-        isRecurring: newIsRecurring,
-        frequency: newIsRecurring ? newFrequency : '',
-        endDate: newIsRecurring && newEndDate ? newEndDate : '',
-      };
+  if (loading && members.length === 0) {
+    return (
+      <div className="bg-white p-8 rounded-xl shadow-lg text-center text-gray-600 min-h-[300px] flex items-center justify-center">
+        Loading household...
+      </div>
+    );
+  }
 
-      const updatedHistory = Array.isArray(incomeToUpdate.history)
-        ? [...incomeToUpdate.history, { ...updatedIncome, timestamp: new Date().toISOString(), changeType: "Update" }]
-        : [{ ...updatedIncome, timestamp: new Date().toISOString(), changeType: "Initial Entry" }];
+  return (
+    <div className="flex flex-col gap-6 w-full">
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+          <Users size={28} className="mr-2 text-indigo-500" /> Household
+        </h2>
 
-      await updateDoc(incomeRef, { ...updatedIncome, history: updatedHistory });
-      setShowEditIncomeModal(false);
-      setSelectedIncomeForEdit(null);
-      setLoading(false);
-      return true;
-    } catch (e) {
-      console.error("Error updating income: ", e);
-      setError("Failed to update income.");
-      setLoading(false);
-      return false;
-    }
-  };
+        {/* Members */}
+        <div className="flex flex-wrap items-center gap-2 mb-6">
+          {members.map(member => (
+            <span key={member.id} className="inline-flex items-center bg-indigo-50 text-indigo-800 border border-indigo-200 rounded-full px-3 py-1 text-sm">
+              {member.name}
+              <button
+                onClick={() => deleteHouseholdMember(member.id)}
+                className="ml-2 text-indigo-400 hover:text-red-600"
+                title="Remove Member"
+              >
+                <X size={14} />
+              </button>
+            </span>
+          ))}
+          <form onSubmit={handleAddMember} className="flex gap-2">
+            <input
+              type="text"
+              value={newMemberName}
+              onChange={(e) => setNewMemberName(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              placeholder="Member name"
+              aria-label="New member name"
+            />
+            <button
+              type="submit"
+              className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-semibold py-1 px-3 rounded-full shadow-md flex items-center"
+            >
+              <Plus size={16} className="mr-1" /> Add
+            </button>
+          </form>
+        </div>
 
-  const deleteIncome = async (incomeId) => {
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
-      return;
-    }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/income`, incomeId));
-      setShowIncomeDeleteConfirmModal(false);
-      setIncomeToDelete(null);
-      setLoading(false);
-    } catch (e) {
-      console.error("Error deleting income: ", e);
-      setError("Failed to delete income.");
-      setLoading(false);
-    }
-  };
+        {unsplitSharedCount > 0 && (
+          <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded mb-6 text-sm">
+            {unsplitSharedCount} expense{unsplitSharedCount === 1 ? ' is' : 's are'} tagged Shared without a split.
+            Edit {unsplitSharedCount === 1 ? 'it' : 'them'} and choose who paid to include {unsplitSharedCount === 1 ? 'it' : 'them'} in the balances.
+          </div>
+        )}
 
-  // --- Expense Management Functions ---
-  const addExpense = async (amount, description, category, date, isRecurring = false, frequency = '', endDate = '') => { // Added 'date' param
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
-      return;
-    }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const newExpense = {
-        amount: parseFloat(amount),
-        description,
-        category,
-        type: isRecurring ? 'Recurring' : 'One-Off', // Derive type from isRecurring
-        date,
-        isRecurring,
-        frequency: isRecurring ? frequency : '',
-        endDate: isRecurring && endDate ? endDate : '',
-      };
-      await addDoc(collection(db, `artifacts/${appId}/users/${userId}/expenses`), {
-        ...newExpense,
-        history: [{ ...newExpense, timestamp: new Date().toISOString(), changeType: "Initial Entry" }]
-      });
-      setLoading(false);
-      return true;
-    } catch (e) {
-      console.error("Error adding expense: ", e);
-      setError("Failed to add expense.");
-      setLoading(false);
-      return false;
-    }
-  };
+        {members.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">Add the members of your household to start splitting shared expenses.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Balances */}
+            <div className="bg-gray-50 p-5 rounded-lg border border-gray-200">
+              <h3 className="text-xl font-semibold text-gray-800 mb-4">Who Owes Whom</h3>
+              <ul className="space-y-1 text-sm text-gray-700 mb-4">
+                {members.map(member => {
+                  const balance = balances.get(member.id) || 0;
+                  return (
+                    <li key={member.id} className="flex justify-between">
+                      <span>{member.name}</span>
+                      <span className={`font-medium ${balance > 0.004 ? 'text-green-600' : balance < -0.004 ? 'text-red-600' : 'text-gray-500'}`}>
+                        {balance > 0.004 ? 'is owed ' : balance < -0.004 ? 'owes ' : ''}{formatCurrency(Math.abs(balance), baseCurrency)}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+              {suggestedPayments.length === 0 ? (
+                <p className="text-center text-gray-500 py-2">Everyone is settled up.</p>
+              ) : (
+                suggestedPayments.map(payment => (
+                  <div key={`${payment.from}-${payment.to}`} className="flex justify-between items-center bg-white p-3 rounded-md shadow-sm mb-2 last:mb-0 border border-gray-100">
+                    <p className="text-gray-900">
+                      <span className="font-medium">{memberName(payment.from)}</span> owes <span className="font-medium">{memberName(payment.to)}</span> {formatCurrency(payment.amount, baseCurrency)}
+                    </p>
+                    <button
+                      onClick={() => prefillSettlement(payment)}
+                      className="text-sm text-indigo-600 hover:text-indigo-800 font-medium"
+                    >
+                      Settle
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
 
-  const updateExpense = async (expenseId, newAmount, newDescription, newCategory, newDate, newIsRecurring, newFrequency, newEndDate) => { // Added 'newDate' param
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
-      return;
-    }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      const expenseRef = doc(db, `artifacts/${appId}/users/${userId}/expenses`, expenseId);
-      const expenseToUpdate = expenses.find(item => item.id === expenseId);
+            {/* Record settlement */}
+            <form onSubmit={handleSettlementSubmit} className="bg-gray-50 p-5 rounded-lg border border-gray-200 space-y-4">
+              <h3 className="text-xl font-semibold text-gray-800">Record Payment</h3>
+              {formError && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+                  {formError}
+                </div>
+              )}
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="settlementFrom" className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                  <select
+                    id="settlementFrom"
+                    value={fromMemberId}
+                    onChange={(e) => setFromMemberId(e.target.value)}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    required
+                  >
+                    <option value="">Select member</option>
+                    {members.map(member => (
+                      <option key={member.id} value={member.id}>{member.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label htmlFor="settlementTo" className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                  <select
+                    id="settlementTo"
+                    value={toMemberId}
+                    onChange={(e) => setToMemberId(e.target.value)}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    required
+                  >
+                    <option value="">Select member</option>
+                    {members.map(member => (
+                      <option key={member.id} value={member.id}>{member.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              <div>
+                <label htmlFor="settlementAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    id="settlementAmount"
+                    value={settlementAmount}
+                    onChange={(e) => setSettlementAmount(e.target.value)}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    placeholder="0.00"
+                    min="0.01"
+                    step="0.01"
+                    required
+                  />
+                  <CurrencySelect
+                    id="settlementCurrency"
+                    value={settlementCurrency}
+                    onChange={setSettlementCurrency}
+                    className="mt-1 block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  />
+                </div>
+              </div>
+              <div>
+                <label htmlFor="settlementDate" className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                <input
+                  type="date"
+                  id="settlementDate"
+                  value={settlementDate}
+                  onChange={(e) => setSettlementDate(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  required
+                />
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                >
+                  Record Payment
+                </button>
+              </div>
+            </form>
+          </div>
+        )}
+      </div>
 
-      const updatedExpense = {
-        amount: parseFloat(newAmount),
-        description: newDescription,
-        category: newCategory,
-        type: newIsRecurring ? 'Recurring' : 'One-Off', // Derive type from newIsRecurring
-        date: newDate,
-        isRecurring: newIsRecurring,
-        frequency: newIsRecurring ? newFrequency : '',
-        endDate: newIsRecurring && newEndDate ? newEndDate : '',
-      };
+      {members.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Monthly breakdown */}
+          <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h3 className="text-xl font-bold text-gray-800 mb-4">Balance Changes by Month</h3>
+            {monthlyBalances.length === 0 ? (
+              <p className="text-center text-gray-500 py-4">No shared expenses yet.</p>
+            ) : (
+              <div className="overflow-x-auto max-h-80">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Month</th>
+                      {members.map(member => (
+                        <th key={member.id} className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{member.name}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {monthlyBalances.map(({ month, balances: changes }) => (
+                      <tr key={month}>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{month}</td>
+                        {members.map(member => {
+                          const change = changes.get(member.id) || 0;
+                          return (
+                            <td key={member.id} className={`px-4 py-2 whitespace-nowrap text-sm text-right ${change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                              {formatCurrency(change, baseCurrency, { signDisplay: 'exceptZero' })}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
 
-      const updatedHistory = Array.isArray(expenseToUpdate.history)
-        ? [...expenseToUpdate.history, { ...updatedExpense, timestamp: new Date().toISOString(), changeType: "Update" }]
-        : [{ ...updatedExpense, timestamp: new Date().toISOString(), changeType: "Initial Entry" }];
+          {/* Settlement history */}
+          <div className="bg-white p-6 rounded-xl shadow-lg">
+            <h3 className="text-xl font-bold text-gray-800 mb-4">Payments</h3>
+            {sortedSettlements.length === 0 ? (
+              <p className="text-center text-gray-500 py-4">No payments recorded yet.</p>
+            ) : (
+              <div className="max-h-80 overflow-y-auto">
+                {sortedSettlements.map(settlement => (
+                  <div key={settlement.id} className="flex justify-between items-center bg-gray-50 p-3 rounded-md shadow-sm mb-2 last:mb-0 border border-gray-100">
+                    <div>
+                      <p className="font-medium text-gray-900">{memberName(settlement.fromMemberId)} → {memberName(settlement.toMemberId)}</p>
+                      <p className="text-sm text-gray-500">{settlement.date}</p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <p className="text-indigo-600 font-semibold">{formatCurrency(settlement.amount, settlement.currency)}</p>
+                      <button
+                        onClick={() => deleteSettlement(settlement.id)}
+                        className="text-red-500 hover:text-red-700"
+                        title="Delete Payment"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
 
-      await updateDoc(expenseRef, { ...updatedExpense, history: updatedHistory });
-      setShowEditExpenseModal(false);
-      setSelectedExpenseForEdit(null);
-      setLoading(false);
-      return true;
-    } catch (e) {
-      console.error("Error updating expense: ", e);
-      setError("Failed to update expense.");
-      setLoading(false);
-      return false;
-    }
-  };
+// Categories Page Component
+function CategoriesPage({ categories, expenses, loading, addSuggestedCategories,
+  setShowCategoryModal, setSelectedCategoryForEdit, setShowCategoryDeleteConfirmModal, setCategoryToDelete
+}) {
+  const categoryTree = useMemo(() => buildCategoryTree(categories), [categories]);
 
-  const deleteExpense = async (expenseId) => {
-    if (!db || !userId) {
-      console.error("Firestore or User ID not available.");
-      setError("App not ready. Please wait.");
-      return;
-    }
-    setLoading(true);
-    setError(null);
-    try {
-      const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
-      await deleteDoc(doc(db, `artifacts/${appId}/users/${userId}/expenses`, expenseId));
-      setShowExpenseDeleteConfirmModal(false);
-      setExpenseToDelete(null);
-      setLoading(false);
-    } catch (e) {
-      console.error("Error deleting expense: ", e);
-      setError("Failed to delete expense.");
-      setLoading(false);
-    }
-  };
+  const expenseCounts = useMemo(() => {
+    const counts = {};
+    expenses.forEach(expense => {
+      if (expense.categoryId) counts[expense.categoryId] = (counts[expense.categoryId] || 0) + 1;
+    });
+    return counts;
+  }, [expenses]);
 
+  const renderRow = (category, isChild) => (
+    <div key={category.id} className={`flex justify-between items-center bg-white p-3 rounded-md shadow-sm mb-2 border border-gray-100 ${isChild ? 'ml-8' : ''}`}>
+      <div className="flex items-center gap-3">
+        <CategoryIcon category={category} />
+        <div>
+          <p className="font-medium text-gray-900">{category.name}</p>
+          <p className="text-sm text-gray-500">{expenseCounts[category.id] || 0} expenses</p>
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <button
+          onClick={() => { setSelectedCategoryForEdit(category); setShowCategoryModal(true); }}
+          className="text-blue-500 hover:text-blue-700"
+          title="Edit Category"
+        >
+          <Edit size={18} />
+        </button>
+        <button
+          onClick={() => { setCategoryToDelete(category); setShowCategoryDeleteConfirmModal(true); }}
+          className="text-red-500 hover:text-red-700"
+          title="Delete Category"
+        >
+          <Trash2 size={18} />
+        </button>
+      </div>
+    </div>
+  );
 
-  if (!isAuthReady) {
+  if (loading && categories.length === 0) {
     return (
-      <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-purple-100 to-blue-100 p-4 text-center">
-        <div className="p-8 bg-white rounded-xl shadow-lg animate-pulse">
-          <p className="text-xl font-semibold text-gray-700">Loading application...</p>
-          <p className="text-gray-500 mt-2">Initializing Firebase and authenticating user.</p>
-        </div>
+      <div className="bg-white p-8 rounded-xl shadow-lg text-center text-gray-600 min-h-[300px] flex items-center justify-center">
+        Loading categories...
       </div>
     );
   }
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 font-inter text-gray-800 flex">
-      {/* Sidebar Navigation */}
-      <aside className="w-64 bg-white shadow-xl p-6 flex flex-col min-h-screen rounded-r-xl">
-        <div className="mb-8 text-center">
-          <h1 className="text-3xl font-extrabold text-indigo-700 flex items-center justify-center">
-            <BarChart2 size={30} className="mr-2" /> Net Worth
-          </h1>
+    <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+          <Tags size={28} className="mr-2 text-indigo-500" /> Expense Categories
+        </h2>
+        <button
+          onClick={() => { setSelectedCategoryForEdit(null); setShowCategoryModal(true); }}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-full shadow-md flex items-center transition duration-300"
+        >
+          <Plus size={20} className="mr-2" /> Add Category
+        </button>
+      </div>
+
+      {categoryTree.length === 0 ? (
+        <div className="text-center text-gray-500 py-8">
+          <p className="mb-4">No categories yet. Create your own or start from a suggested set.</p>
+          <button
+            onClick={addSuggestedCategories}
+            className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Add Suggested Categories
+          </button>
         </div>
-        <nav className="flex-1 space-y-3">
-          <NavItem icon={<LayoutDashboard size={20} />} label="Dashboard" page="dashboard" currentPage={currentPage} setCurrentPage={setCurrentPage} />
-          <NavItem icon={<TrendingUp size={20} />} label="Assets" page="assets" currentPage={currentPage} setCurrentPage={setCurrentPage} />
-          <NavItem icon={<History size={20} />} label="Net Worth History" page="history" currentPage={currentPage} setCurrentPage={setCurrentPage} />
-          <NavItem icon={<LineChartIcon size={20} />} label="Projections" page="projections" currentPage={currentPage} setCurrentPage={setCurrentPage} />
-          <NavItem icon={<ReceiptText size={20} />} label="Income/Expenses" page="incomeExpenses" currentPage={currentPage} setCurrentPage={setCurrentPage} />
-          <NavItem icon={<CalendarCheck size={20} />} label="Monthly Overview" page="monthlyOverview" currentPage={currentPage} setCurrentPage={setCurrentPage} />
-        </nav>
-        {userId && (
-          <div className="text-xs text-gray-500 bg-gray-100 p-3 rounded-lg break-all mt-6">
-            User ID: <span className="font-mono text-indigo-600">{userId}</span>
-          </div>
-        )}
-      </aside>
+      ) : (
+        <div className="bg-gray-50 p-5 rounded-lg border border-gray-200">
+          {categoryTree.map(parent => (
+            <div key={parent.id}>
+              {renderRow(parent, false)}
+              {parent.children.map(child => renderRow(child, true))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
 
-      {/* Main Content Area */}
-      <main className="flex-1 p-6 overflow-auto">
-        <header className="bg-white p-6 rounded-xl shadow-lg mb-6 flex items-center justify-between">
-          <h1 className="text-4xl font-extrabold text-indigo-700">
-            {/* Dynamic Page Title based on currentPage */}
-            {currentPage === 'dashboard' && 'Dashboard'}
-            {currentPage === 'assets' && 'Your Assets'}
-            {currentPage === 'history' && 'Net Worth History'}
-            {currentPage === 'projections' && 'Net Worth Projections'}
-            {currentPage === 'incomeExpenses' && 'Income & Expenses'}
-            {currentPage === 'monthlyOverview' && 'Monthly Overview'}
-          </h1>
-        </header>
+// Rules Page Component: auto-categorization rules and re-applying them to existing expenses
+function RulesPage({ categoryRules, categories, expenses, loading, deleteRule, reapplyRules, setShowRuleModal, setSelectedRuleForEdit }) {
+  const [ruleToDelete, setRuleToDelete] = useState(null);
+  const [reapplyPlan, setReapplyPlan] = useState(null); // From planRuleReapply while the confirmation is open
+  const [reapplyMessage, setReapplyMessage] = useState('');
+
+  const sortedRules = useMemo(() => sortRules(categoryRules), [categoryRules]);
+  const matchCounts = useMemo(() => {
+    const counts = {};
+    expenses.forEach(expense => {
+      const rule = findMatchingRule(sortedRules, expense);
+      if (rule) counts[rule.id] = (counts[rule.id] || 0) + 1;
+    });
+    return counts;
+  }, [sortedRules, expenses]);
+
+  const describeCondition = (rule) => {
+    const parts = [];
+    if (rule.pattern) parts.push(`${MATCH_TYPES[rule.matchType]} "${rule.pattern}"`);
+    if (rule.minAmount !== null && rule.maxAmount !== null) parts.push(`amount ${rule.minAmount}–${rule.maxAmount}`);
+    else if (rule.minAmount !== null) parts.push(`amount at least ${rule.minAmount}`);
+    else if (rule.maxAmount !== null) parts.push(`amount up to ${rule.maxAmount}`);
+    return parts.join(' and ');
+  };
 
-        {error && (
-          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">
-            <strong className="font-bold">Error!</strong>
-            <span className="block sm:inline ml-2">{error}</span>
-          </div>
-        )}
+  const describeActions = (rule) => {
+    const parts = [];
+    if (rule.categoryId) parts.push(`category ${getCategoryPath(categories, rule.categoryId)}`);
+    if (rule.description) parts.push(`description "${rule.description}"`);
+    if (rule.isRecurring === true) parts.push(`recurring ${describeFrequency(rule).toLowerCase()}`);
+    if (rule.isRecurring === false) parts.push('one-off');
+    return parts.join(', ');
+  };
 
-        {loading && (
-          <div className="bg-blue-100 border border-blue-400 text-blue-700 px-4 py-3 rounded relative mb-4 flex items-center justify-center">
-            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-blue-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-            </svg>
-            Loading data...
-          </div>
-        )}
-
-        {/* Page Content based on currentPage */}
-        {currentPage === 'dashboard' && (
-          <DashboardPage
-            assets={assets}
-            income={income}
-            expenses={expenses}
-            loading={loading}
-            totalNetWorthEUR={totalNetWorthEUR}
-          />
-        )}
-
-        {currentPage === 'assets' && (
-          <AssetsPage
-            assets={assets}
-            loading={loading}
-            totalNetWorthEUR={totalNetWorthEUR}
-            totalNetWorthUSD={totalNetWorthUSD}
-            totalNetWorthGBP={totalNetWorthGBP}
-            totalNetWorthHUF={totalNetWorthHUF}
-            setShowAddAssetModal={setShowAddAssetModal}
-            setShowUpdateModal={setShowUpdateModal}
-            setSelectedAssetForUpdate={setSelectedAssetForUpdate}
-            setShowContributionModal={setShowContributionModal}
-            setSelectedAssetForContribution={setSelectedAssetForContribution}
-            setShowDeleteConfirmModal={setShowDeleteConfirmModal}
-            setAssetToDelete={setAssetToDelete}
-            setShowAssetDetailsModal={setShowAssetDetailsModal}
-            setSelectedAssetForDetails={setSelectedAssetForDetails}
-            addAsset={addAsset}
-            updateAssetValue={updateAssetValue}
-            addContribution={addContribution}
-            deleteAsset={deleteAsset}
-          />
-        )}
-
-        {currentPage === 'history' && (
-          <NetWorthHistoryChart assets={assets} loading={loading} />
-        )}
-
-        {currentPage === 'projections' && (
-          <NetWorthProjectionChart currentNetWorth={totalNetWorthEUR} loading={loading} />
-        )}
-
-        {currentPage === 'incomeExpenses' && (
-          <IncomeExpensesPage
-            income={income}
-            expenses={expenses}
-            addIncome={addIncome}
-            addExpense={addExpense}
-            updateIncome={updateIncome}
-            updateExpense={updateExpense}
-            deleteIncome={deleteIncome}
-            deleteExpense={deleteExpense}
-            loading={loading}
-            setShowEditIncomeModal={setShowEditIncomeModal}
-            setSelectedIncomeForEdit={setSelectedIncomeForEdit}
-            setShowIncomeDetailsModal={setShowIncomeDetailsModal}
-            setSelectedIncomeForDetails={setSelectedIncomeForDetails}
-            setShowIncomeDeleteConfirmModal={setShowIncomeDeleteConfirmModal}
-            setIncomeToDelete={setIncomeToDelete}
-            setShowEditExpenseModal={setShowEditExpenseModal}
-            setSelectedExpenseForEdit={setSelectedExpenseForEdit}
-            setShowExpenseDetailsModal={setShowExpenseDetailsModal}
-            setSelectedExpenseForDetails={setSelectedExpenseForDetails}
-            setShowExpenseDeleteConfirmModal={setShowExpenseDeleteConfirmModal}
-            setExpenseToDelete={setExpenseToDelete}
-          />
-        )}
+  const handleReapply = async () => {
+    const success = await reapplyRules(reapplyPlan);
+    if (success) {
+      setReapplyMessage(`Updated ${reapplyPlan.length} expenses.`);
+      setReapplyPlan(null);
+    }
+  };
 
-        {currentPage === 'monthlyOverview' && (
-          <MonthlyOverviewPage
-            income={income}
-            expenses={expenses}
-            loading={loading}
-          />
-        )}
-      </main>
+  if (loading && categoryRules.length === 0) {
+    return (
+      <div className="bg-white p-8 rounded-xl shadow-lg text-center text-gray-600 min-h-[300px] flex items-center justify-center">
+        Loading rules...
+      </div>
+    );
+  }
 
-      {/* Modals (can remain at the App level as they are global overlays) */}
-      {showAddAssetModal && (
-        <Modal title="Add New Asset" onClose={() => setShowAddAssetModal(false)}>
-          <AddAssetForm onAdd={addAsset} onClose={() => setShowAddAssetModal(false)} />
-        </Modal>
-      )}
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-2">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+          <Wand2 size={28} className="mr-2 text-indigo-500" /> Categorization Rules
+        </h2>
+        <div className="flex gap-2">
+          <button
+            onClick={() => { setReapplyMessage(''); setReapplyPlan(planRuleReapply(categoryRules, expenses)); }}
+            disabled={categoryRules.length === 0}
+            className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-full text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            Re-apply to Existing Expenses
+          </button>
+          <button
+            onClick={() => { setSelectedRuleForEdit(null); setShowRuleModal(true); }}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-2 px-4 rounded-full shadow-md flex items-center transition duration-300"
+          >
+            <Plus size={20} className="mr-2" /> Add Rule
+          </button>
+        </div>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Rules are tried from top to bottom and the first match wins. They suggest a category when you add an expense and apply automatically to imported statements.
+      </p>
 
-      {showUpdateModal && selectedAssetForUpdate && (
-        <Modal title={`Update Value for ${selectedAssetForUpdate.name}`} onClose={() => setShowUpdateModal(false)}>
-          <UpdateAssetValueForm
-            asset={selectedAssetForUpdate}
-            onUpdate={updateAssetValue}
-            onClose={() => setShowUpdateModal(false)}
-          />
-        </Modal>
+      {reapplyMessage && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative text-sm mb-4" role="status">
+          {reapplyMessage}
+        </div>
       )}
 
-      {showContributionModal && selectedAssetForContribution && (
-        <Modal title={`Add Contribution to ${selectedAssetForContribution.name}`} onClose={() => setShowContributionModal(false)}>
-          <AddContributionForm
-            asset={selectedAssetForContribution}
-            onAddContribution={addContribution}
-            onClose={() => setShowContributionModal(false)}
-          />
-        </Modal>
+      {sortedRules.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">No rules yet. Add one, e.g. descriptions containing "SPAR" go to Groceries.</p>
+      ) : (
+        <div className="bg-gray-50 p-5 rounded-lg border border-gray-200">
+          {sortedRules.map(rule => (
+            <div key={rule.id} className="flex justify-between items-center bg-white p-3 rounded-md shadow-sm mb-2 border border-gray-100">
+              <div>
+                <p className="font-medium text-gray-900">{rule.name}</p>
+                <p className="text-sm text-gray-600">If {describeCondition(rule)}, set {describeActions(rule)}</p>
+                <p className="text-xs text-gray-500">First match for {matchCounts[rule.id] || 0} existing expenses</p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => { setSelectedRuleForEdit(rule); setShowRuleModal(true); }}
+                  className="text-blue-500 hover:text-blue-700"
+                  title="Edit Rule"
+                >
+                  <Edit size={18} />
+                </button>
+                <button
+                  onClick={() => setRuleToDelete(rule)}
+                  className="text-red-500 hover:text-red-700"
+                  title="Delete Rule"
+                >
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
       )}
 
-      {showDeleteConfirmModal && assetToDelete && (
-        <Modal title="Confirm Deletion" onClose={() => setShowDeleteConfirmModal(false)}>
+      {ruleToDelete && (
+        <Modal title="Confirm Rule Deletion" onClose={() => setRuleToDelete(null)}>
           <p className="mb-4 text-center text-gray-700">
-            Are you sure you want to delete the asset: <span className="font-semibold text-indigo-600">{assetToDelete.name}</span>?
-            This action cannot be undone.
+            Are you sure you want to delete the rule: <span className="font-semibold text-indigo-600">{ruleToDelete.name}</span>?
+            Expenses it already changed stay as they are.
           </p>
           <div className="flex justify-center gap-4 mt-6">
             <button
-              onClick={() => {
-                deleteAsset(assetToDelete.id);
-              }}
+              onClick={() => { deleteRule(ruleToDelete.id); setRuleToDelete(null); }}
               className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
             >
               Delete
             </button>
             <button
-              onClick={() => setShowDeleteConfirmModal(false)}
+              onClick={() => setRuleToDelete(null)}
               className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
             >
               Cancel
@@ -1877,143 +3524,3990 @@ function App() {
         </Modal>
       )}
 
-      {/* New Modal for individual asset history details */}
-      {showAssetDetailsModal && selectedAssetForDetails && (
-        <Modal title={`History for ${selectedAssetForDetails.name}`} onClose={() => setShowAssetDetailsModal(false)}>
-          <AssetHistoryDetailsModal asset={selectedAssetForDetails} />
-        </Modal>
-      )}
-
-      {/* Income Edit Modal */}
-      {showEditIncomeModal && selectedIncomeForEdit && (
-        <Modal title={`Edit Income: ${selectedIncomeForEdit.description}`} onClose={() => setShowEditIncomeModal(false)}>
-          <EditIncomeForm
-            incomeItem={selectedIncomeForEdit}
-            onUpdate={updateIncome}
-            onClose={() => setShowEditIncomeModal(false)}
-          />
-        </Modal>
-      )}
-
-      {/* Income Delete Confirmation Modal */}
-      {showIncomeDeleteConfirmModal && incomeToDelete && (
-        <Modal title="Confirm Income Deletion" onClose={() => setShowIncomeDeleteConfirmModal(false)}>
-          <p className="mb-4 text-center text-gray-700">
-            Are you sure you want to delete the income: <span className="font-semibold text-teal-600">{incomeToDelete.description}</span>?
-            This action cannot be undone.
-          </p>
+      {reapplyPlan && (
+        <Modal title="Re-apply Rules to Existing Expenses" onClose={() => setReapplyPlan(null)}>
+          {reapplyPlan.length === 0 ? (
+            <p className="mb-4 text-center text-gray-700">Your expenses already match the rules. Nothing to change.</p>
+          ) : (
+            <>
+              <p className="mb-2 text-gray-700">{reapplyPlan.length} expenses will change:</p>
+              <ul className="max-h-64 overflow-y-auto text-sm divide-y divide-gray-100 mb-4">
+                {reapplyPlan.map(({ expense, rule, changes }) => (
+                  <li key={expense.id} className="py-2">
+                    <span className="font-medium text-gray-900">{expense.description}</span>
+                    <span className="text-gray-500"> ({expense.date}) · {rule.name}: </span>
+                    <span className="text-gray-700">{describeActions({ ...changes, isRecurring: changes.isRecurring ?? (changes.frequency ? true : null) })}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
           <div className="flex justify-center gap-4 mt-6">
+            {reapplyPlan.length > 0 && (
+              <button
+                onClick={handleReapply}
+                disabled={loading}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105 disabled:opacity-50"
+              >
+                Update {reapplyPlan.length} Expenses
+              </button>
+            )}
             <button
-              onClick={() => {
-                deleteIncome(incomeToDelete.id);
-              }}
-              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
-            >
-              Delete
-            </button>
-            <button
-              onClick={() => setShowIncomeDeleteConfirmModal(false)}
+              onClick={() => setReapplyPlan(null)}
               className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
             >
-              Cancel
+              {reapplyPlan.length > 0 ? 'Cancel' : 'Close'}
             </button>
           </div>
         </Modal>
       )}
+    </div>
+  );
+}
 
-      {/* Income History Details Modal */}
-      {showIncomeDetailsModal && selectedIncomeForDetails && (
-        <Modal title="Income Details & History" onClose={() => setShowIncomeDetailsModal(false)}>
-          <TransactionHistoryDetailsModal transaction={selectedIncomeForDetails} />
-        </Modal>
-      )}
+// Exchange Rates Page Component
+function ExchangeRatesPage({ exchangeRates, rateHistory, loading, saveExchangeRate, importExchangeRates, deleteExchangeRate }) {
+  const foreignCurrencies = Object.keys(CURRENCIES).filter(code => code !== DEFAULT_CURRENCY);
+  const [rateDate, setRateDate] = useState(new Date().toISOString().split('T')[0]);
+  const [rateCurrency, setRateCurrency] = useState(foreignCurrencies[0]);
+  const [rateValue, setRateValue] = useState('');
+  const [formError, setFormError] = useState('');
+  const [importPreview, setImportPreview] = useState(null); // { fileName, rateDocs, skippedRows }
+  const [importError, setImportError] = useState('');
+  const [currencyFilter, setCurrencyFilter] = useState('All');
+
+  const MAX_ROWS = 100;
+  const currentRates = getRatesOn(rateHistory);
+
+  // Flatten the per-date documents into one row per rate, newest first
+  const rateRows = useMemo(() => {
+    const rows = [];
+    exchangeRates.forEach(({ date, rates }) => {
+      Object.entries(rates || {}).forEach(([currency, rate]) => {
+        if (currencyFilter === 'All' || currencyFilter === currency) {
+          rows.push({ date, currency, rate });
+        }
+      });
+    });
+    return rows.sort((a, b) => b.date.localeCompare(a.date) || a.currency.localeCompare(b.currency));
+  }, [exchangeRates, currencyFilter]);
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    const rate = parseFloat(rateValue);
+    if (!rateDate || isNaN(rate) || rate <= 0) {
+      setFormError('Date and a positive rate are required.');
+      return;
+    }
+    const success = await saveExchangeRate(rateDate, rateCurrency, rate);
+    if (success) {
+      setRateValue('');
+    }
+  };
 
-      {/* Expense Edit Modal */}
-      {showEditExpenseModal && selectedExpenseForEdit && (
-        <Modal title={`Edit Expense: ${selectedExpenseForEdit.description}`} onClose={() => setShowEditExpenseModal(false)}>
-          <EditExpenseForm
-            expenseItem={selectedExpenseForEdit}
-            onUpdate={updateExpense}
-            onClose={() => setShowEditExpenseModal(false)}
-          />
-        </Modal>
-      )}
+  const handleFileChange = async (e) => {
+    setImportError('');
+    setImportPreview(null);
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const { rateDocs, skippedRows } = parseExchangeRatesCsv(await file.text());
+      if (rateDocs.length === 0) {
+        setImportError(`No rates for ${foreignCurrencies.join(', ')} were found in the file.`);
+        return;
+      }
+      setImportPreview({ fileName: file.name, rateDocs, skippedRows });
+    } catch (err) {
+      setImportError(`Could not read the file: ${err.message}`);
+    }
+    e.target.value = ''; // Allow picking the same file again
+  };
 
-      {/* Expense Delete Confirmation Modal */}
-      {showExpenseDeleteConfirmModal && expenseToDelete && (
-        <Modal title="Confirm Expense Deletion" onClose={() => setShowExpenseDeleteConfirmModal(false)}>
-          <p className="mb-4 text-center text-gray-700">
-            Are you sure you want to delete the expense: <span className="font-semibold text-red-600">{expenseToDelete.description}</span>?
-            This action cannot be undone.
-          </p>
-          <div className="flex justify-center gap-4 mt-6">
-            <button
-              onClick={() => {
-                deleteExpense(expenseToDelete.id);
-              }}
-              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
-            >
-              Delete
-            </button>
-            <button
-              onClick={() => setShowExpenseDeleteConfirmModal(false)}
-              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
-            >
-              Cancel
-            </button>
-          </div>
-        </Modal>
-      )}
+  const handleImport = async () => {
+    const success = await importExchangeRates(importPreview.rateDocs);
+    if (success) {
+      setImportPreview(null);
+    }
+  };
 
-      {/* Expense History Details Modal */}
-      {showExpenseDetailsModal && selectedExpenseForDetails && (
-        <Modal title="Expense Details & History" onClose={() => setShowExpenseDetailsModal(false)}>
-          <TransactionHistoryDetailsModal transaction={selectedExpenseForDetails} />
-        </Modal>
+  if (loading && exchangeRates.length === 0) {
+    return (
+      <div className="bg-white p-8 rounded-xl shadow-lg text-center text-gray-600 min-h-[300px] flex items-center justify-center">
+        Loading exchange rates...
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-6 w-full">
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+          <ArrowLeftRight size={28} className="mr-2 text-indigo-500" /> Exchange Rates
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Rates are units of each currency per 1 {DEFAULT_CURRENCY}. Conversions use the latest rate on or before each date;
+          currencies without any stored rate fall back to built-in example rates.
+        </p>
+
+        {/* Current rates */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-8 text-center">
+          {foreignCurrencies.map(code => (
+            <div key={code} className="bg-indigo-50 p-4 rounded-lg shadow-sm border border-indigo-200">
+              <p className="text-sm font-medium text-indigo-700">1 {DEFAULT_CURRENCY} =</p>
+              <p className="text-2xl font-bold text-indigo-800">{currentRates[code].toLocaleString('en-US', { maximumFractionDigits: 4 })} {code}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {rateHistory.has(code) ? `Since ${rateHistory.get(code)[rateHistory.get(code).length - 1].date}` : 'Default rate'}
+              </p>
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Manual entry */}
+          <form onSubmit={handleSubmit} className="bg-gray-50 p-5 rounded-lg border border-gray-200 space-y-4">
+            <h3 className="text-xl font-semibold text-gray-800">Add Rate</h3>
+            {formError && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+                {formError}
+              </div>
+            )}
+            <div>
+              <label htmlFor="rateDate" className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input
+                type="date"
+                id="rateDate"
+                value={rateDate}
+                onChange={(e) => setRateDate(e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                required
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="rateCurrency" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                <select
+                  id="rateCurrency"
+                  value={rateCurrency}
+                  onChange={(e) => setRateCurrency(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                >
+                  {foreignCurrencies.map(code => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="rateValue" className="block text-sm font-medium text-gray-700 mb-1">Rate per 1 {DEFAULT_CURRENCY}</label>
+                <input
+                  type="number"
+                  id="rateValue"
+                  value={rateValue}
+                  onChange={(e) => setRateValue(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  placeholder={currentRates[rateCurrency].toString()}
+                  min="0"
+                  step="any"
+                  required
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+              >
+                Save Rate
+              </button>
+            </div>
+          </form>
+
+          {/* CSV import */}
+          <div className="bg-gray-50 p-5 rounded-lg border border-gray-200 space-y-4">
+            <h3 className="text-xl font-semibold text-gray-800">Import CSV</h3>
+            <p className="text-sm text-gray-600">
+              Accepts ECB reference rate files (a Date column followed by one column per currency) or rows of date, currency, rate.
+              Existing rates on the same dates are overwritten.
+            </p>
+            <label className="inline-flex items-center cursor-pointer bg-white border border-gray-300 rounded-md px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-100 shadow-sm">
+              <Upload size={18} className="mr-2" /> Choose CSV File
+              <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+            </label>
+            {importError && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+                {importError}
+              </div>
+            )}
+            {importPreview && (
+              <div className="bg-white p-4 rounded-md border border-gray-200 text-sm text-gray-700 space-y-2">
+                <p className="font-medium">{importPreview.fileName}</p>
+                <p>
+                  {importPreview.rateDocs.length} dates from {importPreview.rateDocs[0].date} to {importPreview.rateDocs[importPreview.rateDocs.length - 1].date}
+                </p>
+                <p>
+                  Currencies: {Array.from(new Set(importPreview.rateDocs.flatMap(doc => Object.keys(doc.rates)))).join(', ')}
+                </p>
+                {importPreview.skippedRows > 0 && <p className="text-orange-600">{importPreview.skippedRows} rows without a valid date were skipped.</p>}
+                <div className="flex justify-end gap-3">
+                  <button
+                    type="button"
+                    onClick={() => setImportPreview(null)}
+                    className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleImport}
+                    className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700"
+                  >
+                    Import {importPreview.rateDocs.length} Dates
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Stored rates */}
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-xl font-bold text-gray-800">Stored Rates</h3>
+          <select
+            value={currencyFilter}
+            onChange={(e) => setCurrencyFilter(e.target.value)}
+            className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            aria-label="Filter by currency"
+          >
+            <option value="All">All Currencies</option>
+            {foreignCurrencies.map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+        {rateRows.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">No exchange rates stored yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Currency</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rate per 1 {DEFAULT_CURRENCY}</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {rateRows.slice(0, MAX_ROWS).map(row => (
+                  <tr key={`${row.date}-${row.currency}`}>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{row.date}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{row.currency}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{row.rate.toLocaleString('en-US', { maximumFractionDigits: 6 })}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-right">
+                      <button
+                        onClick={() => deleteExchangeRate(row.date, row.currency)}
+                        className="text-red-500 hover:text-red-700"
+                        title="Delete Rate"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rateRows.length > MAX_ROWS && (
+              <p className="text-center text-gray-500 text-sm mt-2">Showing the latest {MAX_ROWS} of {rateRows.length} rates.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+
+// Prices Page Component: closing prices that value holdings-based assets
+function PricesPage({ prices, assets, priceHistory, loading, savePrice, importPrices, deletePrice }) {
+  const [priceDate, setPriceDate] = useState(new Date().toISOString().split('T')[0]);
+  const [priceSymbol, setPriceSymbol] = useState('');
+  const [priceValue, setPriceValue] = useState('');
+  const [formError, setFormError] = useState('');
+  const [importPreview, setImportPreview] = useState(null); // { fileName, priceDocs, skippedRows }
+  const [importError, setImportError] = useState('');
+
+  const MAX_ROWS = 100;
+  const heldSymbols = Array.from(new Set(assets.filter(hasHoldings).flatMap(asset => asset.holdings.map(lot => lot.symbol)))).sort();
+  const symbols = Array.from(new Set([...heldSymbols, ...priceHistory.keys()])).sort();
+
+  // One row per price, newest first
+  const priceRows = useMemo(() => prices
+    .flatMap(({ date, prices: closes }) => Object.entries(closes || {}).map(([symbol, close]) => ({ date, symbol, close })))
+    .sort((a, b) => b.date.localeCompare(a.date) || a.symbol.localeCompare(b.symbol)), [prices]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    const symbol = normalizeSymbol(priceSymbol);
+    const close = parseFloat(priceValue);
+    if (!priceDate || !symbol || isNaN(close) || close <= 0) {
+      setFormError('Date, symbol and a positive closing price are required.');
+      return;
+    }
+    if (await savePrice(priceDate, symbol, close)) {
+      setPriceValue('');
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    setImportError('');
+    setImportPreview(null);
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const { priceDocs, skippedRows } = parsePricesCsv(await file.text());
+      if (priceDocs.length === 0) {
+        setImportError('No prices were found in the file.');
+        return;
+      }
+      setImportPreview({ fileName: file.name, priceDocs, skippedRows });
+    } catch (err) {
+      setImportError(`Could not read the file: ${err.message}`);
+    }
+    e.target.value = ''; // Allow picking the same file again
+  };
+
+  const handleImport = async () => {
+    if (await importPrices(importPreview.priceDocs)) {
+      setImportPreview(null);
+    }
+  };
+
+  return (
+    <div className="flex flex-col gap-6 w-full">
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+          <BarChart2 size={28} className="mr-2 text-indigo-500" /> Prices
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Closing prices value the holdings of investment assets that track holdings, in each asset's own currency.
+          Saving or importing prices records a valuation on each date for the assets holding those symbols.
+        </p>
+
+        {/* Latest prices of held symbols */}
+        {heldSymbols.length > 0 && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8 text-center">
+            {heldSymbols.map(symbol => {
+              const entries = priceHistory.get(symbol) || [];
+              return (
+                <div key={symbol} className="bg-indigo-50 p-4 rounded-lg shadow-sm border border-indigo-200">
+                  <p className="text-sm font-medium text-indigo-700">{symbol}</p>
+                  <p className="text-2xl font-bold text-indigo-800">
+                    {entries.length > 0 ? entries[entries.length - 1].close.toLocaleString('en-US', { maximumFractionDigits: 4 }) : '—'}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">{entries.length > 0 ? entries[entries.length - 1].date : 'No price yet'}</p>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Manual entry */}
+          <form onSubmit={handleSubmit} className="bg-gray-50 p-5 rounded-lg border border-gray-200 space-y-4">
+            <h3 className="text-xl font-semibold text-gray-800">Add Price</h3>
+            {formError && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+                {formError}
+              </div>
+            )}
+            <div>
+              <label htmlFor="priceDate" className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+              <input
+                type="date"
+                id="priceDate"
+                value={priceDate}
+                onChange={(e) => setPriceDate(e.target.value)}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                required
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="priceSymbol" className="block text-sm font-medium text-gray-700 mb-1">Symbol</label>
+                <input
+                  type="text"
+                  id="priceSymbol"
+                  list="priceSymbolOptions"
+                  value={priceSymbol}
+                  onChange={(e) => setPriceSymbol(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  placeholder="VWCE"
+                  required
+                />
+                <datalist id="priceSymbolOptions">
+                  {symbols.map(symbol => <option key={symbol} value={symbol} />)}
+                </datalist>
+              </div>
+              <div>
+                <label htmlFor="priceValue" className="block text-sm font-medium text-gray-700 mb-1">Closing Price</label>
+                <input
+                  type="number"
+                  id="priceValue"
+                  value={priceValue}
+                  onChange={(e) => setPriceValue(e.target.value)}
+                  className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  min="0"
+                  step="any"
+                  required
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <button
+                type="submit"
+                disabled={loading}
+                className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                Save Price
+              </button>
+            </div>
+          </form>
+
+          {/* CSV import */}
+          <div className="bg-gray-50 p-5 rounded-lg border border-gray-200 space-y-4">
+            <h3 className="text-xl font-semibold text-gray-800">Import CSV</h3>
+            <p className="text-sm text-gray-600">
+              Accepts a Date column followed by one column per symbol, or rows of date, symbol, close. Dates must be YYYY-MM-DD.
+              Existing prices on the same dates are overwritten.
+            </p>
+            <label className="inline-flex items-center cursor-pointer bg-white border border-gray-300 rounded-md px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-100 shadow-sm">
+              <Upload size={18} className="mr-2" /> Choose CSV File
+              <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+            </label>
+            {importError && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+                {importError}
+              </div>
+            )}
+            {importPreview && (
+              <div className="bg-white p-4 rounded-md border border-gray-200 text-sm text-gray-700 space-y-2">
+                <p className="font-medium">{importPreview.fileName}</p>
+                <p>
+                  {importPreview.priceDocs.length} dates from {importPreview.priceDocs[0].date} to {importPreview.priceDocs[importPreview.priceDocs.length - 1].date}
+                </p>
+                <p>
+                  Symbols: {Array.from(new Set(importPreview.priceDocs.flatMap(doc => Object.keys(doc.prices)))).join(', ')}
+                </p>
+                {importPreview.skippedRows > 0 && <p className="text-orange-600">{importPreview.skippedRows} rows without a valid date were skipped.</p>}
+                <div className="flex justify-end gap-3">
+                  <button
+                    type="button"
+                    onClick={() => setImportPreview(null)}
+                    className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleImport}
+                    disabled={loading}
+                    className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    Import {importPreview.priceDocs.length} Dates
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Stored prices */}
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <h3 className="text-xl font-bold text-gray-800 mb-4">Stored Prices</h3>
+        {priceRows.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">No prices stored yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Symbol</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Close</th>
+                  <th className="px-4 py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {priceRows.slice(0, MAX_ROWS).map(row => (
+                  <tr key={`${row.date}-${row.symbol}`}>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{row.date}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-600">{row.symbol}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{row.close.toLocaleString('en-US', { maximumFractionDigits: 6 })}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-right">
+                      <button
+                        onClick={() => deletePrice(row.date, row.symbol)}
+                        className="text-red-500 hover:text-red-700"
+                        title="Delete Price"
+                      >
+                        <Trash2 size={18} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {priceRows.length > MAX_ROWS && (
+              <p className="text-center text-gray-500 text-sm mt-2">Showing the latest {MAX_ROWS} of {priceRows.length} prices.</p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+
+// Trash Page Component: restore soft-deleted items or delete them for good
+function TrashPage({ trash, loading, restoreTrashItem, purgeTrashItems }) {
+  const [showEmptyConfirm, setShowEmptyConfirm] = useState(false);
+  const sortedTrash = useMemo(() => [...trash].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)), [trash]);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+      <div className="flex justify-between items-center mb-2">
+        <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+          <Trash2 size={28} className="mr-2 text-gray-500" /> Trash
+        </h2>
+        {trash.length > 0 && (
+          <button
+            onClick={() => setShowEmptyConfirm(true)}
+            className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-full text-red-600 bg-white hover:bg-red-50"
+          >
+            Empty Trash
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Deleted assets, liabilities, income and expenses stay here for {TRASH_RETENTION_DAYS} days, with their full history, before they are removed for good.
+      </p>
+
+      {sortedTrash.length === 0 ? (
+        <p className="text-center text-gray-500 py-8">The trash is empty.</p>
+      ) : (
+        <div className="bg-gray-50 p-5 rounded-lg border border-gray-200">
+          {sortedTrash.map(entry => (
+            <div key={entry.id} className="flex justify-between items-center bg-white p-3 rounded-md shadow-sm mb-2 border border-gray-100">
+              <div>
+                <p className="font-medium text-gray-900">
+                  <span className="text-xs font-semibold uppercase text-gray-500 mr-2">{TRASH_COLLECTIONS[entry.collection] || entry.collection}</span>
+                  {describeTrashItem(entry)}
+                </p>
+                <p className="text-sm text-gray-500">
+                  Deleted {new Date(entry.deletedAt).toLocaleString()} · removed for good in {getDaysLeft(entry)} days
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => restoreTrashItem(entry)}
+                  disabled={loading}
+                  className="flex items-center py-1 px-3 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <Undo2 size={16} className="mr-1" /> Restore
+                </button>
+                <button
+                  onClick={() => purgeTrashItems([entry.id])}
+                  disabled={loading}
+                  className="text-red-500 hover:text-red-700 disabled:opacity-50"
+                  title="Delete Forever"
+                >
+                  <Trash2 size={18} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showEmptyConfirm && (
+        <Modal title="Empty Trash" onClose={() => setShowEmptyConfirm(false)}>
+          <p className="mb-4 text-center text-gray-700">
+            Delete all {trash.length} items in the trash for good? This action cannot be undone.
+          </p>
+          <div className="flex justify-center gap-4 mt-6">
+            <button
+              onClick={() => { purgeTrashItems(trash.map(entry => entry.id)); setShowEmptyConfirm(false); }}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Delete Forever
+            </button>
+            <button
+              onClick={() => setShowEmptyConfirm(false)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Cancel
+            </button>
+          </div>
+        </Modal>
+      )}
+    </div>
+  );
+}
+
+// Backup Page Component: export everything to one JSON file and restore it
+function BackupPage({ backupData, loading, restoreBackup }) {
+  const [restoreFile, setRestoreFile] = useState(null); // { fileName, backup }
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [restoreErrors, setRestoreErrors] = useState([]);
+  const [restoreMessage, setRestoreMessage] = useState('');
+
+  const plan = useMemo(() => (
+    restoreFile ? planRestore(restoreFile.backup, backupData, restoreMode) : null
+  ), [restoreFile, backupData, restoreMode]);
+
+  const handleExport = () => {
+    const backup = createBackup(backupData);
+    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kiadas-backup-${backup.exportedAt.split('T')[0]}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFileChange = async (e) => {
+    setRestoreErrors([]);
+    setRestoreMessage('');
+    setRestoreFile(null);
+    const file = e.target.files[0];
+    if (!file) return;
+    const { backup, errors } = parseBackup(await file.text());
+    e.target.value = ''; // Allow picking the same file again
+    if (errors.length > 0) {
+      setRestoreErrors(errors);
+      return;
+    }
+    setRestoreFile({ fileName: file.name, backup });
+  };
+
+  const handleRestore = async () => {
+    const success = await restoreBackup(plan);
+    if (success) {
+      setRestoreMessage(`Restored ${restoreFile.fileName}.`);
+      setRestoreFile(null);
+    }
+  };
+
+  const collectionLabel = (name) => name.replace(/([A-Z])/g, ' $1').replace(/^./, letter => letter.toUpperCase());
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+          <Download size={28} className="mr-2 text-teal-500" /> Export Backup
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Downloads all your data, including asset value history, contributions and the change history of income and expenses, as one JSON file.
+          Keep it somewhere safe: if this browser loses its sign-in, the backup is the only way to get your data back.
+        </p>
+        <ul className="text-sm text-gray-700 grid grid-cols-2 md:grid-cols-5 gap-2 mb-4">
+          {BACKUP_COLLECTIONS.map(name => (
+            <li key={name}>{collectionLabel(name)}: <span className="font-semibold">{backupData[name].length}</span></li>
+          ))}
+        </ul>
+        <button
+          onClick={handleExport}
+          className="flex items-center bg-teal-600 hover:bg-teal-700 text-white font-semibold py-2 px-4 rounded-full shadow-md transition duration-300 ease-in-out transform hover:scale-105"
+        >
+          <Download size={20} className="mr-2" /> Download Backup
+        </button>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+          <Upload size={28} className="mr-2 text-teal-500" /> Restore Backup
+        </h2>
+        <p className="text-sm text-gray-600 mb-4">Choose a backup file to see what would change. Nothing is written until you confirm.</p>
+        <label className="inline-flex items-center cursor-pointer bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 font-medium py-2 px-4 rounded-md shadow-sm mb-4">
+          <Upload size={18} className="mr-2" /> Choose Backup File
+          <input type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+        </label>
+
+        {restoreErrors.length > 0 && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm mb-4" role="alert">
+            <p className="font-semibold">This file can't be restored:</p>
+            <ul className="list-disc list-inside">
+              {restoreErrors.slice(0, 10).map(message => <li key={message}>{message}</li>)}
+              {restoreErrors.length > 10 && <li>…and {restoreErrors.length - 10} more problems</li>}
+            </ul>
+          </div>
+        )}
+
+        {restoreMessage && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded relative text-sm mb-4" role="status">
+            {restoreMessage}
+          </div>
+        )}
+
+        {restoreFile && plan && (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              {restoreFile.fileName}: version {restoreFile.backup.version} backup
+              {restoreFile.backup.exportedAt && ` exported ${new Date(restoreFile.backup.exportedAt).toLocaleString()}`}.
+            </p>
+            <div className="flex flex-wrap gap-4">
+              {Object.entries(RESTORE_MODES).map(([mode, label]) => (
+                <label key={mode} className="flex items-center text-sm text-gray-900">
+                  <input
+                    type="radio"
+                    name="restoreMode"
+                    value={mode}
+                    checked={restoreMode === mode}
+                    onChange={() => setRestoreMode(mode)}
+                    className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 mr-2"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+            <div className="overflow-x-auto border border-gray-200 rounded-md">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Collection</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Added</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Overwritten</th>
+                    <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {BACKUP_COLLECTIONS.map(name => (
+                    <tr key={name}>
+                      <td className="px-3 py-2 text-gray-900">{collectionLabel(name)}</td>
+                      <td className="px-3 py-2 text-right text-green-600">{plan[name].added}</td>
+                      <td className="px-3 py-2 text-right text-gray-700">{plan[name].updated}</td>
+                      <td className={`px-3 py-2 text-right ${plan[name].deleted > 0 ? 'text-red-600 font-semibold' : 'text-gray-700'}`}>{plan[name].deleted}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {restoreMode === 'replace' && (
+              <p className="text-sm text-red-600">Replace deletes everything that is not in the backup. Export a backup of your current data first if you may need it.</p>
+            )}
+            <div className="flex justify-end gap-3">
+              <button
+                type="button"
+                onClick={() => setRestoreFile(null)}
+                className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleRestore}
+                disabled={loading}
+                className={`inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white disabled:opacity-50 ${restoreMode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-teal-600 hover:bg-teal-700'}`}
+              >
+                {restoreMode === 'replace' ? 'Replace My Data' : 'Merge Backup'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Asset allocation by class against target percentages, with rebalancing suggestions
+function AllocationPage({ assets, allocationTargets, baseCurrency, toBaseCurrency, loading, saveAllocationTargets, updateAssetClass }) {
+  const rows = useMemo(
+    () => calculateAllocation(assets, toBaseCurrency, allocationTargets),
+    [assets, toBaseCurrency, allocationTargets]
+  );
+  const hasTargets = Object.keys(allocationTargets).length > 0;
+  // Target inputs as strings, one per class with assets or a target
+  const [draftTargets, setDraftTargets] = useState(() => Object.fromEntries(rows.map(row => [
+    row.assetClass, allocationTargets[row.assetClass] !== undefined ? String(allocationTargets[row.assetClass]) : '',
+  ])));
+  const [newClass, setNewClass] = useState('');
+  const [contributionAmount, setContributionAmount] = useState('');
+  const [formError, setFormError] = useState('');
+
+  const draftTotal = Object.values(draftTargets).reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+  const knownClasses = Array.from(new Set([...rows.map(row => row.assetClass), ...Object.keys(draftTargets)]));
+  const suggestion = suggestContribution(rows, parseFloat(contributionAmount));
+  const trades = rows.filter(row => row.difference);
+  const chartData = rows.filter(row => row.value > 0).map(row => ({ name: row.assetClass, value: row.value }));
+
+  const handleAddClass = (e) => {
+    e.preventDefault();
+    const name = newClass.trim();
+    if (!name || draftTargets[name] !== undefined) return;
+    setDraftTargets({ ...draftTargets, [name]: '' });
+    setNewClass('');
+  };
+
+  const handleSaveTargets = async () => {
+    const filled = Object.entries(draftTargets).filter(([, value]) => value !== '');
+    const targets = Object.fromEntries(filled.map(([assetClass, value]) => [assetClass, parseFloat(value)]));
+    const problem = validateTargets(targets);
+    if (problem) {
+      setFormError(problem);
+      return;
+    }
+    setFormError('');
+    await saveAllocationTargets(targets);
+  };
+
+  return (
+    <div className="flex flex-col gap-6">
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+          <PieChartIcon size={28} className="mr-2 text-indigo-500" /> Asset Allocation
+        </h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Current value of your assets by class, in {baseCurrency}. An asset's class is its type unless you give it one below.
+        </p>
+
+        {assets.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">Add assets to see how your portfolio is split.</p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-gray-50 p-5 rounded-lg border border-gray-200">
+              {chartData.length > 0 ? (
+                <ResponsiveContainer width="100%" height={300}>
+                  <PieChart>
+                    <Pie
+                      data={chartData}
+                      cx="50%"
+                      cy="50%"
+                      labelLine={false}
+                      outerRadius={100}
+                      fill="#8884d8"
+                      dataKey="value"
+                      label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
+                    >
+                      {chartData.map((entry, index) => (
+                        <Cell key={`cell-${index}`} fill={ALLOCATION_COLORS[index % ALLOCATION_COLORS.length]} />
+                      ))}
+                    </Pie>
+                    <Tooltip formatter={(value) => formatCurrency(value, baseCurrency)} />
+                    <Legend />
+                  </PieChart>
+                </ResponsiveContainer>
+              ) : (
+                <p className="text-center text-gray-500 py-4">Your assets have no value yet.</p>
+              )}
+            </div>
+
+            <div className="bg-gray-50 p-5 rounded-lg border border-gray-200">
+              <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
+                <Target size={24} className="mr-2 text-indigo-500" /> Targets
+              </h3>
+              {formError && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm mb-4" role="alert">
+                  {formError}
+                </div>
+              )}
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead>
+                  <tr>
+                    <th className="px-2 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Class</th>
+                    <th className="px-2 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Value</th>
+                    <th className="px-2 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Current</th>
+                    <th className="px-2 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Target %</th>
+                    <th className="px-2 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Drift</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {knownClasses.map(assetClass => {
+                    const row = rows.find(item => item.assetClass === assetClass);
+                    const drift = row ? row.drift : null;
+                    const driftColor = drift !== null && Math.abs(drift) > DRIFT_TOLERANCE ? 'text-orange-600 font-semibold' : 'text-gray-600';
+                    return (
+                      <tr key={assetClass}>
+                        <td className="px-2 py-2 text-gray-900">{assetClass}</td>
+                        <td className="px-2 py-2 text-right text-gray-900">{formatCurrency(row ? row.value : 0, baseCurrency)}</td>
+                        <td className="px-2 py-2 text-right text-gray-600">{(row ? row.percent : 0).toFixed(1)}%</td>
+                        <td className="px-2 py-2 text-right">
+                          <input
+                            type="number"
+                            value={draftTargets[assetClass] ?? ''}
+                            onChange={(e) => setDraftTargets({ ...draftTargets, [assetClass]: e.target.value })}
+                            className="w-20 px-2 py-1 border border-gray-300 rounded-md text-right focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                            min="0"
+                            max="100"
+                            step="0.1"
+                            aria-label={`Target for ${assetClass}`}
+                          />
+                        </td>
+                        <td className={`px-2 py-2 text-right ${driftColor}`}>
+                          {drift === null ? '—' : `${drift > 0 ? '+' : ''}${drift.toFixed(1)} pp`}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <form onSubmit={handleAddClass} className="flex gap-2 mt-4">
+                <input
+                  type="text"
+                  value={newClass}
+                  onChange={(e) => setNewClass(e.target.value)}
+                  className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder="Add a class without assets yet, e.g. Gold"
+                />
+                <button type="submit" className="flex items-center py-1 px-3 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">
+                  <Plus size={16} className="mr-1" /> Add Class
+                </button>
+              </form>
+              <div className="flex justify-between items-center mt-4">
+                <p className={`text-sm ${Math.abs(draftTotal - 100) > 0.01 && draftTotal > 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                  Total: {Math.round(draftTotal * 100) / 100}%
+                </p>
+                <button
+                  onClick={handleSaveTargets}
+                  disabled={loading}
+                  className="py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  Save Targets
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {hasTargets && assets.length > 0 && (
+        <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+          <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
+            <ArrowLeftRight size={28} className="mr-2 text-teal-500" /> Rebalancing
+          </h2>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-gray-50 p-5 rounded-lg border border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">Split Your Next Contribution</h3>
+              <p className="text-sm text-gray-500 mb-4">Puts new money into the classes furthest below target, without selling anything.</p>
+              <label htmlFor="allocationContribution" className="block text-sm font-medium text-gray-700 mb-1">Amount ({baseCurrency})</label>
+              <input
+                type="number"
+                id="allocationContribution"
+                value={contributionAmount}
+                onChange={(e) => setContributionAmount(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm mb-4"
+                placeholder="0.00"
+                min="0.01"
+                step="0.01"
+              />
+              {Object.keys(suggestion).length > 0 && (
+                <ul className="space-y-1 text-sm">
+                  {Object.entries(suggestion).map(([assetClass, amount]) => (
+                    <li key={assetClass} className="flex justify-between bg-white p-2 rounded-md border border-gray-100">
+                      <span className="text-gray-700">{assetClass}</span>
+                      <span className="font-semibold text-green-700">{formatCurrency(amount, baseCurrency)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className="bg-gray-50 p-5 rounded-lg border border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">Trades Back to Target</h3>
+              <p className="text-sm text-gray-500 mb-4">What to buy and sell today to match the targets exactly.</p>
+              {trades.length === 0 ? (
+                <p className="text-center text-gray-500 py-4">You are on target.</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {trades.map(row => (
+                    <li key={row.assetClass} className="flex justify-between bg-white p-2 rounded-md border border-gray-100">
+                      <span className="text-gray-700">{row.difference > 0 ? 'Buy' : 'Sell'} {row.assetClass}</span>
+                      <span className={`font-semibold ${row.difference > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                        {formatCurrency(Math.abs(row.difference), baseCurrency)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {assets.length > 0 && (
+        <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+          <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+            <Tag size={28} className="mr-2 text-indigo-500" /> Asset Classes
+          </h2>
+          <p className="text-sm text-gray-500 mb-4">Leave the class blank to group an asset by its type.</p>
+          <datalist id="assetClassOptions">
+            {knownClasses.map(assetClass => <option key={assetClass} value={assetClass} />)}
+          </datalist>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            {assets.map(asset => (
+              <div key={asset.id} className="flex items-center justify-between gap-3 bg-gray-50 p-3 rounded-md border border-gray-200">
+                <div>
+                  <p className="font-medium text-gray-900">{asset.name}</p>
+                  <p className="text-xs text-gray-500">Type: {asset.type} · Class: {getAssetClass(asset)}</p>
+                </div>
+                <input
+                  type="text"
+                  list="assetClassOptions"
+                  defaultValue={asset.assetClass || ''}
+                  onBlur={(e) => {
+                    const assetClass = e.target.value.trim();
+                    if (assetClass !== (asset.assetClass || '')) updateAssetClass(asset.id, assetClass);
+                  }}
+                  className="w-40 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
+                  placeholder={asset.type}
+                  aria-label={`Class of ${asset.name}`}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Says whether an FI input uses the projection assumption or overrides it on this page
+const AssumptionNote = ({ overridden, saved, onReset }) => (
+  overridden ? (
+    <p className="text-xs text-orange-600 mt-1">
+      Overridden on this page (projections use {saved}%).{' '}
+      <button type="button" onClick={onReset} className="underline hover:text-orange-800">Reset</button>
+    </p>
+  ) : (
+    <p className="text-xs text-gray-500 mt-1">From the projection assumptions.</p>
+  )
+);
+
+// Financial independence calculator: how far net worth is from covering a year of expenses.
+// Expected return and inflation come from the saved projection assumptions; changing
+// them here only overrides them on this page.
+function FirePage({ assets, liabilities, income, expenses, totalNetWorth, projectionAssumptions, baseCurrency, toBaseCurrency, loading }) {
+  const [withdrawalRate, setWithdrawalRate] = useState(DEFAULT_WITHDRAWAL_RATE);
+  const [returnOverride, setReturnOverride] = useState(null); // Input string, or null for the projection assumption
+  const [inflationOverride, setInflationOverride] = useState(null);
+  const expectedReturn = returnOverride === null ? projectionAssumptions.expectedReturn : parseFloat(returnOverride);
+  const inflationRate = inflationOverride === null ? projectionAssumptions.inflationRate : parseFloat(inflationOverride);
+  const [monthlyContribution, setMonthlyContribution] = useState(''); // Blank: income minus expenses
+  const [leanShare, setLeanShare] = useState(DEFAULT_LEAN_SHARE);
+  const [yearsToRetirement, setYearsToRetirement] = useState(20);
+
+  const today = new Date().toISOString().split('T')[0];
+  const annualExpenses = useMemo(() => getAnnualExpenses(expenses, today, toBaseCurrency), [expenses, today, toBaseCurrency]);
+  // Average monthly savings over the last year, used unless a contribution is entered
+  const averageSavings = useMemo(() => getTrailingAverage(income, expenses, 12, today, toBaseCurrency), [income, expenses, today, toBaseCurrency]);
+  const contribution = monthlyContribution === '' ? Math.max(0, averageSavings) : parseFloat(monthlyContribution) || 0;
+  const realReturn = getRealReturn(expectedReturn || 0, inflationRate || 0);
+
+  const fiNumber = getFiNumber(annualExpenses, withdrawalRate);
+  const leanFiNumber = getFiNumber((annualExpenses * (leanShare || 0)) / 100, withdrawalRate);
+  const coastFiNumber = fiNumber === null ? null : getCoastFiNumber(fiNumber, realReturn, yearsToRetirement || 0);
+  const monthsToTarget = (target) => (target === null ? null : getMonthsToTarget({
+    startValue: totalNetWorth, target, monthlyContribution: contribution, annualReturn: realReturn,
+  }));
+  const monthsToFi = monthsToTarget(fiNumber);
+  const monthsToLeanFi = monthsToTarget(leanFiNumber);
+  const progress = fiNumber > 0 ? (totalNetWorth / fiNumber) * 100 : 0;
+
+  const { chartData: history } = useMemo(
+    () => calculateNetWorthHistory(assets, liabilities, toBaseCurrency),
+    [assets, liabilities, toBaseCurrency]
+  );
+  const progressData = useMemo(() => getFiProgress(history, fiNumber), [history, fiNumber]);
+
+  if (loading) {
+    return (
+      <div className="bg-white p-8 rounded-xl shadow-lg text-center text-gray-600 min-h-[300px] flex items-center justify-center">
+        Loading financial independence data...
+      </div>
+    );
+  }
+
+  const inputClass = "mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-orange-500 focus:border-orange-500 sm:text-sm";
+
+  return (
+    <div className="flex flex-col gap-6 w-full">
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2 flex items-center">
+          <Flame size={28} className="mr-2 text-orange-500" /> Financial Independence
+        </h2>
+        <p className="text-sm text-gray-500 mb-6">
+          Your FI number is the net worth whose yearly withdrawals cover a year of expenses. Amounts are in today's money,
+          growing at the expected return minus inflation ({realReturn.toFixed(2)}% a year).
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div>
+            <label htmlFor="withdrawalRate" className="block text-sm font-medium text-gray-700">Withdrawal Rate (%)</label>
+            <input type="number" id="withdrawalRate" value={withdrawalRate} onChange={(e) => setWithdrawalRate(parseFloat(e.target.value))} min="0.5" max="20" step="0.1" className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="fireExpectedReturn" className="block text-sm font-medium text-gray-700">Expected Return (%)</label>
+            <input type="number" id="fireExpectedReturn" value={returnOverride ?? projectionAssumptions.expectedReturn} onChange={(e) => setReturnOverride(e.target.value)} step="0.1" className={inputClass} />
+            <AssumptionNote overridden={returnOverride !== null} saved={projectionAssumptions.expectedReturn} onReset={() => setReturnOverride(null)} />
+          </div>
+          <div>
+            <label htmlFor="fireInflationRate" className="block text-sm font-medium text-gray-700">Inflation (%)</label>
+            <input type="number" id="fireInflationRate" value={inflationOverride ?? projectionAssumptions.inflationRate} onChange={(e) => setInflationOverride(e.target.value)} step="0.1" className={inputClass} />
+            <AssumptionNote overridden={inflationOverride !== null} saved={projectionAssumptions.inflationRate} onReset={() => setInflationOverride(null)} />
+          </div>
+          <div>
+            <label htmlFor="fireMonthlyContribution" className="block text-sm font-medium text-gray-700">Monthly Savings ({baseCurrency})</label>
+            <input
+              type="number"
+              id="fireMonthlyContribution"
+              value={monthlyContribution}
+              onChange={(e) => setMonthlyContribution(e.target.value)}
+              min="0"
+              step="1"
+              placeholder={`${Math.round(Math.max(0, averageSavings))} (last 12 months)`}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label htmlFor="leanShare" className="block text-sm font-medium text-gray-700">Lean FI Budget (% of expenses)</label>
+            <input type="number" id="leanShare" value={leanShare} onChange={(e) => setLeanShare(parseFloat(e.target.value))} min="1" max="100" step="1" className={inputClass} />
+          </div>
+          <div>
+            <label htmlFor="yearsToRetirement" className="block text-sm font-medium text-gray-700">Years Until Retirement</label>
+            <input type="number" id="yearsToRetirement" value={yearsToRetirement} onChange={(e) => setYearsToRetirement(parseInt(e.target.value))} min="0" max="70" step="1" className={inputClass} />
+          </div>
+        </div>
+
+        {annualExpenses === 0 ? (
+          <p className="text-center text-gray-500 py-8">Record your expenses to work out your FI number.</p>
+        ) : fiNumber === null ? (
+          <p className="text-center text-gray-500 py-8">Enter a withdrawal rate above 0%.</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6 text-center">
+              <div className="bg-gradient-to-r from-orange-500 to-red-500 text-white p-4 rounded-lg shadow-md">
+                <p className="text-sm font-medium opacity-90">FI Number</p>
+                <p className="text-3xl font-extrabold mt-1">{formatCurrency(fiNumber, baseCurrency, { fractionDigits: 0 })}</p>
+                <p className="text-xs opacity-90 mt-1">{formatCurrency(annualExpenses, baseCurrency, { fractionDigits: 0 })} spent in the last 12 months</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+                <p className="text-sm font-medium text-gray-700">Progress</p>
+                <p className="text-3xl font-bold text-gray-900 mt-1">{progress.toFixed(1)}%</p>
+                <div className="w-full bg-gray-200 rounded-full h-2 mt-2">
+                  <div className="bg-orange-500 h-2 rounded-full" style={{ width: `${Math.min(100, Math.max(0, progress))}%` }} />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Net worth {formatCurrency(totalNetWorth, baseCurrency, { fractionDigits: 0 })}</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+                <p className="text-sm font-medium text-gray-700">Time to FI</p>
+                <p className="text-3xl font-bold text-gray-900 mt-1">{formatDuration(monthsToFi)}</p>
+                <p className="text-xs text-gray-500 mt-1">Saving {formatCurrency(contribution, baseCurrency, { fractionDigits: 0 })} a month</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+                <p className="text-sm font-medium text-gray-700">Lean FI ({leanShare}% of expenses)</p>
+                <p className="text-2xl font-bold text-gray-900 mt-1">{formatCurrency(leanFiNumber, baseCurrency, { fractionDigits: 0 })}</p>
+                <p className="text-xs text-gray-500 mt-1">{monthsToLeanFi === 0 ? 'Reached' : `In ${formatDuration(monthsToLeanFi)}`}</p>
+              </div>
+              <div className="bg-gray-50 p-4 rounded-lg border border-gray-200 md:col-span-2">
+                <p className="text-sm font-medium text-gray-700">Coast FI (retiring in {yearsToRetirement} years)</p>
+                <p className="text-2xl font-bold text-gray-900 mt-1">{formatCurrency(coastFiNumber, baseCurrency, { fractionDigits: 0 })}</p>
+                <p className={`text-xs mt-1 ${totalNetWorth >= coastFiNumber ? 'text-green-600' : 'text-gray-500'}`}>
+                  {totalNetWorth >= coastFiNumber
+                    ? 'Reached: without saving anything more, your net worth grows into your FI number by retirement.'
+                    : `${formatCurrency(coastFiNumber - totalNetWorth, baseCurrency, { fractionDigits: 0 })} to go before you could stop saving.`}
+                </p>
+              </div>
+            </div>
+
+            <h3 className="text-xl font-semibold text-gray-800 mb-4">Progress Over Time</h3>
+            {progressData.length > 0 ? (
+              <ResponsiveContainer width="100%" height={350}>
+                <LineChart data={progressData} margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e0e0e0" />
+                  <XAxis dataKey="date" minTickGap={20} />
+                  <YAxis tickFormatter={(value) => `${value}%`} />
+                  <Tooltip
+                    formatter={(value, name, item) => (name === 'FI Progress'
+                      ? [`${value}% (${formatCurrency(item.payload.netWorth, baseCurrency, { fractionDigits: 0 })})`, name]
+                      : [value, name])}
+                    labelFormatter={(label) => `Date: ${label}`}
+                  />
+                  <Legend />
+                  <ReferenceLine y={100} stroke="#f97316" strokeDasharray="4 4" label="FI" />
+                  <ReferenceLine y={leanShare} stroke="#a3a3a3" strokeDasharray="4 4" label="Lean FI" />
+                  <Line type="monotone" dataKey="progress" stroke="#ea580c" strokeWidth={2} dot={false} name="FI Progress" />
+                </LineChart>
+              </ResponsiveContainer>
+            ) : (
+              <p className="text-center text-gray-500 py-4">Record asset values to see your progress over time.</p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Savings Goals Page: targets funded by a share of one or more assets
+function GoalsPage({ goals, assets, baseCurrency, toBaseCurrency, loading, saveGoal, deleteGoal }) {
+  const [showGoalModal, setShowGoalModal] = useState(false);
+  const [goalForEdit, setGoalForEdit] = useState(null);
+
+  const today = new Date().toISOString().split('T')[0];
+  const goalRows = useMemo(() => (
+    [...goals]
+      .sort((a, b) => a.targetDate.localeCompare(b.targetDate))
+      .map(goal => ({ goal, progress: calculateGoalProgress(goal, assets, toBaseCurrency, today) }))
+  ), [goals, assets, toBaseCurrency, today]);
+
+  if (loading) {
+    return (
+      <div className="bg-white p-8 rounded-xl shadow-lg text-center text-gray-600 min-h-[300px] flex items-center justify-center">
+        Loading goals...
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-6 w-full">
+      <div className="bg-white p-6 rounded-xl shadow-lg w-full">
+        <div className="flex justify-between items-center mb-2">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <Target size={28} className="mr-2 text-teal-500" /> Savings Goals
+          </h2>
+          <button
+            onClick={() => { setGoalForEdit(null); setShowGoalModal(true); }}
+            className="flex items-center px-4 py-2 bg-teal-600 text-white rounded-md hover:bg-teal-700 text-sm disabled:opacity-50"
+            disabled={assets.length === 0}
+          >
+            <Plus size={16} className="mr-1" /> Add Goal
+          </button>
+        </div>
+        <p className="text-sm text-gray-500 mb-6">
+          A goal counts a share of each linked asset's current value. It is on track while the savings keep up with a
+          straight line from the day the goal was set to its target date. Amounts are in {baseCurrency}.
+        </p>
+
+        {assets.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">Add assets to save towards goals.</p>
+        ) : goalRows.length === 0 ? (
+          <p className="text-center text-gray-500 py-8">No goals yet. Add one for a house deposit, a car or an emergency fund.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {goalRows.map(({ goal, progress }) => (
+              <div key={goal.id} className="bg-gray-50 p-5 rounded-lg border border-gray-200">
+                <div className="flex justify-between items-start mb-2">
+                  <div>
+                    <h3 className="text-lg font-semibold text-gray-900">{goal.name}</h3>
+                    <p className="text-xs text-gray-500">
+                      {formatCurrency(goal.targetAmount, goal.currency)} by {goal.targetDate}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <GoalStatusBadge status={progress.status} />
+                    <button
+                      onClick={() => { setGoalForEdit(goal); setShowGoalModal(true); }}
+                      className="p-1 text-blue-600 hover:text-blue-800"
+                      title="Edit Goal"
+                    >
+                      <Edit size={16} />
+                    </button>
+                    <button
+                      onClick={() => deleteGoal(goal.id)}
+                      className="p-1 text-red-600 hover:text-red-800"
+                      title="Delete Goal"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+                <GoalProgressBar percent={progress.percent} status={progress.status} />
+                <div className="flex justify-between text-sm text-gray-700 mt-2">
+                  <span>{formatCurrency(progress.saved, baseCurrency)} saved</span>
+                  <span>{progress.percent.toFixed(0)}% of {formatCurrency(progress.target, baseCurrency)}</span>
+                </div>
+                {progress.status !== 'reached' && (
+                  <p className="text-sm text-gray-600 mt-2">
+                    Save <span className="font-semibold">{formatCurrency(progress.monthlyNeeded, baseCurrency)}</span> a month
+                    {progress.monthsLeft > 0 ? ` for ${progress.monthsLeft} month${progress.monthsLeft === 1 ? '' : 's'}` : ' (the target date has passed)'}
+                    {progress.status === 'behind' && progress.expected > progress.saved && (
+                      <> · {formatCurrency(progress.expected - progress.saved, baseCurrency)} behind plan</>
+                    )}
+                  </p>
+                )}
+                <ul className="mt-3 text-xs text-gray-500 space-y-0.5">
+                  {goal.links.map(({ assetId, share }) => {
+                    const asset = assets.find(item => item.id === assetId);
+                    return (
+                      <li key={assetId}>
+                        {asset ? `${share}% of ${asset.name}` : `${share}% of a deleted asset`}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {showGoalModal && (
+        <Modal title={goalForEdit ? 'Edit Goal' : 'Add Goal'} onClose={() => setShowGoalModal(false)}>
+          <GoalForm
+            goal={goalForEdit}
+            goals={goals}
+            assets={assets}
+            baseCurrency={baseCurrency}
+            onSave={saveGoal}
+            onClose={() => setShowGoalModal(false)}
+          />
+        </Modal>
+      )}
+    </div>
+  );
+}
+
+// Main App Component
+// storageAdapter is optional; when omitted the adapter is chosen at startup (see ./storage)
+function App({ storageAdapter }) {
+  const [storage, setStorage] = useState(null);
+  const [userId, setUserId] = useState(null);
+  const [isAuthReady, setIsAuthReady] = useState(false);
+  const [assets, setAssets] = useState([]);
+  const [liabilities, setLiabilities] = useState([]);
+  const [income, setIncome] = useState([]); // New state for income
+  const [expenses, setExpenses] = useState([]); // New state for expenses
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [currentPage, setCurrentPage] = useState('dashboard'); // Default to 'dashboard'
+
+  const [showAddAssetModal, setShowAddAssetModal] = useState(false);
+  const [showUpdateModal, setShowUpdateModal] = useState(false);
+  const [selectedAssetForUpdate, setSelectedAssetForUpdate] = useState(null);
+  const [showContributionModal, setShowContributionModal] = useState(false);
+  const [selectedAssetForContribution, setSelectedAssetForContribution] = useState(null);
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [selectedAssetForTransfer, setSelectedAssetForTransfer] = useState(null);
+  const [showHoldingsModal, setShowHoldingsModal] = useState(false);
+  const [selectedAssetForHoldings, setSelectedAssetForHoldings] = useState(null);
+  const [showDeleteConfirmModal, setShowDeleteConfirmModal] = useState(false);
+  const [assetToDelete, setAssetToDelete] = useState(null);
+
+  const [showAddLiabilityModal, setShowAddLiabilityModal] = useState(false);
+  const [showUpdateLiabilityModal, setShowUpdateLiabilityModal] = useState(false);
+  const [selectedLiabilityForUpdate, setSelectedLiabilityForUpdate] = useState(null);
+  const [showLiabilityDeleteConfirmModal, setShowLiabilityDeleteConfirmModal] = useState(false);
+  const [liabilityToDelete, setLiabilityToDelete] = useState(null);
+  const [showLiabilityDetailsModal, setShowLiabilityDetailsModal] = useState(false);
+  const [selectedLiabilityForDetails, setSelectedLiabilityForDetails] = useState(null);
+
+  // New state for displaying individual asset history
+  const [showAssetDetailsModal, setShowAssetDetailsModal] = useState(false);
+  const [selectedAssetForDetails, setSelectedAssetForDetails] = useState(null);
+
+  // New states for income/expense edit, delete, and history modals
+  const [showEditIncomeModal, setShowEditIncomeModal] = useState(false);
+  const [selectedIncomeForEdit, setSelectedIncomeForEdit] = useState(null);
+  const [showIncomeDeleteConfirmModal, setShowIncomeDeleteConfirmModal] = useState(false);
+  const [incomeToDelete, setIncomeToDelete] = useState(null);
+  const [showIncomeDetailsModal, setShowIncomeDetailsModal] = useState(false);
+  const [selectedIncomeForDetails, setSelectedIncomeForDetails] = useState(null);
+
+
+  const [showEditExpenseModal, setShowEditExpenseModal] = useState(false);
+  const [selectedExpenseForEdit, setSelectedExpenseForEdit] = useState(null);
+  const [showExpenseDeleteConfirmModal, setShowExpenseDeleteConfirmModal] = useState(false);
+  const [expenseToDelete, setExpenseToDelete] = useState(null);
+  const [showExpenseDetailsModal, setShowExpenseDetailsModal] = useState(false);
+  const [selectedExpenseForDetails, setSelectedExpenseForDetails] = useState(null);
+
+
+  // Per-user settings documents keyed by document ID (e.g. settings.preferences.baseCurrency)
+  const [settings, setSettings] = useState({});
+  const [exchangeRates, setExchangeRates] = useState([]); // One document per date: { date, rates }
+  const [prices, setPrices] = useState([]); // One document per date: { date, prices }
+
+  const [categories, setCategories] = useState([]); // Flat list: { name, parentId, color, icon }
+  const [showCategoryModal, setShowCategoryModal] = useState(false);
+  const [selectedCategoryForEdit, setSelectedCategoryForEdit] = useState(null); // null while adding
+  const [showCategoryDeleteConfirmModal, setShowCategoryDeleteConfirmModal] = useState(false);
+  const [categoryToDelete, setCategoryToDelete] = useState(null);
+
+  const [trash, setTrash] = useState([]); // Soft-deleted items: { collection, itemId, data, deletedAt }
+  const [undoToast, setUndoToast] = useState(null); // { id, message, undo } for the last delete or edit
+  const [categoryRules, setCategoryRules] = useState([]); // Auto-categorization rules, see utils/rules
+  const [showRuleModal, setShowRuleModal] = useState(false);
+  const [selectedRuleForEdit, setSelectedRuleForEdit] = useState(null); // null while adding
+  const [budgets, setBudgets] = useState([]); // { categoryId, month, amount, currency, rollover, startMonth }
+  const [goals, setGoals] = useState([]); // { name, targetAmount, currency, targetDate, startDate, links }
+  const [householdMembers, setHouseholdMembers] = useState([]); // { name }
+  const [settlements, setSettlements] = useState([]); // Payments between members: { fromMemberId, toMemberId, amount, currency, date }
+
+
+  // Storage Initialization and Authentication
+  useEffect(() => {
+    let cancelled = false;
+    const initStorage = async () => {
+      try {
+        // Tests inject an adapter; otherwise the mode is picked from the environment
+        const adapter = storageAdapter || await createStorageAdapter();
+        const connectedUserId = await adapter.connect();
+        if (cancelled) return;
+        setStorage(adapter);
+        setUserId(connectedUserId);
+        setIsAuthReady(true);
+      } catch (err) {
+        console.error("Storage Init Error:", err);
+        if (cancelled) return;
+        setError("Failed to initialize storage. Please try again.");
+        setIsAuthReady(true); // Still set ready to avoid infinite loading
+        setLoading(false);
+      }
+    };
+    initStorage();
+    return () => { cancelled = true; };
+  }, [storageAdapter]);
+
+  // Subscribe to the user's collections when storage and auth are ready
+  useEffect(() => {
+    if (storage && userId && isAuthReady) {
+      setLoading(true);
+      setError(null);
+
+      // Fetch Assets
+      const unsubscribeAssets = storage.subscribe('assets', (assetsData) => {
+        setAssets(assetsData);
+        setLoading(false);
+      }, (err) => {
+        console.error("Storage Fetch Error (Assets):", err);
+        setError("Failed to load assets. Please try again.");
+        setLoading(false);
+      });
+
+      // Fetch Liabilities
+      const unsubscribeLiabilities = storage.subscribe('liabilities', (liabilitiesData) => {
+        setLiabilities(liabilitiesData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Liabilities):", err);
+        setError("Failed to load liabilities.");
+      });
+
+      // Fetch Income
+      const unsubscribeIncome = storage.subscribe('income', (incomeData) => {
+        setIncome(incomeData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Income):", err);
+        setError("Failed to load income data.");
+      });
+
+      // Fetch Expenses
+      const unsubscribeExpenses = storage.subscribe('expenses', (expensesData) => {
+        setExpenses(expensesData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Expenses):", err);
+        setError("Failed to load expenses data.");
+      });
+
+      // Fetch Settings
+      const unsubscribeSettings = storage.subscribe('settings', (settingsDocs) => {
+        setSettings(Object.fromEntries(settingsDocs.map(({ id, ...data }) => [id, data])));
+      }, (err) => {
+        console.error("Storage Fetch Error (Settings):", err);
+        setError("Failed to load settings.");
+      });
+
+      // Fetch Exchange Rates
+      const unsubscribeExchangeRates = storage.subscribe('exchangeRates', (ratesData) => {
+        setExchangeRates(ratesData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Exchange Rates):", err);
+        setError("Failed to load exchange rates.");
+      });
+
+      // Fetch Prices
+      const unsubscribePrices = storage.subscribe('prices', (pricesData) => {
+        setPrices(pricesData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Prices):", err);
+        setError("Failed to load prices.");
+      });
+
+      // Fetch Categories
+      const unsubscribeCategories = storage.subscribe('categories', (categoriesData) => {
+        setCategories(categoriesData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Categories):", err);
+        setError("Failed to load categories.");
+      });
+
+      // Fetch Trash
+      const unsubscribeTrash = storage.subscribe('trash', (trashData) => {
+        setTrash(trashData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Trash):", err);
+        setError("Failed to load trash.");
+      });
+
+      // Fetch Categorization Rules
+      const unsubscribeCategoryRules = storage.subscribe('categoryRules', (rulesData) => {
+        setCategoryRules(rulesData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Categorization Rules):", err);
+        setError("Failed to load categorization rules.");
+      });
+
+      // Fetch Budgets
+      const unsubscribeBudgets = storage.subscribe('budgets', (budgetsData) => {
+        setBudgets(budgetsData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Budgets):", err);
+        setError("Failed to load budgets.");
+      });
+
+      // Fetch Savings Goals
+      const unsubscribeGoals = storage.subscribe('goals', (goalsData) => {
+        setGoals(goalsData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Goals):", err);
+        setError("Failed to load goals.");
+      });
+
+      // Fetch Household Members and Settlements
+      const unsubscribeHouseholdMembers = storage.subscribe('householdMembers', (membersData) => {
+        setHouseholdMembers(membersData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Household Members):", err);
+        setError("Failed to load household members.");
+      });
+
+      const unsubscribeSettlements = storage.subscribe('settlements', (settlementsData) => {
+        setSettlements(settlementsData);
+      }, (err) => {
+        console.error("Storage Fetch Error (Settlements):", err);
+        setError("Failed to load settlements.");
+      });
+
+      return () => {
+        unsubscribeSettings();
+        unsubscribeBudgets();
+        unsubscribeGoals();
+        unsubscribeHouseholdMembers();
+        unsubscribeSettlements();
+        unsubscribeExchangeRates();
+        unsubscribePrices();
+        unsubscribeCategories();
+        unsubscribeCategoryRules();
+        unsubscribeTrash();
+        unsubscribeAssets();
+        unsubscribeLiabilities();
+        unsubscribeIncome();
+        unsubscribeExpenses();
+      }; // Cleanup all snapshot listeners
+    }
+  }, [storage, userId, isAuthReady]);
+
+  // Purge trash entries older than TRASH_RETENTION_DAYS whenever the trash loads
+  useEffect(() => {
+    if (!storage) return;
+    const expired = getExpiredTrash(trash);
+    if (expired.length === 0) return;
+    Promise.all(expired.map(entry => storage.remove('trash', entry.id)))
+      .catch(err => console.error("Error purging trash: ", err));
+  }, [storage, trash]);
+
+  // Bank transaction IDs of imported income and expenses, so statements aren't imported twice
+  const existingImportIds = useMemo(() => (
+    new Set([...income, ...expenses].map(item => item.importId).filter(Boolean))
+  ), [income, expenses]);
+
+  // Everything a backup holds, as { collectionName: [{ id, ...data }] }
+  const backupData = useMemo(() => ({
+    assets, liabilities, income, expenses, exchangeRates, prices, categories, categoryRules, budgets, goals, householdMembers, settlements, trash,
+    settings: Object.entries(settings).map(([id, data]) => ({ id, ...data })),
+  }), [assets, liabilities, income, expenses, exchangeRates, prices, categories, categoryRules, budgets, goals, householdMembers, settlements, trash, settings]);
+
+  // Every amount is stored in its own currency and converted to the base currency for totals
+  const baseCurrency = settings.preferences?.baseCurrency || DEFAULT_CURRENCY;
+  const budgetWarningThreshold = settings.preferences?.budgetWarningThreshold ?? DEFAULT_WARNING_THRESHOLD;
+  const allocationTargets = useMemo(() => settings.allocation?.targets || {}, [settings]);
+  const projectionAssumptions = useMemo(() => ({
+    expectedReturn: settings.projections?.expectedReturn ?? DEFAULT_EXPECTED_RETURN,
+    inflationRate: settings.projections?.inflationRate ?? DEFAULT_INFLATION_RATE,
+  }), [settings]);
+  const rateHistory = useMemo(() => buildRateHistory(exchangeRates), [exchangeRates]);
+  const priceHistory = useMemo(() => buildPriceHistory(prices), [prices]);
+  // Conversions use the rate valid on the given date (today's rate when no date is passed)
+  const toBaseCurrency = useMemo(
+    () => createConverter(baseCurrency, (date) => getRatesOn(rateHistory, date)),
+    [baseCurrency, rateHistory]
+  );
+
+  // Calculate total net worth (assets minus liabilities)
+  const totalAssets = calculateTotalAssets(assets, toBaseCurrency);
+  const totalLiabilities = calculateTotalLiabilities(liabilities, toBaseCurrency);
+  const totalNetWorth = totalAssets - totalLiabilities;
+
+  // --- Settings Functions ---
+
+  const updateBaseCurrency = async (currency) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setError(null);
+    try {
+      await storage.set('settings', 'preferences', { ...settings.preferences, baseCurrency: currency });
+    } catch (e) {
+      console.error("Error updating base currency: ", e);
+      setError("Failed to update base currency.");
+    }
+  };
+
+  const updateBudgetWarningThreshold = async (threshold) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setError(null);
+    try {
+      await storage.set('settings', 'preferences', { ...settings.preferences, budgetWarningThreshold: threshold });
+    } catch (e) {
+      console.error("Error updating budget warning threshold: ", e);
+      setError("Failed to update budget warning threshold.");
+    }
+  };
+
+  // changes: some of { expectedReturn, inflationRate }, shared by the projections and the FI calculator.
+  // They're merged into the stored document rather than into this render's settings,
+  // so two changes saved before the first one comes back don't undo each other.
+  const updateProjectionAssumptions = async (changes) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setError(null);
+    try {
+      if (settings.projections) {
+        await storage.update('settings', 'projections', changes);
+      } else {
+        await storage.set('settings', 'projections', changes);
+      }
+    } catch (e) {
+      console.error("Error updating projection assumptions: ", e);
+      setError("Failed to update projection assumptions.");
+    }
+  };
+
+  // targets: { [assetClass]: percent }, already validated; {} clears them
+  const saveAllocationTargets = async (targets) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.set('settings', 'allocation', { ...settings.allocation, targets });
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error saving allocation targets: ", e);
+      setError("Failed to save allocation targets.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // An empty assetClass groups the asset by its type again
+  const updateAssetClass = async (assetId, assetClass) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setError(null);
+    try {
+      await storage.update('assets', assetId, { assetClass });
+    } catch (e) {
+      console.error("Error updating asset class: ", e);
+      setError("Failed to update asset class.");
+    }
+  };
+
+  // --- Exchange Rate Functions ---
+
+  const saveExchangeRate = async (date, currency, rate) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      // Rates are stored one document per date, so merge into the existing day
+      const existing = exchangeRates.find(doc => doc.id === date);
+      await storage.set('exchangeRates', date, {
+        date,
+        rates: { ...existing?.rates, [currency]: parseFloat(rate) }
+      });
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error saving exchange rate: ", e);
+      setError("Failed to save exchange rate.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const importExchangeRates = async (rateDocs) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const existingByDate = new Map(exchangeRates.map(doc => [doc.id, doc]));
+      await storage.setMany('exchangeRates', rateDocs.map(({ date, rates }) => ({
+        id: date,
+        data: { date, rates: { ...existingByDate.get(date)?.rates, ...rates } }
+      })));
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error importing exchange rates: ", e);
+      setError("Failed to import exchange rates.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // --- Backup Functions ---
+  // Applies a plan from planRestore: writes the backup's documents, then deletes what replace mode drops
+  const restoreBackup = async (plan) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      for (const collectionName of BACKUP_COLLECTIONS) {
+        const { toWrite, toDelete } = plan[collectionName];
+        if (toWrite.length > 0) await storage.setMany(collectionName, toWrite);
+        await Promise.all(toDelete.map(docId => storage.remove(collectionName, docId)));
+      }
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error restoring backup: ", e);
+      setError("Failed to restore backup. Some data may have been restored; you can run the restore again.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const deleteExchangeRate = async (date, currency) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const existing = exchangeRates.find(doc => doc.id === date);
+      const { [currency]: removed, ...remainingRates } = existing?.rates || {};
+      if (Object.keys(remainingRates).length === 0) {
+        await storage.remove('exchangeRates', date);
+      } else {
+        await storage.set('exchangeRates', date, { date, rates: remainingRates });
+      }
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting exchange rate: ", e);
+      setError("Failed to delete exchange rate.");
+      setLoading(false);
+    }
+  };
+
+  // --- Price Functions ---
+  // Writes price documents [{ date, prices }] merged into the stored days, then records
+  // the new valuations of every holdings asset that holds one of the symbols
+  const writePrices = async (priceDocs) => {
+    const existingByDate = new Map(prices.map(doc => [doc.id, doc]));
+    const mergedDocs = priceDocs.map(({ date, prices: closes }) => ({ date, prices: { ...existingByDate.get(date)?.prices, ...closes } }));
+    await storage.setMany('prices', mergedDocs.map(doc => ({ id: doc.date, data: doc })));
+    // The subscription hasn't caught up yet, so value against the merged prices directly
+    const mergedDates = new Set(mergedDocs.map(doc => doc.date));
+    const updatedHistory = buildPriceHistory([...prices.filter(doc => !mergedDates.has(doc.date)), ...mergedDocs]);
+    const plan = planHoldingsValuations(assets, updatedHistory, priceDocs);
+    if (plan.length > 0) {
+      await storage.setMany('assets', plan.map(({ asset: { id, ...data }, changes }) => ({ id, data: { ...data, ...changes } })));
+    }
+  };
+
+  const savePrice = async (date, symbol, close) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await writePrices([{ date, prices: { [symbol]: parseFloat(close) } }]);
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error saving price: ", e);
+      setError("Failed to save price.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const importPrices = async (priceDocs) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await writePrices(priceDocs);
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error importing prices: ", e);
+      setError("Failed to import prices.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Valuations already recorded with this price stay in the assets' history
+  const deletePrice = async (date, symbol) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const existing = prices.find(doc => doc.id === date);
+      const { [symbol]: removed, ...remainingPrices } = existing?.prices || {};
+      if (Object.keys(remainingPrices).length === 0) {
+        await storage.remove('prices', date);
+      } else {
+        await storage.set('prices', date, { date, prices: remainingPrices });
+      }
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting price: ", e);
+      setError("Failed to delete price.");
+      setLoading(false);
+    }
+  };
+
+  // --- Import Functions ---
+  // Bulk-creates income and expense documents from [{ date, amount, type, description, currency, importId }].
+  // Each gets an "Imported" history entry instead of "Initial Entry". currency is used for rows
+  // without their own; importId is the bank's transaction ID, kept to skip it on later imports.
+  const importTransactions = async (transactions, currency, categoryId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const timestamp = new Date().toISOString();
+      const toEntry = (data) => ({ id: createDocumentId(), data: { ...data, history: [{ ...data, timestamp, changeType: "Imported" }] } });
+      const base = (transaction) => ({
+        amount: transaction.amount,
+        currency: transaction.currency || currency,
+        description: transaction.description,
+        date: transaction.date,
+        isRecurring: false,
+        frequency: '',
+        customInterval: null,
+        endDate: '',
+        ...(transaction.importId && { importId: transaction.importId }),
+      });
+      const newIncome = transactions.filter(transaction => transaction.type === 'income').map(transaction => toEntry(base(transaction)));
+      const newExpenses = transactions.filter(transaction => transaction.type === 'expense').map(transaction => {
+        const expense = { ...base(transaction), categoryId: categoryId || null, split: null, type: 'One-Off' };
+        return toEntry({ ...expense, ...applyRules(categoryRules, expense)?.changes }); // Rules win over the default category
+      });
+      if (newIncome.length > 0) await storage.setMany('income', newIncome);
+      if (newExpenses.length > 0) await storage.setMany('expenses', newExpenses);
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error importing transactions: ", e);
+      setError("Failed to import transactions.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // --- Category Management Functions ---
+  const addCategory = async (name, parentId, color, icon) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.add('categories', { name, parentId: parentId || null, color, icon });
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error adding category: ", e);
+      setError("Failed to add category.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const updateCategory = async (categoryId, name, parentId, color, icon) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.update('categories', categoryId, { name, parentId: parentId || null, color, icon });
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error updating category: ", e);
+      setError("Failed to update category.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Expenses in a deleted category show up as Uncategorized
+  const deleteCategory = async (categoryId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    if (categories.some(category => category.parentId === categoryId)) {
+      setError("Delete or move the subcategories first.");
+      setShowCategoryDeleteConfirmModal(false);
+      setCategoryToDelete(null);
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.remove('categories', categoryId);
+      setShowCategoryDeleteConfirmModal(false);
+      setCategoryToDelete(null);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting category: ", e);
+      setError("Failed to delete category.");
+      setLoading(false);
+    }
+  };
+
+  const addSuggestedCategories = async () => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      for (const { name, color, icon, children } of SUGGESTED_CATEGORIES) {
+        const parentId = await storage.add('categories', { name, parentId: null, color, icon });
+        for (const childName of children) {
+          await storage.add('categories', { name: childName, parentId, color, icon });
+        }
+      }
+      setLoading(false);
+    } catch (e) {
+      console.error("Error adding suggested categories: ", e);
+      setError("Failed to add suggested categories.");
+      setLoading(false);
+    }
+  };
+
+  // --- Categorization Rule Functions ---
+  const addRule = async (rule) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.add('categoryRules', rule);
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error adding rule: ", e);
+      setError("Failed to add rule.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const updateRule = async (ruleId, rule) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.set('categoryRules', ruleId, rule);
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error updating rule: ", e);
+      setError("Failed to update rule.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const deleteRule = async (ruleId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.remove('categoryRules', ruleId);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting rule: ", e);
+      setError("Failed to delete rule.");
+      setLoading(false);
+    }
+  };
+
+  // Applies a plan from planRuleReapply, adding a "Rules Applied" history entry to each changed expense
+  const reapplyRules = async (plan) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const timestamp = new Date().toISOString();
+      await storage.setMany('expenses', plan.map(({ expense, changes }) => {
+        const { id, history, ...fields } = expense;
+        const updatedExpense = { ...fields, ...changes };
+        return {
+          id,
+          data: { ...updatedExpense, history: [...(Array.isArray(history) ? history : []), { ...updatedExpense, timestamp, changeType: "Rules Applied" }] },
+        };
+      }));
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error re-applying rules: ", e);
+      setError("Failed to re-apply rules.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // --- Budget Functions ---
+  // month is null for the budget that repeats every month from startMonth, or 'YYYY-MM' for a single month
+  const saveBudget = async (categoryId, month, amount, currency, rollover, startMonth) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const budgetId = getBudgetId(categoryId, month);
+      const existing = budgets.find(budget => budget.id === budgetId);
+      await storage.set('budgets', budgetId, {
+        categoryId,
+        month: month || null,
+        amount: parseFloat(amount),
+        currency,
+        rollover: !month && rollover,
+        // Editing from a later month keeps the earlier start, so past months stay budgeted
+        startMonth: month ? null : [existing?.startMonth, startMonth].filter(Boolean).sort()[0],
+      });
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error saving budget: ", e);
+      setError("Failed to save budget.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const deleteBudget = async (budgetId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.remove('budgets', budgetId);
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error deleting budget: ", e);
+      setError("Failed to delete budget.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // --- Savings Goal Functions ---
+
+  // Adds a goal (goalId null) or updates one; a new goal's plan starts today
+  const saveGoal = async (goalId, goalData) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      if (goalId) {
+        await storage.update('goals', goalId, goalData);
+      } else {
+        await storage.add('goals', { ...goalData, startDate: new Date().toISOString().split('T')[0] });
+      }
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error saving goal: ", e);
+      setError("Failed to save goal.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const deleteGoal = async (goalId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const entry = await moveToTrash('goals', goals.find(goal => goal.id === goalId));
+      showUndo(`Moved goal "${describeTrashItem(entry)}" to the trash.`, () => restoreTrashItem(entry));
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error deleting goal: ", e);
+      setError("Failed to delete goal.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // --- Household Functions ---
+  const addHouseholdMember = async (name) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.add('householdMembers', { name });
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error adding household member: ", e);
+      setError("Failed to add household member.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Members referenced by a split or settlement are kept so balances stay correct
+  const deleteHouseholdMember = async (memberId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    const isReferenced = expenses.some(expense => expense.split && (expense.split.paidBy === memberId || expense.split.shares[memberId] !== undefined))
+      || settlements.some(settlement => settlement.fromMemberId === memberId || settlement.toMemberId === memberId);
+    if (isReferenced) {
+      setError("This member is part of shared expenses or settlements and can't be removed.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.remove('householdMembers', memberId);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting household member: ", e);
+      setError("Failed to delete household member.");
+      setLoading(false);
+    }
+  };
+
+  const addSettlement = async (fromMemberId, toMemberId, amount, currency, date) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.add('settlements', { fromMemberId, toMemberId, amount: parseFloat(amount), currency, date });
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error recording settlement: ", e);
+      setError("Failed to record settlement.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const deleteSettlement = async (settlementId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.remove('settlements', settlementId);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting settlement: ", e);
+      setError("Failed to delete settlement.");
+      setLoading(false);
+    }
+  };
+
+  // --- Trash Functions ---
+  // Moves a document to the trash instead of deleting it. Returns the trash entry for undo.
+  const moveToTrash = async (collectionName, item) => {
+    const { id, data } = createTrashEntry(collectionName, item);
+    await storage.set('trash', id, data);
+    await storage.remove(collectionName, item.id);
+    return { id, ...data };
+  };
+
+  // Writes a document back exactly as it was before an edit
+  const revertDocument = (collectionName, { id, ...data }) => storage.set(collectionName, id, data);
+
+  const showUndo = useCallback((message, undo) => setUndoToast({ id: Date.now(), message, undo }), []);
+  const dismissUndo = useCallback(() => setUndoToast(null), []);
+
+  const handleUndo = async () => {
+    const { undo } = undoToast;
+    setUndoToast(null);
+    setLoading(true);
+    setError(null);
+    try {
+      await undo();
+      setLoading(false);
+    } catch (e) {
+      console.error("Error undoing change: ", e);
+      setError("Failed to undo the last change.");
+      setLoading(false);
+    }
+  };
+
+  const restoreTrashItem = async (entry) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.set(entry.collection, entry.itemId, entry.data);
+      await storage.remove('trash', entry.id);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error restoring item: ", e);
+      setError("Failed to restore item.");
+      setLoading(false);
+    }
+  };
+
+  // Deletes trash entries for good
+  const purgeTrashItems = async (entryIds) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await Promise.all(entryIds.map(entryId => storage.remove('trash', entryId)));
+      setLoading(false);
+    } catch (e) {
+      console.error("Error purging trash: ", e);
+      setError("Failed to delete items from the trash.");
+      setLoading(false);
+    }
+  };
+
+  // --- Asset Management Functions ---
+
+  // tracksHoldings makes an Investment asset valued from its holdings (see utils/holdings)
+  const addAsset = async (name, type, initialValue, initialDate, currency = DEFAULT_CURRENCY, tracksHoldings = false) => { // Added initialDate
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.add('assets', {
+        name,
+        type,
+        currency,
+        initialValue: parseFloat(initialValue),
+        currentValue: parseFloat(initialValue),
+        contributions: [],
+        valueHistory: [{ value: parseFloat(initialValue), date: initialDate }], // Use initialDate
+        ...(tracksHoldings ? { holdings: [] } : {}),
+      });
+      setShowAddAssetModal(false);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error adding document: ", e);
+      setError("Failed to add asset.");
+      setLoading(false);
+    }
+  };
+
+  // valueDate defaults to today; backdated values don't override a newer currentValue
+  const updateAssetValue = async (assetId, newValue, valueDate = new Date().toISOString().split('T')[0]) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const assetToUpdate = assets.find(a => a.id === assetId);
+      await storage.update('assets', assetId, addValuation(assetToUpdate, { date: valueDate, value: parseFloat(newValue) }));
+      showUndo(`Updated the value of "${assetToUpdate.name}".`, () => revertDocument('assets', assetToUpdate));
+      setShowUpdateModal(false);
+      setSelectedAssetForUpdate(null);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error updating asset value: ", e);
+      setError("Failed to update asset value.");
+      setLoading(false);
+    }
+  };
+
+  const addContribution = async (assetId, amount, contributionDate) => { // Added contributionDate
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const assetToUpdate = assets.find(a => a.id === assetId);
+      // Adds to both contributions and valueHistory (for charting) and recomputes currentValue
+      await storage.update('assets', assetId, addContributionEntry(assetToUpdate, { date: contributionDate, amount: parseFloat(amount) }));
+      showUndo(`Added a ${amount < 0 ? 'withdrawal from' : 'contribution to'} "${assetToUpdate.name}".`, () => revertDocument('assets', assetToUpdate));
+      setShowContributionModal(false);
+      setSelectedAssetForContribution(null);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error adding contribution: ", e);
+      setError("Failed to add contribution.");
+      setLoading(false);
+    }
+  };
+
+  // Moves money between two assets on one date. Both sides are written in one
+  // batch, so net worth never shows the money in both or neither.
+  // receivedAmount is the amount arriving in the target asset's currency.
+  const transferBetweenAssets = async (fromAssetId, toAssetId, amount, receivedAmount, transferDate) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const fromAsset = assets.find(a => a.id === fromAssetId);
+      const toAsset = assets.find(a => a.id === toAssetId);
+      const { from, to } = createTransfer(fromAsset, toAsset, {
+        date: transferDate,
+        amount: parseFloat(amount),
+        receivedAmount: parseFloat(receivedAmount),
+        transferId: createDocumentId(),
+      });
+      const toDocument = ({ id, ...data }, changes) => ({ id, data: { ...data, ...changes } });
+      await storage.setMany('assets', [toDocument(fromAsset, from), toDocument(toAsset, to)]);
+      showUndo(
+        `Moved ${formatCurrency(parseFloat(amount), fromAsset.currency)} from "${fromAsset.name}" to "${toAsset.name}".`,
+        () => storage.setMany('assets', [fromAsset, toAsset].map(({ id, ...data }) => ({ id, data }))),
+      );
+      setShowTransferModal(false);
+      setSelectedAssetForTransfer(null);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error transferring between assets: ", e);
+      setError("Failed to transfer between assets.");
+      setLoading(false);
+    }
+  };
+
+  // Deletes both sides of a transfer
+  const deleteTransfer = async (transferId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const affected = assets
+        .map(asset => ({ asset, changes: removeTransfer(asset, transferId) }))
+        .filter(({ changes }) => changes);
+      await storage.setMany('assets', affected.map(({ asset: { id, ...data }, changes }) => ({ id, data: { ...data, ...changes } })));
+      showUndo('Deleted the transfer.', () => storage.setMany('assets', affected.map(({ asset: { id, ...data } }) => ({ id, data }))));
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error deleting transfer: ", e);
+      setError("Failed to delete transfer.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Buying a lot is a contribution of its cost on the lot date; after it the asset
+  // is valued today at quantity × price
+  const addHoldingLot = async (assetId, lot) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const assetToUpdate = assets.find(a => a.id === assetId);
+      const holdings = [...assetToUpdate.holdings, lot];
+      const withContribution = { ...assetToUpdate, ...addContributionEntry(assetToUpdate, { date: lot.date, amount: lot.costBasis }) };
+      await storage.update('assets', assetId, { holdings, ...revalueToday(withContribution, holdings) });
+      showUndo(`Added ${lot.quantity} ${lot.symbol} to "${assetToUpdate.name}".`, () => revertDocument('assets', assetToUpdate));
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error adding holding: ", e);
+      setError("Failed to add holding.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Selling takes the oldest lots first and withdraws the proceeds on the sale date
+  const sellHolding = async (assetId, symbol, quantity, proceeds, saleDate) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const assetToUpdate = assets.find(a => a.id === assetId);
+      const holdings = sellFromHoldings(assetToUpdate.holdings, symbol, quantity);
+      if (!holdings) {
+        setError(`"${assetToUpdate.name}" doesn't hold ${quantity} ${symbol}.`);
+        setLoading(false);
+        return false;
+      }
+      const withWithdrawal = { ...assetToUpdate, ...addContributionEntry(assetToUpdate, { date: saleDate, amount: -proceeds }) };
+      await storage.update('assets', assetId, { holdings, ...revalueToday(withWithdrawal, holdings) });
+      showUndo(`Sold ${quantity} ${symbol} from "${assetToUpdate.name}".`, () => revertDocument('assets', assetToUpdate));
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error selling holding: ", e);
+      setError("Failed to sell holding.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  // Records today's quantity × price valuation of the holdings
+  const revalueToday = (asset, holdings) => {
+    const today = new Date().toISOString().split('T')[0];
+    return setValuations(asset, [{ date: today, value: valueHoldings(holdings, priceHistory, today).value }]);
+  };
+
+  // Edits valueHistory from the history modal. edit(asset) returns the fields to
+  // update, e.g. from updateHistoryEntry or deleteHistoryEntry in utils/assetHistory.
+  const editAssetHistory = async (assetId, edit) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return false;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const assetToUpdate = assets.find(a => a.id === assetId);
+      await storage.update('assets', assetId, edit(assetToUpdate));
+      showUndo(`Updated the history of "${assetToUpdate.name}".`, () => revertDocument('assets', assetToUpdate));
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error editing asset history: ", e);
+      setError("Failed to update asset history.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const deleteAsset = async (assetId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const entry = await moveToTrash('assets', assets.find(item => item.id === assetId));
+      showUndo(`Moved asset "${describeTrashItem(entry)}" to the trash.`, () => restoreTrashItem(entry));
+      setShowDeleteConfirmModal(false);
+      setAssetToDelete(null);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting asset: ", e);
+      setError("Failed to delete asset.");
+      setLoading(false);
+    }
+  };
+
+  // --- Liability Management Functions ---
+
+  const addLiability = async (name, type, initialBalance, initialDate, interestRate, minimumPayment, currency = DEFAULT_CURRENCY) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await storage.add('liabilities', {
+        name,
+        type,
+        currency,
+        initialBalance: parseFloat(initialBalance),
+        currentBalance: parseFloat(initialBalance),
+        interestRate: parseFloat(interestRate) || 0, // Annual rate in %
+        minimumPayment: parseFloat(minimumPayment) || 0, // Monthly, in the liability's currency
+        balanceHistory: [{ balance: parseFloat(initialBalance), date: initialDate }]
+      });
+      setShowAddLiabilityModal(false);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error adding liability: ", e);
+      setError("Failed to add liability.");
+      setLoading(false);
+    }
+  };
+
+  const updateLiabilityBalance = async (liabilityId, newBalance, balanceDate) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const liabilityToUpdate = liabilities.find(l => l.id === liabilityId);
+      // Backdated balances don't override a newer currentBalance
+      await storage.update('liabilities', liabilityId, addBalance(liabilityToUpdate, { date: balanceDate, balance: parseFloat(newBalance) }));
+      showUndo(`Updated the balance of "${liabilityToUpdate.name}".`, () => revertDocument('liabilities', liabilityToUpdate));
+      setShowUpdateLiabilityModal(false);
+      setSelectedLiabilityForUpdate(null);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error updating liability balance: ", e);
+      setError("Failed to update liability balance.");
+      setLoading(false);
+    }
+  };
+
+  const deleteLiability = async (liabilityId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const entry = await moveToTrash('liabilities', liabilities.find(item => item.id === liabilityId));
+      showUndo(`Moved liability "${describeTrashItem(entry)}" to the trash.`, () => restoreTrashItem(entry));
+      setShowLiabilityDeleteConfirmModal(false);
+      setLiabilityToDelete(null);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting liability: ", e);
+      setError("Failed to delete liability.");
+      setLoading(false);
+    }
+  };
+
+  // --- Income Management Functions ---
+  const addIncome = async (amount, description, date, isRecurring = false, frequency = '', endDate = '', currency = DEFAULT_CURRENCY, customInterval = null) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const newIncome = {
+        amount: parseFloat(amount),
+        currency,
+        description,
+        date,
+        isRecurring,
+        frequency: isRecurring ? frequency : '',
+        customInterval: isRecurring && frequency === 'Custom' ? customInterval : null,
+        endDate: isRecurring && endDate ? endDate : '',
+      };
+      await storage.add('income', {
+        ...newIncome,
+        history: [{ ...newIncome, timestamp: new Date().toISOString(), changeType: "Initial Entry" }]
+      });
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error adding income: ", e);
+      setError("Failed to add income.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const updateIncome = async (incomeId, newAmount, newDescription, newDate, newIsRecurring, newFrequency, newEndDate, newCurrency = DEFAULT_CURRENCY, newCustomInterval = null) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const incomeToUpdate = income.find(item => item.id === incomeId);
+
+      const updatedIncome = {
+        amount: parseFloat(newAmount),
+        currency: newCurrency,
+        description: newDescription,
+        date: newDate,
+        isRecurring: newIsRecurring,
+        frequency: newIsRecurring ? newFrequency : '',
+        customInterval: newIsRecurring && newFrequency === 'Custom' ? newCustomInterval : null,
+        endDate: newIsRecurring && newEndDate ? newEndDate : '',
+      };
+
+      const updatedHistory = Array.isArray(incomeToUpdate.history)
+        ? [...incomeToUpdate.history, { ...updatedIncome, timestamp: new Date().toISOString(), changeType: "Update" }]
+        : [{ ...updatedIncome, timestamp: new Date().toISOString(), changeType: "Initial Entry" }];
+
+      await storage.update('income', incomeId, { ...updatedIncome, history: updatedHistory });
+      showUndo(`Updated income "${updatedIncome.description}".`, () => revertDocument('income', incomeToUpdate));
+      setShowEditIncomeModal(false);
+      setSelectedIncomeForEdit(null);
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error updating income: ", e);
+      setError("Failed to update income.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const deleteIncome = async (incomeId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const entry = await moveToTrash('income', income.find(item => item.id === incomeId));
+      showUndo(`Moved income "${describeTrashItem(entry)}" to the trash.`, () => restoreTrashItem(entry));
+      setShowIncomeDeleteConfirmModal(false);
+      setIncomeToDelete(null);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting income: ", e);
+      setError("Failed to delete income.");
+      setLoading(false);
+    }
+  };
+
+  // --- Expense Management Functions ---
+  const addExpense = async (amount, description, categoryId, date, isRecurring = false, frequency = '', endDate = '', currency = DEFAULT_CURRENCY, customInterval = null, split = null) => { // Added 'date' param
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const newExpense = {
+        amount: parseFloat(amount),
+        currency,
+        description,
+        categoryId: categoryId || null,
+        split, // Who paid and how a shared expense is split; null for personal expenses
+        type: isRecurring ? 'Recurring' : 'One-Off', // Derive type from isRecurring
+        date,
+        isRecurring,
+        frequency: isRecurring ? frequency : '',
+        customInterval: isRecurring && frequency === 'Custom' ? customInterval : null,
+        endDate: isRecurring && endDate ? endDate : '',
+      };
+      await storage.add('expenses', {
+        ...newExpense,
+        history: [{ ...newExpense, timestamp: new Date().toISOString(), changeType: "Initial Entry" }]
+      });
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error adding expense: ", e);
+      setError("Failed to add expense.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const updateExpense = async (expenseId, newAmount, newDescription, newCategoryId, newDate, newIsRecurring, newFrequency, newEndDate, newCurrency = DEFAULT_CURRENCY, newCustomInterval = null, newSplit = null) => { // Added 'newDate' param
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const expenseToUpdate = expenses.find(item => item.id === expenseId);
+
+      const updatedExpense = {
+        amount: parseFloat(newAmount),
+        currency: newCurrency,
+        description: newDescription,
+        categoryId: newCategoryId || null,
+        split: newSplit,
+        type: newIsRecurring ? 'Recurring' : 'One-Off', // Derive type from newIsRecurring
+        date: newDate,
+        isRecurring: newIsRecurring,
+        frequency: newIsRecurring ? newFrequency : '',
+        customInterval: newIsRecurring && newFrequency === 'Custom' ? newCustomInterval : null,
+        endDate: newIsRecurring && newEndDate ? newEndDate : '',
+      };
+
+      const updatedHistory = Array.isArray(expenseToUpdate.history)
+        ? [...expenseToUpdate.history, { ...updatedExpense, timestamp: new Date().toISOString(), changeType: "Update" }]
+        : [{ ...updatedExpense, timestamp: new Date().toISOString(), changeType: "Initial Entry" }];
+
+      await storage.update('expenses', expenseId, { ...updatedExpense, history: updatedHistory });
+      showUndo(`Updated expense "${updatedExpense.description}".`, () => revertDocument('expenses', expenseToUpdate));
+      setShowEditExpenseModal(false);
+      setSelectedExpenseForEdit(null);
+      setLoading(false);
+      return true;
+    } catch (e) {
+      console.error("Error updating expense: ", e);
+      setError("Failed to update expense.");
+      setLoading(false);
+      return false;
+    }
+  };
+
+  const deleteExpense = async (expenseId) => {
+    if (!storage || !userId) {
+      console.error("Storage or User ID not available.");
+      setError("App not ready. Please wait.");
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      const entry = await moveToTrash('expenses', expenses.find(item => item.id === expenseId));
+      showUndo(`Moved expense "${describeTrashItem(entry)}" to the trash.`, () => restoreTrashItem(entry));
+      setShowExpenseDeleteConfirmModal(false);
+      setExpenseToDelete(null);
+      setLoading(false);
+    } catch (e) {
+      console.error("Error deleting expense: ", e);
+      setError("Failed to delete expense.");
+      setLoading(false);
+    }
+  };
+
+
+  if (!isAuthReady) {
+    return (
+      <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-purple-100 to-blue-100 p-4 text-center">
+        <div className="p-8 bg-white rounded-xl shadow-lg animate-pulse">
+          <p className="text-xl font-semibold text-gray-700">Loading application...</p>
+          <p className="text-gray-500 mt-2">Initializing storage and authenticating user.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 font-inter text-gray-800 flex">
+      {/* Sidebar Navigation */}
+      <aside className="w-64 bg-white shadow-xl p-6 flex flex-col min-h-screen rounded-r-xl">
+        <div className="mb-8 text-center">
+          <h1 className="text-3xl font-extrabold text-indigo-700 flex items-center justify-center">
+            <BarChart2 size={30} className="mr-2" /> Net Worth
+          </h1>
+        </div>
+        <nav className="flex-1 space-y-3">
+          <NavItem icon={<LayoutDashboard size={20} />} label="Dashboard" page="dashboard" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<TrendingUp size={20} />} label="Assets" page="assets" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<PieChartIcon size={20} />} label="Allocation" page="allocation" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<Target size={20} />} label="Goals" page="goals" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<History size={20} />} label="Net Worth History" page="history" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<LineChartIcon size={20} />} label="Projections" page="projections" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<Flame size={20} />} label="Financial Independence" page="fire" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<ReceiptText size={20} />} label="Income/Expenses" page="incomeExpenses" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<CalendarCheck size={20} />} label="Monthly Overview" page="monthlyOverview" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<CalendarRange size={20} />} label="Annual Overview" page="annualOverview" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<FileUp size={20} />} label="Import" page="import" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<Users size={20} />} label="Household" page="household" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<Tags size={20} />} label="Categories" page="categories" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<Wand2 size={20} />} label="Rules" page="rules" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<ArrowLeftRight size={20} />} label="Exchange Rates" page="exchangeRates" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<BarChart2 size={20} />} label="Prices" page="prices" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<Download size={20} />} label="Backup" page="backup" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+          <NavItem icon={<Trash2 size={20} />} label={`Trash${trash.length > 0 ? ` (${trash.length})` : ''}`} page="trash" currentPage={currentPage} setCurrentPage={setCurrentPage} />
+        </nav>
+        {userId && (
+          <div className="text-xs text-gray-500 bg-gray-100 p-3 rounded-lg break-all mt-6">
+            User ID: <span className="font-mono text-indigo-600">{userId}</span>
+            {storage && <p className="mt-1">Storage: {STORAGE_MODES[storage.mode]}</p>}
+          </div>
+        )}
+      </aside>
+
+      {/* Main Content Area */}
+      <main className="flex-1 p-6 overflow-auto">
+        <header className="bg-white p-6 rounded-xl shadow-lg mb-6 flex items-center justify-between">
+          <h1 className="text-4xl font-extrabold text-indigo-700">
+            {/* Dynamic Page Title based on currentPage */}
+            {currentPage === 'dashboard' && 'Dashboard'}
+            {currentPage === 'assets' && 'Your Assets'}
+            {currentPage === 'allocation' && 'Asset Allocation'}
+            {currentPage === 'goals' && 'Savings Goals'}
+            {currentPage === 'history' && 'Net Worth History'}
+            {currentPage === 'projections' && 'Net Worth Projections'}
+            {currentPage === 'fire' && 'Financial Independence'}
+            {currentPage === 'incomeExpenses' && 'Income & Expenses'}
+            {currentPage === 'monthlyOverview' && 'Monthly Overview'}
+            {currentPage === 'annualOverview' && 'Annual Overview'}
+            {currentPage === 'import' && 'Import Transactions'}
+            {currentPage === 'household' && 'Household'}
+            {currentPage === 'categories' && 'Categories'}
+            {currentPage === 'rules' && 'Categorization Rules'}
+            {currentPage === 'exchangeRates' && 'Exchange Rates'}
+            {currentPage === 'prices' && 'Prices'}
+            {currentPage === 'backup' && 'Backup & Restore'}
+            {currentPage === 'trash' && 'Trash'}
+          </h1>
+          <div className="flex items-center gap-2">
+            <label htmlFor="baseCurrency" className="text-sm font-medium text-gray-700">Base Currency</label>
+            <CurrencySelect
+              id="baseCurrency"
+              value={baseCurrency}
+              onChange={updateBaseCurrency}
+              className="block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            />
+          </div>
+        </header>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative mb-4" role="alert">
+            <strong className="font-bold">Error!</strong>
+            <span className="block sm:inline ml-2">{error}</span>
+          </div>
+        )}
+
+        {loading && (
+          <div className="bg-blue-100 border border-blue-400 text-blue-700 px-4 py-3 rounded relative mb-4 flex items-center justify-center">
+            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-blue-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            Loading data...
+          </div>
+        )}
+
+        {/* Page Content based on currentPage */}
+        {currentPage === 'dashboard' && (
+          <DashboardPage
+            assets={assets}
+            income={income}
+            expenses={expenses}
+            categories={categories}
+            budgets={budgets}
+            budgetWarningThreshold={budgetWarningThreshold}
+            goals={goals}
+            loading={loading}
+            baseCurrency={baseCurrency}
+            toBaseCurrency={toBaseCurrency}
+            totalAssets={totalAssets}
+            totalLiabilities={totalLiabilities}
+            totalNetWorth={totalNetWorth}
+          />
+        )}
+
+        {currentPage === 'assets' && (
+          <AssetsPage
+            assets={assets}
+            liabilities={liabilities}
+            loading={loading}
+            baseCurrency={baseCurrency}
+            toBaseCurrency={toBaseCurrency}
+            totalAssets={totalAssets}
+            totalLiabilities={totalLiabilities}
+            totalNetWorth={totalNetWorth}
+            setShowAddAssetModal={setShowAddAssetModal}
+            setShowUpdateModal={setShowUpdateModal}
+            setSelectedAssetForUpdate={setSelectedAssetForUpdate}
+            setShowContributionModal={setShowContributionModal}
+            setSelectedAssetForContribution={setSelectedAssetForContribution}
+            setShowTransferModal={setShowTransferModal}
+            setSelectedAssetForTransfer={setSelectedAssetForTransfer}
+            setShowHoldingsModal={setShowHoldingsModal}
+            setSelectedAssetForHoldings={setSelectedAssetForHoldings}
+            setShowDeleteConfirmModal={setShowDeleteConfirmModal}
+            setAssetToDelete={setAssetToDelete}
+            setShowAssetDetailsModal={setShowAssetDetailsModal}
+            setSelectedAssetForDetails={setSelectedAssetForDetails}
+            setShowAddLiabilityModal={setShowAddLiabilityModal}
+            setShowUpdateLiabilityModal={setShowUpdateLiabilityModal}
+            setSelectedLiabilityForUpdate={setSelectedLiabilityForUpdate}
+            setShowLiabilityDeleteConfirmModal={setShowLiabilityDeleteConfirmModal}
+            setLiabilityToDelete={setLiabilityToDelete}
+            setShowLiabilityDetailsModal={setShowLiabilityDetailsModal}
+            setSelectedLiabilityForDetails={setSelectedLiabilityForDetails}
+            addAsset={addAsset}
+            updateAssetValue={updateAssetValue}
+            addContribution={addContribution}
+            deleteAsset={deleteAsset}
+          />
+        )}
+
+        {currentPage === 'history' && (
+          <NetWorthHistoryChart assets={assets} liabilities={liabilities} loading={loading} baseCurrency={baseCurrency} toBaseCurrency={toBaseCurrency} />
+        )}
+
+        {currentPage === 'projections' && (
+          <NetWorthProjectionChart
+            currentNetWorth={totalNetWorth}
+            assets={assets}
+            totalLiabilities={totalLiabilities}
+            income={income}
+            expenses={expenses}
+            projectionAssumptions={projectionAssumptions}
+            updateProjectionAssumptions={updateProjectionAssumptions}
+            toBaseCurrency={toBaseCurrency}
+            baseCurrency={baseCurrency}
+            loading={loading}
+          />
+        )}
+
+        {currentPage === 'fire' && (
+          <FirePage
+            assets={assets}
+            liabilities={liabilities}
+            income={income}
+            expenses={expenses}
+            totalNetWorth={totalNetWorth}
+            projectionAssumptions={projectionAssumptions}
+            baseCurrency={baseCurrency}
+            toBaseCurrency={toBaseCurrency}
+            loading={loading}
+          />
+        )}
+
+        {currentPage === 'incomeExpenses' && (
+          <IncomeExpensesPage
+            income={income}
+            expenses={expenses}
+            categories={categories}
+            categoryRules={categoryRules}
+            householdMembers={householdMembers}
+            addIncome={addIncome}
+            addExpense={addExpense}
+            updateIncome={updateIncome}
+            updateExpense={updateExpense}
+            deleteIncome={deleteIncome}
+            deleteExpense={deleteExpense}
+            loading={loading}
+            setShowEditIncomeModal={setShowEditIncomeModal}
+            setSelectedIncomeForEdit={setSelectedIncomeForEdit}
+            setShowIncomeDetailsModal={setShowIncomeDetailsModal}
+            setSelectedIncomeForDetails={setSelectedIncomeForDetails}
+            setShowIncomeDeleteConfirmModal={setShowIncomeDeleteConfirmModal}
+            setIncomeToDelete={setIncomeToDelete}
+            setShowEditExpenseModal={setShowEditExpenseModal}
+            setSelectedExpenseForEdit={setSelectedExpenseForEdit}
+            setShowExpenseDetailsModal={setShowExpenseDetailsModal}
+            setSelectedExpenseForDetails={setSelectedExpenseForDetails}
+            setShowExpenseDeleteConfirmModal={setShowExpenseDeleteConfirmModal}
+            setExpenseToDelete={setExpenseToDelete}
+          />
+        )}
+
+        {currentPage === 'monthlyOverview' && (
+          <MonthlyOverviewPage
+            income={income}
+            expenses={expenses}
+            categories={categories}
+            budgets={budgets}
+            budgetWarningThreshold={budgetWarningThreshold}
+            saveBudget={saveBudget}
+            deleteBudget={deleteBudget}
+            updateBudgetWarningThreshold={updateBudgetWarningThreshold}
+            loading={loading}
+            baseCurrency={baseCurrency}
+            toBaseCurrency={toBaseCurrency}
+          />
+        )}
+
+        {currentPage === 'annualOverview' && (
+          <AnnualOverviewPage
+            income={income}
+            expenses={expenses}
+            categories={categories}
+            loading={loading}
+            baseCurrency={baseCurrency}
+            toBaseCurrency={toBaseCurrency}
+          />
+        )}
+
+        {currentPage === 'import' && (
+          <ImportPage
+            categories={categories}
+            categoryRules={categoryRules}
+            baseCurrency={baseCurrency}
+            existingImportIds={existingImportIds}
+            importTransactions={importTransactions}
+          />
+        )}
+
+        {currentPage === 'household' && (
+          <HouseholdPage
+            members={householdMembers}
+            expenses={expenses}
+            settlements={settlements}
+            loading={loading}
+            baseCurrency={baseCurrency}
+            toBaseCurrency={toBaseCurrency}
+            addHouseholdMember={addHouseholdMember}
+            deleteHouseholdMember={deleteHouseholdMember}
+            addSettlement={addSettlement}
+            deleteSettlement={deleteSettlement}
+          />
+        )}
+
+        {currentPage === 'categories' && (
+          <CategoriesPage
+            categories={categories}
+            expenses={expenses}
+            loading={loading}
+            addSuggestedCategories={addSuggestedCategories}
+            setShowCategoryModal={setShowCategoryModal}
+            setSelectedCategoryForEdit={setSelectedCategoryForEdit}
+            setShowCategoryDeleteConfirmModal={setShowCategoryDeleteConfirmModal}
+            setCategoryToDelete={setCategoryToDelete}
+          />
+        )}
+
+        {currentPage === 'rules' && (
+          <RulesPage
+            categoryRules={categoryRules}
+            categories={categories}
+            expenses={expenses}
+            loading={loading}
+            deleteRule={deleteRule}
+            reapplyRules={reapplyRules}
+            setShowRuleModal={setShowRuleModal}
+            setSelectedRuleForEdit={setSelectedRuleForEdit}
+          />
+        )}
+
+        {currentPage === 'exchangeRates' && (
+          <ExchangeRatesPage
+            exchangeRates={exchangeRates}
+            rateHistory={rateHistory}
+            loading={loading}
+            saveExchangeRate={saveExchangeRate}
+            importExchangeRates={importExchangeRates}
+            deleteExchangeRate={deleteExchangeRate}
+          />
+        )}
+
+        {currentPage === 'prices' && (
+          <PricesPage
+            prices={prices}
+            assets={assets}
+            priceHistory={priceHistory}
+            loading={loading}
+            savePrice={savePrice}
+            importPrices={importPrices}
+            deletePrice={deletePrice}
+          />
+        )}
+
+        {currentPage === 'allocation' && (
+          <AllocationPage
+            assets={assets}
+            allocationTargets={allocationTargets}
+            baseCurrency={baseCurrency}
+            toBaseCurrency={toBaseCurrency}
+            loading={loading}
+            saveAllocationTargets={saveAllocationTargets}
+            updateAssetClass={updateAssetClass}
+          />
+        )}
+
+        {currentPage === 'goals' && (
+          <GoalsPage
+            goals={goals}
+            assets={assets}
+            baseCurrency={baseCurrency}
+            toBaseCurrency={toBaseCurrency}
+            loading={loading}
+            saveGoal={saveGoal}
+            deleteGoal={deleteGoal}
+          />
+        )}
+
+        {currentPage === 'trash' && (
+          <TrashPage
+            trash={trash}
+            loading={loading}
+            restoreTrashItem={restoreTrashItem}
+            purgeTrashItems={purgeTrashItems}
+          />
+        )}
+
+        {currentPage === 'backup' && (
+          <BackupPage
+            backupData={backupData}
+            loading={loading}
+            restoreBackup={restoreBackup}
+          />
+        )}
+      </main>
+
+      {/* Modals (can remain at the App level as they are global overlays) */}
+      {showAddAssetModal && (
+        <Modal title="Add New Asset" onClose={() => setShowAddAssetModal(false)}>
+          <AddAssetForm onAdd={addAsset} onClose={() => setShowAddAssetModal(false)} />
+        </Modal>
+      )}
+
+      {showUpdateModal && selectedAssetForUpdate && (
+        <Modal title={`Update Value for ${selectedAssetForUpdate.name}`} onClose={() => setShowUpdateModal(false)}>
+          <UpdateAssetValueForm
+            asset={selectedAssetForUpdate}
+            onUpdate={updateAssetValue}
+            onClose={() => setShowUpdateModal(false)}
+          />
+        </Modal>
+      )}
+
+      {showContributionModal && selectedAssetForContribution && (
+        <Modal title={`Add Contribution or Withdrawal for ${selectedAssetForContribution.name}`} onClose={() => setShowContributionModal(false)}>
+          <AddContributionForm
+            asset={selectedAssetForContribution}
+            onAddContribution={addContribution}
+            onClose={() => setShowContributionModal(false)}
+          />
+        </Modal>
+      )}
+
+      {showTransferModal && selectedAssetForTransfer && (
+        <Modal title={`Transfer from ${selectedAssetForTransfer.name}`} onClose={() => setShowTransferModal(false)}>
+          <TransferForm
+            fromAsset={assets.find(asset => asset.id === selectedAssetForTransfer.id) || selectedAssetForTransfer}
+            assets={assets}
+            rateHistory={rateHistory}
+            onTransfer={transferBetweenAssets}
+            onClose={() => setShowTransferModal(false)}
+          />
+        </Modal>
+      )}
+
+      {showHoldingsModal && selectedAssetForHoldings && (
+        <Modal title={`Holdings of ${selectedAssetForHoldings.name}`} onClose={() => setShowHoldingsModal(false)}>
+          <HoldingsModal
+            asset={assets.find(asset => asset.id === selectedAssetForHoldings.id) || selectedAssetForHoldings}
+            priceHistory={priceHistory}
+            loading={loading}
+            onAddLot={(lot) => addHoldingLot(selectedAssetForHoldings.id, lot)}
+            onSell={(symbol, quantity, proceeds, saleDate) => sellHolding(selectedAssetForHoldings.id, symbol, quantity, proceeds, saleDate)}
+          />
+        </Modal>
+      )}
+
+      {showDeleteConfirmModal && assetToDelete && (
+        <Modal title="Confirm Deletion" onClose={() => setShowDeleteConfirmModal(false)}>
+          <p className="mb-4 text-center text-gray-700">
+            Are you sure you want to delete the asset: <span className="font-semibold text-indigo-600">{assetToDelete.name}</span>?
+            It moves to the Trash, where you can restore it for {TRASH_RETENTION_DAYS} days.
+          </p>
+          <div className="flex justify-center gap-4 mt-6">
+            <button
+              onClick={() => {
+                deleteAsset(assetToDelete.id);
+              }}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => setShowDeleteConfirmModal(false)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Cancel
+            </button>
+          </div>
+        </Modal>
+      )}
+
+      {/* New Modal for individual asset history details */}
+      {showAssetDetailsModal && selectedAssetForDetails && (
+        <Modal title={`History for ${selectedAssetForDetails.name}`} onClose={() => setShowAssetDetailsModal(false)}>
+          <AssetHistoryDetailsModal
+            asset={assets.find(asset => asset.id === selectedAssetForDetails.id) || selectedAssetForDetails}
+            assets={assets}
+            onEdit={(edit) => editAssetHistory(selectedAssetForDetails.id, edit)}
+            onDeleteTransfer={deleteTransfer}
+          />
+        </Modal>
+      )}
+
+      {showAddLiabilityModal && (
+        <Modal title="Add New Liability" onClose={() => setShowAddLiabilityModal(false)}>
+          <AddLiabilityForm onAdd={addLiability} onClose={() => setShowAddLiabilityModal(false)} />
+        </Modal>
+      )}
+
+      {showUpdateLiabilityModal && selectedLiabilityForUpdate && (
+        <Modal title={`Update Balance for ${selectedLiabilityForUpdate.name}`} onClose={() => setShowUpdateLiabilityModal(false)}>
+          <UpdateLiabilityBalanceForm
+            liability={selectedLiabilityForUpdate}
+            onUpdate={updateLiabilityBalance}
+            onClose={() => setShowUpdateLiabilityModal(false)}
+          />
+        </Modal>
+      )}
+
+      {showLiabilityDeleteConfirmModal && liabilityToDelete && (
+        <Modal title="Confirm Liability Deletion" onClose={() => setShowLiabilityDeleteConfirmModal(false)}>
+          <p className="mb-4 text-center text-gray-700">
+            Are you sure you want to delete the liability: <span className="font-semibold text-red-600">{liabilityToDelete.name}</span>?
+            It moves to the Trash, where you can restore it for {TRASH_RETENTION_DAYS} days.
+          </p>
+          <div className="flex justify-center gap-4 mt-6">
+            <button
+              onClick={() => {
+                deleteLiability(liabilityToDelete.id);
+              }}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => setShowLiabilityDeleteConfirmModal(false)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Cancel
+            </button>
+          </div>
+        </Modal>
+      )}
+
+      {showLiabilityDetailsModal && selectedLiabilityForDetails && (
+        <Modal title={`History for ${selectedLiabilityForDetails.name}`} onClose={() => setShowLiabilityDetailsModal(false)}>
+          <LiabilityHistoryDetailsModal liability={selectedLiabilityForDetails} />
+        </Modal>
+      )}
+
+      {/* Income Edit Modal */}
+      {showEditIncomeModal && selectedIncomeForEdit && (
+        <Modal title={`Edit Income: ${selectedIncomeForEdit.description}`} onClose={() => setShowEditIncomeModal(false)}>
+          <EditIncomeForm
+            incomeItem={selectedIncomeForEdit}
+            onUpdate={updateIncome}
+            onClose={() => setShowEditIncomeModal(false)}
+          />
+        </Modal>
+      )}
+
+      {/* Income Delete Confirmation Modal */}
+      {showIncomeDeleteConfirmModal && incomeToDelete && (
+        <Modal title="Confirm Income Deletion" onClose={() => setShowIncomeDeleteConfirmModal(false)}>
+          <p className="mb-4 text-center text-gray-700">
+            Are you sure you want to delete the income: <span className="font-semibold text-teal-600">{incomeToDelete.description}</span>?
+            It moves to the Trash, where you can restore it for {TRASH_RETENTION_DAYS} days.
+          </p>
+          <div className="flex justify-center gap-4 mt-6">
+            <button
+              onClick={() => {
+                deleteIncome(incomeToDelete.id);
+              }}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => setShowIncomeDeleteConfirmModal(false)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Cancel
+            </button>
+          </div>
+        </Modal>
+      )}
+
+      {/* Income History Details Modal */}
+      {showIncomeDetailsModal && selectedIncomeForDetails && (
+        <Modal title="Income Details & History" onClose={() => setShowIncomeDetailsModal(false)}>
+          <TransactionHistoryDetailsModal transaction={selectedIncomeForDetails} />
+        </Modal>
+      )}
+
+
+      {/* Expense Edit Modal */}
+      {showEditExpenseModal && selectedExpenseForEdit && (
+        <Modal title={`Edit Expense: ${selectedExpenseForEdit.description}`} onClose={() => setShowEditExpenseModal(false)}>
+          <EditExpenseForm
+            expenseItem={selectedExpenseForEdit}
+            categories={categories}
+            members={householdMembers}
+            onUpdate={updateExpense}
+            onClose={() => setShowEditExpenseModal(false)}
+          />
+        </Modal>
+      )}
+
+      {/* Expense Delete Confirmation Modal */}
+      {showExpenseDeleteConfirmModal && expenseToDelete && (
+        <Modal title="Confirm Expense Deletion" onClose={() => setShowExpenseDeleteConfirmModal(false)}>
+          <p className="mb-4 text-center text-gray-700">
+            Are you sure you want to delete the expense: <span className="font-semibold text-red-600">{expenseToDelete.description}</span>?
+            It moves to the Trash, where you can restore it for {TRASH_RETENTION_DAYS} days.
+          </p>
+          <div className="flex justify-center gap-4 mt-6">
+            <button
+              onClick={() => {
+                deleteExpense(expenseToDelete.id);
+              }}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => setShowExpenseDeleteConfirmModal(false)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Cancel
+            </button>
+          </div>
+        </Modal>
+      )}
+
+      {/* Category Add/Edit Modal */}
+      {showCategoryModal && (
+        <Modal title={selectedCategoryForEdit ? `Edit Category: ${selectedCategoryForEdit.name}` : 'Add New Category'} onClose={() => setShowCategoryModal(false)}>
+          <CategoryForm
+            category={selectedCategoryForEdit}
+            categories={categories}
+            onAdd={addCategory}
+            onUpdate={updateCategory}
+            onClose={() => setShowCategoryModal(false)}
+          />
+        </Modal>
+      )}
+
+      {/* Categorization Rule Add/Edit Modal */}
+      {showRuleModal && (
+        <Modal title={selectedRuleForEdit ? `Edit Rule: ${selectedRuleForEdit.name}` : 'Add New Rule'} onClose={() => setShowRuleModal(false)}>
+          <RuleForm
+            rule={selectedRuleForEdit}
+            categories={categories}
+            expenses={expenses}
+            nextPriority={categoryRules.length > 0 ? Math.max(...categoryRules.map(rule => rule.priority ?? 0)) + 1 : 0}
+            onAdd={addRule}
+            onUpdate={updateRule}
+            onClose={() => setShowRuleModal(false)}
+          />
+        </Modal>
+      )}
+
+      {/* Category Delete Confirmation Modal */}
+      {showCategoryDeleteConfirmModal && categoryToDelete && (
+        <Modal title="Confirm Category Deletion" onClose={() => setShowCategoryDeleteConfirmModal(false)}>
+          <p className="mb-4 text-center text-gray-700">
+            Are you sure you want to delete the category: <span className="font-semibold text-indigo-600">{categoryToDelete.name}</span>?
+            Expenses in this category will become Uncategorized.
+          </p>
+          <div className="flex justify-center gap-4 mt-6">
+            <button
+              onClick={() => {
+                deleteCategory(categoryToDelete.id);
+              }}
+              className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Delete
+            </button>
+            <button
+              onClick={() => setShowCategoryDeleteConfirmModal(false)}
+              className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-6 rounded-md shadow-lg transition duration-200 transform hover:scale-105"
+            >
+              Cancel
+            </button>
+          </div>
+        </Modal>
+      )}
+
+      {/* Expense History Details Modal */}
+      {showExpenseDetailsModal && selectedExpenseForDetails && (
+        <Modal title="Expense Details & History" onClose={() => setShowExpenseDetailsModal(false)}>
+          <TransactionHistoryDetailsModal transaction={selectedExpenseForDetails} categories={categories} />
+        </Modal>
+      )}
+
+      {undoToast && <UndoToast toast={undoToast} onUndo={handleUndo} onDismiss={dismissUndo} />}
+
+    </div>
+  );
+}
+
+// NavItem Component for Sidebar
+const NavItem = ({ icon, label, page, currentPage, setCurrentPage }) => (
+  <button
+    onClick={() => setCurrentPage(page)}
+    className={`w-full flex items-center px-4 py-3 rounded-lg text-left font-medium transition duration-200 ${
+      currentPage === page
+        ? 'bg-indigo-100 text-indigo-700 shadow-md'
+        : 'text-gray-600 hover:bg-gray-100 hover:text-gray-800'
+    }`}
+  >
+    <span className="mr-3">{icon}</span>
+    {label}
+  </button>
+);
+
+
+// Add Asset Form Component
+function AddAssetForm({ onAdd, onClose }) {
+  const [name, setName] = useState('');
+  const [type, setType] = useState('Cash'); // Default type
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [initialValue, setInitialValue] = useState('');
+  const [initialDate, setInitialDate] = useState(new Date().toISOString().split('T')[0]); // New state for initial date
+  const [tracksHoldings, setTracksHoldings] = useState(false);
+  const [formError, setFormError] = useState('');
+  const withHoldings = type === 'Investment' && tracksHoldings; // Starts empty and is valued from its holdings
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFormError('');
+    if (!name || !type || (!withHoldings && initialValue === '') || !initialDate) { // Validate date
+      setFormError('All fields are required.');
+      return;
+    }
+    const value = withHoldings ? 0 : parseFloat(initialValue);
+    if (isNaN(value) || value < 0) {
+      setFormError('Initial Value must be a non-negative number.');
+      return;
+    }
+    onAdd(name, type, value, initialDate, currency, withHoldings); // Pass initialDate
+    // onClose(); // Handled by App component after successful add
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+          {formError}
+        </div>
+      )}
+      <div>
+        <label htmlFor="assetName" className="block text-sm font-medium text-gray-700 mb-1">Asset Name</label>
+        <input
+          type="text"
+          id="assetName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          placeholder="e.g., Savings Account, My House"
+          required
+        />
+      </div>
+      <div>
+        <label htmlFor="assetType" className="block text-sm font-medium text-gray-700 mb-1">Asset Type</label>
+        <select
+          id="assetType"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          required
+        >
+          <option value="Cash">Cash</option>
+          <option value="Investment">Investment</option>
+          <option value="Real Estate">Real Estate</option>
+          <option value="Vehicle">Vehicle</option>
+          <option value="Other">Other</option>
+        </select>
+      </div>
+      <div>
+        <label htmlFor="assetCurrency" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+        <CurrencySelect id="assetCurrency" value={currency} onChange={setCurrency} />
+      </div>
+      {type === 'Investment' && (
+        <label className="flex items-start text-sm text-gray-700">
+          <input type="checkbox" checked={tracksHoldings} onChange={(e) => setTracksHoldings(e.target.checked)} className="mr-2 mt-1" />
+          <span>Track holdings: value this asset as quantity × price of the securities it holds, instead of updating it by hand</span>
+        </label>
+      )}
+      {!withHoldings && (
+        <div>
+          <label htmlFor="initialValue" className="block text-sm font-medium text-gray-700 mb-1">Initial Value ({currency})</label>
+          <input
+            type="number"
+            id="initialValue"
+            value={initialValue}
+            onChange={(e) => setInitialValue(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            placeholder="0.00"
+            min="0"
+            step="0.01"
+            required
+          />
+        </div>
+      )}
+      <div> {/* New Date input for Initial Value */}
+        <label htmlFor="initialDate" className="block text-sm font-medium text-gray-700 mb-1">{withHoldings ? 'Date Opened' : 'Date of Initial Value'}</label>
+        <input
+          type="date"
+          id="initialDate"
+          value={initialDate}
+          onChange={(e) => setInitialDate(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          required
+        />
+      </div>
+      <div className="flex justify-end gap-3 mt-6">
+        <button
+          type="button"
+          onClick={onClose}
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Add Asset
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Update Asset Value Form Component
+function UpdateAssetValueForm({ asset, onUpdate, onClose }) {
+  const [newValue, setNewValue] = useState(asset.currentValue || '');
+  const [valueDate, setValueDate] = useState(new Date().toISOString().split('T')[0]);
+  const [formError, setFormError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFormError('');
+    const value = parseFloat(newValue);
+    if (isNaN(value) || value < 0) {
+      setFormError('New Value must be a non-negative number.');
+      return;
+    }
+    if (!valueDate) {
+      setFormError('Date is required.');
+      return;
+    }
+    onUpdate(asset.id, value, valueDate);
+    // onClose(); // Handled by App component after successful update
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+          {formError}
+        </div>
+      )}
+      <div>
+        <label htmlFor="newValue" className="block text-sm font-medium text-gray-700 mb-1">New Value for {asset.name} ({asset.currency || DEFAULT_CURRENCY})</label>
+        <input
+          type="number"
+          id="newValue"
+          value={newValue}
+          onChange={(e) => setNewValue(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          placeholder="0.00"
+          min="0"
+          step="0.01"
+          required
+        />
+      </div>
+      <div>
+        <label htmlFor="valueDate" className="block text-sm font-medium text-gray-700 mb-1">Valuation Date</label>
+        <input
+          type="date"
+          id="valueDate"
+          value={valueDate}
+          onChange={(e) => setValueDate(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          required
+        />
+      </div>
+      <div className="flex justify-end gap-3 mt-6">
+        <button
+          type="button"
+          onClick={onClose}
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Cancel
+
+        </button>
+        <button
+          type="submit"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Update Value
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Add Contribution Form Component
+function AddContributionForm({ asset, onAddContribution, onClose }) {
+  const [isWithdrawal, setIsWithdrawal] = useState(false);
+  const [contributionAmount, setContributionAmount] = useState('');
+  const [contributionDate, setContributionDate] = useState(new Date().toISOString().split('T')[0]); // New state for contribution date
+  const [formError, setFormError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFormError('');
+    if (!contributionAmount || !contributionDate) { // Validate date
+      setFormError('All fields are required.');
+      return;
+    }
+    const amount = parseFloat(contributionAmount);
+    if (isNaN(amount) || amount <= 0) {
+      setFormError('Amount must be a positive number.');
+      return;
+    }
+    // Withdrawals are stored as negative contributions and can't take out more than the asset held
+    const valueOnDate = getValueOn(asset.valueHistory, contributionDate);
+    if (isWithdrawal && amount > valueOnDate) {
+      setFormError(`You can withdraw at most ${formatCurrency(valueOnDate, asset.currency)}, the value of ${asset.name} on ${contributionDate}.`);
+      return;
+    }
+    onAddContribution(asset.id, isWithdrawal ? -amount : amount, contributionDate); // Pass contributionDate
+    // onClose(); // Handled by App component after successful add
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+          {formError}
+        </div>
+      )}
+      <div className="flex gap-4">
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input type="radio" name="contributionKind" checked={!isWithdrawal} onChange={() => setIsWithdrawal(false)} className="mr-2" />
+          Contribution (money in)
+        </label>
+        <label className="inline-flex items-center text-sm text-gray-700">
+          <input type="radio" name="contributionKind" checked={isWithdrawal} onChange={() => setIsWithdrawal(true)} className="mr-2" />
+          Withdrawal (money out)
+        </label>
+      </div>
+      <div>
+        <label htmlFor="contributionAmount" className="block text-sm font-medium text-gray-700 mb-1">
+          {isWithdrawal ? 'Withdrawal from' : 'Contribution to'} {asset.name} ({asset.currency || DEFAULT_CURRENCY})
+        </label>
+        <input
+          type="number"
+          id="contributionAmount"
+          value={contributionAmount}
+          onChange={(e) => setContributionAmount(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          placeholder="0.00"
+          min="0.01"
+          step="0.01"
+          required
+        />
+      </div>
+      <div> {/* New Date input for Contribution */}
+        <label htmlFor="contributionDate" className="block text-sm font-medium text-gray-700 mb-1">Date of {isWithdrawal ? 'Withdrawal' : 'Contribution'}</label>
+        <input
+          type="date"
+          id="contributionDate"
+          value={contributionDate}
+          onChange={(e) => setContributionDate(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          required
+        />
+      </div>
+      <div className="flex justify-end gap-3 mt-6">
+        <button
+          type="button"
+          onClick={onClose}
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+        >
+          {isWithdrawal ? 'Add Withdrawal' : 'Add Contribution'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Transfer Form Component: moves money from one asset to another on one date
+function TransferForm({ fromAsset, assets, rateHistory, onTransfer, onClose }) {
+  const targets = assets.filter(asset => asset.id !== fromAsset.id && !hasHoldings(asset)); // Holdings assets take money by buying
+  const [toAssetId, setToAssetId] = useState(targets.length > 0 ? targets[0].id : '');
+  const [amount, setAmount] = useState('');
+  const [receivedAmount, setReceivedAmount] = useState(''); // Only used across currencies; blank = converted at the stored rate
+  const [transferDate, setTransferDate] = useState(new Date().toISOString().split('T')[0]);
+  const [formError, setFormError] = useState('');
+
+  const toAsset = targets.find(asset => asset.id === toAssetId);
+  const fromCurrency = fromAsset.currency || DEFAULT_CURRENCY;
+  const toCurrency = toAsset ? toAsset.currency || DEFAULT_CURRENCY : fromCurrency;
+  const crossCurrency = fromCurrency !== toCurrency;
+  const parsedAmount = parseFloat(amount);
+  const convertedAmount = !isNaN(parsedAmount)
+    ? Math.round(convertAmount(parsedAmount, fromCurrency, toCurrency, getRatesOn(rateHistory, transferDate)) * 100) / 100
+    : null;
+
+  const inputClassName = "mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm";
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFormError('');
+    if (!toAsset || !amount || !transferDate) {
+      setFormError('All fields are required.');
+      return;
+    }
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      setFormError('Amount must be a positive number.');
+      return;
+    }
+    const valueOnDate = getValueOn(fromAsset.valueHistory, transferDate);
+    if (parsedAmount > valueOnDate) {
+      setFormError(`You can transfer at most ${formatCurrency(valueOnDate, fromCurrency)}, the value of ${fromAsset.name} on ${transferDate}.`);
+      return;
+    }
+    const received = crossCurrency && receivedAmount !== '' ? parseFloat(receivedAmount) : (crossCurrency ? convertedAmount : parsedAmount);
+    if (isNaN(received) || received <= 0) {
+      setFormError('Received amount must be a positive number.');
+      return;
+    }
+    onTransfer(fromAsset.id, toAsset.id, parsedAmount, received, transferDate);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+          {formError}
+        </div>
+      )}
+      <div>
+        <label htmlFor="transferToAsset" className="block text-sm font-medium text-gray-700 mb-1">To Asset</label>
+        <select id="transferToAsset" value={toAssetId} onChange={(e) => setToAssetId(e.target.value)} className={inputClassName} required>
+          {targets.map(asset => (
+            <option key={asset.id} value={asset.id}>{asset.name} ({asset.currency || DEFAULT_CURRENCY})</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label htmlFor="transferAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount ({fromCurrency})</label>
+        <input
+          type="number"
+          id="transferAmount"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          className={inputClassName}
+          placeholder="0.00"
+          min="0.01"
+          step="0.01"
+          required
+        />
+      </div>
+      {crossCurrency && (
+        <div>
+          <label htmlFor="transferReceivedAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount Received ({toCurrency})</label>
+          <input
+            type="number"
+            id="transferReceivedAmount"
+            value={receivedAmount}
+            onChange={(e) => setReceivedAmount(e.target.value)}
+            className={inputClassName}
+            placeholder={convertedAmount !== null ? String(convertedAmount) : '0.00'}
+            min="0.01"
+            step="0.01"
+          />
+          <p className="text-xs text-gray-500 mt-1">Leave blank to convert at the exchange rate for that date.</p>
+        </div>
       )}
-
-    </div>
+      <div>
+        <label htmlFor="transferDate" className="block text-sm font-medium text-gray-700 mb-1">Date of Transfer</label>
+        <input
+          type="date"
+          id="transferDate"
+          value={transferDate}
+          onChange={(e) => setTransferDate(e.target.value)}
+          className={inputClassName}
+          required
+        />
+      </div>
+      <div className="flex justify-end gap-3 mt-6">
+        <button
+          type="button"
+          onClick={onClose}
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
+        >
+          Transfer
+        </button>
+      </div>
+    </form>
   );
 }
 
-// NavItem Component for Sidebar
-const NavItem = ({ icon, label, page, currentPage, setCurrentPage }) => (
-  <button
-    onClick={() => setCurrentPage(page)}
-    className={`w-full flex items-center px-4 py-3 rounded-lg text-left font-medium transition duration-200 ${
-      currentPage === page
-        ? 'bg-indigo-100 text-indigo-700 shadow-md'
-        : 'text-gray-600 hover:bg-gray-100 hover:text-gray-800'
-    }`}
-  >
-    <span className="mr-3">{icon}</span>
-    {label}
-  </button>
-);
-
-
-// Add Asset Form Component
-function AddAssetForm({ onAdd, onClose }) {
+// Add Liability Form Component
+function AddLiabilityForm({ onAdd, onClose }) {
   const [name, setName] = useState('');
-  const [type, setType] = useState('Cash'); // Default type
-  const [initialValue, setInitialValue] = useState('');
-  const [initialDate, setInitialDate] = useState(new Date().toISOString().split('T')[0]); // New state for initial date
+  const [type, setType] = useState('Mortgage'); // Default type
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [initialBalance, setInitialBalance] = useState('');
+  const [initialDate, setInitialDate] = useState(new Date().toISOString().split('T')[0]);
+  const [interestRate, setInterestRate] = useState('');
+  const [minimumPayment, setMinimumPayment] = useState('');
   const [formError, setFormError] = useState('');
 
   const handleSubmit = (e) => {
     e.preventDefault();
     setFormError('');
-    if (!name || !type || initialValue === '' || !initialDate) { // Validate date
-      setFormError('All fields are required.');
+    if (!name || !type || initialBalance === '' || !initialDate) {
+      setFormError('Name, type, balance and date are required.');
       return;
     }
-    const value = parseFloat(initialValue);
-    if (isNaN(value) || value < 0) {
-      setFormError('Initial Value must be a non-negative number.');
+    const balance = parseFloat(initialBalance);
+    if (isNaN(balance) || balance < 0) {
+      setFormError('Balance must be a non-negative number.');
       return;
     }
-    onAdd(name, type, value, initialDate); // Pass initialDate
+    const rate = interestRate === '' ? 0 : parseFloat(interestRate);
+    const payment = minimumPayment === '' ? 0 : parseFloat(minimumPayment);
+    if (isNaN(rate) || rate < 0 || isNaN(payment) || payment < 0) {
+      setFormError('Interest rate and minimum payment must be non-negative numbers.');
+      return;
+    }
+    onAdd(name, type, balance, initialDate, rate, payment, currency);
     // onClose(); // Handled by App component after successful add
   };
 
@@ -2025,54 +7519,158 @@ function AddAssetForm({ onAdd, onClose }) {
         </div>
       )}
       <div>
-        <label htmlFor="assetName" className="block text-sm font-medium text-gray-700 mb-1">Asset Name</label>
+        <label htmlFor="liabilityName" className="block text-sm font-medium text-gray-700 mb-1">Liability Name</label>
         <input
           type="text"
-          id="assetName"
+          id="liabilityName"
           value={name}
           onChange={(e) => setName(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-          placeholder="e.g., Savings Account, My House"
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+          placeholder="e.g., Home Mortgage, Visa Card"
           required
         />
       </div>
       <div>
-        <label htmlFor="assetType" className="block text-sm font-medium text-gray-700 mb-1">Asset Type</label>
+        <label htmlFor="liabilityType" className="block text-sm font-medium text-gray-700 mb-1">Liability Type</label>
         <select
-          id="assetType"
+          id="liabilityType"
           value={type}
           onChange={(e) => setType(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
           required
         >
-          <option value="Cash">Cash</option>
-          <option value="Investment">Investment</option>
-          <option value="Real Estate">Real Estate</option>
-          <option value="Vehicle">Vehicle</option>
+          <option value="Mortgage">Mortgage</option>
+          <option value="Loan">Loan</option>
+          <option value="Credit Card">Credit Card</option>
           <option value="Other">Other</option>
         </select>
       </div>
       <div>
-        <label htmlFor="initialValue" className="block text-sm font-medium text-gray-700 mb-1">Initial Value</label>
+        <label htmlFor="liabilityCurrency" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+        <CurrencySelect id="liabilityCurrency" value={currency} onChange={setCurrency} />
+      </div>
+      <div>
+        <label htmlFor="initialBalance" className="block text-sm font-medium text-gray-700 mb-1">Outstanding Balance ({currency})</label>
         <input
           type="number"
-          id="initialValue"
-          value={initialValue}
-          onChange={(e) => setInitialValue(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          id="initialBalance"
+          value={initialBalance}
+          onChange={(e) => setInitialBalance(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
           placeholder="0.00"
           min="0"
           step="0.01"
           required
         />
       </div>
-      <div> {/* New Date input for Initial Value */}
-        <label htmlFor="initialDate" className="block text-sm font-medium text-gray-700 mb-1">Date of Initial Value</label>
+      <div>
+        <label htmlFor="liabilityInitialDate" className="block text-sm font-medium text-gray-700 mb-1">Date of Balance</label>
         <input
           type="date"
-          id="initialDate"
+          id="liabilityInitialDate"
           value={initialDate}
           onChange={(e) => setInitialDate(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+          required
+        />
+      </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="interestRate" className="block text-sm font-medium text-gray-700 mb-1">Interest Rate (%)</label>
+          <input
+            type="number"
+            id="interestRate"
+            value={interestRate}
+            onChange={(e) => setInterestRate(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+            placeholder="0.0"
+            min="0"
+            step="0.001"
+          />
+        </div>
+        <div>
+          <label htmlFor="minimumPayment" className="block text-sm font-medium text-gray-700 mb-1">Minimum Payment / Month</label>
+          <input
+            type="number"
+            id="minimumPayment"
+            value={minimumPayment}
+            onChange={(e) => setMinimumPayment(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+            placeholder="0.00"
+            min="0"
+            step="0.01"
+          />
+        </div>
+      </div>
+      <div className="flex justify-end gap-3 mt-6">
+        <button
+          type="button"
+          onClick={onClose}
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+        >
+          Add Liability
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Update Liability Balance Form Component
+function UpdateLiabilityBalanceForm({ liability, onUpdate, onClose }) {
+  const [newBalance, setNewBalance] = useState(liability.currentBalance ?? '');
+  const [balanceDate, setBalanceDate] = useState(new Date().toISOString().split('T')[0]);
+  const [formError, setFormError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setFormError('');
+    const balance = parseFloat(newBalance);
+    if (isNaN(balance) || balance < 0) {
+      setFormError('New Balance must be a non-negative number.');
+      return;
+    }
+    if (!balanceDate) {
+      setFormError('Date is required.');
+      return;
+    }
+    onUpdate(liability.id, balance, balanceDate);
+    // onClose(); // Handled by App component after successful update
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+          {formError}
+        </div>
+      )}
+      <div>
+        <label htmlFor="newBalance" className="block text-sm font-medium text-gray-700 mb-1">New Balance for {liability.name} ({liability.currency || DEFAULT_CURRENCY})</label>
+        <input
+          type="number"
+          id="newBalance"
+          value={newBalance}
+          onChange={(e) => setNewBalance(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          placeholder="0.00"
+          min="0"
+          step="0.01"
+          required
+        />
+      </div>
+      <div>
+        <label htmlFor="balanceDate" className="block text-sm font-medium text-gray-700 mb-1">Date of Balance</label>
+        <input
+          type="date"
+          id="balanceDate"
+          value={balanceDate}
+          onChange={(e) => setBalanceDate(e.target.value)}
           className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
           required
         />
@@ -2087,30 +7685,204 @@ function AddAssetForm({ onAdd, onClose }) {
         </button>
         <button
           type="submit"
-          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+        >
+          Update Balance
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Add Income Form Component
+function AddIncomeForm({ onAdd, onClose }) {
+  const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [description, setDescription] = useState('');
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [isRecurring, setIsRecurring] = useState(false);
+  const [frequency, setFrequency] = useState('Monthly'); // Default to monthly for recurring
+  const [customInterval, setCustomInterval] = useState(DEFAULT_CUSTOM_INTERVAL);
+  const [endDate, setEndDate] = useState(''); // Optional end date
+  const [formError, setFormError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    if (!amount || !description || !date) {
+      setFormError('All fields are required.');
+      return;
+    }
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      setFormError('Amount must be a positive number.');
+      return;
+    }
+    if (isRecurring && endDate && new Date(endDate) < new Date(date)) {
+        setFormError('End Date cannot be before the Start Date.');
+        return;
+    }
+    const parsedEvery = parseInt(customInterval.every, 10);
+    if (isRecurring && frequency === 'Custom' && (isNaN(parsedEvery) || parsedEvery < 1)) {
+        setFormError('Custom interval must be a whole number of at least 1.');
+        return;
+    }
+
+    const success = await onAdd(parsedAmount, description, date, isRecurring, frequency, endDate, currency, { ...customInterval, every: parsedEvery });
+    if (success) {
+      onClose();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+          {formError}
+        </div>
+      )}
+      <div>
+        <label htmlFor="incomeAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            id="incomeAmount"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+            placeholder="0.00"
+            min="0.01"
+            step="0.01"
+            required
+          />
+          <CurrencySelect
+            id="incomeCurrency"
+            value={currency}
+            onChange={setCurrency}
+            className="mt-1 block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+          />
+        </div>
+      </div>
+      <div>
+        <label htmlFor="incomeDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+        <input
+          type="text"
+          id="incomeDescription"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+          placeholder="e.g., Monthly Salary, Freelance Work"
+          required
+        />
+      </div>
+      <div>
+        <label htmlFor="incomeDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+        <input
+          type="date"
+          id="incomeDate"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+          required
+        />
+      </div>
+      <div className="flex items-center mt-4">
+        <input
+          id="isRecurringIncome"
+          name="isRecurringIncome"
+          type="checkbox"
+          checked={isRecurring}
+          onChange={(e) => setIsRecurring(e.target.checked)}
+          className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+        />
+        <label htmlFor="isRecurringIncome" className="ml-2 block text-sm text-gray-900">
+          Recurring Income
+        </label>
+      </div>
+
+      {isRecurring && (
+        <>
+          <div>
+            <label htmlFor="incomeFrequency" className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+            <FrequencySelect
+              id="incomeFrequency"
+              frequency={frequency}
+              onFrequencyChange={setFrequency}
+              customInterval={customInterval}
+              onCustomIntervalChange={setCustomInterval}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+            />
+          </div>
+          <div>
+            <label htmlFor="incomeEndDate" className="block text-sm font-medium text-gray-700 mb-1">Optional End Date</label>
+            <input
+              type="date"
+              id="incomeEndDate"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+            />
+          </div>
+        </>
+      )}
+
+      <div className="flex justify-end gap-3 mt-6">
+        <button
+          type="button"
+          onClick={onClose}
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
         >
-          Add Asset
+          Add Income
         </button>
       </div>
     </form>
   );
 }
 
-// Update Asset Value Form Component
-function UpdateAssetValueForm({ asset, onUpdate, onClose }) {
-  const [newValue, setNewValue] = useState(asset.currentValue || '');
+// Edit Income Form Component
+function EditIncomeForm({ incomeItem, onUpdate, onClose }) {
+  const [amount, setAmount] = useState(incomeItem.amount);
+  const [currency, setCurrency] = useState(incomeItem.currency || DEFAULT_CURRENCY);
+  const [description, setDescription] = useState(incomeItem.description);
+  const [date, setDate] = useState(incomeItem.date);
+  const [isRecurring, setIsRecurring] = useState(incomeItem.isRecurring || false);
+  const [frequency, setFrequency] = useState(incomeItem.frequency || 'Monthly');
+  const [customInterval, setCustomInterval] = useState(incomeItem.customInterval || DEFAULT_CUSTOM_INTERVAL);
+  const [endDate, setEndDate] = useState(incomeItem.endDate || '');
   const [formError, setFormError] = useState('');
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setFormError('');
-    const value = parseFloat(newValue);
-    if (isNaN(value) || value < 0) {
-      setFormError('New Value must be a non-negative number.');
+    if (!amount || !description || !date) {
+      setFormError('All fields are required.');
       return;
     }
-    onUpdate(asset.id, value);
-    // onClose(); // Handled by App component after successful update
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      setFormError('Amount must be a positive number.');
+      return;
+    }
+    if (isRecurring && endDate && new Date(endDate) < new Date(date)) {
+        setFormError('End Date cannot be before the Start Date.');
+        return;
+    }
+    const parsedEvery = parseInt(customInterval.every, 10);
+    if (isRecurring && frequency === 'Custom' && (isNaN(parsedEvery) || parsedEvery < 1)) {
+        setFormError('Custom interval must be a whole number of at least 1.');
+        return;
+    }
+
+    const success = await onUpdate(incomeItem.id, parsedAmount, description, date, isRecurring, frequency, endDate, currency, { ...customInterval, every: parsedEvery });
+    if (success) {
+      onClose();
+    }
   };
 
   return (
@@ -2121,59 +7893,293 @@ function UpdateAssetValueForm({ asset, onUpdate, onClose }) {
         </div>
       )}
       <div>
-        <label htmlFor="newValue" className="block text-sm font-medium text-gray-700 mb-1">New Value for {asset.name}</label>
+        <label htmlFor="incomeAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            id="incomeAmount"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+            placeholder="0.00"
+            min="0.01"
+            step="0.01"
+            required
+          />
+          <CurrencySelect
+            id="incomeCurrency"
+            value={currency}
+            onChange={setCurrency}
+            className="mt-1 block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+          />
+        </div>
+      </div>
+      <div>
+        <label htmlFor="incomeDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
         <input
-          type="number"
-          id="newValue"
-          value={newValue}
-          onChange={(e) => setNewValue(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-          placeholder="0.00"
-          min="0"
-          step="0.01"
+          type="text"
+          id="incomeDescription"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+          placeholder="e.g., Monthly Salary, Freelance Work"
+          required
+        />
+      </div>
+      <div>
+        <label htmlFor="incomeDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+        <input
+          type="date"
+          id="incomeDate"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
           required
         />
       </div>
+      <div className="flex items-center mt-4">
+        <input
+          id="isRecurringIncome"
+          name="isRecurringIncome"
+          type="checkbox"
+          checked={isRecurring}
+          onChange={(e) => setIsRecurring(e.target.checked)}
+          className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+        />
+        <label htmlFor="isRecurringIncome" className="ml-2 block text-sm text-gray-900">
+          Recurring Income
+        </label>
+      </div>
+
+      {isRecurring && (
+        <>
+          <div>
+            <label htmlFor="incomeFrequency" className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+            <FrequencySelect
+              id="incomeFrequency"
+              frequency={frequency}
+              onFrequencyChange={setFrequency}
+              customInterval={customInterval}
+              onCustomIntervalChange={setCustomInterval}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+            />
+          </div>
+          <div>
+            <label htmlFor="incomeEndDate" className="block text-sm font-medium text-gray-700 mb-1">Optional End Date</label>
+            <input
+              type="date"
+              id="incomeEndDate"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+            />
+          </div>
+        </>
+      )}
+
       <div className="flex justify-end gap-3 mt-6">
         <button
           type="button"
           onClick={onClose}
-          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
         >
           Cancel
-
         </button>
         <button
           type="submit"
-          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
         >
-          Update Value
+          Update Income
         </button>
       </div>
     </form>
   );
 }
 
-// Add Contribution Form Component
-function AddContributionForm({ asset, onAddContribution, onClose }) {
-  const [contributionAmount, setContributionAmount] = useState('');
-  const [contributionDate, setContributionDate] = useState(new Date().toISOString().split('T')[0]); // New state for contribution date
+// New splits are paid by the first member and shared equally by everyone
+const createDefaultSplit = (members) => ({
+  paidBy: members[0]?.id || '',
+  method: 'equal',
+  shares: Object.fromEntries(members.map(member => [member.id, 1])),
+});
+
+// Share inputs hold strings while editing; store them as numbers
+const normalizeSplit = (split) => ({
+  ...split,
+  shares: Object.fromEntries(Object.entries(split.shares).map(([memberId, value]) => [memberId, parseFloat(value) || 0])),
+});
+
+// Editor for who paid a shared expense and how it is split between household members
+function SplitEditor({ members, amount, currency, split, onChange }) {
+  if (members.length === 0) {
+    return <p className="text-sm text-gray-500">Add household members on the Household page to split expenses.</p>;
+  }
+
+  const setShare = (memberId, value) => {
+    const { [memberId]: removed, ...otherShares } = split.shares;
+    onChange({ ...split, shares: value === null ? otherShares : { ...otherShares, [memberId]: value } });
+  };
+
+  const changeMethod = (method) => {
+    // Keep the participants, reset their shares to something valid for the new method
+    const participants = Object.keys(split.shares);
+    const evenShare = method === 'percentage' ? 100 / participants.length : amount / participants.length;
+    onChange({
+      ...split,
+      method,
+      shares: Object.fromEntries(participants.map(memberId => [memberId, method === 'equal' ? 1 : Math.round(evenShare * 100) / 100])),
+    });
+  };
+
+  const splitError = validateSplit(amount, normalizeSplit(split));
+  const preview = splitError ? {} : calculateShares(amount, normalizeSplit(split));
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-md border border-gray-200 space-y-3">
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="splitPaidBy" className="block text-sm font-medium text-gray-700 mb-1">Paid By</label>
+          <select
+            id="splitPaidBy"
+            value={split.paidBy}
+            onChange={(e) => onChange({ ...split, paidBy: e.target.value })}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+          >
+            <option value="">Select member</option>
+            {members.map(member => (
+              <option key={member.id} value={member.id}>{member.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="splitMethod" className="block text-sm font-medium text-gray-700 mb-1">Split</label>
+          <select
+            id="splitMethod"
+            value={split.method}
+            onChange={(e) => changeMethod(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+          >
+            {Object.entries(SPLIT_METHODS).map(([method, label]) => (
+              <option key={method} value={method}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="space-y-2">
+        {members.map(member => {
+          const isParticipant = split.shares[member.id] !== undefined;
+          return (
+            <div key={member.id} className="flex items-center justify-between gap-2 text-sm">
+              <label className="flex items-center gap-2 text-gray-900">
+                <input
+                  type="checkbox"
+                  checked={isParticipant}
+                  onChange={(e) => setShare(member.id, e.target.checked ? (split.method === 'equal' ? 1 : 0) : null)}
+                  className="h-4 w-4 text-red-600 focus:ring-red-500 border-gray-300 rounded"
+                />
+                {member.name}
+              </label>
+              <div className="flex items-center gap-2">
+                {isParticipant && split.method !== 'equal' && (
+                  <input
+                    type="number"
+                    value={split.shares[member.id]}
+                    onChange={(e) => setShare(member.id, e.target.value)}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+                    min="0"
+                    step="0.01"
+                    aria-label={`${member.name} ${split.method === 'percentage' ? 'percentage' : 'amount'}`}
+                  />
+                )}
+                {split.method === 'percentage' && isParticipant && <span className="text-gray-500">%</span>}
+                <span className="w-24 text-right text-gray-600">
+                  {preview[member.id] !== undefined ? formatCurrency(preview[member.id], currency) : ''}
+                </span>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {splitError && <p className="text-xs text-orange-600">{splitError}</p>}
+    </div>
+  );
+}
+
+// Add Expense Form Component
+function AddExpenseForm({ categories, rules, members, onAdd, onClose }) {
+  const [amount, setAmount] = useState('');
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [description, setDescription] = useState('');
+  const [categoryId, setCategoryId] = useState(null); // null means Uncategorized
+  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
+  const [isRecurring, setIsRecurring] = useState(false);
+  const [frequency, setFrequency] = useState('Monthly'); // Default to monthly for recurring
+  const [customInterval, setCustomInterval] = useState(DEFAULT_CUSTOM_INTERVAL);
+  const [endDate, setEndDate] = useState(''); // Optional end date
+  const [isShared, setIsShared] = useState(false);
+  const [split, setSplit] = useState(() => createDefaultSplit(members));
   const [formError, setFormError] = useState('');
 
-  const handleSubmit = (e) => {
+  // A matching categorization rule is offered as a suggestion, never applied silently
+  const ruleSuggestion = useMemo(() => {
+    if (!description.trim()) return null;
+    const suggestion = applyRules(rules, {
+      description,
+      amount: parseFloat(amount),
+      categoryId,
+      isRecurring,
+      type: isRecurring ? 'Recurring' : 'One-Off',
+      frequency: isRecurring ? frequency : '',
+      customInterval: isRecurring && frequency === 'Custom' ? customInterval : null,
+      endDate: isRecurring ? endDate : '',
+    });
+    return suggestion && Object.keys(suggestion.changes).length > 0 ? suggestion : null;
+  }, [rules, description, amount, categoryId, isRecurring, frequency, customInterval, endDate]);
+
+  const applyRuleSuggestion = () => {
+    const { changes } = ruleSuggestion;
+    if (changes.categoryId) setCategoryId(changes.categoryId);
+    if (changes.description) setDescription(changes.description);
+    if (changes.isRecurring !== undefined) setIsRecurring(changes.isRecurring);
+    if (changes.frequency) setFrequency(changes.frequency);
+    if (changes.customInterval) setCustomInterval(changes.customInterval);
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setFormError('');
-    if (!contributionAmount || !contributionDate) { // Validate date
+    if (!amount || !description || !date) { // Added 'date' to validation
       setFormError('All fields are required.');
       return;
     }
-    const amount = parseFloat(contributionAmount);
-    if (isNaN(amount) || amount <= 0) {
-      setFormError('Contribution amount must be a positive number.');
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      setFormError('Amount must be a positive number.');
       return;
     }
-    onAddContribution(asset.id, amount, contributionDate); // Pass contributionDate
-    // onClose(); // Handled by App component after successful add
+    if (isRecurring && endDate && new Date(endDate) < new Date(date)) {
+        setFormError('End Date cannot be before the Start Date.');
+        return;
+    }
+    const parsedEvery = parseInt(customInterval.every, 10);
+    if (isRecurring && frequency === 'Custom' && (isNaN(parsedEvery) || parsedEvery < 1)) {
+        setFormError('Custom interval must be a whole number of at least 1.');
+        return;
+    }
+    const normalizedSplit = isShared ? normalizeSplit(split) : null;
+    if (isShared) {
+      const splitError = validateSplit(parsedAmount, normalizedSplit);
+      if (splitError) {
+        setFormError(splitError);
+        return;
+      }
+    }
+
+    // Pass isRecurring directly, App component will derive 'type'
+    const success = await onAdd(parsedAmount, description, categoryId, date, isRecurring, frequency, endDate, currency, { ...customInterval, every: parsedEvery }, normalizedSplit); // Added 'date' param
+    if (success) {
+      onClose();
+    }
   };
 
   return (
@@ -2184,63 +8190,194 @@ function AddContributionForm({ asset, onAddContribution, onClose }) {
         </div>
       )}
       <div>
-        <label htmlFor="contributionAmount" className="block text-sm font-medium text-gray-700 mb-1">Contribution to {asset.name}</label>
+        <label htmlFor="expenseAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            id="expenseAmount"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+            placeholder="0.00"
+            min="0.01"
+            step="0.01"
+            required
+          />
+          <CurrencySelect
+            id="expenseCurrency"
+            value={currency}
+            onChange={setCurrency}
+            className="mt-1 block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+          />
+        </div>
+      </div>
+      <div>
+        <label htmlFor="expenseDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
         <input
-          type="number"
-          id="contributionAmount"
-          value={contributionAmount}
-          onChange={(e) => setContributionAmount(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-          placeholder="0.00"
-          min="0.01"
-          step="0.01"
+          type="text"
+          id="expenseDescription"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+          placeholder="e.g., Groceries, Rent, Coffee"
           required
         />
       </div>
-      <div> {/* New Date input for Contribution */}
-        <label htmlFor="contributionDate" className="block text-sm font-medium text-gray-700 mb-1">Date of Contribution</label>
+      {ruleSuggestion && (
+        <div className="flex items-center justify-between gap-2 bg-indigo-50 border border-indigo-200 text-indigo-800 px-3 py-2 rounded-md text-sm">
+          <span className="flex items-center">
+            <Wand2 size={16} className="mr-2 flex-shrink-0" />
+            Rule "{ruleSuggestion.rule.name}" suggests
+            {ruleSuggestion.changes.categoryId && ` ${getCategoryPath(categories, ruleSuggestion.changes.categoryId)}`}
+            {ruleSuggestion.changes.description && ` · "${ruleSuggestion.changes.description}"`}
+            {ruleSuggestion.changes.isRecurring === true && ` · ${describeFrequency(ruleSuggestion.changes).toLowerCase()}`}
+            {ruleSuggestion.changes.isRecurring === false && ' · one-off'}
+          </span>
+          <button
+            type="button"
+            onClick={applyRuleSuggestion}
+            className="py-1 px-3 border border-indigo-300 rounded-md bg-white hover:bg-indigo-100 font-medium"
+          >
+            Apply
+          </button>
+        </div>
+      )}
+      <div>
+        <label htmlFor="expenseCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+        <CategorySelect
+          id="expenseCategory"
+          categories={categories}
+          value={categoryId}
+          onChange={setCategoryId}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+        />
+      </div>
+      {/* Removed the 'type' dropdown as per user request */}
+      <div>
+        <label htmlFor="expenseDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
         <input
           type="date"
-          id="contributionDate"
-          value={contributionDate}
-          onChange={(e) => setContributionDate(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          id="expenseDate"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
           required
         />
       </div>
+      <div className="flex items-center mt-4">
+        <input
+          id="isRecurringExpense"
+          name="isRecurringExpense"
+          type="checkbox"
+          checked={isRecurring}
+          onChange={(e) => setIsRecurring(e.target.checked)}
+          className="h-4 w-4 text-red-600 focus:ring-red-500 border-gray-300 rounded"
+        />
+        <label htmlFor="isRecurringExpense" className="ml-2 block text-sm text-gray-900">
+          Recurring Expense
+        </label>
+      </div>
+
+      {isRecurring && (
+        <>
+          <div>
+            <label htmlFor="expenseFrequency" className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+            <FrequencySelect
+              id="expenseFrequency"
+              frequency={frequency}
+              onFrequencyChange={setFrequency}
+              customInterval={customInterval}
+              onCustomIntervalChange={setCustomInterval}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+            />
+          </div>
+          <div>
+            <label htmlFor="expenseEndDate" className="block text-sm font-medium text-gray-700 mb-1">Optional End Date</label>
+            <input
+              type="date"
+              id="expenseEndDate"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+            />
+          </div>
+        </>
+      )}
+
+      <div className="flex items-center mt-4">
+        <input
+          id="isSharedExpense"
+          name="isSharedExpense"
+          type="checkbox"
+          checked={isShared}
+          onChange={(e) => setIsShared(e.target.checked)}
+          className="h-4 w-4 text-red-600 focus:ring-red-500 border-gray-300 rounded"
+        />
+        <label htmlFor="isSharedExpense" className="ml-2 block text-sm text-gray-900">
+          Shared Expense
+        </label>
+      </div>
+
+      {isShared && (
+        <SplitEditor members={members} amount={parseFloat(amount) || 0} currency={currency} split={split} onChange={setSplit} />
+      )}
+
       <div className="flex justify-end gap-3 mt-6">
         <button
           type="button"
           onClick={onClose}
-          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
         >
           Cancel
         </button>
         <button
           type="submit"
-          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
         >
-          Add Contribution
+          Add Expense
         </button>
       </div>
     </form>
   );
 }
 
-// Add Income Form Component
-function AddIncomeForm({ onAdd, onClose }) {
-  const [amount, setAmount] = useState('');
-  const [description, setDescription] = useState('');
-  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
-  const [isRecurring, setIsRecurring] = useState(false);
-  const [frequency, setFrequency] = useState('Monthly'); // Default to monthly for recurring
-  const [endDate, setEndDate] = useState(''); // Optional end date
+// Edit Expense Form Component
+function EditExpenseForm({ expenseItem, categories, members, onUpdate, onClose }) {
+  const [amount, setAmount] = useState(expenseItem.amount);
+  const [currency, setCurrency] = useState(expenseItem.currency || DEFAULT_CURRENCY);
+  const [description, setDescription] = useState(expenseItem.description);
+  const [categoryId, setCategoryId] = useState(expenseItem.categoryId || null);
+  const [date, setDate] = useState(expenseItem.date);
+  const [isRecurring, setIsRecurring] = useState(expenseItem.isRecurring || false);
+  const [frequency, setFrequency] = useState(expenseItem.frequency || 'Monthly');
+  const [customInterval, setCustomInterval] = useState(expenseItem.customInterval || DEFAULT_CUSTOM_INTERVAL);
+  const [endDate, setEndDate] = useState(expenseItem.endDate || '');
+  const [isShared, setIsShared] = useState(!!expenseItem.split);
+  const [split, setSplit] = useState(expenseItem.split || createDefaultSplit(members));
   const [formError, setFormError] = useState('');
 
+  // When expenseItem changes (e.g., when a new item is selected for editing),
+  // update the form states.
+  useEffect(() => {
+    setAmount(expenseItem.amount);
+    setCurrency(expenseItem.currency || DEFAULT_CURRENCY);
+    setDescription(expenseItem.description);
+    setCategoryId(expenseItem.categoryId || null);
+    setDate(expenseItem.date);
+    setIsRecurring(expenseItem.isRecurring || false);
+    setFrequency(expenseItem.frequency || 'Monthly');
+    setCustomInterval(expenseItem.customInterval || DEFAULT_CUSTOM_INTERVAL);
+    setEndDate(expenseItem.endDate || '');
+    setIsShared(!!expenseItem.split);
+    setSplit(expenseItem.split || createDefaultSplit(members));
+    setFormError('');
+  }, [expenseItem, members]);
+
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setFormError('');
-    if (!amount || !description || !date) {
+    if (!amount || !description || !date) { // Added 'date' to validation
       setFormError('All fields are required.');
       return;
     }
@@ -2253,8 +8390,22 @@ function AddIncomeForm({ onAdd, onClose }) {
         setFormError('End Date cannot be before the Start Date.');
         return;
     }
+    const parsedEvery = parseInt(customInterval.every, 10);
+    if (isRecurring && frequency === 'Custom' && (isNaN(parsedEvery) || parsedEvery < 1)) {
+        setFormError('Custom interval must be a whole number of at least 1.');
+        return;
+    }
+    const normalizedSplit = isShared ? normalizeSplit(split) : null;
+    if (isShared) {
+      const splitError = validateSplit(parsedAmount, normalizedSplit);
+      if (splitError) {
+        setFormError(splitError);
+        return;
+      }
+    }
 
-    const success = await onAdd(parsedAmount, description, date, isRecurring, frequency, endDate);
+    // Pass newIsRecurring directly, App component will derive 'type'
+    const success = await onUpdate(expenseItem.id, parsedAmount, description, categoryId, date, isRecurring, frequency, endDate, currency, { ...customInterval, every: parsedEvery }, normalizedSplit); // Added 'date' param
     if (success) {
       onClose();
     }
@@ -2268,131 +8419,179 @@ function AddIncomeForm({ onAdd, onClose }) {
         </div>
       )}
       <div>
-        <label htmlFor="incomeAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount (EUR)</label>
-        <input
-          type="number"
-          id="incomeAmount"
-          value={amount}
-          onChange={(e) => setAmount(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
-          placeholder="0.00"
-          min="0.01"
-          step="0.01"
-          required
-        />
+        <label htmlFor="expenseAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            id="expenseAmount"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+            placeholder="0.00"
+            min="0.01"
+            step="0.01"
+            required
+          />
+          <CurrencySelect
+            id="expenseCurrency"
+            value={currency}
+            onChange={setCurrency}
+            className="mt-1 block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+          />
+        </div>
       </div>
       <div>
-        <label htmlFor="incomeDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+        <label htmlFor="expenseDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
         <input
           type="text"
-          id="incomeDescription"
+          id="expenseDescription"
           value={description}
           onChange={(e) => setDescription(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
-          placeholder="e.g., Monthly Salary, Freelance Work"
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+          placeholder="e.g., Groceries, Rent, Coffee"
           required
         />
       </div>
       <div>
-        <label htmlFor="incomeDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+        <label htmlFor="expenseCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+        <CategorySelect
+          id="expenseCategory"
+          categories={categories}
+          value={categoryId}
+          onChange={setCategoryId}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+        />
+      </div>
+      {/* Removed the 'type' dropdown as per user request */}
+      <div>
+        <label htmlFor="expenseDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
         <input
           type="date"
-          id="incomeDate"
+          id="expenseDate"
           value={date}
           onChange={(e) => setDate(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
           required
         />
       </div>
       <div className="flex items-center mt-4">
         <input
-          id="isRecurringIncome"
-          name="isRecurringIncome"
+          id="isRecurringExpense"
+          name="isRecurringExpense"
           type="checkbox"
           checked={isRecurring}
           onChange={(e) => setIsRecurring(e.target.checked)}
-          className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+          className="h-4 w-4 text-red-600 focus:ring-red-500 border-gray-300 rounded"
         />
-        <label htmlFor="isRecurringIncome" className="ml-2 block text-sm text-gray-900">
-          Recurring Income
+        <label htmlFor="isRecurringExpense" className="ml-2 block text-sm text-gray-900">
+          Recurring Expense
         </label>
       </div>
 
       {isRecurring && (
         <>
           <div>
-            <label htmlFor="incomeFrequency" className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
-            <select
-              id="incomeFrequency"
-              value={frequency}
-              onChange={(e) => setFrequency(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
-              required
-            >
-              <option value="Monthly">Monthly</option>
-              {/* Add other frequencies as needed */}
-            </select>
+            <label htmlFor="expenseFrequency" className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+            <FrequencySelect
+              id="expenseFrequency"
+              frequency={frequency}
+              onFrequencyChange={setFrequency}
+              customInterval={customInterval}
+              onCustomIntervalChange={setCustomInterval}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+            />
           </div>
           <div>
-            <label htmlFor="incomeEndDate" className="block text-sm font-medium text-gray-700 mb-1">Optional End Date</label>
+            <label htmlFor="expenseEndDate" className="block text-sm font-medium text-gray-700 mb-1">Optional End Date</label>
             <input
               type="date"
-              id="incomeEndDate"
+              id="expenseEndDate"
               value={endDate}
               onChange={(e) => setEndDate(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
             />
           </div>
         </>
       )}
 
+      <div className="flex items-center mt-4">
+        <input
+          id="isSharedExpense"
+          name="isSharedExpense"
+          type="checkbox"
+          checked={isShared}
+          onChange={(e) => setIsShared(e.target.checked)}
+          className="h-4 w-4 text-red-600 focus:ring-red-500 border-gray-300 rounded"
+        />
+        <label htmlFor="isSharedExpense" className="ml-2 block text-sm text-gray-900">
+          Shared Expense
+        </label>
+      </div>
+
+      {isShared && (
+        <SplitEditor members={members} amount={parseFloat(amount) || 0} currency={currency} split={split} onChange={setSplit} />
+      )}
+
       <div className="flex justify-end gap-3 mt-6">
         <button
           type="button"
           onClick={onClose}
-          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
         >
           Cancel
         </button>
         <button
           type="submit"
-          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
         >
-          Add Income
+          Update Expense
         </button>
       </div>
     </form>
   );
 }
 
-// Edit Income Form Component
-function EditIncomeForm({ incomeItem, onUpdate, onClose }) {
-  const [amount, setAmount] = useState(incomeItem.amount);
-  const [description, setDescription] = useState(incomeItem.description);
-  const [date, setDate] = useState(incomeItem.date);
-  const [isRecurring, setIsRecurring] = useState(incomeItem.isRecurring || false);
-  const [frequency, setFrequency] = useState(incomeItem.frequency || 'Monthly');
-  const [endDate, setEndDate] = useState(incomeItem.endDate || '');
+// Add/Edit Category Form Component (category is null when adding)
+function CategoryForm({ category, categories, onAdd, onUpdate, onClose }) {
+  const [name, setName] = useState(category?.name || '');
+  const [parentId, setParentId] = useState(category?.parentId || '');
+  const [color, setColor] = useState(category?.color || '#6366f1');
+  const [icon, setIcon] = useState(category?.icon || 'Tag');
   const [formError, setFormError] = useState('');
 
+  // Only two levels: a category with subcategories can't become a subcategory itself
+  const hasChildren = category && categories.some(item => item.parentId === category.id);
+  const parentOptions = categories.filter(item => !item.parentId && item.id !== category?.id);
+
+  const handleParentChange = (newParentId) => {
+    setParentId(newParentId);
+    const parent = categories.find(item => item.id === newParentId);
+    if (parent && !category) {
+      // New subcategories start with their parent's look
+      setColor(parent.color);
+      setIcon(parent.icon);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setFormError('');
-    if (!amount || !description || !date) {
-      setFormError('All fields are required.');
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+      setFormError('Name is required.');
       return;
     }
-    const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount) || parsedAmount <= 0) {
-      setFormError('Amount must be a positive number.');
+    const isDuplicate = categories.some(item => (
+      item.id !== category?.id && (item.parentId || '') === parentId && item.name.toLowerCase() === trimmedName.toLowerCase()
+    ));
+    if (isDuplicate) {
+      setFormError('A category with this name already exists here.');
       return;
     }
-    if (isRecurring && endDate && new Date(endDate) < new Date(date)) {
-        setFormError('End Date cannot be before the Start Date.');
-        return;
-    }
 
-    const success = await onUpdate(incomeItem.id, parsedAmount, description, date, isRecurring, frequency, endDate);
+    const success = category
+      ? await onUpdate(category.id, trimmedName, parentId, color, icon)
+      : await onAdd(trimmedName, parentId, color, icon);
     if (success) {
       onClose();
     }
@@ -2406,133 +8605,294 @@ function EditIncomeForm({ incomeItem, onUpdate, onClose }) {
         </div>
       )}
       <div>
-        <label htmlFor="incomeAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount (EUR)</label>
+        <label htmlFor="categoryName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
         <input
-          type="number"
-          id="incomeAmount"
-          value={amount}
-          onChange={(e) => setAmount(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
-          placeholder="0.00"
-          min="0.01"
-          step="0.01"
+          type="text"
+          id="categoryName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          placeholder="e.g., Groceries, Rent"
           required
         />
       </div>
       <div>
-        <label htmlFor="incomeDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
-        <input
-          type="text"
-          id="incomeDescription"
-          value={description}
-          onChange={(e) => setDescription(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
-          placeholder="e.g., Monthly Salary, Freelance Work"
-          required
-        />
+        <label htmlFor="categoryParent" className="block text-sm font-medium text-gray-700 mb-1">Parent Category</label>
+        <select
+          id="categoryParent"
+          value={parentId}
+          onChange={(e) => handleParentChange(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          disabled={hasChildren}
+        >
+          <option value="">None (top-level category)</option>
+          {parentOptions.map(item => (
+            <option key={item.id} value={item.id}>{item.name}</option>
+          ))}
+        </select>
+        {hasChildren && <p className="text-xs text-gray-500 mt-1">Categories with subcategories stay at the top level.</p>}
       </div>
       <div>
-        <label htmlFor="incomeDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+        <label htmlFor="categoryColor" className="block text-sm font-medium text-gray-700 mb-1">Color</label>
         <input
-          type="date"
-          id="incomeDate"
-          value={date}
-          onChange={(e) => setDate(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
-          required
+          type="color"
+          id="categoryColor"
+          value={color}
+          onChange={(e) => setColor(e.target.value)}
+          className="mt-1 h-10 w-20 border border-gray-300 rounded-md"
         />
       </div>
-      <div className="flex items-center mt-4">
+      <div>
+        <span className="block text-sm font-medium text-gray-700 mb-1">Icon</span>
+        <div className="grid grid-cols-6 gap-2">
+          {Object.entries(CATEGORY_ICONS).map(([iconName, Icon]) => (
+            <button
+              key={iconName}
+              type="button"
+              onClick={() => setIcon(iconName)}
+              className={`flex justify-center p-2 rounded-md border ${icon === iconName ? 'border-indigo-500 bg-indigo-50 text-indigo-700' : 'border-gray-200 text-gray-600 hover:bg-gray-50'}`}
+              title={iconName}
+              aria-pressed={icon === iconName}
+            >
+              <Icon size={20} />
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex justify-end gap-3 mt-6">
+        <button
+          type="button"
+          onClick={onClose}
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+        >
+          {category ? 'Save Changes' : 'Add Category'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Add/Edit Categorization Rule Form Component (rule is null when adding)
+function RuleForm({ rule, categories, expenses, nextPriority, onAdd, onUpdate, onClose }) {
+  const [name, setName] = useState(rule?.name || '');
+  const [matchType, setMatchType] = useState(rule?.matchType || 'contains');
+  const [pattern, setPattern] = useState(rule?.pattern || '');
+  const [minAmount, setMinAmount] = useState(rule?.minAmount ?? '');
+  const [maxAmount, setMaxAmount] = useState(rule?.maxAmount ?? '');
+  const [categoryId, setCategoryId] = useState(rule?.categoryId || null);
+  const [description, setDescription] = useState(rule?.description || '');
+  const [recurringAction, setRecurringAction] = useState(rule?.isRecurring === true ? 'set' : rule?.isRecurring === false ? 'clear' : 'keep');
+  const [frequency, setFrequency] = useState(rule?.frequency || 'Monthly');
+  const [customInterval, setCustomInterval] = useState(rule?.customInterval || DEFAULT_CUSTOM_INTERVAL);
+  const [priority, setPriority] = useState(rule?.priority ?? nextPriority);
+  const [formError, setFormError] = useState('');
+
+  const parseOptionalAmount = (value) => (value === '' ? null : parseFloat(value));
+
+  const buildRule = () => ({
+    name: name.trim() || pattern.trim(),
+    priority: parseInt(priority, 10) || 0,
+    matchType,
+    pattern: pattern.trim(),
+    minAmount: parseOptionalAmount(minAmount),
+    maxAmount: parseOptionalAmount(maxAmount),
+    categoryId: categoryId || null,
+    description: description.trim(),
+    isRecurring: recurringAction === 'keep' ? null : recurringAction === 'set',
+    frequency: recurringAction === 'set' ? frequency : '',
+    customInterval: recurringAction === 'set' && frequency === 'Custom' ? { ...customInterval, every: parseInt(customInterval.every, 10) || 1 } : null,
+  });
+
+  // Live count of existing expenses the conditions match, to check a pattern before saving
+  const draftRule = buildRule();
+  const matchingCount = validateRule(draftRule) ? null : expenses.filter(expense => ruleMatches(draftRule, expense)).length;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+    const newRule = buildRule();
+    if (!newRule.name) {
+      setFormError('Name is required.');
+      return;
+    }
+    if ([newRule.minAmount, newRule.maxAmount].some(value => value !== null && (isNaN(value) || value < 0))) {
+      setFormError('Amounts must be positive numbers.');
+      return;
+    }
+    const ruleError = validateRule(newRule);
+    if (ruleError) {
+      setFormError(ruleError);
+      return;
+    }
+
+    const success = rule ? await onUpdate(rule.id, newRule) : await onAdd(newRule);
+    if (success) {
+      onClose();
+    }
+  };
+
+  const inputClassName = "mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm";
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {formError && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded relative text-sm" role="alert">
+          {formError}
+        </div>
+      )}
+      <div>
+        <label htmlFor="ruleName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
         <input
-          id="isRecurringIncome"
-          name="isRecurringIncome"
-          type="checkbox"
-          checked={isRecurring}
-          onChange={(e) => setIsRecurring(e.target.checked)}
-          className="h-4 w-4 text-teal-600 focus:ring-teal-500 border-gray-300 rounded"
+          type="text"
+          id="ruleName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={inputClassName}
+          placeholder="e.g., SPAR groceries"
         />
-        <label htmlFor="isRecurringIncome" className="ml-2 block text-sm text-gray-900">
-          Recurring Income
-        </label>
       </div>
 
-      {isRecurring && (
-        <>
-          <div>
-            <label htmlFor="incomeFrequency" className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
-            <select
-              id="incomeFrequency"
-              value={frequency}
-              onChange={(e) => setFrequency(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
-              required
-            >
-              <option value="Monthly">Monthly</option>
-              {/* Add other frequencies as needed */}
-            </select>
-          </div>
-          <div>
-            <label htmlFor="incomeEndDate" className="block text-sm font-medium text-gray-700 mb-1">Optional End Date</label>
-            <input
-              type="date"
-              id="incomeEndDate"
-              value={endDate}
-              onChange={(e) => setEndDate(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
-            />
+      <fieldset className="border border-gray-200 rounded-md p-3 space-y-3">
+        <legend className="text-sm font-medium text-gray-700 px-1">When</legend>
+        <div className="flex gap-2">
+          <select
+            id="ruleMatchType"
+            value={matchType}
+            onChange={(e) => setMatchType(e.target.value)}
+            className={inputClassName}
+            aria-label="Match Type"
+          >
+            {Object.entries(MATCH_TYPES).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            id="rulePattern"
+            value={pattern}
+            onChange={(e) => setPattern(e.target.value)}
+            className={inputClassName}
+            placeholder={matchType === 'regex' ? 'e.g., ^MOL\\b' : 'e.g., SPAR'}
+            aria-label="Pattern"
+          />
+        </div>
+        <div className="flex gap-2">
+          <div className="flex-1">
+            <label htmlFor="ruleMinAmount" className="block text-xs text-gray-600">Minimum Amount</label>
+            <input type="number" id="ruleMinAmount" value={minAmount} onChange={(e) => setMinAmount(e.target.value)} className={inputClassName} min="0" step="0.01" placeholder="Any" />
           </div>
-        </>
-      )}
+          <div className="flex-1">
+            <label htmlFor="ruleMaxAmount" className="block text-xs text-gray-600">Maximum Amount</label>
+            <input type="number" id="ruleMaxAmount" value={maxAmount} onChange={(e) => setMaxAmount(e.target.value)} className={inputClassName} min="0" step="0.01" placeholder="Any" />
+          </div>
+        </div>
+        {matchingCount !== null && <p className="text-xs text-gray-500">Matches {matchingCount} existing expenses.</p>}
+      </fieldset>
+
+      <fieldset className="border border-gray-200 rounded-md p-3 space-y-3">
+        <legend className="text-sm font-medium text-gray-700 px-1">Then Set</legend>
+        <div>
+          <label htmlFor="ruleCategory" className="block text-xs text-gray-600">Category</label>
+          <CategorySelect id="ruleCategory" categories={categories} value={categoryId} onChange={setCategoryId} className={inputClassName} />
+          <p className="text-xs text-gray-500 mt-1">Uncategorized leaves the category as it is.</p>
+        </div>
+        <div>
+          <label htmlFor="ruleDescription" className="block text-xs text-gray-600">Description</label>
+          <input
+            type="text"
+            id="ruleDescription"
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            className={inputClassName}
+            placeholder="Leave empty to keep the bank's text"
+          />
+        </div>
+        <div>
+          <label htmlFor="ruleRecurring" className="block text-xs text-gray-600">Recurring</label>
+          <select
+            id="ruleRecurring"
+            value={recurringAction}
+            onChange={(e) => setRecurringAction(e.target.value)}
+            className={inputClassName}
+          >
+            <option value="keep">Leave as it is</option>
+            <option value="set">Mark as recurring</option>
+            <option value="clear">Mark as one-off</option>
+          </select>
+        </div>
+        {recurringAction === 'set' && (
+          <FrequencySelect
+            id="ruleFrequency"
+            frequency={frequency}
+            onFrequencyChange={setFrequency}
+            customInterval={customInterval}
+            onCustomIntervalChange={setCustomInterval}
+            className={inputClassName}
+          />
+        )}
+      </fieldset>
+
+      <div>
+        <label htmlFor="rulePriority" className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+        <input type="number" id="rulePriority" value={priority} onChange={(e) => setPriority(e.target.value)} className={inputClassName} step="1" />
+        <p className="text-xs text-gray-500 mt-1">Lower numbers are tried first.</p>
+      </div>
 
       <div className="flex justify-end gap-3 mt-6">
         <button
           type="button"
           onClick={onClose}
-          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
         >
           Cancel
         </button>
         <button
           type="submit"
-          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
         >
-          Update Income
+          {rule ? 'Save Changes' : 'Add Rule'}
         </button>
       </div>
     </form>
   );
 }
 
-// Add Expense Form Component
-function AddExpenseForm({ onAdd, onClose }) {
-  const [amount, setAmount] = useState('');
-  const [description, setDescription] = useState('');
-  const [category, setCategory] = useState('Personal'); // Default
-  const [date, setDate] = useState(new Date().toISOString().split('T')[0]);
-  const [isRecurring, setIsRecurring] = useState(false);
-  const [frequency, setFrequency] = useState('Monthly'); // Default to monthly for recurring
-  const [endDate, setEndDate] = useState(''); // Optional end date
+// Set/Edit Budget Form Component (budget is null when adding)
+function BudgetForm({ budget, categories, monthKey, monthLabel, baseCurrency, onSave, onDelete, onClose }) {
+  const [categoryId, setCategoryId] = useState(budget?.categoryId || null);
+  const [amount, setAmount] = useState(budget?.amount ?? '');
+  const [currency, setCurrency] = useState(budget?.currency || baseCurrency);
+  const [scope, setScope] = useState(budget?.month ? 'month' : 'monthly'); // 'monthly' repeats, 'month' overrides one month
+  const [rollover, setRollover] = useState(budget?.rollover || false);
   const [formError, setFormError] = useState('');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setFormError('');
-    if (!amount || !description || !category || !date) { // Added 'date' to validation
-      setFormError('All fields are required.');
+    if (!categoryId) {
+      setFormError('Choose a category.');
       return;
     }
     const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount) || parsedAmount <= 0) {
-      setFormError('Amount must be a positive number.');
+    if (isNaN(parsedAmount) || parsedAmount < 0) {
+      setFormError('Amount must be zero or a positive number.');
       return;
     }
-    if (isRecurring && endDate && new Date(endDate) < new Date(date)) {
-        setFormError('End Date cannot be before the Start Date.');
-        return;
+    const success = await onSave(categoryId, scope === 'month' ? monthKey : null, parsedAmount, currency, rollover, monthKey);
+    if (success) {
+      onClose();
     }
+  };
 
-    // Pass isRecurring directly, App component will derive 'type'
-    const success = await onAdd(parsedAmount, description, category, date, isRecurring, frequency, endDate); // Added 'date' param
+  const handleDelete = async () => {
+    const success = await onDelete(budget.id);
     if (success) {
       onClose();
     }
@@ -2546,161 +8906,161 @@ function AddExpenseForm({ onAdd, onClose }) {
         </div>
       )}
       <div>
-        <label htmlFor="expenseAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount (EUR)</label>
-        <input
-          type="number"
-          id="expenseAmount"
-          value={amount}
-          onChange={(e) => setAmount(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-          placeholder="0.00"
-          min="0.01"
-          step="0.01"
-          required
-        />
-      </div>
-      <div>
-        <label htmlFor="expenseDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
-        <input
-          type="text"
-          id="expenseDescription"
-          value={description}
-          onChange={(e) => setDescription(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-          placeholder="e.g., Groceries, Rent, Coffee"
-          required
+        <label htmlFor="budgetCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+        <CategorySelect
+          id="budgetCategory"
+          categories={categories}
+          value={categoryId}
+          onChange={setCategoryId}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 sm:text-sm disabled:bg-gray-100"
+          disabled={!!budget}
         />
+        <p className="text-xs text-gray-500 mt-1">A budget on a top-level category also covers its subcategories.</p>
       </div>
       <div>
-        <label htmlFor="expenseCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
-        <select
-          id="expenseCategory"
-          value={category}
-          onChange={(e) => setCategory(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-          required
-        >
-          <option value="Personal">Personal</option>
-          <option value="Shared">Shared</option>
-        </select>
-      </div>
-      {/* Removed the 'type' dropdown as per user request */}
-      <div>
-        <label htmlFor="expenseDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
-        <input
-          type="date"
-          id="expenseDate"
-          value={date}
-          onChange={(e) => setDate(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-          required
-        />
+        <label htmlFor="budgetAmount" className="block text-sm font-medium text-gray-700 mb-1">Monthly Amount</label>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            id="budgetAmount"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 sm:text-sm"
+            placeholder="0.00"
+            min="0"
+            step="0.01"
+            required
+          />
+          <CurrencySelect
+            id="budgetCurrency"
+            value={currency}
+            onChange={setCurrency}
+            className="mt-1 block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-purple-500 focus:border-purple-500 sm:text-sm"
+          />
+        </div>
       </div>
-      <div className="flex items-center mt-4">
-        <input
-          id="isRecurringExpense"
-          name="isRecurringExpense"
-          type="checkbox"
-          checked={isRecurring}
-          onChange={(e) => setIsRecurring(e.target.checked)}
-          className="h-4 w-4 text-red-600 focus:ring-red-500 border-gray-300 rounded"
-        />
-        <label htmlFor="isRecurringExpense" className="ml-2 block text-sm text-gray-900">
-          Recurring Expense
+      <fieldset className="space-y-2">
+        <legend className="block text-sm font-medium text-gray-700 mb-1">Applies To</legend>
+        <label className="flex items-center text-sm text-gray-900">
+          <input
+            type="radio"
+            name="budgetScope"
+            value="monthly"
+            checked={scope === 'monthly'}
+            onChange={() => setScope('monthly')}
+            className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300"
+          />
+          <span className="ml-2">Every month from {monthLabel}</span>
         </label>
-      </div>
-
-      {isRecurring && (
-        <>
-          <div>
-            <label htmlFor="expenseFrequency" className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
-            <select
-              id="expenseFrequency"
-              value={frequency}
-              onChange={(e) => setFrequency(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-              required
-            >
-              <option value="Monthly">Monthly</option>
-              {/* Add other frequencies as needed */}
-            </select>
-          </div>
-          <div>
-            <label htmlFor="expenseEndDate" className="block text-sm font-medium text-gray-700 mb-1">Optional End Date</label>
-            <input
-              type="date"
-              id="expenseEndDate"
-              value={endDate}
-              onChange={(e) => setEndDate(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-            />
-          </div>
-        </>
+        <label className="flex items-center text-sm text-gray-900">
+          <input
+            type="radio"
+            name="budgetScope"
+            value="month"
+            checked={scope === 'month'}
+            onChange={() => setScope('month')}
+            className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300"
+          />
+          <span className="ml-2">Only {monthLabel}</span>
+        </label>
+      </fieldset>
+      {scope === 'monthly' && (
+        <div className="flex items-center">
+          <input
+            id="budgetRollover"
+            type="checkbox"
+            checked={rollover}
+            onChange={(e) => setRollover(e.target.checked)}
+            className="h-4 w-4 text-purple-600 focus:ring-purple-500 border-gray-300 rounded"
+          />
+          <label htmlFor="budgetRollover" className="ml-2 block text-sm text-gray-900">
+            Roll unspent money over to the next month
+          </label>
+        </div>
       )}
 
-      <div className="flex justify-end gap-3 mt-6">
-        <button
-          type="button"
-          onClick={onClose}
-          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
-        >
-          Cancel
-        </button>
-        <button
-          type="submit"
-          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
-        >
-          Add Expense
-        </button>
+      <div className="flex justify-between gap-3 mt-6">
+        <div>
+          {budget && (
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="inline-flex justify-center py-2 px-4 border border-red-300 shadow-sm text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50"
+            >
+              Delete
+            </button>
+          )}
+        </div>
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-purple-500"
+          >
+            Save Budget
+          </button>
+        </div>
       </div>
     </form>
   );
 }
 
-// Edit Expense Form Component
-function EditExpenseForm({ expenseItem, onUpdate, onClose }) {
-  const [amount, setAmount] = useState(expenseItem.amount);
-  const [description, setDescription] = useState(expenseItem.description);
-  const [category, setCategory] = useState(expenseItem.category || 'Personal');
-  const [date, setDate] = useState(expenseItem.date);
-  const [isRecurring, setIsRecurring] = useState(expenseItem.isRecurring || false);
-  const [frequency, setFrequency] = useState(expenseItem.frequency || 'Monthly');
-  const [endDate, setEndDate] = useState(expenseItem.endDate || '');
+function GoalForm({ goal, goals, assets, baseCurrency, onSave, onClose }) {
+  const [name, setName] = useState(goal?.name || '');
+  const [targetAmount, setTargetAmount] = useState(goal?.targetAmount ?? '');
+  const [currency, setCurrency] = useState(goal?.currency || baseCurrency);
+  const [targetDate, setTargetDate] = useState(goal?.targetDate || '');
+  // Share inputs as strings: [{ assetId, share }]
+  const [links, setLinks] = useState(() => (goal?.links || []).map(link => ({ ...link, share: String(link.share) })));
   const [formError, setFormError] = useState('');
 
-  // When expenseItem changes (e.g., when a new item is selected for editing),
-  // update the form states.
-  useEffect(() => {
-    setAmount(expenseItem.amount);
-    setDescription(expenseItem.description);
-    setCategory(expenseItem.category || 'Personal');
-    setDate(expenseItem.date);
-    setIsRecurring(expenseItem.isRecurring || false);
-    setFrequency(expenseItem.frequency || 'Monthly');
-    setEndDate(expenseItem.endDate || '');
-    setFormError('');
-  }, [expenseItem]);
+  // What other goals already use, so a new link starts with the share that is left
+  const linkedShares = useMemo(() => getLinkedShares(goals, goal?.id), [goals, goal]);
+  const unlinkedAssets = assets.filter(asset => !links.some(link => link.assetId === asset.id));
 
+  const updateLink = (index, changes) => setLinks(links.map((link, i) => (i === index ? { ...link, ...changes } : link)));
+
+  const handleAddLink = () => {
+    const asset = unlinkedAssets[0];
+    if (!asset) return;
+    setLinks([...links, { assetId: asset.id, share: String(Math.max(0, 100 - (linkedShares.get(asset.id) || 0))) }]);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setFormError('');
-    if (!amount || !description || !category || !date) { // Added 'date' to validation
-      setFormError('All fields are required.');
+    if (!name.trim()) {
+      setFormError('Give the goal a name.');
       return;
     }
-    const parsedAmount = parseFloat(amount);
+    const parsedAmount = parseFloat(targetAmount);
     if (isNaN(parsedAmount) || parsedAmount <= 0) {
-      setFormError('Amount must be a positive number.');
+      setFormError('Target amount must be a positive number.');
       return;
     }
-    if (isRecurring && endDate && new Date(endDate) < new Date(date)) {
-        setFormError('End Date cannot be before the Start Date.');
-        return;
+    if (!targetDate) {
+      setFormError('Choose a target date.');
+      return;
     }
-
-    // Pass newIsRecurring directly, App component will derive 'type'
-    const success = await onUpdate(expenseItem.id, parsedAmount, description, category, date, isRecurring, frequency, endDate); // Added 'date' param
+    const parsedLinks = links.map(link => ({ assetId: link.assetId, share: parseFloat(link.share) }));
+    const problem = validateGoalLinks(parsedLinks, goals, assets, goal?.id);
+    if (problem) {
+      setFormError(problem);
+      return;
+    }
+    const success = await onSave(goal?.id || null, {
+      name: name.trim(),
+      targetAmount: parsedAmount,
+      currency,
+      targetDate,
+      links: parsedLinks,
+    });
     if (success) {
       onClose();
     }
@@ -2714,111 +9074,107 @@ function EditExpenseForm({ expenseItem, onUpdate, onClose }) {
         </div>
       )}
       <div>
-        <label htmlFor="expenseAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount (EUR)</label>
-        <input
-          type="number"
-          id="expenseAmount"
-          value={amount}
-          onChange={(e) => setAmount(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-          placeholder="0.00"
-          min="0.01"
-          step="0.01"
-          required
-        />
-      </div>
-      <div>
-        <label htmlFor="expenseDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+        <label htmlFor="goalName" className="block text-sm font-medium text-gray-700 mb-1">Goal</label>
         <input
           type="text"
-          id="expenseDescription"
-          value={description}
-          onChange={(e) => setDescription(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-          placeholder="e.g., Groceries, Rent, Coffee"
+          id="goalName"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+          placeholder="e.g., House deposit"
           required
         />
       </div>
       <div>
-        <label htmlFor="expenseCategory" className="block text-sm font-medium text-gray-700 mb-1">Category</label>
-        <select
-          id="expenseCategory"
-          value={category}
-          onChange={(e) => setCategory(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-          required
-        >
-          <option value="Personal">Personal</option>
-          <option value="Shared">Shared</option>
-        </select>
+        <label htmlFor="goalAmount" className="block text-sm font-medium text-gray-700 mb-1">Target Amount</label>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            id="goalAmount"
+            value={targetAmount}
+            onChange={(e) => setTargetAmount(e.target.value)}
+            className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+            placeholder="0.00"
+            min="0"
+            step="0.01"
+            required
+          />
+          <CurrencySelect
+            id="goalCurrency"
+            value={currency}
+            onChange={setCurrency}
+            className="mt-1 block px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+          />
+        </div>
       </div>
-      {/* Removed the 'type' dropdown as per user request */}
       <div>
-        <label htmlFor="expenseDate" className="block text-sm font-medium text-gray-700 mb-1">Start Date</label>
+        <label htmlFor="goalDate" className="block text-sm font-medium text-gray-700 mb-1">Target Date</label>
         <input
           type="date"
-          id="expenseDate"
-          value={date}
-          onChange={(e) => setDate(e.target.value)}
-          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+          id="goalDate"
+          value={targetDate}
+          onChange={(e) => setTargetDate(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
           required
         />
       </div>
-      <div className="flex items-center mt-4">
-        <input
-          id="isRecurringExpense"
-          name="isRecurringExpense"
-          type="checkbox"
-          checked={isRecurring}
-          onChange={(e) => setIsRecurring(e.target.checked)}
-          className="h-4 w-4 text-red-600 focus:ring-red-500 border-gray-300 rounded"
-        />
-        <label htmlFor="isRecurringExpense" className="ml-2 block text-sm text-gray-900">
-          Recurring Expense
-        </label>
-      </div>
-
-      {isRecurring && (
-        <>
-          <div>
-            <label htmlFor="expenseFrequency" className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+      <fieldset className="space-y-2">
+        <legend className="block text-sm font-medium text-gray-700 mb-1">Linked Assets</legend>
+        {links.map((link, index) => (
+          <div key={index} className="flex gap-2 items-center">
             <select
-              id="expenseFrequency"
-              value={frequency}
-              onChange={(e) => setFrequency(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
-              required
+              value={link.assetId}
+              onChange={(e) => updateLink(index, { assetId: e.target.value })}
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+              aria-label="Asset"
             >
-              <option value="Monthly">Monthly</option>
-              {/* Add other frequencies as needed */}
+              {assets.filter(asset => asset.id === link.assetId || unlinkedAssets.includes(asset)).map(asset => (
+                <option key={asset.id} value={asset.id}>{asset.name}</option>
+              ))}
+              {!assets.some(asset => asset.id === link.assetId) && <option value={link.assetId}>Deleted asset</option>}
             </select>
-          </div>
-          <div>
-            <label htmlFor="expenseEndDate" className="block text-sm font-medium text-gray-700 mb-1">Optional End Date</label>
             <input
-              type="date"
-              id="expenseEndDate"
-              value={endDate}
-              onChange={(e) => setEndDate(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+              type="number"
+              value={link.share}
+              onChange={(e) => updateLink(index, { share: e.target.value })}
+              className="block w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-teal-500 focus:border-teal-500 sm:text-sm"
+              min="0"
+              max="100"
+              step="0.1"
+              aria-label="Share in %"
             />
+            <span className="text-sm text-gray-500">%</span>
+            <button
+              type="button"
+              onClick={() => setLinks(links.filter((_, i) => i !== index))}
+              className="p-1 text-red-600 hover:text-red-800"
+              title="Remove Asset"
+            >
+              <X size={16} />
+            </button>
           </div>
-        </>
-      )}
+        ))}
+        {unlinkedAssets.length > 0 && (
+          <button type="button" onClick={handleAddLink} className="flex items-center text-sm text-teal-600 hover:text-teal-800">
+            <Plus size={14} className="mr-1" /> Link an asset
+          </button>
+        )}
+        <p className="text-xs text-gray-500">The share of an asset's value that counts towards this goal.</p>
+      </fieldset>
 
       <div className="flex justify-end gap-3 mt-6">
         <button
           type="button"
           onClick={onClose}
-          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+          className="inline-flex justify-center py-2 px-4 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
         >
           Cancel
         </button>
         <button
           type="submit"
-          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
+          className="inline-flex justify-center py-2 px-4 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-teal-600 hover:bg-teal-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-teal-500"
         >
-          Update Expense
+          Save Goal
         </button>
       </div>
     </form>
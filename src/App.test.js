@@ -1,8 +1,22 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { createMemoryAdapter } from './storage/memoryAdapter';
+import { formatCurrency } from './utils/currency';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The real module uses import.meta, which Jest cannot parse
+jest.mock('./utils/createMonteCarloWorker', () => ({ createMonteCarloWorker: jest.fn() }));
+
+const initialData = {
+  assets: [{ id: 'savings', name: 'Savings Account', type: 'Cash', currency: 'EUR', currentValue: 1500, initialValue: 1500, valueHistory: [{ value: 1500, date: '2025-01-01' }] }],
+  liabilities: [{ id: 'card', name: 'Credit Card', currency: 'EUR', currentBalance: 500, initialBalance: 500, balanceHistory: [{ balance: 500, date: '2025-01-01' }] }],
+};
+
+test('renders the dashboard and assets from an in-memory adapter', async () => {
+  render(<App storageAdapter={createMemoryAdapter({ initialData })} />);
+  // Net worth: 1500 in savings minus 500 on the card
+  expect(await screen.findByText(formatCurrency(1000, 'EUR'))).toBeInTheDocument();
+  expect(screen.getByText('Storage: In-Memory')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Assets' }));
+  expect(await screen.findByText('Savings Account')).toBeInTheDocument();
 });
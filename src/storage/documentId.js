@@ -0,0 +1,8 @@
+// Generates a random document ID for the local adapters (Firestore generates its own)
+export const createDocumentId = () => {
+  const randomPart = Math.random().toString(36).slice(2, 10);
+  return `${Date.now().toString(36)}${randomPart}`;
+};
+
+// Documents are plain JSON, so a JSON round-trip is enough to copy them
+export const cloneDocument = (data) => JSON.parse(JSON.stringify(data));
@@ -0,0 +1,82 @@
+/* global __firebase_config, __initial_auth_token, __app_id */
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged } from 'firebase/auth';
+import { getFirestore, collection, onSnapshot, doc, setDoc, addDoc, updateDoc, deleteDoc, query, writeBatch } from 'firebase/firestore';
+
+const MAX_BATCH_SIZE = 500; // Firestore's limit on writes per batch
+
+// Firestore storage adapter. Every collection lives under
+// artifacts/{appId}/users/{userId}/{collectionName}.
+export function createFirestoreAdapter() {
+  const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+  const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
+  const app = initializeApp(firebaseConfig);
+  const db = getFirestore(app);
+  const auth = getAuth(app);
+  let userId = null;
+
+  const collectionPath = (collectionName) => {
+    if (!userId) {
+      throw new Error("Firestore adapter is not connected.");
+    }
+    return `artifacts/${appId}/users/${userId}/${collectionName}`;
+  };
+
+  return {
+    mode: 'firestore',
+
+    // Resolves with the user ID once authenticated, signing in anonymously if needed
+    connect: () => new Promise((resolve, reject) => {
+      const unsubscribe = onAuthStateChanged(auth, async (user) => {
+        if (user) {
+          unsubscribe();
+          userId = user.uid;
+          console.log("User signed in:", user.uid);
+          resolve(user.uid);
+          return;
+        }
+        try {
+          if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
+            await signInWithCustomToken(auth, __initial_auth_token);
+            console.log("Signed in with custom token.");
+          } else {
+            await signInAnonymously(auth);
+            console.log("Signed in anonymously.");
+          }
+          // onAuthStateChanged fires again with the signed-in user and resolves above
+        } catch (authError) {
+          unsubscribe();
+          reject(authError);
+        }
+      });
+    }),
+
+    subscribe: (collectionName, onChange, onError) => (
+      onSnapshot(query(collection(db, collectionPath(collectionName))), (snapshot) => {
+        onChange(snapshot.docs.map(docSnapshot => ({ id: docSnapshot.id, ...docSnapshot.data() })));
+      }, onError)
+    ),
+
+    add: async (collectionName, data) => {
+      const docRef = await addDoc(collection(db, collectionPath(collectionName)), data);
+      return docRef.id;
+    },
+
+    set: (collectionName, docId, data) => setDoc(doc(db, collectionPath(collectionName), docId), data),
+
+    // Writes many documents in batches: entries is [{ id, data }]
+    setMany: async (collectionName, entries) => {
+      for (let start = 0; start < entries.length; start += MAX_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        entries.slice(start, start + MAX_BATCH_SIZE).forEach(({ id, data }) => {
+          batch.set(doc(db, collectionPath(collectionName), id), data);
+        });
+        await batch.commit();
+      }
+    },
+
+    update: (collectionName, docId, data) => updateDoc(doc(db, collectionPath(collectionName), docId), data),
+
+    remove: (collectionName, docId) => deleteDoc(doc(db, collectionPath(collectionName), docId)),
+  };
+}
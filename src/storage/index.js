@@ -0,0 +1,42 @@
+/* global __firebase_config */
+import { createIndexedDbAdapter } from './indexedDbAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+
+// For bulk writes with setMany, which need the document IDs up front
+export { createDocumentId } from './documentId';
+
+export const STORAGE_MODES = {
+  firestore: 'Firestore',
+  local: 'Local (IndexedDB)',
+  memory: 'In-Memory',
+};
+
+// Picks the storage mode at startup: ?storage=<mode> in the URL wins, then the
+// REACT_APP_STORAGE_MODE env variable, then Firestore if a Firebase config was
+// injected and local IndexedDB otherwise.
+export const resolveStorageMode = () => {
+  const queryMode = typeof window !== 'undefined'
+    ? new URLSearchParams(window.location.search).get('storage')
+    : null;
+  if (queryMode && STORAGE_MODES[queryMode]) return queryMode;
+
+  const envMode = process.env.REACT_APP_STORAGE_MODE;
+  if (envMode && STORAGE_MODES[envMode]) return envMode;
+
+  return typeof __firebase_config !== 'undefined' ? 'firestore' : 'local';
+};
+
+// Creates the adapter for the given mode. Firebase is only loaded in Firestore mode.
+export const createStorageAdapter = async (mode = resolveStorageMode()) => {
+  switch (mode) {
+    case 'firestore': {
+      const { createFirestoreAdapter } = await import('./firestoreAdapter');
+      return createFirestoreAdapter();
+    }
+    case 'memory':
+      return createMemoryAdapter();
+    case 'local':
+    default:
+      return createIndexedDbAdapter();
+  }
+};
@@ -0,0 +1,140 @@
+import { createDocumentId, cloneDocument } from './documentId';
+
+const DB_NAME = 'kiadas';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+const LOCAL_USER_ID_KEY = 'kiadas.localUserId';
+
+// Wraps an IDBRequest in a promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    // One store for every collection, so new collections need no schema migration
+    const store = request.result.createObjectStore(STORE_NAME, { keyPath: ['collection', 'id'] });
+    store.createIndex('byCollection', 'collection');
+  };
+  return promisifyRequest(request);
+};
+
+// Returns a stable ID for this browser so local data looks like any other user's
+const getLocalUserId = () => {
+  let localUserId = localStorage.getItem(LOCAL_USER_ID_KEY);
+  if (!localUserId) {
+    localUserId = `local-${createDocumentId()}`;
+    localStorage.setItem(LOCAL_USER_ID_KEY, localUserId);
+  }
+  return localUserId;
+};
+
+// Fully local storage adapter backed by IndexedDB. No Firebase project needed.
+export function createIndexedDbAdapter() {
+  let dbPromise = null;
+  const listeners = new Map(); // Map: collectionName -> Set of { onChange, onError }
+
+  const getDb = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase();
+    }
+    return dbPromise;
+  };
+
+  const readCollection = async (collectionName) => {
+    const db = await getDb();
+    const index = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).index('byCollection');
+    const records = await promisifyRequest(index.getAll(collectionName));
+    return records.map(record => ({ id: record.id, ...record.data }));
+  };
+
+  const notify = async (collectionName) => {
+    const subscribers = listeners.get(collectionName);
+    if (!subscribers || subscribers.size === 0) return;
+    try {
+      const docs = await readCollection(collectionName);
+      subscribers.forEach(({ onChange }) => onChange(docs));
+    } catch (err) {
+      subscribers.forEach(({ onError }) => onError && onError(err));
+    }
+  };
+
+  // Runs a readwrite operation on the store and notifies the collection's subscribers
+  const write = async (collectionName, operation) => {
+    const db = await getDb();
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    let result;
+    try {
+      result = await operation(transaction.objectStore(STORE_NAME));
+    } catch (err) {
+      completed.catch(() => {}); // The abort below rejects it; the original error is what matters
+      try { transaction.abort(); } catch (abortError) { /* already finished */ }
+      throw err;
+    }
+    await completed;
+    notify(collectionName);
+    return result;
+  };
+
+  return {
+    mode: 'local',
+
+    connect: async () => {
+      if (typeof indexedDB === 'undefined') {
+        throw new Error("IndexedDB is not available in this browser.");
+      }
+      await getDb();
+      return getLocalUserId();
+    },
+
+    subscribe: (collectionName, onChange, onError) => {
+      if (!listeners.has(collectionName)) {
+        listeners.set(collectionName, new Set());
+      }
+      const subscriber = { onChange, onError };
+      listeners.get(collectionName).add(subscriber);
+      readCollection(collectionName)
+        .then(docs => {
+          if (listeners.get(collectionName).has(subscriber)) onChange(docs);
+        })
+        .catch(err => onError && onError(err));
+      return () => listeners.get(collectionName).delete(subscriber);
+    },
+
+    add: (collectionName, data) => write(collectionName, async (store) => {
+      const id = createDocumentId();
+      await promisifyRequest(store.add({ collection: collectionName, id, data: cloneDocument(data) }));
+      return id;
+    }),
+
+    set: (collectionName, docId, data) => write(collectionName, async (store) => {
+      await promisifyRequest(store.put({ collection: collectionName, id: docId, data: cloneDocument(data) }));
+    }),
+
+    // Writes many documents in a single transaction: entries is [{ id, data }]
+    setMany: (collectionName, entries) => write(collectionName, async (store) => {
+      await Promise.all(entries.map(({ id, data }) => (
+        promisifyRequest(store.put({ collection: collectionName, id, data: cloneDocument(data) }))
+      )));
+    }),
+
+    update: (collectionName, docId, data) => write(collectionName, async (store) => {
+      const existing = await promisifyRequest(store.get([collectionName, docId]));
+      if (!existing) {
+        throw new Error(`Document ${collectionName}/${docId} does not exist.`);
+      }
+      await promisifyRequest(store.put({ ...existing, data: { ...existing.data, ...cloneDocument(data) } }));
+    }),
+
+    remove: (collectionName, docId) => write(collectionName, async (store) => {
+      await promisifyRequest(store.delete([collectionName, docId]));
+    }),
+  };
+}
@@ -0,0 +1,81 @@
+import { createDocumentId, cloneDocument } from './documentId';
+
+// In-memory storage adapter. Nothing is persisted, which makes it the adapter
+// of choice for tests. It implements the same interface as the Firestore and
+// IndexedDB adapters: connect, subscribe, add, set, setMany, update and remove.
+export function createMemoryAdapter({ userId = 'memory-user', initialData = {} } = {}) {
+  const collections = new Map(); // Map: collectionName -> Map: docId -> data
+  const listeners = new Map(); // Map: collectionName -> Set of callbacks
+
+  const getCollection = (collectionName) => {
+    if (!collections.has(collectionName)) {
+      collections.set(collectionName, new Map());
+    }
+    return collections.get(collectionName);
+  };
+
+  // Seed initial data, e.g. { assets: [{ id: 'a1', name: 'Savings', ... }] }
+  Object.entries(initialData).forEach(([collectionName, docs]) => {
+    const docsMap = getCollection(collectionName);
+    docs.forEach(({ id, ...data }) => docsMap.set(id || createDocumentId(), cloneDocument(data)));
+  });
+
+  const snapshot = (collectionName) => (
+    Array.from(getCollection(collectionName).entries()).map(([id, data]) => ({ id, ...cloneDocument(data) }))
+  );
+
+  const notify = (collectionName) => {
+    const callbacks = listeners.get(collectionName);
+    if (!callbacks) return;
+    const docs = snapshot(collectionName);
+    callbacks.forEach(callback => callback(docs));
+  };
+
+  return {
+    mode: 'memory',
+
+    connect: async () => userId,
+
+    subscribe: (collectionName, onChange) => {
+      if (!listeners.has(collectionName)) {
+        listeners.set(collectionName, new Set());
+      }
+      listeners.get(collectionName).add(onChange);
+      onChange(snapshot(collectionName)); // Deliver the current state right away, like onSnapshot does
+      return () => listeners.get(collectionName).delete(onChange);
+    },
+
+    add: async (collectionName, data) => {
+      const id = createDocumentId();
+      getCollection(collectionName).set(id, cloneDocument(data));
+      notify(collectionName);
+      return id;
+    },
+
+    set: async (collectionName, docId, data) => {
+      getCollection(collectionName).set(docId, cloneDocument(data));
+      notify(collectionName);
+    },
+
+    // Writes many documents at once: entries is [{ id, data }]
+    setMany: async (collectionName, entries) => {
+      const docsMap = getCollection(collectionName);
+      entries.forEach(({ id, data }) => docsMap.set(id, cloneDocument(data)));
+      notify(collectionName);
+    },
+
+    update: async (collectionName, docId, data) => {
+      const docsMap = getCollection(collectionName);
+      if (!docsMap.has(docId)) {
+        throw new Error(`Document ${collectionName}/${docId} does not exist.`);
+      }
+      docsMap.set(docId, { ...docsMap.get(docId), ...cloneDocument(data) });
+      notify(collectionName);
+    },
+
+    remove: async (collectionName, docId) => {
+      getCollection(collectionName).delete(docId);
+      notify(collectionName);
+    },
+  };
+}
@@ -0,0 +1,41 @@
+import { createMemoryAdapter } from './memoryAdapter';
+
+test('delivers the current documents on subscribe and after every write', async () => {
+  const storage = createMemoryAdapter({ initialData: { assets: [{ id: 'a1', name: 'Savings', currentValue: 100 }] } });
+  const onChange = jest.fn();
+  storage.subscribe('assets', onChange);
+  expect(onChange).toHaveBeenLastCalledWith([{ id: 'a1', name: 'Savings', currentValue: 100 }]);
+
+  const id = await storage.add('assets', { name: 'Brokerage', currentValue: 50 });
+  expect(onChange.mock.calls[1][0]).toHaveLength(2);
+
+  await storage.update('assets', id, { currentValue: 75 });
+  expect(onChange.mock.calls[2][0].find(asset => asset.id === id)).toEqual({ id, name: 'Brokerage', currentValue: 75 });
+
+  await storage.remove('assets', 'a1');
+  expect(onChange).toHaveBeenLastCalledWith([{ id, name: 'Brokerage', currentValue: 75 }]);
+});
+
+test('stops notifying after unsubscribe and keeps collections separate', async () => {
+  const storage = createMemoryAdapter();
+  const onAssets = jest.fn();
+  const unsubscribe = storage.subscribe('assets', onAssets);
+  unsubscribe();
+  await storage.add('assets', { name: 'Cash' });
+  await storage.add('income', { amount: 10 });
+  expect(onAssets).toHaveBeenCalledTimes(1);
+});
+
+test('rejects updates to missing documents', async () => {
+  const storage = createMemoryAdapter();
+  await expect(storage.update('expenses', 'missing', { amount: 1 })).rejects.toThrow('does not exist');
+});
+
+test('writes every document of a batch with one notification', async () => {
+  const storage = createMemoryAdapter({ initialData: { expenses: [{ id: 'e1', amount: 5 }] } });
+  const onChange = jest.fn();
+  storage.subscribe('expenses', onChange);
+  await storage.setMany('expenses', [{ id: 'e1', data: { amount: 10 } }, { id: 'e2', data: { amount: 20 } }]);
+  expect(onChange).toHaveBeenCalledTimes(2);
+  expect(onChange).toHaveBeenLastCalledWith([{ id: 'e1', amount: 10 }, { id: 'e2', amount: 20 }]);
+});
@@ -0,0 +1,78 @@
+// Asset allocation: how the assets' current value splits across asset classes,
+// against target percentages stored in the 'settings' collection as
+// 'allocation': { targets: { [assetClass]: percent } }.
+// An asset's class is its own assetClass if set, otherwise its type.
+
+export const ALLOCATION_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#14b8a6', '#8b5cf6', '#84cc16'];
+
+// Drift beyond this many percentage points is flagged for rebalancing
+export const DRIFT_TOLERANCE = 5;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+export const getAssetClass = (asset) => asset.assetClass || asset.type || 'Other';
+
+// Returns an error message, or null if the targets can be saved.
+// Targets are optional, but once set they must add up to 100.
+export const validateTargets = (targets) => {
+  const percents = Object.values(targets);
+  if (percents.some(percent => typeof percent !== 'number' || isNaN(percent) || percent < 0)) {
+    return 'Targets must be zero or positive numbers.';
+  }
+  const total = percents.reduce((sum, percent) => sum + percent, 0);
+  if (percents.length > 0 && Math.abs(total - 100) > 0.01) {
+    return `Targets must add up to 100% (currently ${roundCents(total)}%).`;
+  }
+  return null;
+};
+
+// One row per asset class that has assets or a target, largest first:
+// [{ assetClass, value, percent, target, drift, targetValue, difference }]
+// - value is in the base currency via convert(amount, currency)
+// - drift is percent - target in percentage points (null without a target)
+// - difference is what to buy (positive) or sell (negative) to be on target
+export const calculateAllocation = (assets, convert, targets = {}) => {
+  const values = new Map(Object.keys(targets).map(assetClass => [assetClass, 0]));
+  assets.forEach(asset => {
+    const assetClass = getAssetClass(asset);
+    values.set(assetClass, (values.get(assetClass) || 0) + convert(asset.currentValue || 0, asset.currency));
+  });
+  const total = Array.from(values.values()).reduce((sum, value) => sum + value, 0);
+  const hasTargets = Object.keys(targets).length > 0;
+  return Array.from(values.entries())
+    .map(([assetClass, value]) => {
+      const target = hasTargets ? targets[assetClass] || 0 : null;
+      const percent = total > 0 ? (value / total) * 100 : 0;
+      const targetValue = target === null ? null : (total * target) / 100;
+      return {
+        assetClass,
+        value,
+        percent,
+        target,
+        drift: target === null ? null : percent - target,
+        targetValue,
+        difference: targetValue === null ? null : roundCents(targetValue - value),
+      };
+    })
+    .sort((a, b) => b.value - a.value || a.assetClass.localeCompare(b.assetClass));
+};
+
+// Splits a new contribution across the classes so the portfolio gets as close to
+// target as it can without selling: underweight classes are filled first (in
+// proportion to how far below target they are), anything left follows the targets.
+// Returns { [assetClass]: amount }.
+export const suggestContribution = (rows, amount) => {
+  const targeted = rows.filter(row => row.target !== null);
+  if (targeted.length === 0 || !(amount > 0)) return {};
+  const newTotal = rows.reduce((sum, row) => sum + row.value, 0) + amount;
+  const shortfalls = targeted.map(row => ({ row, shortfall: Math.max(0, (newTotal * row.target) / 100 - row.value) }));
+  const totalShortfall = shortfalls.reduce((sum, { shortfall }) => sum + shortfall, 0);
+  const suggestion = {};
+  shortfalls.forEach(({ row, shortfall }) => {
+    const share = totalShortfall > amount
+      ? (shortfall / totalShortfall) * amount
+      : shortfall + ((amount - totalShortfall) * row.target) / 100;
+    if (share > 0) suggestion[row.assetClass] = roundCents(share);
+  });
+  return suggestion;
+};
@@ -0,0 +1,45 @@
+import { calculateAllocation, getAssetClass, suggestContribution, validateTargets } from './allocation';
+
+const assets = [
+  { type: 'Cash', currency: 'EUR', currentValue: 100 },
+  { type: 'Investment', assetClass: 'Stocks', currency: 'HUF', currentValue: 240000 },
+  { type: 'Investment', assetClass: 'Bonds', currency: 'EUR', currentValue: 200 },
+];
+// 1 EUR = 400 HUF, everything in EUR
+const toEur = (amount, currency) => (currency === 'HUF' ? amount / 400 : amount);
+
+test('groups assets by class', () => {
+  expect(getAssetClass(assets[0])).toBe('Cash');
+  expect(getAssetClass(assets[1])).toBe('Stocks');
+  expect(calculateAllocation(assets, toEur).map(row => [row.assetClass, row.value, row.percent, row.drift])).toEqual([
+    ['Stocks', 600, 66.66666666666666, null],
+    ['Bonds', 200, 22.22222222222222, null],
+    ['Cash', 100, 11.11111111111111, null],
+  ]);
+});
+
+test('validates targets', () => {
+  expect(validateTargets({})).toBeNull();
+  expect(validateTargets({ Stocks: 60, Bonds: 30, Cash: 10 })).toBeNull();
+  expect(validateTargets({ Stocks: 60, Bonds: 30 })).toBe('Targets must add up to 100% (currently 90%).');
+  expect(validateTargets({ Stocks: -10, Bonds: 110 })).toBe('Targets must be zero or positive numbers.');
+});
+
+test('shows drift and the trades back to target', () => {
+  const rows = calculateAllocation(assets, toEur, { Stocks: 50, Bonds: 40, Cash: 10, Gold: 0 });
+  const byClass = Object.fromEntries(rows.map(row => [row.assetClass, row]));
+  expect(byClass.Stocks.drift).toBeCloseTo(16.67, 2);
+  expect(byClass.Stocks.difference).toBe(-150);
+  expect(byClass.Bonds.difference).toBe(160);
+  expect(byClass.Cash.difference).toBe(-10);
+  expect(byClass.Gold).toMatchObject({ value: 0, target: 0, difference: 0 });
+});
+
+test('puts new money into the underweight classes first', () => {
+  const rows = calculateAllocation(assets, toEur, { Stocks: 50, Bonds: 40, Cash: 10 });
+  // After 100 more the total is 1000: Bonds are 200 short of 400, Cash and Stocks are on or over target
+  expect(suggestContribution(rows, 100)).toEqual({ Bonds: 100 });
+  // 900 more brings every class back to target
+  expect(suggestContribution(rows, 900)).toEqual({ Stocks: 300, Bonds: 520, Cash: 80 });
+  expect(suggestContribution(calculateAllocation(assets, toEur), 100)).toEqual({});
+});
@@ -0,0 +1,62 @@
+import { rollupByCategory } from './categories';
+import { getMonthlyOccurrences, sumOccurrences } from './recurrence';
+
+// A year of income and expenses month by month, for yearly reviews. Amounts
+// count every occurrence of recurring items and are converted with
+// convert(amount, currency, date), like the monthly overview.
+
+export const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Share of income saved, in %, or null without income
+export const getSavingsRate = (income, expenses) => (income > 0 ? ((income - expenses) / income) * 100 : null);
+
+// Returns {
+//   months: [{ monthIndex, income, expenses, balance, savingsRate }], // 12 entries
+//   totals: { income, expenses, balance, savingsRate },
+// }
+export const getYearOverview = (income, expenses, year, convert = (amount) => amount) => {
+  const months = MONTH_LABELS.map((label, monthIndex) => {
+    const monthIncome = sumOccurrences(getMonthlyOccurrences(income, year, monthIndex), convert);
+    const monthExpenses = sumOccurrences(getMonthlyOccurrences(expenses, year, monthIndex), convert);
+    return {
+      monthIndex,
+      income: monthIncome,
+      expenses: monthExpenses,
+      balance: monthIncome - monthExpenses,
+      savingsRate: getSavingsRate(monthIncome, monthExpenses),
+    };
+  });
+  const totalIncome = months.reduce((sum, month) => sum + month.income, 0);
+  const totalExpenses = months.reduce((sum, month) => sum + month.expenses, 0);
+  return {
+    months,
+    totals: {
+      income: totalIncome,
+      expenses: totalExpenses,
+      balance: totalIncome - totalExpenses,
+      savingsRate: getSavingsRate(totalIncome, totalExpenses),
+    },
+  };
+};
+
+// Expenses per category and month: [{ id, name, color, months: [12 amounts], total }],
+// largest total first. level is 'parent' or 'child' as in rollupByCategory.
+export const getCategoryHeatmap = (expenses, categories, year, level, convert = (amount) => amount) => {
+  const rows = new Map();
+  MONTH_LABELS.forEach((label, monthIndex) => {
+    const items = getMonthlyOccurrences(expenses, year, monthIndex);
+    rollupByCategory(items, categories, level, item => sumOccurrences([item], convert)).forEach(({ id, name, color, value }) => {
+      const key = id || '';
+      if (!rows.has(key)) rows.set(key, { id, name, color, months: new Array(12).fill(0), total: 0 });
+      rows.get(key).months[monthIndex] = value;
+      rows.get(key).total += value;
+    });
+  });
+  return Array.from(rows.values()).sort((a, b) => b.total - a.total);
+};
+
+// Change from the previous year's value: { change, percent }, percent null when it was zero
+export const compareToPrevious = (current, previous) => ({
+  change: current - previous,
+  percent: previous !== 0 ? ((current - previous) / Math.abs(previous)) * 100 : null,
+});
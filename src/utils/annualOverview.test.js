@@ -0,0 +1,32 @@
+import { compareToPrevious, getCategoryHeatmap, getYearOverview } from './annualOverview';
+
+const categories = [
+  { id: 'home', name: 'Home', color: '#111111' },
+  { id: 'rent', name: 'Rent', parentId: 'home', color: '#222222' },
+  { id: 'food', name: 'Food', color: '#333333' },
+];
+const income = [
+  { description: 'Salary', amount: 2000, date: '2024-07-10', isRecurring: true, frequency: 'Monthly' },
+];
+const expenses = [
+  { description: 'Rent', amount: 800, date: '2024-01-01', isRecurring: true, frequency: 'Monthly', categoryId: 'rent', endDate: '2025-03-01' },
+  { description: 'Groceries', amount: 300, date: '2025-02-14', isRecurring: false, categoryId: 'food' },
+];
+
+test('breaks a year down by month with savings rates', () => {
+  const { months, totals } = getYearOverview(income, expenses, 2024);
+  expect(months).toHaveLength(12);
+  expect(months[0]).toEqual({ monthIndex: 0, income: 0, expenses: 800, balance: -800, savingsRate: null });
+  expect(months[6]).toEqual({ monthIndex: 6, income: 2000, expenses: 800, balance: 1200, savingsRate: 60 });
+  expect(totals).toEqual({ income: 12000, expenses: 9600, balance: 2400, savingsRate: 20 });
+  expect(compareToPrevious(9600, 8000)).toEqual({ change: 1600, percent: 20 });
+  expect(compareToPrevious(100, 0).percent).toBeNull();
+});
+
+test('totals categories per month for the heatmap', () => {
+  const heatmap = getCategoryHeatmap(expenses, categories, 2025, 'parent');
+  expect(heatmap.map(row => row.name)).toEqual(['Home', 'Food']);
+  expect(heatmap[0].months.slice(0, 4)).toEqual([800, 800, 800, 0]);
+  expect(heatmap[0].total).toBe(2400);
+  expect(heatmap[1].months[1]).toBe(300);
+});
@@ -0,0 +1,125 @@
+// Editing an asset's value history. An asset stores
+// - valueHistory: [{ value, date, type }], where type 'contribution' marks the
+//   asset's value right after a contribution
+// - contributions: [{ amount, date, transferId?, counterpartAssetId? }], where a
+//   negative amount is a withdrawal and transferId links both sides of a transfer
+// - initialValue and currentValue, derived from the earliest and latest entries
+// Contribution entries and contributions aren't linked by ID, so they are
+// paired by date, in array order.
+
+const sortByDate = (entries) => [...entries].sort((a, b) => a.date.localeCompare(b.date)); // Stable, so same-day entries keep their order
+
+// Map: valueHistory index -> contributions index
+export const pairContributions = (valueHistory = [], contributions = []) => {
+  const pairs = new Map();
+  const used = new Set();
+  valueHistory.forEach((entry, index) => {
+    if (entry.type !== 'contribution') return;
+    const contributionIndex = contributions.findIndex((contribution, i) => !used.has(i) && contribution.date === entry.date);
+    if (contributionIndex !== -1) {
+      used.add(contributionIndex);
+      pairs.set(index, contributionIndex);
+    }
+  });
+  return pairs;
+};
+
+// History entries sorted by date for display: [{ ...entry, index, contribution }],
+// where index points into valueHistory and contribution is the paired one (or null)
+export const getHistoryEntries = (asset) => {
+  const valueHistory = asset.valueHistory || [];
+  const contributions = asset.contributions || [];
+  const pairs = pairContributions(valueHistory, contributions);
+  return sortByDate(valueHistory.map((entry, index) => ({
+    ...entry,
+    index,
+    contribution: pairs.has(index) ? contributions[pairs.get(index)] : null,
+  })));
+};
+
+// The value on a date: the latest entry on or before it, or 0 before the first entry
+export const getValueOn = (valueHistory = [], date) => {
+  const entries = sortByDate(valueHistory).filter(entry => entry.date <= date);
+  return entries.length > 0 ? entries[entries.length - 1].value : 0;
+};
+
+// Recomputes the derived fields. Returns { valueHistory, contributions, initialValue, currentValue } for storage.update.
+const withDerivedValues = (valueHistory, contributions) => {
+  const pairs = pairContributions(valueHistory, contributions);
+  const sorted = sortByDate(valueHistory.map((entry, index) => ({ ...entry, index })));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const firstContribution = first && pairs.has(first.index) ? contributions[pairs.get(first.index)].amount : 0;
+  return {
+    valueHistory,
+    contributions,
+    initialValue: first ? first.value - firstContribution : 0,
+    currentValue: last ? last.value : 0,
+  };
+};
+
+// Changes the value and date of an entry. For a contribution entry, amount changes the paired contribution.
+export const updateHistoryEntry = (asset, index, { date, value, amount }) => {
+  const valueHistory = [...(asset.valueHistory || [])];
+  const contributions = [...(asset.contributions || [])];
+  const contributionIndex = pairContributions(valueHistory, contributions).get(index);
+  valueHistory[index] = { ...valueHistory[index], date, value };
+  if (contributionIndex !== undefined) {
+    contributions[contributionIndex] = { ...contributions[contributionIndex], date, amount: amount ?? contributions[contributionIndex].amount };
+  }
+  return withDerivedValues(valueHistory, contributions);
+};
+
+// Deletes an entry, and the paired contribution of a contribution entry
+export const deleteHistoryEntry = (asset, index) => {
+  const contributionIndex = pairContributions(asset.valueHistory, asset.contributions).get(index);
+  return withDerivedValues(
+    (asset.valueHistory || []).filter((entry, i) => i !== index),
+    (asset.contributions || []).filter((contribution, i) => i !== contributionIndex),
+  );
+};
+
+// Inserts a (possibly backdated) valuation
+export const addValuation = (asset, { date, value }) => withDerivedValues(
+  [...(asset.valueHistory || []), { value, date }],
+  asset.contributions || [],
+);
+
+// Adds a contribution, or a withdrawal when amount is negative. The entry's value is
+// the value on that date plus the amount, so backdated contributions build on the
+// valuation that was current back then. extra is stored on the contribution.
+export const addContributionEntry = (asset, { date, amount, ...extra }) => withDerivedValues(
+  [...(asset.valueHistory || []), { value: getValueOn(asset.valueHistory, date) + amount, date, type: 'contribution' }],
+  [...(asset.contributions || []), { amount, date, ...extra }],
+);
+
+// Moves amount out of fromAsset and receivedAmount (the same money in toAsset's
+// currency) into toAsset on one date. Returns { from, to }, the changes for each
+// asset. Both sides are contributions, so net worth and interest stay the same.
+export const createTransfer = (fromAsset, toAsset, { date, amount, receivedAmount, transferId }) => ({
+  from: addContributionEntry(fromAsset, { date, amount: -amount, transferId, counterpartAssetId: toAsset.id }),
+  to: addContributionEntry(toAsset, { date, amount: receivedAmount, transferId, counterpartAssetId: fromAsset.id }),
+});
+
+// Removes this asset's side of a transfer, or returns null if it has none
+export const removeTransfer = (asset, transferId) => {
+  const contributionIndex = (asset.contributions || []).findIndex(contribution => contribution.transferId === transferId);
+  if (contributionIndex === -1) return null;
+  const pairs = pairContributions(asset.valueHistory, asset.contributions);
+  const entryIndex = Array.from(pairs.keys()).find(index => pairs.get(index) === contributionIndex);
+  return withDerivedValues(
+    (asset.valueHistory || []).filter((entry, i) => i !== entryIndex),
+    asset.contributions.filter((contribution, i) => i !== contributionIndex),
+  );
+};
+
+// Records valuations [{ date, value }], replacing any plain valuation already on
+// the same date (contribution entries stay), e.g. when prices are updated again
+export const setValuations = (asset, valuations) => {
+  const dates = new Set(valuations.map(valuation => valuation.date));
+  const kept = (asset.valueHistory || []).filter(entry => entry.type === 'contribution' || !dates.has(entry.date));
+  return withDerivedValues(
+    [...kept, ...valuations.map(({ date, value }) => ({ value, date }))],
+    asset.contributions || [],
+  );
+};
@@ -0,0 +1,74 @@
+import {
+  addContributionEntry, addValuation, createTransfer, deleteHistoryEntry, getHistoryEntries, getValueOn, removeTransfer, updateHistoryEntry,
+} from './assetHistory';
+
+const asset = {
+  initialValue: 1000,
+  currentValue: 1700,
+  valueHistory: [
+    { value: 1000, date: '2025-01-01' },
+    { value: 1500, date: '2025-02-01', type: 'contribution' },
+    { value: 1700, date: '2025-03-01' },
+  ],
+  contributions: [{ amount: 500, date: '2025-02-01' }],
+};
+
+test('lists entries by date with their paired contributions', () => {
+  const entries = getHistoryEntries({ ...asset, valueHistory: [asset.valueHistory[2], ...asset.valueHistory.slice(0, 2)] });
+  expect(entries.map(entry => [entry.date, entry.index, entry.contribution])).toEqual([
+    ['2025-01-01', 1, null],
+    ['2025-02-01', 2, { amount: 500, date: '2025-02-01' }],
+    ['2025-03-01', 0, null],
+  ]);
+  expect(getValueOn(asset.valueHistory, '2025-02-15')).toBe(1500);
+  expect(getValueOn(asset.valueHistory, '2024-12-31')).toBe(0);
+});
+
+test('keeps contributions in step when a contribution entry changes', () => {
+  const updated = updateHistoryEntry(asset, 1, { date: '2025-02-10', value: 1600, amount: 600 });
+  expect(updated.contributions).toEqual([{ amount: 600, date: '2025-02-10' }]);
+  expect(updated.valueHistory[1]).toEqual({ value: 1600, date: '2025-02-10', type: 'contribution' });
+  expect(updated.currentValue).toBe(1700);
+
+  const deleted = deleteHistoryEntry(asset, 1);
+  expect(deleted.contributions).toEqual([]);
+  expect(deleted.valueHistory).toHaveLength(2);
+});
+
+test('recomputes current and initial values from the latest and earliest entries', () => {
+  expect(updateHistoryEntry(asset, 2, { date: '2025-01-15', value: 1200 }).currentValue).toBe(1500);
+  expect(deleteHistoryEntry(asset, 2).currentValue).toBe(1500);
+  expect(updateHistoryEntry(asset, 0, { date: '2025-01-01', value: 900 }).initialValue).toBe(900);
+
+  const backdated = addValuation(asset, { date: '2024-12-01', value: 800 });
+  expect(backdated).toMatchObject({ initialValue: 800, currentValue: 1700 });
+  expect(addValuation(asset, { date: '2025-04-01', value: 1800 }).currentValue).toBe(1800);
+});
+
+test('builds backdated contributions on the value at that date', () => {
+  const updated = addContributionEntry(asset, { date: '2025-01-15', amount: 100 });
+  expect(updated.valueHistory[3]).toEqual({ value: 1100, date: '2025-01-15', type: 'contribution' });
+  expect(updated.contributions[1]).toEqual({ amount: 100, date: '2025-01-15' });
+  expect(updated.currentValue).toBe(1700);
+  expect(addContributionEntry(asset, { date: '2025-03-05', amount: 100 }).currentValue).toBe(1800);
+});
+
+const interestMovement = ({ initialValue, currentValue, contributions }) => (
+  currentValue - initialValue - contributions.reduce((sum, contribution) => sum + contribution.amount, 0)
+);
+
+test('transfers keep net worth and interest unchanged', () => {
+  const cash = { id: 'cash', ...asset };
+  const investment = { id: 'inv', initialValue: 5000, currentValue: 5000, valueHistory: [{ value: 5000, date: '2025-01-01' }], contributions: [] };
+  const { from, to } = createTransfer(cash, investment, { date: '2025-03-10', amount: 200, receivedAmount: 200, transferId: 't1' });
+
+  expect(from.currentValue + to.currentValue).toBe(cash.currentValue + investment.currentValue);
+  expect(from.contributions[1]).toEqual({ amount: -200, date: '2025-03-10', transferId: 't1', counterpartAssetId: 'inv' });
+  expect(interestMovement(from)).toBe(interestMovement(cash));
+  expect(interestMovement(to)).toBe(0);
+
+  const undone = removeTransfer({ ...cash, ...from }, 't1');
+  expect(undone.valueHistory).toEqual(cash.valueHistory);
+  expect(undone.contributions).toEqual(cash.contributions);
+  expect(removeTransfer(cash, 't1')).toBeNull();
+});
@@ -0,0 +1,141 @@
+// Full backups as one versioned JSON file:
+// { app: 'kiadas', version: 1, exportedAt, collections: { assets: [{ id, ... }], ... } }
+// Bump BACKUP_VERSION when the file layout changes and teach parseBackup to
+// read the older versions.
+
+export const BACKUP_APP_ID = 'kiadas';
+export const BACKUP_VERSION = 1;
+
+// Every collection a backup holds, in the order they are restored
+export const BACKUP_COLLECTIONS = [
+  'settings',
+  'exchangeRates',
+  'prices',
+  'categories',
+  'categoryRules',
+  'householdMembers',
+  'assets',
+  'liabilities',
+  'goals',
+  'income',
+  'expenses',
+  'budgets',
+  'settlements',
+  'trash',
+];
+
+export const RESTORE_MODES = {
+  merge: 'Merge into current data',
+  replace: 'Replace all current data',
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isDateString = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value);
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Per-collection checks on top of the { id } every document needs.
+// Each returns an error message or null.
+const DOCUMENT_CHECKS = {
+  assets: (doc) => {
+    if (typeof doc.name !== 'string') return 'missing name';
+    if (doc.valueHistory !== undefined && !Array.isArray(doc.valueHistory)) return 'valueHistory is not a list';
+    if (doc.contributions !== undefined && !Array.isArray(doc.contributions)) return 'contributions is not a list';
+    return null;
+  },
+  liabilities: (doc) => (typeof doc.name !== 'string' ? 'missing name' : null),
+  income: (doc) => {
+    if (!isNumber(doc.amount)) return 'amount is not a number';
+    if (!isDateString(doc.date)) return 'missing date';
+    if (doc.history !== undefined && !Array.isArray(doc.history)) return 'history is not a list';
+    return null;
+  },
+  expenses: (doc) => DOCUMENT_CHECKS.income(doc),
+  exchangeRates: (doc) => (!isDateString(doc.date) || !isPlainObject(doc.rates) ? 'needs a date and rates' : null),
+  prices: (doc) => (!isDateString(doc.date) || !isPlainObject(doc.prices) ? 'needs a date and prices' : null),
+  categories: (doc) => (typeof doc.name !== 'string' ? 'missing name' : null),
+  categoryRules: (doc) => (typeof doc.name !== 'string' ? 'missing name' : null),
+  goals: (doc) => (typeof doc.name !== 'string' || !Array.isArray(doc.links) ? 'needs a name and links' : null),
+  budgets: (doc) => (!isNumber(doc.amount) || !doc.categoryId ? 'needs a categoryId and amount' : null),
+  householdMembers: (doc) => (typeof doc.name !== 'string' ? 'missing name' : null),
+  settlements: (doc) => (!isNumber(doc.amount) || !doc.fromMemberId || !doc.toMemberId ? 'needs members and an amount' : null),
+  trash: (doc) => (typeof doc.collection !== 'string' || !isPlainObject(doc.data) ? 'needs a collection and data' : null),
+};
+
+// Builds the backup object from { collectionName: [{ id, ...data }] }
+export const createBackup = (data, exportedAt = new Date().toISOString()) => ({
+  app: BACKUP_APP_ID,
+  version: BACKUP_VERSION,
+  exportedAt,
+  collections: Object.fromEntries(BACKUP_COLLECTIONS.map(name => [name, data[name] || []])),
+});
+
+// Parses and validates backup file text.
+// Returns { backup, errors }; backup is null when errors is not empty.
+export const parseBackup = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    return { backup: null, errors: ['The file is not valid JSON.'] };
+  }
+  if (!isPlainObject(parsed) || parsed.app !== BACKUP_APP_ID) {
+    return { backup: null, errors: ['The file is not a Kiadás backup.'] };
+  }
+  if (!Number.isInteger(parsed.version) || parsed.version < 1) {
+    return { backup: null, errors: ['The backup has no valid version.'] };
+  }
+  if (parsed.version > BACKUP_VERSION) {
+    return { backup: null, errors: [`The backup is version ${parsed.version}, but this app only reads up to version ${BACKUP_VERSION}. Please update the app.`] };
+  }
+  if (!isPlainObject(parsed.collections)) {
+    return { backup: null, errors: ['The backup has no collections.'] };
+  }
+
+  const errors = [];
+  const collections = {};
+  BACKUP_COLLECTIONS.forEach(name => {
+    const docs = parsed.collections[name] || [];
+    if (!Array.isArray(docs)) {
+      errors.push(`${name}: not a list.`);
+      return;
+    }
+    const seenIds = new Set();
+    docs.forEach((doc, index) => {
+      if (!isPlainObject(doc) || typeof doc.id !== 'string' || !doc.id) {
+        errors.push(`${name} #${index + 1}: missing id.`);
+        return;
+      }
+      if (seenIds.has(doc.id)) {
+        errors.push(`${name} #${index + 1}: duplicate id ${doc.id}.`);
+        return;
+      }
+      seenIds.add(doc.id);
+      const problem = DOCUMENT_CHECKS[name] ? DOCUMENT_CHECKS[name](doc) : null;
+      if (problem) errors.push(`${name} ${doc.id}: ${problem}.`);
+    });
+    collections[name] = docs;
+  });
+
+  if (errors.length > 0) return { backup: null, errors };
+  return { backup: { ...parsed, collections }, errors: [] };
+};
+
+// Works out what a restore would do without writing anything.
+// - 'merge': backup documents are written over documents with the same ID, the rest is kept
+// - 'replace': current documents missing from the backup are deleted as well
+// Returns { collectionName: { toWrite: [{ id, data }], toDelete: [id], added, updated, deleted } }
+export const planRestore = (backup, current, mode) => Object.fromEntries(BACKUP_COLLECTIONS.map(name => {
+  const currentIds = new Set((current[name] || []).map(doc => doc.id));
+  const backupDocs = backup.collections[name] || [];
+  const backupIds = new Set(backupDocs.map(doc => doc.id));
+  const toWrite = backupDocs.map(({ id, ...data }) => ({ id, data }));
+  const toDelete = mode === 'replace' ? Array.from(currentIds).filter(id => !backupIds.has(id)) : [];
+  const updated = backupDocs.filter(doc => currentIds.has(doc.id)).length;
+  return [name, {
+    toWrite,
+    toDelete,
+    added: backupDocs.length - updated,
+    updated,
+    deleted: toDelete.length,
+  }];
+}));
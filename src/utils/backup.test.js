@@ -0,0 +1,41 @@
+import { BACKUP_VERSION, createBackup, parseBackup, planRestore } from './backup';
+
+const data = {
+  assets: [{ id: 'a1', name: 'Savings', valueHistory: [{ value: 100, date: '2025-01-01' }], contributions: [] }],
+  expenses: [{ id: 'e1', amount: 20, date: '2025-01-05', history: [] }],
+  settings: [{ id: 'preferences', baseCurrency: 'HUF' }],
+};
+
+test('round-trips a backup through JSON', () => {
+  const backup = createBackup(data, '2025-02-01T00:00:00.000Z');
+  expect(backup.version).toBe(BACKUP_VERSION);
+  expect(backup.collections.income).toEqual([]);
+  const { backup: parsed, errors } = parseBackup(JSON.stringify(backup));
+  expect(errors).toEqual([]);
+  expect(parsed.collections.assets).toEqual(data.assets);
+});
+
+test('rejects files that are not valid backups', () => {
+  expect(parseBackup('{').errors).toEqual(['The file is not valid JSON.']);
+  expect(parseBackup('{"app":"other"}').errors).toEqual(['The file is not a Kiadás backup.']);
+  expect(parseBackup(JSON.stringify({ ...createBackup(data), version: BACKUP_VERSION + 1 })).errors[0]).toMatch('Please update the app.');
+
+  const broken = createBackup({ income: [{ id: 'i1', amount: '5', date: '2025-01-01' }, { amount: 5, date: '2025-01-01' }] });
+  expect(parseBackup(JSON.stringify(broken))).toEqual({
+    backup: null,
+    errors: ['income i1: amount is not a number.', 'income #2: missing id.'],
+  });
+});
+
+test('plans merge and replace restores', () => {
+  const backup = createBackup(data);
+  const current = { expenses: [{ id: 'e1', amount: 10 }, { id: 'e2', amount: 30 }] };
+
+  const merge = planRestore(backup, current, 'merge');
+  expect(merge.expenses).toMatchObject({ added: 0, updated: 1, deleted: 0, toDelete: [] });
+  expect(merge.assets).toMatchObject({ added: 1, updated: 0 });
+  expect(merge.expenses.toWrite).toEqual([{ id: 'e1', data: { amount: 20, date: '2025-01-05', history: [] } }]);
+
+  const replace = planRestore(backup, current, 'replace');
+  expect(replace.expenses).toMatchObject({ updated: 1, deleted: 1, toDelete: ['e2'] });
+});
@@ -0,0 +1,151 @@
+// Bank statement CSV parsing for the import wizard. The user maps the file's
+// columns once; mapRows then turns every row into an income or expense candidate.
+
+export const DATE_FORMATS = {
+  'YYYY-MM-DD': { order: ['year', 'month', 'day'], example: '2025-06-30' },
+  'YYYY.MM.DD': { order: ['year', 'month', 'day'], example: '2025.06.30' },
+  'DD.MM.YYYY': { order: ['day', 'month', 'year'], example: '30.06.2025' },
+  'DD/MM/YYYY': { order: ['day', 'month', 'year'], example: '30/06/2025' },
+  'MM/DD/YYYY': { order: ['month', 'day', 'year'], example: '06/30/2025' },
+};
+
+export const DECIMAL_FORMATS = {
+  point: { separator: '.', example: '1,234.56' },
+  comma: { separator: ',', example: '1 234,56' },
+};
+
+// How a row tells money in from money out:
+// - 'signed': negative amounts are expenses
+// - 'indicator': a separate column holds e.g. 'D'/'C'; rows matching debitValue are expenses
+// - 'columns': separate debit (out) and credit (in) amount columns
+export const SIGN_MODES = {
+  signed: 'Negative amounts are expenses',
+  indicator: 'A column marks debit/credit',
+  columns: 'Separate debit and credit columns',
+};
+
+// Splits CSV text into rows of cells. Handles quoted cells with embedded
+// delimiters, quotes ("") and line breaks. The delimiter is detected from the
+// first line (comma, semicolon or tab) unless given.
+export const parseCsv = (text, delimiter) => {
+  const content = text.replace(/^\uFEFF/, ''); // Drop a byte order mark
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const separator = delimiter || [',', ';', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(Boolean)); // Skip blank lines
+};
+
+// Parses a date in the given format into 'YYYY-MM-DD', or null if it doesn't fit.
+// Any of - . / separate the parts and a trailing dot ('2025.06.30.') is allowed.
+export const parseDateValue = (value, format) => {
+  const parts = (value || '').trim().replace(/\.$/, '').split(/[-./]/).map(part => part.trim());
+  const { order } = DATE_FORMATS[format];
+  if (parts.length !== 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+  const date = Object.fromEntries(order.map((key, index) => [key, parseInt(parts[index], 10)]));
+  if (date.year < 1000 || date.month < 1 || date.month > 12 || date.day < 1) return null;
+  const daysInMonth = new Date(Date.UTC(date.year, date.month, 0)).getUTCDate();
+  if (date.day > daysInMonth) return null;
+  return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+};
+
+// Parses '1 234,56', '-1,234.56', '€ 12.00' or '(12.00)' into a number, NaN if not a number
+export const parseAmountValue = (value, decimalFormat) => {
+  const { separator } = DECIMAL_FORMATS[decimalFormat];
+  let cleaned = (value || '').replace(/[\s']/g, '').replace(/[^\d.,()+-]/g, '');
+  const isParenthesized = /^\(.*\)$/.test(cleaned);
+  cleaned = cleaned.replace(/[()]/g, '');
+  const thousands = separator === '.' ? ',' : '.';
+  cleaned = cleaned.split(thousands).join('').replace(separator, '.');
+  if (!/^[+-]?\d+(\.\d+)?$/.test(cleaned)) return NaN;
+  const amount = parseFloat(cleaned);
+  return isParenthesized ? -amount : amount;
+};
+
+const HEADER_GUESSES = {
+  dateColumn: /date|datum|dátum|booking|value|posted/i,
+  amountColumn: /amount|összeg|betrag|value|sum/i,
+  descriptionColumn: /description|memo|details|narrative|közlemény|partner|payee|name|text/i,
+  indicatorColumn: /debit\/credit|type|d\/c|cr\/dr|jelleg/i,
+  debitColumn: /debit|out|withdrawal|terhelés/i,
+  creditColumn: /credit|in\b|deposit|jóváírás/i,
+};
+
+// Suggests a column mapping from the header names; unmatched columns are -1
+export const guessMapping = (header) => {
+  const used = new Set();
+  const mapping = {};
+  Object.entries(HEADER_GUESSES).forEach(([key, pattern]) => {
+    const index = header.findIndex((name, i) => !used.has(i) && pattern.test(name));
+    mapping[key] = index;
+    if (index !== -1 && key !== 'indicatorColumn') used.add(index);
+  });
+  return mapping;
+};
+
+// Maps data rows (without the header) to
+// [{ rowNumber, date, amount, type: 'income' | 'expense', description, error }].
+// Amounts are always positive; the type carries the direction. rowNumber is 1-based
+// counting from the first data row. Rows that can't be read keep an error message.
+export const mapRows = (rows, mapping) => rows.map((cells, index) => {
+  const rowNumber = index + 1;
+  const date = parseDateValue(cells[mapping.dateColumn], mapping.dateFormat);
+  const description = (cells[mapping.descriptionColumn] || '').trim();
+  let amount;
+  let type;
+  if (mapping.signMode === 'columns') {
+    const debit = parseAmountValue(cells[mapping.debitColumn], mapping.decimalFormat);
+    const credit = parseAmountValue(cells[mapping.creditColumn], mapping.decimalFormat);
+    amount = Math.abs(debit) > 0 ? Math.abs(debit) : Math.abs(credit);
+    type = Math.abs(debit) > 0 ? 'expense' : 'income';
+  } else {
+    const value = parseAmountValue(cells[mapping.amountColumn], mapping.decimalFormat);
+    amount = Math.abs(value);
+    if (mapping.signMode === 'indicator') {
+      const indicator = (cells[mapping.indicatorColumn] || '').trim().toLowerCase();
+      type = indicator === (mapping.debitValue || '').trim().toLowerCase() ? 'expense' : 'income';
+    } else {
+      type = value < 0 ? 'expense' : 'income';
+    }
+  }
+
+  let error = null;
+  if (!date) error = `Date "${cells[mapping.dateColumn] || ''}" doesn't match ${mapping.dateFormat}.`;
+  else if (isNaN(amount) || amount === 0) error = 'Amount is missing or not a number.';
+  return { rowNumber, date, amount, type, description: description || (type === 'income' ? 'Imported income' : 'Imported expense'), error };
+});
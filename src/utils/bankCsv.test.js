@@ -0,0 +1,37 @@
+import { guessMapping, mapRows, parseAmountValue, parseCsv, parseDateValue } from './bankCsv';
+
+test('parses quoted cells and detects the delimiter', () => {
+  const csv = '\uFEFFDátum;Összeg;Közlemény\r\n2025.06.30.;"-1 234,56";"Rent; June"\r\n\r\n2025.07.01.;500;"Say ""hi"""\n';
+  expect(parseCsv(csv)).toEqual([
+    ['Dátum', 'Összeg', 'Közlemény'],
+    ['2025.06.30.', '-1 234,56', 'Rent; June'],
+    ['2025.07.01.', '500', 'Say "hi"'],
+  ]);
+});
+
+test('parses dates and amounts in the chosen formats', () => {
+  expect(parseDateValue('2025.06.30.', 'YYYY.MM.DD')).toBe('2025-06-30');
+  expect(parseDateValue('30/06/2025', 'DD/MM/YYYY')).toBe('2025-06-30');
+  expect(parseDateValue('06/30/2025', 'DD/MM/YYYY')).toBeNull();
+  expect(parseDateValue('2025-02-30', 'YYYY-MM-DD')).toBeNull();
+  expect(parseAmountValue('1 234,56', 'comma')).toBe(1234.56);
+  expect(parseAmountValue('-1,234.56', 'point')).toBe(-1234.56);
+  expect(parseAmountValue('(12.00)', 'point')).toBe(-12);
+  expect(parseAmountValue('abc', 'point')).toBeNaN();
+});
+
+test('maps rows using a sign, an indicator column or separate debit and credit columns', () => {
+  const base = { dateColumn: 0, descriptionColumn: 2, dateFormat: 'YYYY-MM-DD', decimalFormat: 'point' };
+  expect(mapRows([['2025-01-02', '-40.50', 'Groceries'], ['bad', '10', '']], { ...base, amountColumn: 1, signMode: 'signed' })).toEqual([
+    { rowNumber: 1, date: '2025-01-02', amount: 40.5, type: 'expense', description: 'Groceries', error: null },
+    { rowNumber: 2, date: null, amount: 10, type: 'income', description: 'Imported income', error: 'Date "bad" doesn\'t match YYYY-MM-DD.' },
+  ]);
+  const [withIndicator] = mapRows([['2025-01-02', '40', 'Fuel', 'D']], { ...base, amountColumn: 1, signMode: 'indicator', indicatorColumn: 3, debitValue: 'd' });
+  expect(withIndicator.type).toBe('expense');
+  const [credit] = mapRows([['2025-01-02', '', 'Salary', '2500']], { ...base, signMode: 'columns', debitColumn: 1, creditColumn: 3 });
+  expect(credit).toMatchObject({ amount: 2500, type: 'income' });
+});
+
+test('guesses columns from header names', () => {
+  expect(guessMapping(['Booking Date', 'Description', 'Amount'])).toMatchObject({ dateColumn: 0, descriptionColumn: 1, amountColumn: 2 });
+});
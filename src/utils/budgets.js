@@ -0,0 +1,85 @@
+import { findCategory } from './categories';
+import { getMonthlyOccurrences, sumOccurrences } from './recurrence';
+
+// Monthly category budgets. A budget document is
+// { categoryId, month, amount, currency, rollover, startMonth } where month is
+// null for the budget that applies to every month from startMonth ('YYYY-MM') on,
+// or a 'YYYY-MM' for a one-month override. With rollover, unspent money is
+// carried into the next month. A budget on a top-level category covers its
+// subcategories too.
+
+export const DEFAULT_WARNING_THRESHOLD = 80; // Percent of the budget
+
+export const getBudgetId = (categoryId, month) => `${categoryId}_${month || 'monthly'}`;
+
+export const toMonthKey = (year, monthIndex) => `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+
+const nextMonthKey = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return toMonthKey(month === 12 ? year + 1 : year, month % 12);
+};
+
+// Budgets in another currency are converted at a rate from within the month
+const rateDate = (monthKey) => `${monthKey}-28`;
+
+// The budget in effect for a category and month: the month's override, else the recurring budget
+export const getBudgetForMonth = (budgets, categoryId, monthKey) => (
+  budgets.find(budget => budget.categoryId === categoryId && budget.month === monthKey)
+  || budgets.find(budget => budget.categoryId === categoryId && !budget.month && budget.startMonth <= monthKey)
+  || null
+);
+
+// Spending in a month on a category, including its subcategories, in the reporting currency
+const getSpending = (expenses, categories, categoryId, monthKey, convert) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  const inCategory = expenses.filter(expense => (
+    expense.categoryId === categoryId || findCategory(categories, expense.categoryId).parentId === categoryId
+  ));
+  return sumOccurrences(getMonthlyOccurrences(inCategory, year, month - 1), convert);
+};
+
+// Budget vs actual for every budgeted category in a month, sorted by percent used:
+// [{ categoryId, budgeted, carriedOver, available, spent, remaining, percentUsed }]
+// convert(amount, currency, date) converts into the reporting currency.
+export const calculateBudgetStatus = (budgets, expenses, categories, monthKey, convert = (amount) => amount) => {
+  const categoryIds = Array.from(new Set(budgets.map(budget => budget.categoryId)));
+
+  return categoryIds
+    .map(categoryId => {
+      const budget = getBudgetForMonth(budgets, categoryId, monthKey);
+      if (!budget) return null;
+
+      // Walk forward from the first budgeted month, carrying unspent amounts
+      let carriedOver = 0;
+      const recurring = budgets.find(item => item.categoryId === categoryId && !item.month);
+      if (recurring?.rollover && recurring.startMonth < monthKey) {
+        for (let month = recurring.startMonth; month < monthKey; month = nextMonthKey(month)) {
+          const monthBudget = getBudgetForMonth(budgets, categoryId, month);
+          const monthAvailable = carriedOver + (monthBudget ? convert(monthBudget.amount, monthBudget.currency, rateDate(month)) : 0);
+          carriedOver = Math.max(0, monthAvailable - getSpending(expenses, categories, categoryId, month, convert));
+        }
+      }
+
+      const budgeted = convert(budget.amount, budget.currency, rateDate(monthKey));
+      const available = budgeted + carriedOver;
+      const spent = getSpending(expenses, categories, categoryId, monthKey, convert);
+      return {
+        categoryId,
+        budgeted,
+        carriedOver,
+        available,
+        spent,
+        remaining: available - spent,
+        percentUsed: available > 0 ? (spent / available) * 100 : (spent > 0 ? Infinity : 0),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.percentUsed - a.percentUsed);
+};
+
+// Statuses at or past the warning threshold, each with level 'over' (100% or more) or 'warning'
+export const getBudgetAlerts = (statuses, threshold = DEFAULT_WARNING_THRESHOLD) => (
+  statuses
+    .filter(status => status.percentUsed >= threshold)
+    .map(status => ({ ...status, level: status.percentUsed >= 100 ? 'over' : 'warning' }))
+);
@@ -0,0 +1,42 @@
+import { calculateBudgetStatus, getBudgetAlerts, getBudgetForMonth } from './budgets';
+
+const categories = [
+  { id: 'food', name: 'Food', parentId: null },
+  { id: 'groceries', name: 'Groceries', parentId: 'food' },
+  { id: 'fun', name: 'Fun', parentId: null },
+];
+
+const budgets = [
+  { categoryId: 'food', month: null, amount: 400, rollover: true, startMonth: '2025-01' },
+  { categoryId: 'food', month: '2025-03', amount: 300, rollover: false },
+  { categoryId: 'fun', month: null, amount: 100, rollover: false, startMonth: '2025-02' },
+];
+
+const expenses = [
+  { categoryId: 'groceries', amount: 250, date: '2025-01-05' },
+  { categoryId: 'food', amount: 100, date: '2025-01-20' },
+  { categoryId: 'groceries', amount: 350, date: '2025-02-03' },
+  { categoryId: 'groceries', amount: 280, date: '2025-03-03' },
+  { categoryId: 'fun', amount: 30, date: '2025-03-01', isRecurring: true, frequency: 'Weekly' },
+];
+
+test('month overrides win over the recurring budget, which starts at its start month', () => {
+  expect(getBudgetForMonth(budgets, 'food', '2025-03').amount).toBe(300);
+  expect(getBudgetForMonth(budgets, 'food', '2025-04').amount).toBe(400);
+  expect(getBudgetForMonth(budgets, 'fun', '2025-01')).toBeNull();
+});
+
+test('tracks spending including subcategories and rolls unspent money over', () => {
+  const [fun, food] = calculateBudgetStatus(budgets, expenses, categories, '2025-03');
+  // January leaves 50 unspent, February 50 + 400 - 350 = 100
+  expect(food).toMatchObject({ categoryId: 'food', budgeted: 300, carriedOver: 100, available: 400, spent: 280, remaining: 120 });
+  expect(food.percentUsed).toBeCloseTo(70);
+  // Weekly from March 1st: five occurrences in March
+  expect(fun).toMatchObject({ categoryId: 'fun', available: 100, spent: 150, percentUsed: 150 });
+});
+
+test('alerts on categories past the threshold', () => {
+  const statuses = calculateBudgetStatus(budgets, expenses, categories, '2025-03');
+  expect(getBudgetAlerts(statuses, 80).map(({ categoryId, level }) => [categoryId, level])).toEqual([['fun', 'over']]);
+  expect(getBudgetAlerts(statuses, 60).map(({ categoryId, level }) => [categoryId, level])).toEqual([['fun', 'over'], ['food', 'warning']]);
+});
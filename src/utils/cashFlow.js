@@ -0,0 +1,97 @@
+import { getMonthlyOccurrences, getRecurrenceStep, sumOccurrences } from './recurrence';
+
+// Monthly savings from income and expenses, for projections. The starting
+// point is the average of income minus expenses over the last complete months;
+// from there, recurring items change it in the month they end (e.g. a loan's
+// last payment) or start. An item counts against the average only for the
+// share of those months it was active in, so one that ended part-way through
+// them is taken out of the average just for that share.
+
+const toMonthKey = (year, monthIndex) => `${year}-${String(monthIndex + 1).padStart(2, '0')}`;
+
+// Month (year, 0-based index) a number of months after the given one
+const shiftMonth = (year, monthIndex, months) => {
+  const total = year * 12 + monthIndex + months;
+  return { year: Math.floor(total / 12), monthIndex: total % 12 };
+};
+
+// Income minus expenses occurring in a month, via convert(amount, currency, date)
+export const getMonthlyNet = (income, expenses, year, monthIndex, convert = (amount) => amount) => (
+  sumOccurrences(getMonthlyOccurrences(income, year, monthIndex), convert)
+  - sumOccurrences(getMonthlyOccurrences(expenses, year, monthIndex), convert)
+);
+
+// Average monthly net of the `months` complete months before today's month
+export const getTrailingAverage = (income, expenses, months, today, convert) => {
+  const [year, month] = today.split('-').map(Number);
+  let total = 0;
+  for (let offset = 1; offset <= months; offset++) {
+    const past = shiftMonth(year, month - 1, -offset);
+    total += getMonthlyNet(income, expenses, past.year, past.monthIndex, convert);
+  }
+  return months > 0 ? total / months : 0;
+};
+
+// A recurring item's amount spread evenly over the months (a weekly 100 is ~433 a month)
+export const getMonthlyEquivalent = (item) => {
+  const step = getRecurrenceStep(item);
+  const perYear = step.days ? 365 / step.days : 12 / step.months;
+  return ((item.amount || 0) * perYear) / 12;
+};
+
+const getMonthBounds = (year, monthIndex) => ({
+  monthStart: `${toMonthKey(year, monthIndex)}-01`,
+  monthEnd: `${toMonthKey(year, monthIndex)}-31`, // Only compared as a string
+});
+
+const isActiveIn = (item, { monthStart, monthEnd }) => item.date <= monthEnd && (!item.endDate || item.endDate >= monthStart);
+
+// Monthly contributions for the next `months` months, starting with today's month.
+// Returns {
+//   average,    // Trailing average of income minus expenses
+//   schedule,   // [contribution] per month
+//   changes,    // [{ month: 'YYYY-MM', description, starts, change }] where a recurring item starts or stops
+// }
+export const buildContributionSchedule = ({ income, expenses, trailingMonths, months, today, convert = (amount) => amount }) => {
+  const average = getTrailingAverage(income, expenses, trailingMonths, today, convert);
+  const [year, month] = today.split('-').map(Number);
+  const trailingBounds = Array.from({ length: trailingMonths }, (_, index) => {
+    const past = shiftMonth(year, month - 1, -(index + 1));
+    return getMonthBounds(past.year, past.monthIndex);
+  });
+  const recurring = [
+    ...income.filter(item => item.isRecurring).map(item => ({ item, sign: 1 })),
+    ...expenses.filter(item => item.isRecurring).map(item => ({ item, sign: -1 })),
+  ].map(({ item, sign }) => ({
+    item,
+    // Converted at today's rate, since future rates aren't known
+    monthly: sign * convert(getMonthlyEquivalent(item), item.currency),
+    // Share of the trailing months (0-1) the item was active in, i.e. how much of it the average holds
+    averagedShare: trailingBounds.length > 0
+      ? trailingBounds.filter(bounds => isActiveIn(item, bounds)).length / trailingBounds.length
+      : 0,
+  }));
+
+  const schedule = [];
+  const changes = [];
+  const previouslyActive = new Map();
+  for (let offset = 0; offset < months; offset++) {
+    const { year: monthYear, monthIndex } = shiftMonth(year, month - 1, offset);
+    const bounds = getMonthBounds(monthYear, monthIndex);
+    let contribution = average;
+    recurring.forEach(entry => {
+      const active = isActiveIn(entry.item, bounds);
+      contribution += entry.monthly * ((active ? 1 : 0) - entry.averagedShare);
+      // From this month the projection differs from the average (offset 0) or from last month
+      const change = offset === 0
+        ? entry.monthly * ((active ? 1 : 0) - entry.averagedShare)
+        : (active === previouslyActive.get(entry) ? 0 : (active ? entry.monthly : -entry.monthly));
+      if (Math.abs(change) > 0.005) {
+        changes.push({ month: toMonthKey(monthYear, monthIndex), description: entry.item.description, starts: active, change });
+      }
+      previouslyActive.set(entry, active);
+    });
+    schedule.push(contribution);
+  }
+  return { average, schedule, changes };
+};
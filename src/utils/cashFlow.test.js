@@ -0,0 +1,49 @@
+import { buildContributionSchedule, getMonthlyEquivalent, getTrailingAverage } from './cashFlow';
+
+const income = [
+  { description: 'Salary', amount: 3000, date: '2024-01-10', isRecurring: true, frequency: 'Monthly' },
+  { description: 'Bonus', amount: 600, date: '2025-05-20', isRecurring: false },
+];
+const expenses = [
+  { description: 'Rent', amount: 1000, date: '2024-01-01', isRecurring: true, frequency: 'Monthly' },
+  { description: 'Car loan', amount: 300, date: '2024-01-05', isRecurring: true, frequency: 'Monthly', endDate: '2025-08-05' },
+  { description: 'Gym', amount: 50, date: '2025-09-01', isRecurring: true, frequency: 'Monthly' },
+];
+
+test('averages income minus expenses over the last complete months', () => {
+  // March to May 2025: 3 × (3000 - 1000 - 300) + 600 bonus
+  expect(getTrailingAverage(income, expenses, 3, '2025-06-15')).toBe(1900);
+  expect(getMonthlyEquivalent({ amount: 70, isRecurring: true, frequency: 'Weekly' })).toBeCloseTo(70 * 365 / 7 / 12, 10);
+});
+
+test('changes the contribution when recurring items end or start', () => {
+  const { average, schedule, changes } = buildContributionSchedule({ income, expenses, trailingMonths: 3, months: 5, today: '2025-06-15' });
+  expect(average).toBe(1900);
+  // June to October: the loan's last payment is in August, the gym starts in September
+  expect(schedule).toEqual([1900, 1900, 1900, 2150, 2150]);
+  expect(changes).toEqual([
+    { month: '2025-09', description: 'Car loan', starts: false, change: 300 },
+    { month: '2025-09', description: 'Gym', starts: true, change: -50 },
+  ]);
+});
+
+test('takes items that ended in the trailing months out of the average only for their share', () => {
+  // The phone contract's last payment was in April: two of the three averaged months
+  const phone = { description: 'Phone', amount: 60, date: '2024-01-01', isRecurring: true, frequency: 'Monthly', endDate: '2025-04-10' };
+  const { average, schedule, changes } = buildContributionSchedule({ income, expenses: [...expenses, phone], trailingMonths: 3, months: 2, today: '2025-06-15' });
+  expect(average).toBe(1860);
+  expect(schedule[0]).toBeCloseTo(1900, 10);
+  expect(schedule[1]).toBeCloseTo(1900, 10);
+  expect(changes).toHaveLength(1);
+  expect(changes[0]).toMatchObject({ month: '2025-06', description: 'Phone', starts: false });
+  expect(changes[0].change).toBeCloseTo(40, 10);
+});
+
+test('counts an item that ended earlier this month only once', () => {
+  const phone = { description: 'Phone', amount: 60, date: '2024-01-01', isRecurring: true, frequency: 'Monthly', endDate: '2025-06-05' };
+  const { average, schedule, changes } = buildContributionSchedule({ income, expenses: [...expenses, phone], trailingMonths: 3, months: 2, today: '2025-06-15' });
+  expect(average).toBe(1840);
+  // June still had its payment, which the average already holds; July has none
+  expect(schedule).toEqual([1840, 1900]);
+  expect(changes).toEqual([{ month: '2025-07', description: 'Phone', starts: false, change: 60 }]);
+});
@@ -0,0 +1,66 @@
+// Expense category hierarchy. Categories are stored as flat documents,
+// { name, parentId, color, icon }, where top-level categories have parentId null
+// and subcategories point at their parent. Expenses reference a category by categoryId.
+
+export const UNCATEGORIZED = { id: null, name: 'Uncategorized', color: '#9ca3af', icon: 'Tag' };
+
+// Suggested hierarchy offered when the user has no categories yet
+export const SUGGESTED_CATEGORIES = [
+  { name: 'Housing', color: '#6366f1', icon: 'Home', children: ['Rent', 'Utilities', 'Insurance'] },
+  { name: 'Food', color: '#10b981', icon: 'ShoppingCart', children: ['Groceries', 'Restaurants'] },
+  { name: 'Transport', color: '#f59e0b', icon: 'Car', children: ['Fuel', 'Public Transport', 'Car Tax'] },
+  { name: 'Health', color: '#ef4444', icon: 'HeartPulse', children: [] },
+  { name: 'Leisure', color: '#ec4899', icon: 'Film', children: ['Travel', 'Subscriptions'] },
+];
+
+// Top-level categories sorted by name, each with its sorted children: [{ ...category, children }]
+export const buildCategoryTree = (categories) => {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const ids = new Set(categories.map(category => category.id));
+  return categories
+    // A subcategory whose parent was deleted is shown at the top level
+    .filter(category => !category.parentId || !ids.has(category.parentId))
+    .sort(byName)
+    .map(parent => ({
+      ...parent,
+      children: categories.filter(category => category.parentId === parent.id).sort(byName),
+    }));
+};
+
+// Returns the category, or UNCATEGORIZED when the ID is empty or no longer exists
+export const findCategory = (categories, categoryId) => (
+  (categoryId && categories.find(category => category.id === categoryId)) || UNCATEGORIZED
+);
+
+// Display name including the parent, e.g. 'Food > Groceries'
+export const getCategoryPath = (categories, categoryId) => {
+  const category = findCategory(categories, categoryId);
+  const parent = category.parentId ? categories.find(item => item.id === category.parentId) : null;
+  return parent ? `${parent.name} > ${category.name}` : category.name;
+};
+
+// Sums expenses per category, sorted by value descending: [{ id, name, color, icon, value }].
+// level 'parent' rolls subcategories up into their parent; 'child' keeps them apart.
+// getAmount(expense) returns the expense's value in the base currency.
+export const rollupByCategory = (expenses, categories, level, getAmount) => {
+  const totals = new Map();
+  expenses.forEach(expense => {
+    let category = findCategory(categories, expense.categoryId);
+    if (level === 'parent' && category.parentId) {
+      // Orphaned subcategories (parent deleted) count as top-level
+      category = categories.find(item => item.id === category.parentId) || category;
+    }
+    const key = category.id || '';
+    if (!totals.has(key)) {
+      totals.set(key, {
+        id: category.id,
+        name: level === 'child' ? getCategoryPath(categories, category.id) : category.name,
+        color: category.color || UNCATEGORIZED.color,
+        icon: category.icon || UNCATEGORIZED.icon,
+        value: 0,
+      });
+    }
+    totals.get(key).value += getAmount(expense);
+  });
+  return Array.from(totals.values()).sort((a, b) => b.value - a.value);
+};
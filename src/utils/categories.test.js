@@ -0,0 +1,39 @@
+import { buildCategoryTree, getCategoryPath, rollupByCategory } from './categories';
+
+const categories = [
+  { id: 'food', name: 'Food', parentId: null, color: '#10b981', icon: 'ShoppingCart' },
+  { id: 'groceries', name: 'Groceries', parentId: 'food', color: '#10b981', icon: 'ShoppingCart' },
+  { id: 'restaurants', name: 'Restaurants', parentId: 'food', color: '#34d399', icon: 'Utensils' },
+  { id: 'housing', name: 'Housing', parentId: null, color: '#6366f1', icon: 'Home' },
+];
+
+const expenses = [
+  { categoryId: 'groceries', amount: 100 },
+  { categoryId: 'restaurants', amount: 50 },
+  { categoryId: 'food', amount: 20 },
+  { categoryId: 'housing', amount: 800 },
+  { categoryId: 'deleted', amount: 5 },
+];
+
+test('builds a sorted two-level tree', () => {
+  const tree = buildCategoryTree(categories);
+  expect(tree.map(parent => parent.name)).toEqual(['Food', 'Housing']);
+  expect(tree[0].children.map(child => child.name)).toEqual(['Groceries', 'Restaurants']);
+});
+
+test('names categories with their parent and falls back to Uncategorized', () => {
+  expect(getCategoryPath(categories, 'groceries')).toBe('Food > Groceries');
+  expect(getCategoryPath(categories, 'housing')).toBe('Housing');
+  expect(getCategoryPath(categories, 'deleted')).toBe('Uncategorized');
+});
+
+test('rolls expenses up by parent or keeps subcategories apart', () => {
+  const byParent = rollupByCategory(expenses, categories, 'parent', expense => expense.amount);
+  expect(byParent.map(({ name, value }) => [name, value])).toEqual([['Housing', 800], ['Food', 170], ['Uncategorized', 5]]);
+
+  const byChild = rollupByCategory(expenses, categories, 'child', expense => expense.amount);
+  expect(byChild.map(({ name, value }) => [name, value])).toEqual([
+    ['Housing', 800], ['Food > Groceries', 100], ['Food > Restaurants', 50], ['Food', 20], ['Uncategorized', 5],
+  ]);
+  expect(byChild[2].color).toBe('#34d399');
+});
@@ -0,0 +1,4 @@
+// Starts the Monte Carlo Web Worker (monteCarlo.worker.js). Kept in its own
+// module because the bundler needs import.meta.url here, which Jest cannot
+// parse; tests mock this module instead.
+export const createMonteCarloWorker = () => new Worker(new URL('./monteCarlo.worker.js', import.meta.url));
@@ -0,0 +1,53 @@
+// Currency helpers. Every stored amount carries its own currency code; totals
+// and charts are converted to the user's base currency.
+
+export const CURRENCIES = {
+  EUR: { symbol: '€', locale: 'en-US', fractionDigits: 2 },
+  USD: { symbol: '$', locale: 'en-US', fractionDigits: 2 },
+  GBP: { symbol: '£', locale: 'en-US', fractionDigits: 2 },
+  HUF: { symbol: 'Ft', locale: 'hu-HU', fractionDigits: 0 },
+};
+
+export const DEFAULT_CURRENCY = 'EUR';
+
+// Fallback exchange rates, expressed as units of each currency per 1 EUR.
+// Used until the user enters or imports their own rates (see exchangeRates.js).
+export const DEFAULT_EXCHANGE_RATES = {
+  EUR: 1,
+  USD: 1.08,
+  GBP: 0.85,
+  HUF: 395.00,
+};
+
+const warnedPairs = new Set(); // 'FROM->TO' pairs already reported as missing a rate
+
+// Converts an amount between two currencies using EUR-based rates. Without a rate
+// the amount is returned unconverted; conversions run on every render, so each
+// missing pair is only warned about once.
+export const convertAmount = (amount, fromCurrency = DEFAULT_CURRENCY, toCurrency = DEFAULT_CURRENCY, rates = DEFAULT_EXCHANGE_RATES) => {
+  if (fromCurrency === toCurrency) return amount;
+  const fromRate = rates[fromCurrency];
+  const toRate = rates[toCurrency];
+  if (!fromRate || !toRate) {
+    const pair = `${fromCurrency}->${toCurrency}`;
+    if (!warnedPairs.has(pair)) {
+      warnedPairs.add(pair);
+      console.warn(`Missing exchange rate for ${fromCurrency} -> ${toCurrency}.`);
+    }
+    return amount;
+  }
+  return (amount / fromRate) * toRate;
+};
+
+// Returns a function converting (amount, currency, date) into the base currency.
+// ratesForDate(date) supplies the rates valid on that date; an undefined date means today.
+export const createConverter = (baseCurrency = DEFAULT_CURRENCY, ratesForDate = () => DEFAULT_EXCHANGE_RATES) => (
+  (amount, currency = DEFAULT_CURRENCY, date) => convertAmount(amount, currency, baseCurrency, ratesForDate(date))
+);
+
+// Formats an amount with the currency's symbol, e.g. €1,234.50 or Ft12 345
+export const formatCurrency = (amount, currency = DEFAULT_CURRENCY, { signDisplay, fractionDigits } = {}) => {
+  const { symbol, locale, fractionDigits: defaultDigits } = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+  const digits = fractionDigits ?? defaultDigits;
+  return `${symbol}${(amount || 0).toLocaleString(locale, { signDisplay, minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+};
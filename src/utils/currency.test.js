@@ -0,0 +1,29 @@
+import { convertAmount, createConverter, formatCurrency } from './currency';
+
+const rates = { EUR: 1, USD: 1.1, HUF: 400 };
+
+test('converts between currencies through the EUR-based rates', () => {
+  expect(convertAmount(110, 'USD', 'EUR', rates)).toBeCloseTo(100);
+  expect(convertAmount(110, 'USD', 'HUF', rates)).toBeCloseTo(40000);
+  expect(convertAmount(5, 'HUF', 'HUF', rates)).toBe(5);
+});
+
+test('leaves amounts without a rate unconverted and warns once per pair', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(convertAmount(100, 'CHF', 'EUR', rates)).toBe(100);
+  expect(convertAmount(50, 'CHF', 'EUR', rates)).toBe(50);
+  expect(warn).toHaveBeenCalledTimes(1);
+  warn.mockRestore();
+});
+
+test('converter treats items without a currency as EUR', () => {
+  const toUSD = createConverter('USD', () => rates);
+  expect(toUSD(100)).toBeCloseTo(110);
+  expect(toUSD(400, 'HUF')).toBeCloseTo(1.1);
+});
+
+test('formats amounts with the currency symbol and precision', () => {
+  expect(formatCurrency(1234.5, 'EUR')).toBe('€1,234.50');
+  expect(formatCurrency(-3, 'USD', { signDisplay: 'exceptZero' })).toBe('$-3.00');
+  expect(formatCurrency(1234.5, 'GBP', { fractionDigits: 0 })).toBe('£1,235');
+});
@@ -0,0 +1,120 @@
+import { CURRENCIES, DEFAULT_CURRENCY, DEFAULT_EXCHANGE_RATES } from './currency';
+
+// Historical exchange rates. Rates are stored one document per date,
+// { date: 'YYYY-MM-DD', rates: { USD: 1.08, HUF: 395 } }, as units of each
+// currency per 1 EUR (the same convention as the ECB reference rates).
+
+// Builds Map: currency -> [{ date, rate }] sorted by date ascending
+export const buildRateHistory = (rateDocs) => {
+  const history = new Map();
+  rateDocs.forEach(({ date, rates }) => {
+    Object.entries(rates || {}).forEach(([currency, rate]) => {
+      if (!history.has(currency)) {
+        history.set(currency, []);
+      }
+      history.get(currency).push({ date, rate });
+    });
+  });
+  history.forEach(entries => entries.sort((a, b) => a.date.localeCompare(b.date)));
+  return history;
+};
+
+// Finds the last rate on or before the date (binary search). Before the first
+// known date the earliest rate is used; without a date the latest one.
+const findRate = (entries, date) => {
+  if (!date) return entries[entries.length - 1].rate;
+  let low = 0;
+  let high = entries.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (entries[mid].date <= date) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return entries[found === -1 ? 0 : found].rate;
+};
+
+// Returns the rates valid on a date ('YYYY-MM-DD'), falling back to the
+// built-in defaults for currencies without any stored rate
+export const getRatesOn = (rateHistory, date) => {
+  const rates = { ...DEFAULT_EXCHANGE_RATES, [DEFAULT_CURRENCY]: 1 };
+  rateHistory.forEach((entries, currency) => {
+    if (currency !== DEFAULT_CURRENCY && entries.length > 0) {
+      rates[currency] = findRate(entries, date);
+    }
+  });
+  return rates;
+};
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Accepts 'YYYY-MM-DD' and the ECB daily file's '27 June 2025'
+const parseRateDate = (value) => {
+  const trimmed = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return trimmed;
+  const match = trimmed.match(/^(\d{1,2})\s+([A-Za-z]+)\s+(\d{4})$/);
+  if (match) {
+    const monthIndex = MONTHS.indexOf(match[2].toLowerCase());
+    if (monthIndex !== -1) {
+      return `${match[3]}-${String(monthIndex + 1).padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+  }
+  return null;
+};
+
+// Parses a rates CSV into [{ date, rates }] sorted by date. Two layouts are supported:
+// - ECB reference files: "Date,USD,JPY,GBP,..." with one row per date
+// - long format: "date,currency,rate" with one row per rate
+// Only supported currencies are kept; 'N/A' and empty cells are skipped.
+export const parseExchangeRatesCsv = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) {
+    throw new Error("The file has no data rows.");
+  }
+  const header = lines[0].split(',').map(cell => cell.trim());
+  const lowerHeader = header.map(cell => cell.toLowerCase());
+  const byDate = new Map();
+  let skippedRows = 0;
+
+  const addRate = (date, currency, rawRate) => {
+    const rate = parseFloat(rawRate);
+    if (!CURRENCIES[currency] || currency === DEFAULT_CURRENCY || isNaN(rate) || rate <= 0) return;
+    if (!byDate.has(date)) {
+      byDate.set(date, {});
+    }
+    byDate.get(date)[currency] = rate;
+  };
+
+  const currencyColumn = lowerHeader.indexOf('currency');
+  const rateColumn = lowerHeader.indexOf('rate');
+  const dateColumn = lowerHeader.indexOf('date');
+  if (dateColumn === -1) {
+    throw new Error("The file needs a Date column.");
+  }
+
+  lines.slice(1).forEach(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    const date = parseRateDate(cells[dateColumn] || '');
+    if (!date) {
+      skippedRows++;
+      return;
+    }
+    if (currencyColumn !== -1 && rateColumn !== -1) {
+      addRate(date, (cells[currencyColumn] || '').toUpperCase(), cells[rateColumn]);
+    } else {
+      header.forEach((currency, index) => {
+        if (index !== dateColumn) addRate(date, currency.toUpperCase(), cells[index]);
+      });
+    }
+  });
+
+  const rateDocs = Array.from(byDate.entries())
+    .filter(([, rates]) => Object.keys(rates).length > 0)
+    .map(([date, rates]) => ({ date, rates }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return { rateDocs, skippedRows };
+};
@@ -0,0 +1,34 @@
+import { buildRateHistory, getRatesOn, parseExchangeRatesCsv } from './exchangeRates';
+
+const rateHistory = buildRateHistory([
+  { date: '2025-03-01', rates: { USD: 1.05 } },
+  { date: '2025-01-01', rates: { USD: 1.1, HUF: 400 } },
+]);
+
+test('uses the last rate on or before the date', () => {
+  expect(getRatesOn(rateHistory, '2025-02-15')).toMatchObject({ EUR: 1, USD: 1.1, HUF: 400 });
+  expect(getRatesOn(rateHistory, '2025-03-01').USD).toBe(1.05);
+  expect(getRatesOn(rateHistory, '2024-12-31').USD).toBe(1.1); // Before the first known rate
+  expect(getRatesOn(rateHistory).USD).toBe(1.05); // Latest rate when no date is given
+  expect(getRatesOn(rateHistory).GBP).toBe(0.85); // Built-in default
+});
+
+test('parses ECB reference rate files', () => {
+  const csv = 'Date, USD, JPY, GBP, HUF,\n27 June 2025, 1.1702, 169.12, 0.8535, N/A,\n2025-06-26, 1.1671, 168.7, 0.8518, 399.1,';
+  expect(parseExchangeRatesCsv(csv)).toEqual({
+    rateDocs: [
+      { date: '2025-06-26', rates: { USD: 1.1671, GBP: 0.8518, HUF: 399.1 } },
+      { date: '2025-06-27', rates: { USD: 1.1702, GBP: 0.8535 } },
+    ],
+    skippedRows: 0,
+  });
+});
+
+test('parses one rate per row and counts rows without a valid date', () => {
+  const csv = 'date,currency,rate\n2025-01-01,usd,1.1\n2025-01-01,HUF,400\nyesterday,USD,1.2';
+  expect(parseExchangeRatesCsv(csv)).toEqual({
+    rateDocs: [{ date: '2025-01-01', rates: { USD: 1.1, HUF: 400 } }],
+    skippedRows: 1,
+  });
+  expect(() => parseExchangeRatesCsv('rate\n1.1')).toThrow('The file needs a Date column.');
+});
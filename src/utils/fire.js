@@ -0,0 +1,67 @@
+import { getMonthlyOccurrences, sumOccurrences } from './recurrence';
+
+// Financial independence (FI): the net worth whose yearly withdrawals at a safe
+// rate cover a year of expenses. All amounts are in today's money, so growth
+// uses the real return (the expected return minus inflation).
+// - Lean FI covers only a share of the expenses (a frugal budget).
+// - Coast FI is what needs to be invested today to reach FI by retirement
+//   without contributing anything more.
+
+export const DEFAULT_WITHDRAWAL_RATE = 4; // % of the portfolio withdrawn per year
+export const DEFAULT_LEAN_SHARE = 70; // % of the expenses a Lean FI budget covers
+
+// Stop looking after this long; a target further away counts as never reached
+const MAX_MONTHS = 100 * 12;
+
+// Expenses of the 12 complete months before today's month, via convert(amount, currency, date)
+export const getAnnualExpenses = (expenses, today, convert = (amount) => amount) => {
+  const [year, month] = today.split('-').map(Number);
+  let total = 0;
+  for (let offset = 1; offset <= 12; offset++) {
+    const past = new Date(Date.UTC(year, month - 1 - offset, 1));
+    total += sumOccurrences(getMonthlyOccurrences(expenses, past.getUTCFullYear(), past.getUTCMonth()), convert);
+  }
+  return total;
+};
+
+export const getFiNumber = (annualExpenses, withdrawalRate) => (
+  withdrawalRate > 0 ? (annualExpenses * 100) / withdrawalRate : null
+);
+
+// Yearly return in % after inflation (both yearly percentages)
+export const getRealReturn = (expectedReturn, inflationRate) => ((1 + expectedReturn / 100) / (1 + inflationRate / 100) - 1) * 100;
+
+// Months until startValue grows to target, adding monthlyContribution before
+// each month's growth (like the projections). 0 if already there, null if it
+// takes more than 100 years.
+export const getMonthsToTarget = ({ startValue, target, monthlyContribution, annualReturn }) => {
+  let value = startValue;
+  for (let months = 0; months <= MAX_MONTHS; months++) {
+    if (value >= target) return months;
+    value = (value + monthlyContribution) * (1 + annualReturn / 100 / 12);
+  }
+  return null;
+};
+
+// Value needed today to grow into fiNumber in `years` without contributions
+export const getCoastFiNumber = (fiNumber, annualReturn, years) => fiNumber / Math.pow(1 + annualReturn / 100 / 12, years * 12);
+
+// Net worth history ([{ date, totalNetWorth }]) as progress towards fiNumber:
+// [{ date, netWorth, progress }], progress in % of fiNumber
+export const getFiProgress = (history, fiNumber) => history.map(({ date, totalNetWorth }) => ({
+  date,
+  netWorth: totalNetWorth,
+  progress: fiNumber > 0 ? Math.round((totalNetWorth / fiNumber) * 1000) / 10 : 0,
+}));
+
+// "3 years 4 months" for a number of months, "Never" for null
+export const formatDuration = (months) => {
+  if (months === null) return 'Never';
+  if (months === 0) return 'Reached';
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  return [
+    years > 0 ? `${years} year${years === 1 ? '' : 's'}` : null,
+    rest > 0 ? `${rest} month${rest === 1 ? '' : 's'}` : null,
+  ].filter(Boolean).join(' ');
+};
@@ -0,0 +1,32 @@
+import { formatDuration, getAnnualExpenses, getCoastFiNumber, getFiNumber, getFiProgress, getMonthsToTarget, getRealReturn } from './fire';
+
+const expenses = [
+  { description: 'Rent', amount: 1000, date: '2024-01-01', isRecurring: true, frequency: 'Monthly' },
+  { description: 'Holiday', amount: 1200, date: '2025-03-10', isRecurring: false },
+  { description: 'Last year', amount: 5000, date: '2024-05-31', isRecurring: false },
+];
+
+test('works out the FI number from the last twelve months of expenses', () => {
+  // June 2024 to May 2025
+  const annualExpenses = getAnnualExpenses(expenses, '2025-06-15');
+  expect(annualExpenses).toBe(13200);
+  expect(getFiNumber(annualExpenses, 4)).toBe(330000);
+  expect(getFiNumber(annualExpenses, 0)).toBeNull();
+  expect(getRealReturn(5, 3)).toBeCloseTo(1.9417, 4);
+});
+
+test('counts the months until a target is reached', () => {
+  expect(getMonthsToTarget({ startValue: 1000, target: 1000, monthlyContribution: 0, annualReturn: 5 })).toBe(0);
+  expect(getMonthsToTarget({ startValue: 0, target: 1200, monthlyContribution: 100, annualReturn: 0 })).toBe(12);
+  expect(getMonthsToTarget({ startValue: 0, target: 1000, monthlyContribution: 0, annualReturn: 5 })).toBeNull();
+  expect(formatDuration(14)).toBe('1 year 2 months');
+  expect(formatDuration(null)).toBe('Never');
+});
+
+test('discounts Coast FI and tracks progress over time', () => {
+  const coast = getCoastFiNumber(100000, 6, 10);
+  expect(getMonthsToTarget({ startValue: coast + 1, target: 100000, monthlyContribution: 0, annualReturn: 6 })).toBe(120);
+  expect(getFiProgress([{ date: '2025-01-01', totalNetWorth: 25000 }], 100000)).toEqual([
+    { date: '2025-01-01', netWorth: 25000, progress: 25 },
+  ]);
+});
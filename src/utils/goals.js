@@ -0,0 +1,78 @@
+// Savings goals. A goal document is
+// { name, targetAmount, currency, targetDate, startDate, links: [{ assetId, share }] }
+// where share is the percentage of the asset's value set aside for the goal, so
+// one account can fund several goals. Progress is measured against a straight
+// line from startDate (when the goal was set) to targetDate.
+
+export const GOAL_STATUSES = {
+  reached: 'Reached',
+  onTrack: 'On track',
+  behind: 'Behind',
+};
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Whole months from one 'YYYY-MM-DD' date to another (0 if the second isn't later)
+const monthsBetween = (from, to) => {
+  const [fromYear, fromMonth, fromDay] = from.split('-').map(Number);
+  const [toYear, toMonth, toDay] = to.split('-').map(Number);
+  const months = (toYear - fromYear) * 12 + (toMonth - fromMonth) - (toDay < fromDay ? 1 : 0);
+  return Math.max(0, months);
+};
+
+// Percentage of each asset already linked to goals: Map assetId -> share,
+// leaving out the goal with the given ID (the one being edited)
+export const getLinkedShares = (goals, exceptGoalId = null) => {
+  const shares = new Map();
+  goals.filter(goal => goal.id !== exceptGoalId).forEach(goal => {
+    (goal.links || []).forEach(({ assetId, share }) => shares.set(assetId, (shares.get(assetId) || 0) + share));
+  });
+  return shares;
+};
+
+// Returns an error message, or null if the goal's links can be saved.
+// No asset can be linked for more than 100% across all goals.
+export const validateGoalLinks = (links, goals, assets, goalId = null) => {
+  if (links.length === 0) return 'Link at least one asset.';
+  if (links.some(({ share }) => typeof share !== 'number' || isNaN(share) || share <= 0 || share > 100)) {
+    return 'Shares must be between 0 and 100%.';
+  }
+  if (new Set(links.map(({ assetId }) => assetId)).size !== links.length) return 'Each asset can only be linked once.';
+  const linked = getLinkedShares(goals, goalId);
+  const overbooked = links.find(({ assetId, share }) => (linked.get(assetId) || 0) + share > 100.001);
+  if (overbooked) {
+    const asset = assets.find(item => item.id === overbooked.assetId);
+    return `Only ${roundCents(100 - (linked.get(overbooked.assetId) || 0))}% of ${asset ? asset.name : 'this asset'} is left for goals.`;
+  }
+  return null;
+};
+
+// Progress of a goal in the reporting currency, via convert(amount, currency).
+// Links to deleted assets are ignored. Returns
+// { saved, target, remaining, percent, expected, monthsLeft, monthlyNeeded, status }
+// - expected is what the straight line says should be saved by today
+// - monthlyNeeded is what to add each month from now to reach the target on time
+export const calculateGoalProgress = (goal, assets, convert, today) => {
+  const saved = roundCents((goal.links || []).reduce((sum, { assetId, share }) => {
+    const asset = assets.find(item => item.id === assetId);
+    return asset ? sum + convert(((asset.currentValue || 0) * share) / 100, asset.currency) : sum;
+  }, 0));
+  const target = roundCents(convert(goal.targetAmount || 0, goal.currency));
+  const remaining = roundCents(Math.max(0, target - saved));
+  const percent = target > 0 ? Math.min(100, (saved / target) * 100) : 100;
+
+  const totalDays = new Date(goal.targetDate) - new Date(goal.startDate || goal.targetDate);
+  const elapsedDays = new Date(today) - new Date(goal.startDate || today);
+  const elapsedShare = totalDays > 0 ? Math.min(1, Math.max(0, elapsedDays / totalDays)) : 1;
+  const expected = roundCents(target * elapsedShare);
+
+  const monthsLeft = monthsBetween(today, goal.targetDate);
+  // Money still missing when the target date has passed is needed right away
+  const monthlyNeeded = remaining === 0 ? 0 : roundCents(remaining / Math.max(1, monthsLeft));
+
+  let status = 'behind';
+  if (remaining === 0) status = 'reached';
+  else if (today <= goal.targetDate && saved >= expected) status = 'onTrack';
+
+  return { saved, target, remaining, percent, expected, monthsLeft, monthlyNeeded, status };
+};
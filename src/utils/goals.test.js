@@ -0,0 +1,44 @@
+import { calculateGoalProgress, getLinkedShares, validateGoalLinks } from './goals';
+
+const assets = [
+  { id: 'savings', name: 'Savings Account', currentValue: 10000, currency: 'EUR' },
+  { id: 'fund', name: 'Index Fund', currentValue: 2000, currency: 'USD' },
+];
+const convert = (amount, currency) => (currency === 'USD' ? amount * 0.5 : amount);
+
+const deposit = {
+  id: 'house',
+  name: 'House deposit',
+  targetAmount: 24000,
+  currency: 'EUR',
+  startDate: '2025-01-01',
+  targetDate: '2027-01-01',
+  links: [{ assetId: 'savings', share: 100 }, { assetId: 'fund', share: 50 }, { assetId: 'sold', share: 100 }],
+};
+
+test('measures progress against a straight line to the target date', () => {
+  // 10000 + 50% of 2000 USD at 0.5, a year into two
+  const progress = calculateGoalProgress(deposit, assets, convert, '2026-01-01');
+  expect(progress.saved).toBe(10500);
+  expect(progress.remaining).toBe(13500);
+  expect(progress.expected).toBeCloseTo(12000, -1);
+  expect(progress.monthsLeft).toBe(12);
+  expect(progress.monthlyNeeded).toBe(1125);
+  expect(progress.status).toBe('behind');
+
+  expect(calculateGoalProgress(deposit, assets, convert, '2025-07-01').status).toBe('onTrack');
+  expect(calculateGoalProgress({ ...deposit, targetAmount: 10000 }, assets, convert, '2025-07-01').status).toBe('reached');
+  // Past the target date, whatever is missing is due in one month
+  expect(calculateGoalProgress(deposit, assets, convert, '2027-03-01')).toMatchObject({ monthsLeft: 0, monthlyNeeded: 13500, status: 'behind' });
+});
+
+test('keeps assets from being linked for more than 100% across goals', () => {
+  const goals = [deposit, { id: 'car', links: [{ assetId: 'fund', share: 30 }] }];
+  expect(getLinkedShares(goals).get('fund')).toBe(80);
+  expect(validateGoalLinks([{ assetId: 'fund', share: 20 }], goals, assets)).toBeNull();
+  expect(validateGoalLinks([{ assetId: 'fund', share: 30 }], goals, assets)).toBe('Only 20% of Index Fund is left for goals.');
+  // Editing a goal frees its own shares
+  expect(validateGoalLinks([{ assetId: 'fund', share: 50 }], goals, assets, 'car')).toBeNull();
+  expect(validateGoalLinks([], goals, assets)).toBe('Link at least one asset.');
+  expect(validateGoalLinks([{ assetId: 'savings', share: 0 }], goals, assets)).toBe('Shares must be between 0 and 100%.');
+});
@@ -0,0 +1,152 @@
+import { setValuations } from './assetHistory';
+
+// Holdings-based investment assets. Such an asset has
+// holdings: [{ symbol, quantity, costBasis, date }], one entry per lot bought,
+// where costBasis is the total paid for the lot in the asset's currency.
+// Its value is quantity × the closing price of each symbol, from prices stored
+// one document per date in the 'prices' collection:
+// { date: 'YYYY-MM-DD', prices: { VWCE: 112.4, OTP: 24150 } }, quoted in the
+// currency of the assets holding them.
+
+export const hasHoldings = (asset) => Array.isArray(asset.holdings);
+
+export const normalizeSymbol = (symbol) => (symbol || '').trim().toUpperCase();
+
+// Builds Map: symbol -> [{ date, close }] sorted by date ascending
+export const buildPriceHistory = (priceDocs) => {
+  const history = new Map();
+  priceDocs.forEach(({ date, prices }) => {
+    Object.entries(prices || {}).forEach(([symbol, close]) => {
+      if (!history.has(symbol)) history.set(symbol, []);
+      history.get(symbol).push({ date, close });
+    });
+  });
+  history.forEach(entries => entries.sort((a, b) => a.date.localeCompare(b.date)));
+  return history;
+};
+
+// The last close on or before the date (the latest without a date), or null if there is none
+export const getPriceOn = (priceHistory, symbol, date) => {
+  const entries = (priceHistory.get(symbol) || []).filter(entry => !date || entry.date <= date);
+  return entries.length > 0 ? entries[entries.length - 1].close : null;
+};
+
+// Lots grouped by symbol: [{ symbol, quantity, costBasis, lots }], sorted by symbol
+export const getPositions = (holdings = []) => {
+  const positions = new Map();
+  holdings.forEach(lot => {
+    if (!positions.has(lot.symbol)) positions.set(lot.symbol, { symbol: lot.symbol, quantity: 0, costBasis: 0, lots: [] });
+    const position = positions.get(lot.symbol);
+    position.quantity += lot.quantity;
+    position.costBasis += lot.costBasis;
+    position.lots.push(lot);
+  });
+  return Array.from(positions.values()).sort((a, b) => a.symbol.localeCompare(b.symbol));
+};
+
+// Value of the lots held on a date. Symbols without a price by then are valued
+// at cost and listed in missingSymbols. Returns { value, missingSymbols }.
+export const valueHoldings = (holdings = [], priceHistory, date) => {
+  const missingSymbols = new Set();
+  const value = holdings
+    .filter(lot => !date || lot.date <= date)
+    .reduce((sum, lot) => {
+      const close = getPriceOn(priceHistory, lot.symbol, date);
+      if (close === null) {
+        missingSymbols.add(lot.symbol);
+        return sum + lot.costBasis;
+      }
+      return sum + lot.quantity * close;
+    }, 0);
+  return { value: Math.round(value * 100) / 100, missingSymbols: Array.from(missingSymbols) };
+};
+
+// Takes quantity of a symbol out of the holdings, oldest lots first, reducing
+// the cost basis pro rata. Returns the new holdings, or null if too few are held.
+export const sellFromHoldings = (holdings = [], symbol, quantity) => {
+  const held = holdings.filter(lot => lot.symbol === symbol).reduce((sum, lot) => sum + lot.quantity, 0);
+  if (quantity > held + 1e-9) return null;
+  let remaining = quantity;
+  const byDate = holdings.map((lot, index) => ({ lot, index }))
+    .sort((a, b) => a.lot.date.localeCompare(b.lot.date) || a.index - b.index);
+  const sold = new Map(); // index -> quantity sold from that lot
+  byDate.forEach(({ lot, index }) => {
+    if (lot.symbol !== symbol || remaining <= 1e-9) return;
+    const taken = Math.min(lot.quantity, remaining);
+    sold.set(index, taken);
+    remaining -= taken;
+  });
+  return holdings
+    .map((lot, index) => {
+      if (!sold.has(index)) return lot;
+      const quantityLeft = lot.quantity - sold.get(index);
+      return { ...lot, quantity: quantityLeft, costBasis: Math.round(lot.costBasis * (quantityLeft / lot.quantity) * 100) / 100 };
+    })
+    .filter(lot => lot.quantity > 1e-9);
+};
+
+// Valuations to record after prices changed on the given dates:
+// [{ asset, changes }] for every holdings asset holding a symbol priced on one of them.
+// Lots already sold no longer count towards past dates.
+export const planHoldingsValuations = (assets, priceHistory, priceDocs) => assets
+  .filter(asset => hasHoldings(asset) && asset.holdings.length > 0)
+  .map(asset => {
+    const symbols = new Set(asset.holdings.map(lot => lot.symbol));
+    const firstLotDate = asset.holdings.reduce((first, lot) => (lot.date < first ? lot.date : first), asset.holdings[0].date);
+    const valuations = priceDocs
+      .filter(({ date, prices }) => date >= firstLotDate && Object.keys(prices || {}).some(symbol => symbols.has(symbol)))
+      .map(({ date }) => ({ date, value: valueHoldings(asset.holdings, priceHistory, date).value }));
+    return { asset, changes: valuations.length > 0 ? setValuations(asset, valuations) : null };
+  })
+  .filter(({ changes }) => changes);
+
+// Parses a closing prices CSV into { priceDocs: [{ date, prices }], skippedRows }.
+// Two layouts are supported:
+// - one column per symbol: "Date,VWCE,OTP"
+// - one price per row: "date,symbol,close" (a "price" column works as well)
+// Dates must be YYYY-MM-DD; empty and non-positive prices are skipped.
+export const parsePricesCsv = (text) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) {
+    throw new Error("The file has no data rows.");
+  }
+  const header = lines[0].split(',').map(cell => cell.trim());
+  const lowerHeader = header.map(cell => cell.toLowerCase());
+  const dateColumn = lowerHeader.indexOf('date');
+  if (dateColumn === -1) {
+    throw new Error("The file needs a Date column.");
+  }
+  const symbolColumn = lowerHeader.indexOf('symbol');
+  const closeColumn = lowerHeader.indexOf('close') !== -1 ? lowerHeader.indexOf('close') : lowerHeader.indexOf('price');
+  const byDate = new Map();
+  let skippedRows = 0;
+
+  const addPrice = (date, symbol, rawClose) => {
+    const close = parseFloat(rawClose);
+    if (!symbol || isNaN(close) || close <= 0) return;
+    if (!byDate.has(date)) byDate.set(date, {});
+    byDate.get(date)[symbol] = close;
+  };
+
+  lines.slice(1).forEach(line => {
+    const cells = line.split(',').map(cell => cell.trim());
+    const date = cells[dateColumn] || '';
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      skippedRows++;
+      return;
+    }
+    if (symbolColumn !== -1 && closeColumn !== -1) {
+      addPrice(date, normalizeSymbol(cells[symbolColumn]), cells[closeColumn]);
+    } else {
+      header.forEach((symbol, index) => {
+        if (index !== dateColumn) addPrice(date, normalizeSymbol(symbol), cells[index]);
+      });
+    }
+  });
+
+  const priceDocs = Array.from(byDate.entries())
+    .filter(([, prices]) => Object.keys(prices).length > 0)
+    .map(([date, prices]) => ({ date, prices }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+  return { priceDocs, skippedRows };
+};
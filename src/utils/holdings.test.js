@@ -0,0 +1,67 @@
+import {
+  buildPriceHistory, getPositions, getPriceOn, parsePricesCsv, planHoldingsValuations, sellFromHoldings, valueHoldings,
+} from './holdings';
+
+const priceDocs = [
+  { date: '2025-02-01', prices: { VWCE: 110, OTP: 20000 } },
+  { date: '2025-01-02', prices: { VWCE: 100 } },
+];
+const priceHistory = buildPriceHistory(priceDocs);
+
+const holdings = [
+  { symbol: 'VWCE', quantity: 10, costBasis: 1000, date: '2025-01-02' },
+  { symbol: 'OTP', quantity: 2, costBasis: 36000, date: '2025-01-10' },
+  { symbol: 'VWCE', quantity: 5, costBasis: 540, date: '2025-01-20' },
+];
+
+test('looks up the last close on or before a date', () => {
+  expect(getPriceOn(priceHistory, 'VWCE', '2025-01-31')).toBe(100);
+  expect(getPriceOn(priceHistory, 'VWCE')).toBe(110);
+  expect(getPriceOn(priceHistory, 'OTP', '2025-01-31')).toBeNull();
+});
+
+test('values lots at quantity × price, falling back to cost', () => {
+  expect(getPositions(holdings).map(({ symbol, quantity, costBasis }) => [symbol, quantity, costBasis])).toEqual([
+    ['OTP', 2, 36000],
+    ['VWCE', 15, 1540],
+  ]);
+  expect(valueHoldings(holdings, priceHistory, '2025-01-15')).toEqual({ value: 37000, missingSymbols: ['OTP'] });
+  expect(valueHoldings(holdings, priceHistory, '2025-02-01')).toEqual({ value: 41650, missingSymbols: [] });
+});
+
+test('sells the oldest lots first', () => {
+  expect(sellFromHoldings(holdings, 'VWCE', 12)).toEqual([
+    { symbol: 'OTP', quantity: 2, costBasis: 36000, date: '2025-01-10' },
+    { symbol: 'VWCE', quantity: 3, costBasis: 324, date: '2025-01-20' },
+  ]);
+  expect(sellFromHoldings(holdings, 'VWCE', 16)).toBeNull();
+});
+
+test('records a valuation for every price date of a held symbol', () => {
+  const asset = {
+    id: 'a1',
+    holdings: holdings.slice(0, 1),
+    valueHistory: [{ value: 0, date: '2025-01-01' }, { value: 1000, date: '2025-01-02', type: 'contribution' }, { value: 990, date: '2025-02-01' }],
+    contributions: [{ amount: 1000, date: '2025-01-02' }],
+  };
+  const plan = planHoldingsValuations([asset, { id: 'manual', valueHistory: [] }], priceHistory, priceDocs);
+  expect(plan).toHaveLength(1);
+  expect(plan[0].changes.valueHistory).toEqual([
+    { value: 0, date: '2025-01-01' },
+    { value: 1000, date: '2025-01-02', type: 'contribution' },
+    { value: 1100, date: '2025-02-01' },
+    { value: 1000, date: '2025-01-02' },
+  ]);
+  expect(plan[0].changes.currentValue).toBe(1100);
+});
+
+test('parses closing prices in both layouts', () => {
+  expect(parsePricesCsv('Date,vwce,OTP\n2025-01-02,100,\n2025-01-03,101,20100\n03/01/2025,1,1')).toEqual({
+    priceDocs: [
+      { date: '2025-01-02', prices: { VWCE: 100 } },
+      { date: '2025-01-03', prices: { VWCE: 101, OTP: 20100 } },
+    ],
+    skippedRows: 1,
+  });
+  expect(parsePricesCsv('date,symbol,close\n2025-01-02,vwce,100').priceDocs).toEqual([{ date: '2025-01-02', prices: { VWCE: 100 } }]);
+});
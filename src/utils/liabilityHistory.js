@@ -0,0 +1,10 @@
+// A liability's balanceHistory: [{ balance, date }]. currentBalance is derived
+// from the latest entry, like an asset's currentValue.
+
+// Inserts a (possibly backdated) balance. Returns { balanceHistory, currentBalance } for storage.update.
+export const addBalance = (liability, { date, balance }) => {
+  const balanceHistory = [...(liability.balanceHistory || []), { balance, date }];
+  // Stable sort, so the entry added last wins among entries on the same date
+  const latest = [...balanceHistory].sort((a, b) => a.date.localeCompare(b.date))[balanceHistory.length - 1];
+  return { balanceHistory, currentBalance: latest.balance };
+};
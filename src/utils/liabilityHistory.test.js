@@ -0,0 +1,10 @@
+import { addBalance } from './liabilityHistory';
+
+test('keeps the current balance at the latest entry when a balance is backdated', () => {
+  const mortgage = { currentBalance: 180000, balanceHistory: [{ balance: 200000, date: '2024-01-01' }, { balance: 180000, date: '2025-01-01' }] };
+  const backdated = addBalance(mortgage, { date: '2024-06-01', balance: 190000 });
+  expect(backdated.balanceHistory).toHaveLength(3);
+  expect(backdated.currentBalance).toBe(180000);
+  expect(addBalance(mortgage, { date: '2025-01-01', balance: 179000 }).currentBalance).toBe(179000);
+  expect(addBalance({}, { date: '2025-02-01', balance: 500 })).toEqual({ balanceHistory: [{ balance: 500, date: '2025-02-01' }], currentBalance: 500 });
+});
@@ -0,0 +1,80 @@
+// Monte Carlo net worth projections. Each run grows the start value month by
+// month with a random lognormal return, adding the monthly contribution first
+// (like the deterministic projection), so the spread of the runs shows how
+// uncertain the outcome is. Runs in a Web Worker (monteCarlo.worker.js).
+
+export const DEFAULT_RUNS = 1000;
+export const MAX_RUNS = 10000;
+
+// Seeded pseudo-random numbers in [0, 1) (mulberry32), so a projection can be repeated
+export const createRandom = (seed = Date.now()) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample (Box-Muller)
+const randomNormal = (random) => {
+  const u = 1 - random(); // (0, 1], so the log is finite
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Value at fraction p (0-1) of an ascending list, interpolating between neighbours
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return 0;
+  const position = (sorted.length - 1) * p;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Runs the simulation. expectedReturn and volatility are yearly percentages:
+// the average yearly return and its standard deviation. contributionSchedule,
+// when given, is the contribution for each month instead of monthlyContribution.
+// years must be at least 1; targetYear is kept within 0..years.
+// Returns {
+//   years: [{ year, p10, p50, p90 }], // Year 0 is today, in years from now
+//   probability,                      // Share of runs at or above targetValue in targetYear (null without a target)
+// }
+export const simulateProjection = ({
+  startValue, monthlyContribution, contributionSchedule, expectedReturn, volatility, years, runs = DEFAULT_RUNS, targetValue = null, targetYear = years, seed,
+}) => {
+  if (!(years >= 1)) {
+    throw new Error("A projection needs at least one year.");
+  }
+  const random = createRandom(seed);
+  const runCount = Math.min(Math.max(1, Math.round(runs)), MAX_RUNS);
+  // Lognormal monthly growth whose yearly mean is 1 + expectedReturn
+  const sigma = volatility / 100;
+  const drift = (Math.log(1 + expectedReturn / 100) - (sigma * sigma) / 2) / 12;
+  const monthlySigma = sigma / Math.sqrt(12);
+
+  const valuesByYear = Array.from({ length: years + 1 }, () => new Float64Array(runCount));
+  const targetIndex = Math.min(Math.max(0, Math.round(targetYear)), years);
+  let reachedTarget = 0;
+  for (let run = 0; run < runCount; run++) {
+    let value = startValue;
+    valuesByYear[0][run] = value;
+    for (let year = 1; year <= years; year++) {
+      for (let month = 0; month < 12; month++) {
+        value += contributionSchedule ? contributionSchedule[(year - 1) * 12 + month] ?? 0 : monthlyContribution;
+        value *= Math.exp(drift + monthlySigma * randomNormal(random));
+      }
+      valuesByYear[year][run] = value;
+    }
+    if (targetValue !== null && valuesByYear[targetIndex][run] >= targetValue) reachedTarget++;
+  }
+
+  return {
+    years: valuesByYear.map((values, year) => {
+      const sorted = Array.from(values).sort((a, b) => a - b);
+      return { year, p10: percentile(sorted, 0.1), p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) };
+    }),
+    probability: targetValue === null ? null : reachedTarget / runCount,
+  };
+};
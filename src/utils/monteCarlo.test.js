@@ -0,0 +1,47 @@
+import { createRandom, percentile, simulateProjection } from './monteCarlo';
+
+const params = { startValue: 10000, monthlyContribution: 100, expectedReturn: 6, volatility: 15, years: 10, runs: 2000, seed: 42 };
+
+test('repeats with the same seed', () => {
+  const random = createRandom(7);
+  const again = createRandom(7);
+  expect([random(), random()]).toEqual([again(), again()]);
+  expect(simulateProjection(params)).toEqual(simulateProjection(params));
+});
+
+test('interpolates percentiles', () => {
+  expect(percentile([1, 2, 3, 4, 5], 0.5)).toBe(3);
+  expect(percentile([0, 10], 0.1)).toBe(1);
+});
+
+test('matches the deterministic projection without volatility', () => {
+  const { years } = simulateProjection({ ...params, volatility: 0, runs: 10 });
+  let expected = params.startValue;
+  const monthlyGrowth = Math.pow(1.06, 1 / 12);
+  for (let month = 0; month < 120; month++) expected = (expected + 100) * monthlyGrowth;
+  expect(years[10].p10).toBeCloseTo(expected, 6);
+  expect(years[10].p90).toBeCloseTo(expected, 6);
+});
+
+test('draws ordered bands and the chance of reaching a target', () => {
+  const { years, probability } = simulateProjection({ ...params, targetValue: 25000, targetYear: 10 });
+  expect(years).toHaveLength(11);
+  expect(years[0]).toEqual({ year: 0, p10: 10000, p50: 10000, p90: 10000 });
+  expect(years[10].p10).toBeLessThan(years[10].p50);
+  expect(years[10].p50).toBeLessThan(years[10].p90);
+  // Paying in 12,000 on top of 10,000 at ~6% a year ends up around 34,000
+  expect(years[10].p50).toBeGreaterThan(30000);
+  expect(years[10].p50).toBeLessThan(36000);
+  expect(probability).toBeGreaterThan(0.6);
+  expect(probability).toBeLessThan(0.9);
+  expect(simulateProjection(params).probability).toBeNull();
+});
+
+test('keeps the target year within the projection and needs at least a year', () => {
+  const target = { ...params, runs: 200, targetValue: 10000 };
+  // A target year before this year counts as today; one past the end as the last year
+  expect(simulateProjection({ ...target, targetYear: -3 }).probability).toBe(1);
+  expect(simulateProjection({ ...target, targetYear: 25 }).probability).toBe(simulateProjection({ ...target, targetYear: 10 }).probability);
+  expect(() => simulateProjection({ ...params, years: -1 })).toThrow('at least one year');
+  expect(() => simulateProjection({ ...params, years: 0 })).toThrow('at least one year');
+});
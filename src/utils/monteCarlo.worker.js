@@ -0,0 +1,9 @@
+/* eslint-env worker */
+import { simulateProjection } from './monteCarlo';
+
+// Message: { id, params } with the simulateProjection parameters.
+// Replies { id, result } so the page can ignore answers to older requests.
+onmessage = (event) => {
+  const { id, params } = event.data;
+  postMessage({ id, result: simulateProjection(params) });
+};
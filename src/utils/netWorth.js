@@ -0,0 +1,219 @@
+// Net worth helpers shared by the pages and charts.
+// Net worth = sum of asset values - sum of liability balances.
+// The optional convert(amount, currency, date) argument converts each item's
+// native amount into the reporting currency; without it amounts are summed as-is.
+// History entries are converted with the rate valid on their own date.
+
+const identity = (amount) => amount;
+
+export const calculateTotalAssets = (assets, convert = identity) => (
+  assets.reduce((sum, asset) => sum + convert(asset.currentValue || 0, asset.currency), 0)
+);
+
+export const calculateTotalLiabilities = (liabilities, convert = identity) => (
+  liabilities.reduce((sum, liability) => sum + convert(liability.currentBalance || 0, liability.currency), 0)
+);
+
+// Aggregates asset value histories and liability balance histories into one
+// net worth history, carrying the last known value of every item forward.
+// Also returns the per-date values of each item (liabilities as negative
+// numbers) for the breakdown table.
+export const calculateNetWorthHistory = (assets, liabilities = [], convert = identity) => {
+  const dailyValuesMap = new Map(); // Map: 'YYYY-MM-DD' -> Map: itemId -> signed value
+
+  const addEntry = (date, itemId, value) => {
+    if (!dailyValuesMap.has(date)) {
+      dailyValuesMap.set(date, new Map());
+    }
+    dailyValuesMap.get(date).set(itemId, value);
+  };
+
+  // Populate all known values per day; later entries on the same date win
+  assets.forEach(asset => {
+    [...(asset.valueHistory || [])]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach(entry => addEntry(entry.date, asset.id, convert(entry.value, asset.currency, entry.date)));
+  });
+  liabilities.forEach(liability => {
+    [...(liability.balanceHistory || [])]
+      .sort((a, b) => new Date(a.date) - new Date(b.date))
+      .forEach(entry => addEntry(entry.date, liability.id, -convert(entry.balance, liability.currency, entry.date)));
+  });
+
+  const liabilityIds = new Set(liabilities.map(liability => liability.id));
+  const uniqueDates = Array.from(dailyValuesMap.keys()).sort((a, b) => new Date(a) - new Date(b));
+
+  const chartData = [];
+  const currentValues = new Map(); // Map: itemId -> last known signed value
+
+  uniqueDates.forEach(date => {
+    dailyValuesMap.get(date).forEach((value, itemId) => currentValues.set(itemId, value));
+
+    let totalAssets = 0;
+    let totalLiabilities = 0;
+    currentValues.forEach((value, itemId) => {
+      if (liabilityIds.has(itemId)) {
+        totalLiabilities -= value;
+      } else {
+        totalAssets += value;
+      }
+    });
+
+    chartData.push({
+      date,
+      totalAssets: parseFloat(totalAssets.toFixed(2)),
+      totalLiabilities: parseFloat(totalLiabilities.toFixed(2)),
+      totalNetWorth: parseFloat((totalAssets - totalLiabilities).toFixed(2)),
+    });
+  });
+
+  // Convert the Map of Maps to a Map of plain objects for easier lookups
+  const detailedDailyValues = new Map();
+  dailyValuesMap.forEach((innerMap, date) => {
+    detailedDailyValues.set(date, Object.fromEntries(innerMap));
+  });
+
+  return { chartData, detailedDailyValues };
+};
+
+// Range presets for the history chart; 'custom' takes its own start and end
+export const HISTORY_RANGES = {
+  '1m': '1M',
+  '6m': '6M',
+  ytd: 'YTD',
+  '1y': '1Y',
+  '5y': '5Y',
+  all: 'All',
+  custom: 'Custom',
+};
+
+export const HISTORY_INTERVALS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDateString = (time) => new Date(time).toISOString().split('T')[0];
+const toTime = (date) => new Date(`${date}T00:00:00Z`).getTime();
+
+// First day of a preset range ending today, or null for all time
+export const getRangeStart = (range, today) => {
+  const [year, month, day] = today.split('-').map(Number);
+  const monthsBack = { '1m': 1, '6m': 6, '1y': 12, '5y': 60 }[range];
+  if (range === 'ytd') return `${year}-01-01`;
+  if (!monthsBack) return null;
+  // Clamp to the month's last day, so 31 March minus a month is 28/29 February
+  const target = new Date(Date.UTC(year, month - 1 - monthsBack, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return toDateString(target.getTime());
+};
+
+// Dates to plot between start and end: every day, every 7th day or every month
+// end, always including start and end themselves
+export const getSampleDates = (start, end, interval) => {
+  if (start > end) return [];
+  const dates = [start];
+  if (interval === 'monthly') {
+    const [year, month] = start.split('-').map(Number);
+    for (let offset = 0; ; offset++) {
+      const monthEnd = toDateString(Date.UTC(year, month + offset, 0));
+      if (monthEnd >= end) break;
+      if (monthEnd > start) dates.push(monthEnd);
+    }
+  } else {
+    const step = interval === 'weekly' ? 7 : 1;
+    for (let time = toTime(start) + step * DAY_MS; time < toTime(end); time += step * DAY_MS) {
+      dates.push(toDateString(time));
+    }
+  }
+  if (end !== start) dates.push(end);
+  return dates;
+};
+
+// Net worth on each sample date, carrying every item's last known value forward.
+// groupBy adds the asset values per series for a stacked chart:
+// 'type' (one series per asset type), 'asset' (one per asset ID) or null.
+// Returns {
+//   rows: [{ date, totalAssets, totalLiabilities, totalNetWorth, [seriesKey]: value }],
+//   seriesKeys,   // Series keys in the rows, largest first
+//   valuesByDate, // Map: date -> { itemId: signed value } for the breakdown table
+// }
+export const sampleNetWorthHistory = ({ assets, liabilities = [], convert = identity, start = null, end, interval = 'daily', groupBy = null }) => {
+  const items = [
+    ...assets.map(asset => ({
+      id: asset.id,
+      series: groupBy === 'type' ? asset.type || 'Other' : asset.id,
+      isLiability: false,
+      entries: (asset.valueHistory || []).map(entry => ({ date: entry.date, value: convert(entry.value, asset.currency, entry.date) })),
+    })),
+    ...liabilities.map(liability => ({
+      id: liability.id,
+      isLiability: true,
+      entries: (liability.balanceHistory || []).map(entry => ({ date: entry.date, value: -convert(entry.balance, liability.currency, entry.date) })),
+    })),
+  ].map(item => ({ ...item, entries: [...item.entries].sort((a, b) => a.date.localeCompare(b.date)) }));
+
+  const firstDate = items.reduce((first, item) => (
+    item.entries.length > 0 && (!first || item.entries[0].date < first) ? item.entries[0].date : first
+  ), null);
+  if (!firstDate) return { rows: [], seriesKeys: [], valuesByDate: new Map() };
+
+  // A range starting before the first entry starts at the first entry
+  const dates = getSampleDates(start && start > firstDate ? start : firstDate, end, interval);
+  const positions = new Map(items.map(item => [item.id, -1])); // Index of each item's last entry so far
+  const seriesTotals = new Map();
+  const valuesByDate = new Map();
+
+  const rows = dates.map(date => {
+    const values = {};
+    const row = { date };
+    let totalAssets = 0;
+    let totalLiabilities = 0;
+    items.forEach(item => {
+      let position = positions.get(item.id);
+      while (position + 1 < item.entries.length && item.entries[position + 1].date <= date) position++;
+      positions.set(item.id, position);
+      if (position === -1) return;
+      const value = item.entries[position].value;
+      values[item.id] = value;
+      if (item.isLiability) {
+        totalLiabilities -= value;
+      } else {
+        totalAssets += value;
+        if (groupBy) row[item.series] = (row[item.series] || 0) + value;
+      }
+    });
+    if (groupBy) {
+      items.filter(item => !item.isLiability).forEach(({ series }) => {
+        row[series] = parseFloat((row[series] || 0).toFixed(2));
+        seriesTotals.set(series, Math.max(seriesTotals.get(series) || 0, row[series]));
+      });
+    }
+    valuesByDate.set(date, values);
+    return {
+      ...row,
+      totalAssets: parseFloat(totalAssets.toFixed(2)),
+      totalLiabilities: parseFloat(totalLiabilities.toFixed(2)),
+      totalNetWorth: parseFloat((totalAssets - totalLiabilities).toFixed(2)),
+    };
+  });
+
+  const seriesKeys = Array.from(seriesTotals.keys()).sort((a, b) => seriesTotals.get(b) - seriesTotals.get(a));
+  return { rows, seriesKeys, valuesByDate };
+};
+
+// Change of a value between the first and last row: { start, end, change, percent }
+// where percent is null when the starting value is zero
+export const getRangeChange = (rows, key = 'totalNetWorth') => {
+  if (rows.length === 0) return null;
+  const start = rows[0][key] || 0;
+  const end = rows[rows.length - 1][key] || 0;
+  return {
+    start,
+    end,
+    change: parseFloat((end - start).toFixed(2)),
+    percent: start !== 0 ? ((end - start) / Math.abs(start)) * 100 : null,
+  };
+};
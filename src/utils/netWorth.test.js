@@ -0,0 +1,46 @@
+import { calculateNetWorthHistory, calculateTotalAssets, calculateTotalLiabilities, getRangeChange, getRangeStart, getSampleDates, sampleNetWorthHistory } from './netWorth';
+
+const assets = [
+  { id: 'cash', currentValue: 1500, valueHistory: [{ date: '2025-01-01', value: 1000 }, { date: '2025-03-01', value: 1500 }] },
+];
+const liabilities = [
+  { id: 'loan', currentBalance: 800, balanceHistory: [{ date: '2025-02-01', balance: 900 }, { date: '2025-03-01', balance: 800 }] },
+];
+
+test('net worth totals subtract liabilities from assets', () => {
+  expect(calculateTotalAssets(assets)).toBe(1500);
+  expect(calculateTotalLiabilities(liabilities)).toBe(800);
+});
+
+test('history carries values forward and subtracts liability balances', () => {
+  const { chartData, detailedDailyValues } = calculateNetWorthHistory(assets, liabilities);
+  expect(chartData).toEqual([
+    { date: '2025-01-01', totalAssets: 1000, totalLiabilities: 0, totalNetWorth: 1000 },
+    { date: '2025-02-01', totalAssets: 1000, totalLiabilities: 900, totalNetWorth: 100 },
+    { date: '2025-03-01', totalAssets: 1500, totalLiabilities: 800, totalNetWorth: 700 },
+  ]);
+  expect(detailedDailyValues.get('2025-03-01')).toEqual({ cash: 1500, loan: -800 });
+});
+
+test('works out range starts and sample dates', () => {
+  expect(getRangeStart('1m', '2025-03-31')).toBe('2025-02-28');
+  expect(getRangeStart('ytd', '2025-03-31')).toBe('2025-01-01');
+  expect(getRangeStart('5y', '2025-03-31')).toBe('2020-03-31');
+  expect(getRangeStart('all', '2025-03-31')).toBeNull();
+  expect(getSampleDates('2025-01-15', '2025-03-10', 'monthly')).toEqual(['2025-01-15', '2025-01-31', '2025-02-28', '2025-03-10']);
+  expect(getSampleDates('2025-01-01', '2025-01-20', 'weekly')).toEqual(['2025-01-01', '2025-01-08', '2025-01-15', '2025-01-20']);
+});
+
+test('samples the history by type and reports the change over the range', () => {
+  const withCar = [...assets, { id: 'car', type: 'Vehicle', valueHistory: [{ date: '2025-02-15', value: 5000 }] }];
+  const typed = withCar.map(asset => ({ type: 'Cash', ...asset }));
+  const { rows, seriesKeys, valuesByDate } = sampleNetWorthHistory({
+    assets: typed, liabilities, start: '2024-06-01', end: '2025-03-15', interval: 'monthly', groupBy: 'type',
+  });
+  // The range starts at the first entry, not before it
+  expect(rows.map(row => row.date)).toEqual(['2025-01-01', '2025-01-31', '2025-02-28', '2025-03-15']);
+  expect(rows[2]).toEqual({ date: '2025-02-28', Cash: 1000, Vehicle: 5000, totalAssets: 6000, totalLiabilities: 900, totalNetWorth: 5100 });
+  expect(seriesKeys).toEqual(['Vehicle', 'Cash']);
+  expect(valuesByDate.get('2025-03-15')).toEqual({ cash: 1500, car: 5000, loan: -800 });
+  expect(getRangeChange(rows)).toEqual({ start: 1000, end: 5700, change: 4700, percent: 470 });
+});
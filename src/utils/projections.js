@@ -0,0 +1,55 @@
+// Deterministic net worth projections per asset type. Each type compounds
+// monthly at its own expected yearly return; the monthly contribution is added
+// to one type before each month's growth. Liabilities are held at today's
+// balance. Values can be shown in today's money by removing inflation.
+// contributionSchedule, when given, sets the contribution month by month
+// (see utils/cashFlow) instead of the fixed monthlyContribution.
+
+// Assumptions shared by the projection page and the FI calculator, saved in the
+// 'settings' collection as 'projections': { expectedReturn, inflationRate }, in %
+export const DEFAULT_EXPECTED_RETURN = 5;
+export const DEFAULT_INFLATION_RATE = 3;
+
+// Expected yearly returns in %, used until the user sets their own
+export const DEFAULT_TYPE_RETURNS = {
+  Cash: 1,
+  Investment: 6,
+  'Real Estate': 3,
+  Vehicle: -10,
+  Other: 2,
+};
+
+// Current value per asset type: { [type]: value }, converted with convert(amount, currency)
+export const getValuesByType = (assets, convert) => assets.reduce((values, asset) => {
+  const type = asset.type || 'Other';
+  return { ...values, [type]: (values[type] || 0) + convert(asset.currentValue || 0, asset.currency) };
+}, {});
+
+// A nominal value after years of inflation (in %) expressed in today's money
+export const toRealValue = (value, inflationRate, years) => value / Math.pow(1 + inflationRate / 100, years);
+
+// Projects the types year by year. Returns [{ year, netWorth, [type]: value }],
+// where year 0 is today; with real = true every value is in today's money.
+export const projectByType = ({
+  startValues, typeReturns, monthlyContribution, contributionSchedule, contributionType, liabilities = 0, years, inflationRate = 0, real = false,
+}) => {
+  const types = Array.from(new Set([...Object.keys(startValues), contributionType]));
+  const values = Object.fromEntries(types.map(type => [type, startValues[type] || 0]));
+  const rows = [];
+  for (let year = 0; year <= years; year++) {
+    if (year > 0) {
+      for (let month = 0; month < 12; month++) {
+        values[contributionType] += contributionSchedule ? contributionSchedule[(year - 1) * 12 + month] ?? 0 : monthlyContribution;
+        types.forEach(type => {
+          values[type] *= 1 + (typeReturns[type] ?? DEFAULT_TYPE_RETURNS[type] ?? 0) / 100 / 12;
+        });
+      }
+    }
+    const adjust = (value) => Math.round((real ? toRealValue(value, inflationRate, year) : value) * 100) / 100;
+    const row = { year };
+    types.forEach(type => { row[type] = adjust(values[type]); });
+    row.netWorth = adjust(types.reduce((sum, type) => sum + values[type], 0) - liabilities);
+    rows.push(row);
+  }
+  return rows;
+};
@@ -0,0 +1,40 @@
+import { getValuesByType, projectByType, toRealValue } from './projections';
+
+test('sums current values by asset type', () => {
+  const assets = [
+    { type: 'Cash', currency: 'EUR', currentValue: 1000 },
+    { type: 'Investment', currency: 'HUF', currentValue: 400000 },
+    { type: 'Cash', currency: 'EUR', currentValue: 500 },
+  ];
+  expect(getValuesByType(assets, (amount, currency) => (currency === 'HUF' ? amount / 400 : amount))).toEqual({ Cash: 1500, Investment: 1000 });
+});
+
+test('compounds each type at its own return', () => {
+  const rows = projectByType({
+    startValues: { Cash: 1000, Investment: 1000 },
+    typeReturns: { Cash: 0, Investment: 12 },
+    monthlyContribution: 0,
+    contributionType: 'Investment',
+    liabilities: 500,
+    years: 1,
+  });
+  expect(rows[0]).toEqual({ year: 0, Cash: 1000, Investment: 1000, netWorth: 1500 });
+  expect(rows[1].Cash).toBe(1000);
+  expect(rows[1].Investment).toBeCloseTo(1000 * Math.pow(1.01, 12), 2);
+  expect(rows[1].netWorth).toBeCloseTo(rows[1].Cash + rows[1].Investment - 500, 2);
+});
+
+test('adds contributions to one type and removes inflation in real terms', () => {
+  const params = { startValues: { Cash: 0 }, typeReturns: { Cash: 0 }, monthlyContribution: 100, contributionType: 'Investment', years: 2, inflationRate: 2 };
+  const nominal = projectByType({ ...params, typeReturns: { Cash: 0, Investment: 0 } });
+  expect(nominal[2]).toEqual({ year: 2, Cash: 0, Investment: 2400, netWorth: 2400 });
+  const real = projectByType({ ...params, typeReturns: { Cash: 0, Investment: 0 }, real: true });
+  expect(real[2].Investment).toBeCloseTo(2400 / 1.0404, 2);
+  expect(toRealValue(102, 2, 1)).toBeCloseTo(100, 10);
+});
+
+test('follows a contribution schedule month by month', () => {
+  const schedule = [...Array(12).fill(100), ...Array(12).fill(50)];
+  const rows = projectByType({ startValues: {}, typeReturns: { Cash: 0 }, contributionSchedule: schedule, contributionType: 'Cash', years: 2 });
+  expect(rows.map(row => row.Cash)).toEqual([0, 1200, 1800]);
+});
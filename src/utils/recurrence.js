@@ -0,0 +1,115 @@
+// Recurrence engine shared by every monthly calculation. A transaction is either
+// one-off (it occurs on its date) or recurring from its date until its optional
+// end date, at one of the FREQUENCIES below. 'Custom' items carry
+// customInterval: { every: 3, unit: 'weeks' }.
+
+export const FREQUENCIES = ['Weekly', 'Bi-Weekly', 'Monthly', 'Quarterly', 'Yearly', 'Custom'];
+
+export const INTERVAL_UNITS = ['days', 'weeks', 'months', 'years'];
+
+export const DEFAULT_CUSTOM_INTERVAL = { every: 2, unit: 'months' };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Steps are counted in days or in calendar months
+const FREQUENCY_STEPS = {
+  Weekly: { days: 7 },
+  'Bi-Weekly': { days: 14 },
+  Monthly: { months: 1 },
+  Quarterly: { months: 3 },
+  Yearly: { months: 12 },
+};
+
+// Recurring items saved before other frequencies existed have no frequency and are monthly
+export const getRecurrenceStep = (item) => {
+  if (item.frequency === 'Custom') {
+    const every = Math.max(1, parseInt(item.customInterval?.every, 10) || 1);
+    switch (item.customInterval?.unit) {
+      case 'days': return { days: every };
+      case 'weeks': return { days: every * 7 };
+      case 'years': return { months: every * 12 };
+      default: return { months: every };
+    }
+  }
+  return FREQUENCY_STEPS[item.frequency] || FREQUENCY_STEPS.Monthly;
+};
+
+// Human readable frequency, e.g. 'Quarterly' or 'Every 3 weeks'
+export const describeFrequency = (item) => {
+  if (item.frequency !== 'Custom') return item.frequency || 'Monthly';
+  const every = parseInt(item.customInterval?.every, 10) || 1;
+  const unit = item.customInterval?.unit || 'months';
+  return every === 1 ? `Every ${unit.slice(0, -1)}` : `Every ${every} ${unit}`;
+};
+
+const parseDate = (dateString) => dateString.split('-').map(Number); // [year, month (1-12), day]
+
+const toTime = (dateString) => {
+  const [year, month, day] = parseDate(dateString);
+  return Date.UTC(year, month - 1, day);
+};
+
+const formatTime = (time) => new Date(time).toISOString().split('T')[0];
+
+// Adds whole months, keeping the start day where the month allows it (Jan 31 -> Feb 28 -> Mar 31)
+const addMonths = ([year, month, day], months) => {
+  const monthIndex = month - 1 + months;
+  const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return formatTime(Date.UTC(year, monthIndex, Math.min(day, daysInMonth)));
+};
+
+// Returns the dates ('YYYY-MM-DD') on which the item occurs between rangeStart and rangeEnd, inclusive
+export const getOccurrences = (item, rangeStart, rangeEnd) => {
+  if (!item.date) return [];
+  if (!item.isRecurring) {
+    return item.date >= rangeStart && item.date <= rangeEnd ? [item.date] : [];
+  }
+  const lastDate = item.endDate && item.endDate < rangeEnd ? item.endDate : rangeEnd;
+  if (item.date > lastDate) return [];
+
+  const step = getRecurrenceStep(item);
+  const occurrences = [];
+  if (step.days) {
+    const startTime = toTime(item.date);
+    const stepTime = step.days * DAY_MS;
+    // Jump straight to the first occurrence inside the range
+    let index = Math.max(0, Math.ceil((toTime(rangeStart) - startTime) / stepTime));
+    for (let time = startTime + index * stepTime; time <= toTime(lastDate); time = startTime + (++index) * stepTime) {
+      occurrences.push(formatTime(time));
+    }
+  } else {
+    const start = parseDate(item.date);
+    const [rangeYear, rangeMonth] = parseDate(rangeStart);
+    const monthsToRange = (rangeYear - start[0]) * 12 + (rangeMonth - start[1]);
+    let index = Math.max(0, Math.floor(monthsToRange / step.months));
+    for (let date = addMonths(start, index * step.months); date <= lastDate; date = addMonths(start, (++index) * step.months)) {
+      if (date >= rangeStart) occurrences.push(date);
+    }
+  }
+  return occurrences;
+};
+
+// First and last day of a month (monthIndex is 0-based, like Date.getMonth())
+export const getMonthRange = (year, monthIndex) => ({
+  start: formatTime(Date.UTC(year, monthIndex, 1)),
+  end: formatTime(Date.UTC(year, monthIndex + 1, 0)),
+});
+
+// Items occurring in the month, each with its occurrence dates and the month's total
+// in the item's own currency: [{ ...item, occurrences, monthlyAmount }]
+export const getMonthlyOccurrences = (items, year, monthIndex) => {
+  const { start, end } = getMonthRange(year, monthIndex);
+  return items
+    .map(item => {
+      const occurrences = getOccurrences(item, start, end);
+      return { ...item, occurrences, monthlyAmount: (item.amount || 0) * occurrences.length };
+    })
+    .filter(item => item.occurrences.length > 0);
+};
+
+// Sums every occurrence, converting each with the rate valid on its date
+export const sumOccurrences = (items, convert = (amount) => amount) => (
+  items.reduce((sum, item) => (
+    sum + item.occurrences.reduce((itemSum, date) => itemSum + convert(item.amount || 0, item.currency, date), 0)
+  ), 0)
+);
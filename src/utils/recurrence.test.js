@@ -0,0 +1,43 @@
+import { describeFrequency, getMonthlyOccurrences, getOccurrences, sumOccurrences } from './recurrence';
+
+test('one-off items occur only on their date', () => {
+  const item = { date: '2025-03-15', isRecurring: false };
+  expect(getOccurrences(item, '2025-03-01', '2025-03-31')).toEqual(['2025-03-15']);
+  expect(getOccurrences(item, '2025-04-01', '2025-04-30')).toEqual([]);
+});
+
+test('day-based frequencies step from the start date', () => {
+  const salary = { date: '2025-01-03', isRecurring: true, frequency: 'Bi-Weekly' };
+  expect(getOccurrences(salary, '2025-01-01', '2025-01-31')).toEqual(['2025-01-03', '2025-01-17', '2025-01-31']);
+  expect(getOccurrences(salary, '2025-02-01', '2025-02-28')).toEqual(['2025-02-14', '2025-02-28']);
+  const custom = { date: '2025-01-01', isRecurring: true, frequency: 'Custom', customInterval: { every: 10, unit: 'days' } };
+  expect(getOccurrences(custom, '2025-02-01', '2025-02-28')).toEqual(['2025-02-10', '2025-02-20']);
+});
+
+test('month-based frequencies keep the day and respect the end date', () => {
+  const rent = { date: '2025-01-31', isRecurring: true, frequency: 'Monthly' };
+  expect(getOccurrences(rent, '2025-02-01', '2025-02-28')).toEqual(['2025-02-28']);
+  expect(getOccurrences(rent, '2025-03-01', '2025-03-31')).toEqual(['2025-03-31']);
+  const insurance = { date: '2025-01-10', isRecurring: true, frequency: 'Quarterly', endDate: '2025-07-01' };
+  expect(getOccurrences(insurance, '2025-01-01', '2025-12-31')).toEqual(['2025-01-10', '2025-04-10']);
+  const carTax = { date: '2024-05-01', isRecurring: true, frequency: 'Yearly' };
+  expect(getOccurrences(carTax, '2026-05-01', '2026-05-31')).toEqual(['2026-05-01']);
+  expect(getOccurrences(carTax, '2026-06-01', '2026-06-30')).toEqual([]);
+});
+
+test('monthly occurrences carry the month total and convert per date', () => {
+  const items = [
+    { id: 'pay', amount: 1000, currency: 'USD', date: '2025-01-03', isRecurring: true, frequency: 'Bi-Weekly' },
+    { id: 'tax', amount: 300, date: '2025-06-01', isRecurring: true, frequency: 'Yearly' },
+  ];
+  const january = getMonthlyOccurrences(items, 2025, 0);
+  expect(january.map(item => [item.id, item.monthlyAmount])).toEqual([['pay', 3000]]);
+  const convert = (amount, currency, date) => (date === '2025-01-31' ? amount * 2 : amount);
+  expect(sumOccurrences(january, convert)).toBe(4000);
+});
+
+test('describes frequencies, treating legacy recurring items as monthly', () => {
+  expect(describeFrequency({ frequency: '' })).toBe('Monthly');
+  expect(describeFrequency({ frequency: 'Custom', customInterval: { every: 3, unit: 'weeks' } })).toBe('Every 3 weeks');
+  expect(describeFrequency({ frequency: 'Custom', customInterval: { every: 1, unit: 'years' } })).toBe('Every year');
+});
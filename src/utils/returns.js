@@ -0,0 +1,139 @@
+// Investment returns for a period:
+// - XIRR (money-weighted): the yearly rate at which the money paid in grows into
+//   the end value, so it depends on when contributions were made
+// - TWR (time-weighted): the chained growth between contributions, so it shows
+//   how the investment did regardless of how much was in it
+// Returns work on a series { valueOn(date), flows: [{ date, amount }], dates },
+// where flows are the money paid in (negative = taken out) and valueOn gives
+// the value at the end of a day. The opening value counts as money paid in.
+
+export const RETURN_PERIODS = {
+  ytd: 'YTD',
+  '1y': '1Y',
+  '3y': '3Y',
+  all: 'Since inception',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDate = (date) => new Date(`${date}T00:00:00Z`);
+const daysBetween = (from, to) => (toDate(to) - toDate(from)) / DAY_MS;
+const dayBefore = (date) => new Date(toDate(date) - DAY_MS).toISOString().split('T')[0];
+const sortByDate = (entries) => [...entries].sort((a, b) => a.date.localeCompare(b.date));
+
+// First day of a period, or null for 'all'
+export const getPeriodStart = (period, today = new Date().toISOString().split('T')[0]) => {
+  const [year, month, day] = today.split('-');
+  if (period === 'ytd') return `${year}-01-01`;
+  if (period === '1y') return `${Number(year) - 1}-${month}-${day}`;
+  if (period === '3y') return `${Number(year) - 3}-${month}-${day}`;
+  return null;
+};
+
+// The yearly rate r where the flows' net present value is 0. flows: [{ date, amount }],
+// negative = paid in, positive = paid out. Returns null when there is no solution.
+export const xirr = (flows) => {
+  if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) return null;
+  const firstDate = sortByDate(flows)[0].date;
+  const timed = flows.map(flow => ({ amount: flow.amount, years: daysBetween(firstDate, flow.date) / 365 }));
+  const npv = (rate) => timed.reduce((sum, flow) => sum + flow.amount / Math.pow(1 + rate, flow.years), 0);
+  const npvSlope = (rate) => timed.reduce((sum, flow) => sum - flow.years * flow.amount / Math.pow(1 + rate, flow.years + 1), 0);
+
+  // Newton's method usually converges in a few steps...
+  let rate = 0.1;
+  for (let i = 0; i < 50; i++) {
+    const slope = npvSlope(rate);
+    if (!slope) break;
+    const next = rate - npv(rate) / slope;
+    if (!isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < 1e-9) return next;
+    rate = next;
+  }
+
+  // ...otherwise bisect between a total loss and a very large gain
+  let low = -0.999999;
+  let high = 1000;
+  if (Math.sign(npv(low)) === Math.sign(npv(high))) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    if (Math.sign(npv(mid)) === Math.sign(npv(low))) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+// The series of one asset, with amounts passed through convert(amount, currency, date)
+// (e.g. toBaseCurrency); by default in the asset's own currency
+export const getAssetSeries = (asset, convert = (amount) => amount) => {
+  const valueHistory = sortByDate(asset.valueHistory || []);
+  if (valueHistory.length === 0) return { valueOn: () => 0, flows: [], dates: [] };
+  const valueOn = (date) => {
+    const entries = valueHistory.filter(entry => entry.date <= date);
+    return entries.length > 0 ? convert(entries[entries.length - 1].value, asset.currency, date) : 0;
+  };
+  const flows = [
+    { date: valueHistory[0].date, amount: convert(asset.initialValue || 0, asset.currency, valueHistory[0].date) },
+    ...(asset.contributions || []).map(contribution => ({
+      date: contribution.date,
+      amount: convert(contribution.amount || 0, asset.currency, contribution.date),
+    })),
+  ];
+  return { valueOn, flows, dates: valueHistory.map(entry => entry.date) };
+};
+
+// All assets as one series; convert should bring them into one currency.
+// Transfers between the assets cancel out.
+export const getPortfolioSeries = (assets, convert) => {
+  const series = assets.map(asset => getAssetSeries(asset, convert));
+  return {
+    valueOn: (date) => series.reduce((sum, item) => sum + item.valueOn(date), 0),
+    flows: series.flatMap(item => item.flows),
+    dates: series.flatMap(item => item.dates),
+  };
+};
+
+// XIRR and TWR of a series from the start of period to today.
+// Returns { start, end, xirr, twr }, where either rate is null when it can't be worked out,
+// or null when the series has no data by the end of the period.
+export const calculateReturns = (series, period, today = new Date().toISOString().split('T')[0]) => {
+  const allDates = [...series.dates, ...series.flows.map(flow => flow.date)].filter(date => date <= today).sort();
+  if (allDates.length === 0) return null;
+  const periodStart = getPeriodStart(period, today);
+  const start = periodStart && periodStart > allDates[0] ? periodStart : allDates[0];
+  const openingValue = series.valueOn(dayBefore(start));
+  const flows = series.flows.filter(flow => flow.date >= start && flow.date <= today);
+  const endValue = series.valueOn(today);
+
+  // Time-weighted: the value just before each day's flows against the value after the previous day
+  let growth = 1;
+  let previousValue = openingValue;
+  let hasGrowth = false;
+  const dates = Array.from(new Set([...allDates.filter(date => date >= start), today])).sort();
+  dates.forEach(date => {
+    const value = series.valueOn(date);
+    const flowed = flows.filter(flow => flow.date === date).reduce((sum, flow) => sum + flow.amount, 0);
+    if (previousValue > 0) {
+      growth *= (value - flowed) / previousValue;
+      hasGrowth = true;
+    }
+    previousValue = value;
+  });
+
+  const cashFlows = [
+    ...(openingValue > 0 ? [{ date: start, amount: -openingValue }] : []),
+    ...flows.map(flow => ({ date: flow.date, amount: -flow.amount })),
+    { date: today, amount: endValue },
+  ];
+  const spansTime = cashFlows.some(flow => flow.date !== today);
+
+  return {
+    start,
+    end: today,
+    xirr: spansTime ? xirr(cashFlows) : null,
+    twr: hasGrowth ? growth - 1 : null,
+  };
+};
+
+// '+5.2%', or '—' when there is no rate
+export const formatReturn = (rate) => (rate === null || rate === undefined || !isFinite(rate)
+  ? '—'
+  : rate.toLocaleString('en-US', { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1, signDisplay: 'exceptZero' }));
@@ -0,0 +1,60 @@
+import { calculateReturns, formatReturn, getAssetSeries, getPeriodStart, getPortfolioSeries, xirr } from './returns';
+
+const fund = {
+  initialValue: 1000,
+  currentValue: 2310,
+  valueHistory: [
+    { value: 1000, date: '2024-01-01' },
+    { value: 1100, date: '2024-12-31' },
+    { value: 2100, date: '2025-01-01', type: 'contribution' },
+    { value: 2310, date: '2025-12-31' },
+  ],
+  contributions: [{ amount: 1000, date: '2025-01-01' }],
+};
+
+test('solves XIRR for dated cash flows', () => {
+  expect(xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 1100 }])).toBeCloseTo(0.1, 6);
+  expect(xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2023-07-01', amount: -1000 }, { date: '2024-01-01', amount: 2000 }])).toBeCloseTo(0, 6);
+  expect(xirr([{ date: '2023-01-01', amount: -1000 }])).toBeNull();
+});
+
+test('works out period starts', () => {
+  expect(getPeriodStart('ytd', '2025-06-15')).toBe('2025-01-01');
+  expect(getPeriodStart('3y', '2025-06-15')).toBe('2022-06-15');
+  expect(getPeriodStart('all', '2025-06-15')).toBeNull();
+});
+
+test('calculates money- and time-weighted returns of an asset', () => {
+  const sinceInception = calculateReturns(getAssetSeries(fund), 'all', '2025-12-31');
+  expect(sinceInception.start).toBe('2024-01-01');
+  expect(sinceInception.twr).toBeCloseTo(0.21, 6);
+  expect(sinceInception.xirr).toBeCloseTo(0.1, 2);
+
+  // The contribution on the first day of the period isn't growth
+  const lastYear = calculateReturns(getAssetSeries(fund), '1y', '2026-01-01');
+  expect(lastYear.start).toBe('2025-01-01');
+  expect(lastYear.twr).toBeCloseTo(0.1, 6);
+  expect(calculateReturns(getAssetSeries(fund), 'all', '2023-12-31')).toBeNull();
+});
+
+test('transfers between assets cancel out in the portfolio', () => {
+  const cash = {
+    initialValue: 1000,
+    valueHistory: [{ value: 1000, date: '2025-01-01' }, { value: 500, date: '2025-06-01', type: 'contribution' }],
+    contributions: [{ amount: -500, date: '2025-06-01', transferId: 't1' }],
+  };
+  const investment = {
+    initialValue: 1000,
+    valueHistory: [{ value: 1000, date: '2025-01-01' }, { value: 1500, date: '2025-06-01', type: 'contribution' }],
+    contributions: [{ amount: 500, date: '2025-06-01', transferId: 't1' }],
+  };
+  const returns = calculateReturns(getPortfolioSeries([cash, investment], amount => amount), 'all', '2025-12-31');
+  expect(returns.twr).toBeCloseTo(0, 6);
+  expect(returns.xirr).toBeCloseTo(0, 6);
+});
+
+test('formats rates', () => {
+  expect(formatReturn(0.1234)).toBe('+12.3%');
+  expect(formatReturn(-0.05)).toBe('-5.0%');
+  expect(formatReturn(null)).toBe('—');
+});
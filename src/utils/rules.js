@@ -0,0 +1,105 @@
+// Auto-categorization rules. A rule is stored per user in the 'categoryRules'
+// collection:
+// {
+//   name, priority,            // Lower priority runs first; the first matching rule wins
+//   matchType, pattern,        // How the description is matched (see MATCH_TYPES); '' matches any
+//   minAmount, maxAmount,      // Optional amount range, in the expense's own currency (null = open)
+//   categoryId,                // Category to set, or null to leave it
+//   description,               // Cleaned-up description to set, or '' to leave it
+//   isRecurring,               // true/false to set the recurring flag, null to leave it
+//   frequency, customInterval, // Used when isRecurring is true
+// }
+
+export const MATCH_TYPES = {
+  contains: 'Description contains',
+  startsWith: 'Description starts with',
+  regex: 'Description matches regex',
+};
+
+// Returns the compiled regex of a 'regex' rule, or null if the pattern is invalid
+const compilePattern = (pattern) => {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch (e) {
+    return null;
+  }
+};
+
+// Returns an error message, or null if the rule can be saved
+export const validateRule = (rule) => {
+  const hasRange = rule.minAmount !== null || rule.maxAmount !== null;
+  if (!rule.pattern && !hasRange) return 'Give a description pattern or an amount range to match.';
+  if (rule.matchType === 'regex' && rule.pattern && !compilePattern(rule.pattern)) return 'The regular expression is not valid.';
+  if (rule.minAmount !== null && rule.maxAmount !== null && rule.minAmount > rule.maxAmount) {
+    return 'Minimum amount cannot be more than the maximum.';
+  }
+  if (!rule.categoryId && !rule.description && rule.isRecurring === null) {
+    return 'Choose at least one thing for the rule to set.';
+  }
+  return null;
+};
+
+// Checks a rule against { description, amount }. Text matching ignores case.
+export const ruleMatches = (rule, { description, amount }) => {
+  const text = (description || '').toLowerCase();
+  const pattern = (rule.pattern || '').toLowerCase();
+  if (pattern) {
+    if (rule.matchType === 'regex') {
+      const regex = compilePattern(rule.pattern);
+      if (!regex || !regex.test(description || '')) return false;
+    } else if (rule.matchType === 'startsWith') {
+      if (!text.startsWith(pattern)) return false;
+    } else if (!text.includes(pattern)) {
+      return false;
+    }
+  }
+  if (rule.minAmount !== null && rule.minAmount !== undefined && !(amount >= rule.minAmount)) return false;
+  if (rule.maxAmount !== null && rule.maxAmount !== undefined && !(amount <= rule.maxAmount)) return false;
+  return true;
+};
+
+// Rules in the order they are tried
+export const sortRules = (rules) => [...rules].sort((a, b) => (
+  (a.priority ?? 0) - (b.priority ?? 0) || (a.name || '').localeCompare(b.name || '')
+));
+
+export const findMatchingRule = (rules, transaction) => (
+  sortRules(rules).find(rule => ruleMatches(rule, transaction)) || null
+);
+
+// The expense fields a rule sets. type follows isRecurring the same way addExpense derives it.
+export const getRuleChanges = (rule) => {
+  const changes = {};
+  if (rule.categoryId) changes.categoryId = rule.categoryId;
+  if (rule.description) changes.description = rule.description;
+  if (rule.isRecurring === true) {
+    changes.isRecurring = true;
+    changes.type = 'Recurring';
+    changes.frequency = rule.frequency || 'Monthly';
+    changes.customInterval = changes.frequency === 'Custom' ? rule.customInterval : null;
+  } else if (rule.isRecurring === false) {
+    changes.isRecurring = false;
+    changes.type = 'One-Off';
+    changes.frequency = '';
+    changes.customInterval = null;
+    changes.endDate = '';
+  }
+  return changes;
+};
+
+// Finds the first matching rule for an expense and the fields it would change.
+// Returns { rule, changes } with only the fields that differ, or null.
+export const applyRules = (rules, expense) => {
+  const rule = findMatchingRule(rules, expense);
+  if (!rule) return null;
+  const changes = Object.fromEntries(Object.entries(getRuleChanges(rule)).filter(([key, value]) => (
+    JSON.stringify(expense[key] ?? null) !== JSON.stringify(value ?? null)
+  )));
+  return { rule, changes };
+};
+
+// Plans "re-apply rules to existing expenses": [{ expense, rule, changes }] for
+// every expense that some rule would change
+export const planRuleReapply = (rules, expenses) => expenses
+  .map(expense => ({ expense, ...applyRules(rules, expense) }))
+  .filter(({ changes }) => changes && Object.keys(changes).length > 0);
@@ -0,0 +1,44 @@
+import { applyRules, findMatchingRule, planRuleReapply, ruleMatches, validateRule } from './rules';
+
+const baseRule = { name: '', priority: 0, matchType: 'contains', pattern: '', minAmount: null, maxAmount: null, categoryId: null, description: '', isRecurring: null };
+
+const spar = { ...baseRule, id: 'r1', name: 'SPAR', pattern: 'spar', categoryId: 'groceries', description: 'SPAR' };
+const fuel = { ...baseRule, id: 'r2', name: 'MOL', matchType: 'regex', pattern: '^MOL\\b', categoryId: 'fuel' };
+const rent = { ...baseRule, id: 'r3', name: 'Rent', priority: -1, minAmount: 200000, maxAmount: 250000, categoryId: 'rent', isRecurring: true, frequency: 'Monthly' };
+
+test('validates rules', () => {
+  expect(validateRule(spar)).toBeNull();
+  expect(validateRule({ ...spar, pattern: '' })).toBe('Give a description pattern or an amount range to match.');
+  expect(validateRule({ ...fuel, pattern: '([' })).toBe('The regular expression is not valid.');
+  expect(validateRule({ ...rent, minAmount: 300000 })).toBe('Minimum amount cannot be more than the maximum.');
+  expect(validateRule({ ...spar, categoryId: null, description: '' })).toBe('Choose at least one thing for the rule to set.');
+});
+
+test('matches on description text, regex and amount range', () => {
+  expect(ruleMatches(spar, { description: 'SPAR Budapest 1234', amount: 5000 })).toBe(true);
+  expect(ruleMatches(fuel, { description: 'MOL Töltőállomás', amount: 20000 })).toBe(true);
+  expect(ruleMatches(fuel, { description: 'MOLNAR KFT', amount: 20000 })).toBe(false);
+  expect(ruleMatches(rent, { description: 'Transfer', amount: 220000 })).toBe(true);
+  expect(ruleMatches(rent, { description: 'Transfer', amount: 190000 })).toBe(false);
+});
+
+test('uses the first matching rule by priority', () => {
+  const rules = [spar, rent];
+  expect(findMatchingRule(rules, { description: 'SPAR', amount: 210000 }).id).toBe('r3');
+  expect(findMatchingRule(rules, { description: 'Cinema', amount: 3000 })).toBeNull();
+});
+
+test('applies only the changes that differ and plans re-applying', () => {
+  expect(applyRules([rent], { description: 'Rent', amount: 220000, categoryId: 'rent', isRecurring: false, frequency: '' }).changes).toEqual({
+    isRecurring: true, type: 'Recurring', frequency: 'Monthly',
+  });
+  const expenses = [
+    { id: 'e1', description: 'spar 42', amount: 5000, categoryId: null },
+    { id: 'e2', description: 'SPAR', amount: 3000, categoryId: 'groceries' },
+    { id: 'e3', description: 'Cinema', amount: 3000, categoryId: null },
+  ];
+  const plan = planRuleReapply([spar, fuel], expenses);
+  expect(plan.map(({ expense, changes }) => [expense.id, changes])).toEqual([
+    ['e1', { categoryId: 'groceries', description: 'SPAR' }],
+  ]);
+});
@@ -0,0 +1,123 @@
+import { getOccurrences } from './recurrence';
+
+// Shared-expense splitting. A shared expense carries
+// split: { paidBy: memberId, method, shares: { memberId: value } } where the
+// share values depend on the method:
+// - 'equal': 1 for every member taking part
+// - 'percentage': each member's percentage (summing to 100)
+// - 'exact': each member's amount in the expense currency (summing to the amount)
+// Settlements are payments between members: { fromMemberId, toMemberId, amount, currency, date }.
+
+export const SPLIT_METHODS = { equal: 'Split Equally', percentage: 'By Percentage', exact: 'Exact Amounts' };
+
+const TOLERANCE = 0.005;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Returns an error message for an invalid split, or null
+export const validateSplit = (amount, split) => {
+  const members = Object.keys(split.shares || {});
+  if (!split.paidBy) return 'Choose who paid.';
+  if (members.length === 0) return 'Choose at least one member to split with.';
+  const total = members.reduce((sum, memberId) => sum + (parseFloat(split.shares[memberId]) || 0), 0);
+  if (split.method === 'percentage' && Math.abs(total - 100) > TOLERANCE) {
+    return `Percentages must add up to 100 (currently ${roundCents(total)}).`;
+  }
+  if (split.method === 'exact' && Math.abs(total - amount) > TOLERANCE) {
+    return `Amounts must add up to ${roundCents(amount)} (currently ${roundCents(total)}).`;
+  }
+  return null;
+};
+
+// Each member's share of the amount: { memberId: owed }. Equal splits put the
+// leftover cents on the first members so the shares always add up to the amount.
+export const calculateShares = (amount, split) => {
+  const members = Object.keys(split.shares || {});
+  const shares = {};
+  if (split.method === 'equal') {
+    const totalCents = Math.round(amount * 100);
+    const baseCents = Math.floor(totalCents / members.length);
+    members.forEach((memberId, index) => {
+      shares[memberId] = (baseCents + (index < totalCents - baseCents * members.length ? 1 : 0)) / 100;
+    });
+  } else if (split.method === 'percentage') {
+    members.forEach(memberId => { shares[memberId] = amount * (parseFloat(split.shares[memberId]) || 0) / 100; });
+  } else {
+    members.forEach(memberId => { shares[memberId] = parseFloat(split.shares[memberId]) || 0; });
+  }
+  return shares;
+};
+
+const addTo = (balances, memberId, amount) => balances.set(memberId, (balances.get(memberId) || 0) + amount);
+
+// Flat list of { date, memberId, amount } balance changes
+const getBalanceChanges = (expenses, settlements, until, convert) => {
+  const changes = [];
+  expenses.filter(expense => expense.split).forEach(expense => {
+    getOccurrences(expense, expense.date, until).forEach(date => {
+      const shares = calculateShares(expense.amount, expense.split);
+      changes.push({ date, memberId: expense.split.paidBy, amount: convert(expense.amount, expense.currency, date) });
+      Object.entries(shares).forEach(([memberId, share]) => {
+        changes.push({ date, memberId, amount: -convert(share, expense.currency, date) });
+      });
+    });
+  });
+  settlements.filter(settlement => settlement.date <= until).forEach(({ fromMemberId, toMemberId, amount, currency, date }) => {
+    const converted = convert(amount, currency, date);
+    changes.push({ date, memberId: fromMemberId, amount: converted });
+    changes.push({ date, memberId: toMemberId, amount: -converted });
+  });
+  return changes;
+};
+
+// Net balance per member up to a date ('YYYY-MM-DD'): Map memberId -> amount in the
+// reporting currency. Positive means the member is owed money, negative that they owe.
+// Recurring shared expenses count once per occurrence; convert(amount, currency, date)
+// converts each occurrence and settlement at its own date.
+export const calculateBalances = (expenses, settlements, until, convert = (amount) => amount) => {
+  const balances = new Map();
+  getBalanceChanges(expenses, settlements, until, convert).forEach(({ memberId, amount }) => addTo(balances, memberId, amount));
+  return balances;
+};
+
+// Net balance change per member for each month: [{ month: 'YYYY-MM', balances: Map }] sorted by month
+export const calculateMonthlyBalances = (expenses, settlements, until, convert = (amount) => amount) => {
+  const months = new Map();
+  getBalanceChanges(expenses, settlements, until, convert).forEach(({ date, memberId, amount }) => {
+    const month = date.slice(0, 7);
+    if (!months.has(month)) months.set(month, new Map());
+    addTo(months.get(month), memberId, amount);
+  });
+  return Array.from(months.entries())
+    .map(([month, balances]) => ({ month, balances }))
+    .sort((a, b) => a.month.localeCompare(b.month));
+};
+
+// Turns balances into the fewest payments that settle them: [{ from, to, amount }].
+// Greedily matches the largest debtor with the largest creditor.
+export const suggestSettlements = (balances) => {
+  const debtors = [];
+  const creditors = [];
+  balances.forEach((amount, memberId) => {
+    const rounded = roundCents(amount);
+    if (rounded < 0) debtors.push({ memberId, amount: -rounded });
+    if (rounded > 0) creditors.push({ memberId, amount: rounded });
+  });
+  debtors.sort((a, b) => b.amount - a.amount);
+  creditors.sort((a, b) => b.amount - a.amount);
+
+  const payments = [];
+  let debtorIndex = 0;
+  let creditorIndex = 0;
+  while (debtorIndex < debtors.length && creditorIndex < creditors.length) {
+    const debtor = debtors[debtorIndex];
+    const creditor = creditors[creditorIndex];
+    const amount = roundCents(Math.min(debtor.amount, creditor.amount));
+    if (amount > 0) payments.push({ from: debtor.memberId, to: creditor.memberId, amount });
+    debtor.amount = roundCents(debtor.amount - amount);
+    creditor.amount = roundCents(creditor.amount - amount);
+    if (debtor.amount <= 0) debtorIndex++;
+    if (creditor.amount <= 0) creditorIndex++;
+  }
+  return payments;
+};
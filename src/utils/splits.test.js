@@ -0,0 +1,34 @@
+import { calculateBalances, calculateMonthlyBalances, calculateShares, suggestSettlements, validateSplit } from './splits';
+
+test('splits amounts equally, by percentage or exactly', () => {
+  expect(calculateShares(100, { method: 'equal', shares: { a: 1, b: 1, c: 1 } })).toEqual({ a: 33.34, b: 33.33, c: 33.33 });
+  expect(calculateShares(200, { method: 'percentage', shares: { a: 75, b: 25 } })).toEqual({ a: 150, b: 50 });
+  expect(calculateShares(90, { method: 'exact', shares: { a: 60, b: 30 } })).toEqual({ a: 60, b: 30 });
+});
+
+test('validates payer, participants and totals', () => {
+  expect(validateSplit(100, { paidBy: '', method: 'equal', shares: { a: 1 } })).toBe('Choose who paid.');
+  expect(validateSplit(100, { paidBy: 'a', method: 'equal', shares: {} })).toBe('Choose at least one member to split with.');
+  expect(validateSplit(100, { paidBy: 'a', method: 'percentage', shares: { a: 50, b: 40 } })).toBe('Percentages must add up to 100 (currently 90).');
+  expect(validateSplit(100, { paidBy: 'a', method: 'exact', shares: { a: 50, b: 50 } })).toBeNull();
+});
+
+test('balances count recurring occurrences and settlements', () => {
+  const expenses = [
+    { amount: 1000, date: '2025-01-01', isRecurring: true, frequency: 'Monthly', split: { paidBy: 'anna', method: 'equal', shares: { anna: 1, ben: 1 } } },
+    { amount: 60, date: '2025-02-10', split: { paidBy: 'ben', method: 'exact', shares: { anna: 60 } } },
+    { amount: 500, date: '2025-02-11' }, // Not shared
+  ];
+  const settlements = [{ fromMemberId: 'ben', toMemberId: 'anna', amount: 400, date: '2025-02-20' }];
+  const balances = calculateBalances(expenses, settlements, '2025-02-28');
+  expect(Object.fromEntries(balances)).toEqual({ anna: 540, ben: -540 });
+  expect(suggestSettlements(balances)).toEqual([{ from: 'ben', to: 'anna', amount: 540 }]);
+
+  const monthly = calculateMonthlyBalances(expenses, settlements, '2025-02-28');
+  expect(monthly.map(({ month, balances: changes }) => [month, changes.get('anna')])).toEqual([['2025-01', 500], ['2025-02', 40]]);
+});
+
+test('suggests the fewest payments between several members', () => {
+  const balances = new Map([['a', 50], ['b', -30], ['c', -20], ['d', 0]]);
+  expect(suggestSettlements(balances)).toEqual([{ from: 'b', to: 'a', amount: 30 }, { from: 'c', to: 'a', amount: 20 }]);
+});
@@ -0,0 +1,235 @@
+import { parseDateValue } from './bankCsv';
+import { CURRENCIES } from './currency';
+
+// Parsers for bank statement files other than CSV: OFX (1.x SGML and 2.x XML),
+// QIF and ISO 20022 CAMT.053 XML. Each returns rows in the same shape as
+// mapRows in bankCsv, plus:
+// - currency: the statement's currency, or null when the file doesn't say.
+//   Rows in a currency the app doesn't support get an error, since their
+//   amounts couldn't be converted into the base currency.
+// - importId: '<format>:<account>:<bank transaction ID>', stored on the
+//   imported document so the same statement can't be imported twice
+
+export const STATEMENT_FORMATS = {
+  csv: 'CSV',
+  ofx: 'OFX',
+  qif: 'QIF',
+  camt053: 'CAMT.053',
+};
+
+// Guesses the format from the file name, then from the content
+export const detectStatementFormat = (fileName, text) => {
+  const extension = (fileName.split('.').pop() || '').toLowerCase();
+  if (['ofx', 'qfx'].includes(extension)) return 'ofx';
+  if (extension === 'qif') return 'qif';
+  const start = text.replace(/^\uFEFF/, '').trimStart().slice(0, 500);
+  if (/OFXHEADER|<OFX>/i.test(start)) return 'ofx';
+  if (/^!Type:/i.test(start)) return 'qif';
+  if (/camt\.053|<BkToCstmrStmt/i.test(text.slice(0, 2000))) return 'camt053';
+  return 'csv';
+};
+
+const createRow = ({ rowNumber, date, rawDate, value, description, currency, importId }) => {
+  const amount = Math.abs(value);
+  const type = value < 0 ? 'expense' : 'income';
+  let error = null;
+  if (!date) error = `Date "${rawDate || ''}" can't be read.`;
+  else if (isNaN(amount) || amount === 0) error = 'Amount is missing or not a number.';
+  else if (currency && !CURRENCIES[currency]) error = `${currency} isn't a supported currency.`;
+  return {
+    rowNumber,
+    date,
+    amount,
+    type,
+    description: description || (type === 'income' ? 'Imported income' : 'Imported expense'),
+    currency: currency || null,
+    importId,
+    error,
+  };
+};
+
+// Joins payee and memo, skipping empty or repeated parts
+const joinDescription = (...parts) => (
+  parts.map(part => (part || '').trim()).filter((part, index, all) => part && all.indexOf(part) === index).join(' - ')
+);
+
+// Gives transactions without a bank ID a stable one from their content.
+// Identical transactions on the same day are told apart by their position.
+const createContentIds = (transactions) => {
+  const seen = new Map();
+  return transactions.map(({ date, value, description }) => {
+    const key = `${date}|${value}|${description}`;
+    const count = (seen.get(key) || 0) + 1;
+    seen.set(key, count);
+    return `${key}|${count}`;
+  });
+};
+
+// --- OFX ---
+
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Reads <TAG>value, which works for both SGML (no closing tags) and XML OFX
+const getOfxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+// '20250115', '20250115120000' or '20250115120000.000[-5:EST]'
+const parseOfxDate = (value) => {
+  const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? parseDateValue(`${match[1]}-${match[2]}-${match[3]}`, 'YYYY-MM-DD') : null;
+};
+
+export const parseOfx = (text) => {
+  const rows = [];
+  // One statement per account: bank (STMTRS) and credit card (CCSTMTRS) statements
+  const statements = text.split(/<(?:CC)?STMTRS>/i).slice(1);
+  statements.forEach(statement => {
+    const currency = getOfxValue(statement, 'CURDEF').toUpperCase() || null;
+    const account = getOfxValue(statement, 'ACCTID');
+    const blocks = statement.split(/<STMTTRN>/i).slice(1);
+    blocks.forEach(block => {
+      const rawDate = getOfxValue(block, 'DTPOSTED');
+      const transactionId = getOfxValue(block, 'FITID');
+      const value = parseFloat(getOfxValue(block, 'TRNAMT').replace(',', '.'));
+      rows.push(createRow({
+        rowNumber: rows.length + 1,
+        date: parseOfxDate(rawDate),
+        rawDate,
+        value,
+        description: joinDescription(getOfxValue(block, 'NAME'), getOfxValue(block, 'MEMO')),
+        currency,
+        importId: transactionId ? `ofx:${account}:${transactionId}` : null,
+      }));
+    });
+  });
+
+  // Fall back to content IDs for the rare files without FITIDs
+  const contentIds = createContentIds(rows.map(row => ({
+    date: row.date, value: row.type === 'expense' ? -row.amount : row.amount, description: row.description,
+  })));
+  return rows.map((row, index) => (row.importId ? row : { ...row, importId: `ofx::${contentIds[index]}` }));
+};
+
+// --- QIF ---
+
+// QIF dates look like 1/15/2025, 01/15/25 or 1/15'25 (the apostrophe marks years after 2000)
+const parseQifDate = (value, dateFormat) => {
+  const match = (value || '').trim().match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-]|')\s*(\d{2}|\d{4})$/);
+  if (!match) return null;
+  const [, first, second, rawYear] = match;
+  const year = rawYear.length === 4 ? rawYear : String(parseInt(rawYear, 10) < 70 || value.includes("'") ? 2000 + parseInt(rawYear, 10) : 1900 + parseInt(rawYear, 10));
+  return parseDateValue(`${first}/${second}/${year}`, dateFormat);
+};
+
+// QIF has no currency or transaction IDs. dateFormat is 'MM/DD/YYYY' (US banks)
+// or 'DD/MM/YYYY', as the file doesn't say which.
+export const parseQif = (text, dateFormat = 'MM/DD/YYYY') => {
+  const transactions = [];
+  let current = {};
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+    const code = line.charAt(0);
+    const value = line.slice(1).trim();
+    if (code === '!') return; // !Type:Bank and other headers
+    if (code === '^') {
+      if (Object.keys(current).length > 0) transactions.push(current);
+      current = {};
+      return;
+    }
+    if (code === 'D') current.rawDate = value;
+    else if (code === 'T' || (code === 'U' && current.amount === undefined)) current.amount = value;
+    else if (code === 'P') current.payee = value;
+    else if (code === 'M') current.memo = value;
+  });
+  if (Object.keys(current).length > 0) transactions.push(current);
+
+  const parsed = transactions.map(({ rawDate, amount, payee, memo }) => ({
+    rawDate,
+    date: parseQifDate(rawDate, dateFormat),
+    value: parseFloat((amount || '').replace(/,/g, '')),
+    description: joinDescription(payee, memo),
+  }));
+  const contentIds = createContentIds(parsed);
+  return parsed.map((transaction, index) => createRow({
+    ...transaction,
+    rowNumber: index + 1,
+    currency: null,
+    importId: `qif::${contentIds[index]}`,
+  }));
+};
+
+// --- CAMT.053 ---
+
+// Finds the first descendant along a path of element names, ignoring namespaces
+const findElement = (element, ...path) => path.reduce((parent, name) => (
+  parent ? Array.from(parent.getElementsByTagNameNS('*', name))[0] || null : null
+), element);
+
+const getText = (element, ...path) => {
+  const found = findElement(element, ...path);
+  return found ? found.textContent.trim() : '';
+};
+
+export const parseCamt053 = (text) => {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML.');
+  }
+  const rows = [];
+  Array.from(xml.getElementsByTagNameNS('*', 'Stmt')).forEach(statement => {
+    const account = getText(statement, 'Acct', 'IBAN') || getText(statement, 'Acct', 'Othr', 'Id');
+    Array.from(statement.getElementsByTagNameNS('*', 'Ntry')).forEach(entry => {
+      const status = getText(entry, 'Sts');
+      if (status && !/BOOK/i.test(status)) return; // Pending and informational entries aren't final yet
+      const amountElement = findElement(entry, 'Amt');
+      const rawAmount = amountElement ? parseFloat(amountElement.textContent) : NaN;
+      const rawDate = getText(entry, 'BookgDt', 'Dt') || getText(entry, 'BookgDt', 'DtTm') || getText(entry, 'ValDt', 'Dt');
+      const isDebit = getText(entry, 'CdtDbtInd') === 'DBIT';
+      // The other party is the creditor of money going out and the debtor of money coming in
+      const counterparty = getText(entry, 'RltdPties', isDebit ? 'Cdtr' : 'Dbtr', 'Nm');
+      const transactionId = getText(entry, 'AcctSvcrRef') || getText(entry, 'Refs', 'TxId') || getText(entry, 'NtryRef');
+      rows.push({
+        rawDate,
+        date: parseDateValue(rawDate.slice(0, 10), 'YYYY-MM-DD'),
+        value: isDebit ? -rawAmount : rawAmount,
+        description: joinDescription(counterparty, getText(entry, 'RmtInf', 'Ustrd') || getText(entry, 'AddtlNtryInf')),
+        currency: amountElement ? amountElement.getAttribute('Ccy') : null,
+        transactionId,
+        account,
+      });
+    });
+  });
+
+  const contentIds = createContentIds(rows);
+  return rows.map(({ transactionId, account, ...row }, index) => createRow({
+    ...row,
+    rowNumber: index + 1,
+    importId: `camt053:${account}:${transactionId || contentIds[index]}`,
+  }));
+};
+
+// Parses a non-CSV statement file in the given format
+export const parseStatement = (format, text, { qifDateFormat } = {}) => {
+  switch (format) {
+    case 'ofx':
+      return parseOfx(text);
+    case 'qif':
+      return parseQif(text, qifDateFormat);
+    case 'camt053':
+      return parseCamt053(text);
+    default:
+      throw new Error(`Unsupported statement format: ${format}`);
+  }
+};
+
+// Flags rows whose importId is already stored on an income or expense document
+export const markDuplicates = (rows, existingImportIds) => rows.map(row => ({
+  ...row,
+  duplicate: !!row.importId && existingImportIds.has(row.importId),
+}));
@@ -0,0 +1,66 @@
+import { detectStatementFormat, markDuplicates, parseCamt053, parseOfx, parseQif } from './statementFormats';
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>EUR
+<BANKACCTFROM><BANKID>123<ACCTID>0001<ACCTTYPE>CHECKING</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250115120000[-5:EST]<TRNAMT>-42.50<FITID>T1<NAME>Tesco &amp; Co<MEMO>Groceries</STMTTRN>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250131<TRNAMT>2000.00<FITID>T2<NAME>Salary</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+test('detects the statement format', () => {
+  expect(detectStatementFormat('statement.QFX', '')).toBe('ofx');
+  expect(detectStatementFormat('export.txt', OFX)).toBe('ofx');
+  expect(detectStatementFormat('export.txt', '!Type:Bank\nD1/2/2025')).toBe('qif');
+  expect(detectStatementFormat('export.xml', '<?xml version="1.0"?><Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">')).toBe('camt053');
+  expect(detectStatementFormat('export.csv', 'Date,Amount')).toBe('csv');
+});
+
+test('parses OFX transactions with their FITIDs', () => {
+  expect(parseOfx(OFX)).toEqual([
+    { rowNumber: 1, date: '2025-01-15', amount: 42.5, type: 'expense', description: 'Tesco & Co - Groceries', currency: 'EUR', importId: 'ofx:0001:T1', error: null },
+    { rowNumber: 2, date: '2025-01-31', amount: 2000, type: 'income', description: 'Salary', currency: 'EUR', importId: 'ofx:0001:T2', error: null },
+  ]);
+});
+
+test('rejects transactions in unsupported currencies', () => {
+  const rows = parseOfx(OFX.replace('<CURDEF>EUR', '<CURDEF>CHF'));
+  expect(rows.map(row => row.currency)).toEqual(['CHF', 'CHF']);
+  expect(rows.map(row => row.error)).toEqual(["CHF isn't a supported currency.", "CHF isn't a supported currency."]);
+});
+
+test('parses QIF records and gives identical ones distinct IDs', () => {
+  const qif = "!Type:Bank\nD01/15'25\nT-1,200.00\nPRent\n^\nD1/16/2025\nT-3.50\nPCoffee\n^\nD1/16/2025\nT-3.50\nPCoffee\n^\nDyesterday\nT5\n^";
+  const rows = parseQif(qif);
+  expect(rows[0]).toMatchObject({ date: '2025-01-15', amount: 1200, type: 'expense', description: 'Rent', currency: null, error: null });
+  expect(rows[1].importId).not.toBe(rows[2].importId);
+  expect(parseQif(qif)[2].importId).toBe(rows[2].importId); // Stable across imports
+  expect(rows[3].error).toBe('Date "yesterday" can\'t be read.');
+  expect(parseQif('D15/01/2025\nT-1\n^', 'DD/MM/YYYY')[0].date).toBe('2025-01-15');
+});
+
+test('parses booked CAMT.053 entries and skips pending ones', () => {
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02"><BkToCstmrStmt><Stmt>
+  <Acct><Id><IBAN>HU42117730161111101800000000</IBAN></Id></Acct>
+  <Ntry><Amt Ccy="HUF">15000</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><Dt>2025-02-03</Dt></BookgDt><AcctSvcrRef>REF1</AcctSvcrRef>
+    <NtryDtls><TxDtls><RltdPties><Cdtr><Nm>MVM Energia</Nm></Cdtr></RltdPties><RmtInf><Ustrd>Electricity</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>
+  <Ntry><Amt Ccy="HUF">500</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>PDNG</Sts><BookgDt><Dt>2025-02-04</Dt></BookgDt></Ntry>
+  <Ntry><Amt Ccy="EUR">25.5</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts><BookgDt><DtTm>2025-02-05T10:00:00</DtTm></BookgDt><AcctSvcrRef>REF2</AcctSvcrRef>
+    <NtryDtls><TxDtls><RltdPties><Dbtr><Nm>Anna</Nm></Dbtr></RltdPties></TxDtls></NtryDtls></Ntry>
+</Stmt></BkToCstmrStmt></Document>`;
+  expect(parseCamt053(xml)).toEqual([
+    { rowNumber: 1, date: '2025-02-03', amount: 15000, type: 'expense', description: 'MVM Energia - Electricity', currency: 'HUF', importId: 'camt053:HU42117730161111101800000000:REF1', error: null },
+    { rowNumber: 2, date: '2025-02-05', amount: 25.5, type: 'income', description: 'Anna', currency: 'EUR', importId: 'camt053:HU42117730161111101800000000:REF2', error: null },
+  ]);
+  expect(() => parseCamt053('<Document>')).toThrow('The file is not valid XML.');
+  expect(parseCamt053(xml.replace('Ccy="EUR"', 'Ccy="CHF"'))[1].error).toBe("CHF isn't a supported currency.");
+});
+
+test('flags rows that were imported before', () => {
+  const rows = markDuplicates(parseOfx(OFX), new Set(['ofx:0001:T1']));
+  expect(rows.map(row => row.duplicate)).toEqual([true, false]);
+});
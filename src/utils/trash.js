@@ -0,0 +1,34 @@
+// Soft delete. Deleted documents move to the 'trash' collection as
+// { collection, itemId, data, deletedAt } under the ID '<collection>_<itemId>',
+// and are purged for good TRASH_RETENTION_DAYS after deletion.
+
+export const TRASH_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Collections that delete into the trash, with the label shown for their items
+export const TRASH_COLLECTIONS = {
+  assets: 'Asset',
+  liabilities: 'Liability',
+  income: 'Income',
+  expenses: 'Expense',
+  goals: 'Goal',
+};
+
+// Builds the trash document for an item: { id, data } ready for storage.set
+export const createTrashEntry = (collectionName, { id, ...data }, deletedAt = new Date().toISOString()) => ({
+  id: `${collectionName}_${id}`,
+  data: { collection: collectionName, itemId: id, data, deletedAt },
+});
+
+export const getPurgeDate = (entry) => new Date(new Date(entry.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Whole days left before the entry is purged (0 once it is due)
+export const getDaysLeft = (entry, now = new Date()) => (
+  Math.max(0, Math.ceil((getPurgeDate(entry).getTime() - now.getTime()) / DAY_MS))
+);
+
+export const getExpiredTrash = (trash, now = new Date()) => trash.filter(entry => getPurgeDate(entry) <= now);
+
+// Display name of a trashed asset, liability, income, expense or goal
+export const describeTrashItem = (entry) => entry.data?.name || entry.data?.description || 'Untitled';
@@ -0,0 +1,25 @@
+import { createTrashEntry, describeTrashItem, getDaysLeft, getExpiredTrash } from './trash';
+
+const asset = { id: 'a1', name: 'Savings', valueHistory: [{ value: 100, date: '2025-01-01' }] };
+
+test('keeps the whole document in the trash entry', () => {
+  expect(createTrashEntry('assets', asset, '2025-03-01T10:00:00.000Z')).toEqual({
+    id: 'assets_a1',
+    data: {
+      collection: 'assets',
+      itemId: 'a1',
+      data: { name: 'Savings', valueHistory: [{ value: 100, date: '2025-01-01' }] },
+      deletedAt: '2025-03-01T10:00:00.000Z',
+    },
+  });
+  expect(describeTrashItem({ data: { description: 'Rent' } })).toBe('Rent');
+});
+
+test('purges entries 30 days after deletion', () => {
+  const { id, data } = createTrashEntry('assets', asset, '2025-03-01T10:00:00.000Z');
+  const entry = { id, ...data };
+  expect(getDaysLeft(entry, new Date('2025-03-01T12:00:00.000Z'))).toBe(30);
+  expect(getDaysLeft(entry, new Date('2025-03-30T12:00:00.000Z'))).toBe(1);
+  expect(getExpiredTrash([entry], new Date('2025-03-31T09:59:59.000Z'))).toEqual([]);
+  expect(getExpiredTrash([entry], new Date('2025-03-31T10:00:00.000Z'))).toEqual([entry]);
+});